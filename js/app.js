@@ -111,12 +111,190 @@ class ErrorHandler {
     }
 }
 
+/**
+ * Legacy in-page anchors mapped to their router paths so old bookmarks keep working
+ */
+const LEGACY_ANCHORS = {
+    'home': '/',
+    'vehicle-info': '/vehicles',
+    'vehicles': '/vehicles',
+    'maintenance-log': '/maintenance',
+    'maintenance': '/maintenance'
+};
+
+/**
+ * Page sections managed by the router; only the active view's sections are shown
+ */
+const VIEW_SECTIONS = ['home', 'vehicle-info', 'vehicles', 'vehicle-detail', 'maintenance-log', 'maintenance', 'costs', 'cost-report', 'trash', 'settings'];
+
+/**
+ * Hash-based client-side router
+ *
+ * Routes are path patterns such as `/vehicles/:id`; the browser hash (`#/vehicles/abc`)
+ * is the source of truth, so back/forward and reloads resolve to the same view.
+ */
+class Router {
+    constructor() {
+        this.routes = [];
+        this.notFoundHandler = null;
+        this.currentPath = null;
+        this.currentRoute = null;
+        this.isStarted = false;
+        this.handleHashChange = this.handleHashChange.bind(this);
+    }
+
+    /**
+     * Register a route
+     * @param {string} pattern - Path pattern, e.g. '/vehicles/:id/edit'
+     * @param {Function} handler - Called with (params, path) when the route matches
+     * @returns {Router} The router, for chaining
+     */
+    addRoute(pattern, handler) {
+        const paramNames = [];
+        const regexSource = pattern
+            .split('/')
+            .map(segment => {
+                if (segment.startsWith(':')) {
+                    paramNames.push(segment.slice(1));
+                    return '([^/]+)';
+                }
+                return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            })
+            .join('/');
+
+        this.routes.push({
+            pattern,
+            regex: new RegExp(`^${regexSource}/?$`),
+            paramNames,
+            handler
+        });
+
+        return this;
+    }
+
+    /**
+     * Register the handler used when no route matches
+     * @param {Function} handler - Called with (path)
+     * @returns {Router} The router, for chaining
+     */
+    setNotFound(handler) {
+        this.notFoundHandler = handler;
+        return this;
+    }
+
+    /**
+     * Start listening for hash changes and resolve the current location
+     */
+    start() {
+        if (this.isStarted) {
+            return;
+        }
+
+        window.addEventListener('hashchange', this.handleHashChange);
+        this.isStarted = true;
+        this.resolve();
+    }
+
+    /**
+     * Stop listening for hash changes
+     */
+    stop() {
+        window.removeEventListener('hashchange', this.handleHashChange);
+        this.isStarted = false;
+    }
+
+    /**
+     * Handle browser hash changes (link clicks, back/forward)
+     */
+    handleHashChange() {
+        this.resolve();
+    }
+
+    /**
+     * Get the router path from the current location hash
+     * @returns {string} Router path
+     */
+    getPath() {
+        const hash = window.location.hash.replace(/^#/, '');
+
+        if (hash === '') {
+            return '/';
+        }
+
+        if (hash.startsWith('/')) {
+            return hash;
+        }
+
+        return Object.prototype.hasOwnProperty.call(LEGACY_ANCHORS, hash) ? LEGACY_ANCHORS[hash] : `/${hash}`;
+    }
+
+    /**
+     * Navigate to a path
+     * @param {string} path - Router path, e.g. '/vehicles/abc'
+     * @param {Object} options - Navigation options
+     * @param {boolean} options.replace - Replace the current history entry instead of pushing
+     */
+    navigate(path, options = {}) {
+        const hash = `#${path}`;
+
+        if (options.replace) {
+            window.history.replaceState(window.history.state, '', hash);
+            this.resolve();
+        } else if (window.location.hash === hash) {
+            // Same hash fires no hashchange event, so resolve directly
+            this.resolve();
+        } else {
+            window.location.hash = path;
+        }
+    }
+
+    /**
+     * Resolve the current location to a route and run its handler
+     */
+    resolve() {
+        const path = this.getPath();
+
+        // Canonicalize legacy anchors so the address bar shows the real route
+        if (window.location.hash !== '' && !window.location.hash.startsWith('#/')) {
+            window.history.replaceState(window.history.state, '', `#${path}`);
+        }
+
+        for (const route of this.routes) {
+            const match = route.regex.exec(path);
+
+            if (match) {
+                const params = {};
+                route.paramNames.forEach((name, index) => {
+                    params[name] = decodeURIComponent(match[index + 1]);
+                });
+
+                this.currentPath = path;
+                this.currentRoute = route.pattern;
+                Logger.debug('Route resolved', { path, route: route.pattern, params });
+
+                route.handler(params, path);
+                return;
+            }
+        }
+
+        this.currentPath = path;
+        this.currentRoute = null;
+        Logger.warn('No route matched', { path });
+
+        if (this.notFoundHandler) {
+            this.notFoundHandler(path);
+        }
+    }
+}
+
 /**
  * Application initialization
  */
 class Application {
     constructor() {
         this.errorHandler = new ErrorHandler();
+        this.router = new Router();
+        this.currentRouteParams = {};
         this.initPromise = null;
     }
 
@@ -145,6 +323,10 @@ class Application {
             await this.initializeModules();
             Logger.debug('Modules initialized');
 
+            // Setup routes and show the view for the current URL
+            this.setupRouter();
+            Logger.debug('Router started');
+
             // Mark application as initialized
             AppState.isInitialized = true;
             Logger.info('Application initialization complete');
@@ -199,6 +381,11 @@ class Application {
             Logger.warn('Connection lost');
         });
 
+        // Undo and redo data changes with Ctrl+Z / Ctrl+Shift+Z
+        document.addEventListener('keydown', (event) => {
+            this.handleHistoryShortcut(event);
+        });
+
         // Before unload warning (if needed)
         window.addEventListener('beforeunload', (event) => {
             // Can be used later to warn about unsaved changes
@@ -206,6 +393,32 @@ class Application {
         });
     }
 
+    /**
+     * Undo or redo the latest data change from the keyboard.
+     * Text fields are left alone so they keep their own undo.
+     * @param {KeyboardEvent} event - Keydown event
+     */
+    handleHistoryShortcut(event) {
+        if (!(event.ctrlKey || event.metaKey) || event.altKey || event.key.toLowerCase() !== 'z') {
+            return;
+        }
+
+        const target = event.target;
+        if (target && typeof target.closest === 'function' &&
+            target.closest('input, textarea, select, [contenteditable="true"]')) {
+            return;
+        }
+
+        const undoToast = AppState.modules.get('undoToast');
+        if (!undoToast) {
+            return;
+        }
+
+        event.preventDefault();
+        const result = event.shiftKey ? undoToast.redo() : undoToast.undo();
+        Logger.debug(event.shiftKey ? 'Redo' : 'Undo', { message: result.message });
+    }
+
     /**
      * Initialize application modules
      */
@@ -213,6 +426,10 @@ class Application {
         Logger.info('Ready to initialize application modules');
 
         try {
+            // Choose the storage backend before anything reads data
+            await this.initializeStorage();
+            Logger.info('Storage initialized');
+
             // Initialize vehicle form component
             await this.initializeVehicleForm();
             Logger.info('Vehicle form component initialized');
@@ -221,6 +438,66 @@ class Application {
             await this.initializeMaintenanceForm();
             Logger.info('Maintenance form component initialized');
 
+            // Initialize vehicle list component (depends on both forms)
+            await this.initializeVehicleList();
+            Logger.info('Vehicle list component initialized');
+
+            // Initialize maintenance list component
+            await this.initializeMaintenanceList();
+            Logger.info('Maintenance list component initialized');
+
+            // Initialize saved searches (depends on the maintenance list)
+            await this.initializeSavedSearches();
+            Logger.info('Saved searches component initialized');
+
+            // Initialize vehicle detail component
+            await this.initializeVehicleDetail();
+            Logger.info('Vehicle detail component initialized');
+
+            // Initialize service reminders on the home section
+            await this.initializeReminderList();
+            Logger.info('Reminder list component initialized');
+
+            // Initialize cost charts
+            await this.initializeCostDashboard();
+            Logger.info('Cost dashboard component initialized');
+
+            // Initialize cost of ownership report and expense log
+            await this.initializeOwnershipReport();
+            Logger.info('Ownership report component initialized');
+
+            // Initialize storage usage panel and storage-full alerts
+            await this.initializeStorageStatus();
+            Logger.info('Storage status component initialized');
+
+            // Initialize backup and restore with backup reminders
+            await this.initializeBackupPanel();
+            Logger.info('Backup panel component initialized');
+
+            // Initialize automatic snapshot list
+            await this.initializeSnapshotPanel();
+            Logger.info('Snapshot panel component initialized');
+
+            // Initialize data health check, which runs once on startup
+            await this.initializeDataHealthPanel();
+            Logger.info('Data health panel component initialized');
+
+            // Initialize CSV export and import
+            await this.initializeCsvTransfer();
+            Logger.info('CSV transfer component initialized');
+
+            // Initialize trash list
+            await this.initializeTrashList();
+            Logger.info('Trash list component initialized');
+
+            // Initialize undo notices for deletions and undo/redo shortcuts
+            await this.initializeUndoToast();
+            Logger.info('Undo toast component initialized');
+
+            // Initialize the search box in the header
+            await this.initializeGlobalSearch();
+            Logger.info('Global search component initialized');
+
         } catch (error) {
             this.errorHandler.handleError(error, {
                 action: 'initializeModules'
@@ -229,6 +506,335 @@ class Application {
         }
     }
 
+    /**
+     * Initialize the storage backend, moving data to IndexedDB when available
+     */
+    async initializeStorage() {
+        try {
+            const { storageService } = await import('./services/storageService.js');
+            const { dataManager } = await import('./services/dataManager.js');
+            const { reminderService } = await import('./services/reminderService.js');
+            const { snapshotService } = await import('./services/snapshotService.js');
+            const { syncService } = await import('./services/syncService.js');
+
+            const backend = await storageService.initializeBackend();
+            AppState.modules.set('storageService', storageService);
+
+            // Data may now come from a different backend, so drop anything read before the switch
+            dataManager.clearAllCaches();
+            dataManager.initialize();
+            reminderService.initialize();
+
+            // Log field changes made by a migration that just ran, before the snapshot service takes it
+            const auditCount = dataManager.recordMigration(storageService.getCompletedMigration());
+            if (auditCount > 0) {
+                Logger.info('Recorded migration changes in the change history', { count: auditCount });
+            }
+
+            // Records any migration that just ran and takes the daily snapshot
+            await snapshotService.initialize();
+
+            const purge = dataManager.purgeExpiredTrash();
+            if (purge.count > 0) {
+                Logger.info('Removed expired items from the trash', { count: purge.count });
+            }
+
+            // Keep views in step with edits made in other tabs of the app
+            syncService.initialize();
+
+            Logger.debug('Storage backend ready', { backend });
+        } catch (error) {
+            this.errorHandler.handleError(error, {
+                action: 'initializeStorage'
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Initialize storage status component
+     */
+    async initializeStorageStatus() {
+        try {
+            // Dynamic import of storage status component
+            const { createStorageStatus } = await import('./components/storageStatus.js');
+
+            const storageStatus = createStorageStatus('storage-status-container', {
+                alertContainerId: 'storage-alert-container'
+            });
+
+            if (storageStatus && storageStatus.isInitialized) {
+                // Store in application state
+                AppState.modules.set('storageStatus', storageStatus);
+                Logger.debug('Storage status component ready');
+            } else {
+                Logger.warn('Storage status failed to initialize');
+            }
+        } catch (error) {
+            this.errorHandler.handleError(error, {
+                action: 'initializeStorageStatus'
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Initialize backup panel component
+     */
+    async initializeBackupPanel() {
+        try {
+            // Dynamic import of backup panel component
+            const { createBackupPanel } = await import('./components/backupPanel.js');
+
+            const backupPanel = createBackupPanel('backup-panel-container', {
+                reminderContainerId: 'backup-reminder-container'
+            });
+
+            if (backupPanel && backupPanel.isInitialized) {
+                // Store in application state
+                AppState.modules.set('backupPanel', backupPanel);
+                Logger.debug('Backup panel component ready');
+            } else {
+                Logger.warn('Backup panel failed to initialize');
+            }
+        } catch (error) {
+            this.errorHandler.handleError(error, {
+                action: 'initializeBackupPanel'
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Initialize snapshot panel component
+     */
+    async initializeSnapshotPanel() {
+        try {
+            // Dynamic import of snapshot panel component
+            const { createSnapshotPanel } = await import('./components/snapshotPanel.js');
+
+            const snapshotPanel = createSnapshotPanel('snapshot-panel-container');
+
+            if (snapshotPanel && snapshotPanel.isInitialized) {
+                // Store in application state
+                AppState.modules.set('snapshotPanel', snapshotPanel);
+                Logger.debug('Snapshot panel component ready');
+            } else {
+                Logger.warn('Snapshot panel failed to initialize');
+            }
+        } catch (error) {
+            this.errorHandler.handleError(error, {
+                action: 'initializeSnapshotPanel'
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Initialize data health panel component
+     */
+    async initializeDataHealthPanel() {
+        try {
+            // Dynamic import of data health panel component
+            const { createDataHealthPanel } = await import('./components/dataHealthPanel.js');
+
+            const dataHealthPanel = createDataHealthPanel('data-health-container', {
+                alertContainerId: 'data-health-alert-container'
+            });
+
+            if (dataHealthPanel && dataHealthPanel.isInitialized) {
+                // Store in application state
+                AppState.modules.set('dataHealthPanel', dataHealthPanel);
+                Logger.debug('Data health panel component ready');
+            } else {
+                Logger.warn('Data health panel failed to initialize');
+            }
+        } catch (error) {
+            this.errorHandler.handleError(error, {
+                action: 'initializeDataHealthPanel'
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Initialize CSV transfer component
+     */
+    async initializeCsvTransfer() {
+        try {
+            // Dynamic import of CSV transfer component
+            const { createCsvTransfer } = await import('./components/csvTransfer.js');
+
+            const csvTransfer = createCsvTransfer('csv-transfer-container');
+
+            if (csvTransfer && csvTransfer.isInitialized) {
+                // Store in application state
+                AppState.modules.set('csvTransfer', csvTransfer);
+                Logger.debug('CSV transfer component ready');
+            } else {
+                Logger.warn('CSV transfer failed to initialize');
+            }
+        } catch (error) {
+            this.errorHandler.handleError(error, {
+                action: 'initializeCsvTransfer'
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Initialize trash list component
+     */
+    async initializeTrashList() {
+        try {
+            // Dynamic import of trash list component
+            const { createTrashList } = await import('./components/trashList.js');
+
+            const trashList = createTrashList('trash-container');
+
+            if (trashList && trashList.isInitialized) {
+                // Store in application state
+                AppState.modules.set('trashList', trashList);
+                Logger.debug('Trash list component ready');
+            } else {
+                Logger.warn('Trash list failed to initialize');
+            }
+        } catch (error) {
+            this.errorHandler.handleError(error, {
+                action: 'initializeTrashList'
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Initialize cost dashboard component
+     */
+    async initializeCostDashboard() {
+        try {
+            // Dynamic import of cost dashboard component
+            const { createCostDashboard } = await import('./components/costDashboard.js');
+
+            const costDashboard = createCostDashboard('costs-container');
+
+            if (costDashboard && costDashboard.isInitialized) {
+                // Store in application state
+                AppState.modules.set('costDashboard', costDashboard);
+                Logger.debug('Cost dashboard component ready');
+            } else {
+                Logger.warn('Cost dashboard failed to initialize');
+            }
+        } catch (error) {
+            this.errorHandler.handleError(error, {
+                action: 'initializeCostDashboard'
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Initialize cost of ownership report component
+     */
+    async initializeOwnershipReport() {
+        try {
+            // Dynamic import of ownership report component
+            const { createOwnershipReport } = await import('./components/ownershipReport.js');
+
+            const ownershipReport = createOwnershipReport('cost-report-container');
+
+            if (ownershipReport && ownershipReport.isInitialized) {
+                // Store in application state
+                AppState.modules.set('ownershipReport', ownershipReport);
+                Logger.debug('Ownership report component ready');
+            } else {
+                Logger.warn('Ownership report failed to initialize');
+            }
+        } catch (error) {
+            this.errorHandler.handleError(error, {
+                action: 'initializeOwnershipReport'
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Initialize undo toast component
+     */
+    async initializeUndoToast() {
+        try {
+            // Dynamic import of undo toast component
+            const { createUndoToast } = await import('./components/undoToast.js');
+
+            const undoToast = createUndoToast('undo-toast-container');
+
+            if (undoToast && undoToast.isInitialized) {
+                // Store in application state
+                AppState.modules.set('undoToast', undoToast);
+                Logger.debug('Undo toast component ready');
+            } else {
+                Logger.warn('Undo toast failed to initialize');
+            }
+        } catch (error) {
+            this.errorHandler.handleError(error, {
+                action: 'initializeUndoToast'
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Initialize saved searches component
+     */
+    async initializeSavedSearches() {
+        try {
+            // Dynamic import of saved searches component
+            const { createSavedSearches } = await import('./components/savedSearches.js');
+
+            const savedSearches = createSavedSearches('saved-searches-container', {
+                pinnedContainerId: 'pinned-searches-container',
+                maintenanceList: AppState.modules.get('maintenanceList')
+            });
+
+            if (savedSearches && savedSearches.isInitialized) {
+                // Store in application state
+                AppState.modules.set('savedSearches', savedSearches);
+                Logger.debug('Saved searches component ready');
+            } else {
+                Logger.warn('Saved searches failed to initialize');
+            }
+        } catch (error) {
+            this.errorHandler.handleError(error, {
+                action: 'initializeSavedSearches'
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Initialize global search component
+     */
+    async initializeGlobalSearch() {
+        try {
+            // Dynamic import of global search component
+            const { createGlobalSearch } = await import('./components/globalSearch.js');
+
+            const globalSearch = createGlobalSearch('global-search-container');
+
+            if (globalSearch && globalSearch.isInitialized) {
+                // Store in application state
+                AppState.modules.set('globalSearch', globalSearch);
+                Logger.debug('Global search component ready');
+            } else {
+                Logger.warn('Global search failed to initialize');
+            }
+        } catch (error) {
+            this.errorHandler.handleError(error, {
+                action: 'initializeGlobalSearch'
+            });
+            throw error;
+        }
+    }
+
     /**
      * Initialize vehicle form component
      */
@@ -253,6 +859,7 @@ class Application {
 
                 vehicleForm.onCancel(() => {
                     Logger.info('Vehicle form cancelled');
+                    this.handleVehicleCancel();
                 });
 
                 Logger.debug('Vehicle form component ready');
@@ -288,8 +895,10 @@ class Application {
                 Logger.debug('Vehicle ID set for maintenance form', { vehicleId: vehicleData.id });
             }
 
-            // Future: Refresh vehicle list display
-            // this.refreshVehiclesList();
+            // Return to the vehicle's detail page after editing it
+            if (this.router.currentRoute === '/vehicles/:id/edit' && vehicleData.id) {
+                this.router.navigate(`/vehicles/${encodeURIComponent(vehicleData.id)}`);
+            }
 
         } catch (error) {
             this.errorHandler.handleError(error, {
@@ -299,6 +908,74 @@ class Application {
         }
     }
 
+    /**
+     * Initialize vehicle list component
+     */
+    async initializeVehicleList() {
+        try {
+            // Dynamic import of vehicle list component
+            const { createVehicleList } = await import('./components/vehicleList.js');
+
+            // Create and initialize the vehicle list with the forms it drives
+            const vehicleList = createVehicleList('vehicles-container', {
+                vehicleForm: AppState.modules.get('vehicleForm'),
+                maintenanceForm: AppState.modules.get('maintenanceForm')
+            });
+
+            if (vehicleList && vehicleList.isInitialized) {
+                // Store in application state
+                AppState.modules.set('vehicleList', vehicleList);
+
+                vehicleList.onEdit((vehicleId) => {
+                    this.router.navigate(`/vehicles/${encodeURIComponent(vehicleId)}/edit`);
+                });
+
+                vehicleList.onLogService(() => {
+                    this.router.navigate('/maintenance');
+                });
+
+                vehicleList.onDelete((vehicleData) => {
+                    Logger.info('Vehicle deleted', { vehicleId: vehicleData.id });
+                    this.handleVehicleDelete(vehicleData);
+                });
+
+                Logger.debug('Vehicle list component ready');
+            } else {
+                Logger.warn('Vehicle list failed to initialize');
+            }
+        } catch (error) {
+            this.errorHandler.handleError(error, {
+                action: 'initializeVehicleList'
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Handle vehicle deletion from the vehicle list
+     * @param {Object} vehicleData - Deleted vehicle data
+     */
+    handleVehicleDelete(vehicleData) {
+        try {
+            // Dispatch custom event for other components to react
+            const event = new CustomEvent('vehicle:deleted', {
+                detail: { vehicle: vehicleData }
+            });
+            window.dispatchEvent(event);
+
+            // Don't leave the maintenance form pointing at a deleted vehicle
+            const maintenanceForm = AppState.modules.get('maintenanceForm');
+            if (maintenanceForm && maintenanceForm.currentVehicleId === vehicleData.id) {
+                maintenanceForm.setVehicleId(null);
+            }
+        } catch (error) {
+            this.errorHandler.handleError(error, {
+                action: 'handleVehicleDelete',
+                vehicleData
+            });
+        }
+    }
+
     /**
      * Initialize maintenance form component
      */
@@ -323,6 +1000,7 @@ class Application {
 
                 maintenanceForm.onCancel(() => {
                     Logger.info('Maintenance form cancelled');
+                    this.handleMaintenanceCancel();
                 });
 
                 Logger.debug('Maintenance form component ready');
@@ -351,8 +1029,10 @@ class Application {
             });
             window.dispatchEvent(event);
 
-            // Future: Refresh maintenance records display
-            // this.refreshMaintenanceList();
+            // Return to the records list after editing a record
+            if (this.router.currentRoute === '/maintenance/:recordId') {
+                this.router.navigate('/maintenance');
+            }
 
         } catch (error) {
             this.errorHandler.handleError(error, {
@@ -362,6 +1042,328 @@ class Application {
         }
     }
 
+    /**
+     * Initialize maintenance list component
+     */
+    async initializeMaintenanceList() {
+        try {
+            // Dynamic import of maintenance list component
+            const { createMaintenanceList } = await import('./components/maintenanceList.js');
+
+            // Create and initialize the maintenance list with the form it edits through
+            const maintenanceList = createMaintenanceList('maintenance-container', {
+                maintenanceForm: AppState.modules.get('maintenanceForm')
+            });
+
+            if (maintenanceList && maintenanceList.isInitialized) {
+                // Store in application state
+                AppState.modules.set('maintenanceList', maintenanceList);
+
+                maintenanceList.onEdit((recordId) => {
+                    this.router.navigate(`/maintenance/${encodeURIComponent(recordId)}`);
+                });
+
+                maintenanceList.onDelete((maintenanceData) => {
+                    Logger.info('Maintenance record deleted', { recordId: maintenanceData.id });
+                    this.handleMaintenanceDelete(maintenanceData);
+                });
+
+                Logger.debug('Maintenance list component ready');
+            } else {
+                Logger.warn('Maintenance list failed to initialize');
+            }
+        } catch (error) {
+            this.errorHandler.handleError(error, {
+                action: 'initializeMaintenanceList'
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Handle maintenance record deletion from the maintenance list
+     * @param {Object} maintenanceData - Deleted maintenance record data
+     */
+    handleMaintenanceDelete(maintenanceData) {
+        try {
+            // Dispatch custom event for other components to react
+            const event = new CustomEvent('maintenance:deleted', {
+                detail: { maintenance: maintenanceData }
+            });
+            window.dispatchEvent(event);
+        } catch (error) {
+            this.errorHandler.handleError(error, {
+                action: 'handleMaintenanceDelete',
+                maintenanceData
+            });
+        }
+    }
+
+    /**
+     * Initialize vehicle detail component
+     */
+    async initializeVehicleDetail() {
+        try {
+            // Dynamic import of vehicle detail component
+            const { createVehicleDetail } = await import('./components/vehicleDetail.js');
+
+            const vehicleDetail = createVehicleDetail('vehicle-detail-container');
+
+            if (vehicleDetail && vehicleDetail.isInitialized) {
+                // Store in application state
+                AppState.modules.set('vehicleDetail', vehicleDetail);
+
+                vehicleDetail.onLogService((vehicleId) => {
+                    const maintenanceForm = AppState.modules.get('maintenanceForm');
+                    if (maintenanceForm) {
+                        maintenanceForm.setVehicleId(vehicleId);
+                    }
+                    this.router.navigate('/maintenance');
+                });
+
+                Logger.debug('Vehicle detail component ready');
+            } else {
+                Logger.warn('Vehicle detail failed to initialize');
+            }
+        } catch (error) {
+            this.errorHandler.handleError(error, {
+                action: 'initializeVehicleDetail'
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Initialize reminder list component and its service
+     */
+    async initializeReminderList() {
+        try {
+            // Dynamic import of reminder service and list component
+            const { reminderService } = await import('./services/reminderService.js');
+            const { createReminderList } = await import('./components/reminderList.js');
+
+            AppState.modules.set('reminderService', reminderService);
+
+            const reminderList = createReminderList('reminders-container');
+
+            if (reminderList && reminderList.isInitialized) {
+                // Store in application state
+                AppState.modules.set('reminderList', reminderList);
+
+                reminderList.onLogService((vehicleId) => {
+                    const maintenanceForm = AppState.modules.get('maintenanceForm');
+                    if (maintenanceForm) {
+                        maintenanceForm.setVehicleId(vehicleId);
+                    }
+                    this.router.navigate('/maintenance');
+                });
+
+                Logger.debug('Reminder list component ready');
+            } else {
+                Logger.warn('Reminder list failed to initialize');
+            }
+        } catch (error) {
+            this.errorHandler.handleError(error, {
+                action: 'initializeReminderList'
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Handle vehicle form cancellation
+     */
+    handleVehicleCancel() {
+        const params = this.getRouteParams('/vehicles/:id/edit');
+        if (params) {
+            this.router.navigate(`/vehicles/${encodeURIComponent(params.id)}`);
+        }
+    }
+
+    /**
+     * Handle maintenance form cancellation
+     */
+    handleMaintenanceCancel() {
+        if (this.router.currentRoute === '/maintenance/:recordId') {
+            this.router.navigate('/maintenance');
+        }
+    }
+
+    /**
+     * Get the params of the current route if it matches a pattern
+     * @param {string} pattern - Route pattern
+     * @returns {Object|null} Route params or null
+     */
+    getRouteParams(pattern) {
+        if (this.router.currentRoute !== pattern) {
+            return null;
+        }
+
+        return this.currentRouteParams || {};
+    }
+
+    /**
+     * Register application routes and start the router
+     */
+    setupRouter() {
+        const route = (pattern, handler) => {
+            this.router.addRoute(pattern, (params, path) => {
+                this.currentRouteParams = params;
+
+                try {
+                    handler(params, path);
+                } catch (error) {
+                    this.errorHandler.handleError(error, {
+                        action: 'route',
+                        path
+                    });
+                }
+            });
+        };
+
+        route('/', () => {
+            this.showView(['home'], 'Home');
+        });
+
+        route('/vehicles', () => {
+            this.resetVehicleFormIfEditing();
+            this.showView(['vehicles', 'vehicle-info'], 'My Vehicles');
+        });
+
+        route('/vehicles/:id', ({ id }) => {
+            this.resetVehicleFormIfEditing();
+            const vehicleDetail = AppState.modules.get('vehicleDetail');
+            const found = vehicleDetail ? vehicleDetail.setVehicleId(id) : false;
+            this.showView(['vehicle-detail'], found ? vehicleDetail.getTitle() : 'Vehicle Not Found');
+        });
+
+        route('/vehicles/:id/edit', ({ id }) => {
+            const vehicleForm = AppState.modules.get('vehicleForm');
+
+            if (vehicleForm && vehicleForm.loadVehicle(id)) {
+                this.showView(['vehicle-info'], 'Edit Vehicle');
+            } else {
+                // Let the detail page report the missing vehicle
+                this.router.navigate(`/vehicles/${encodeURIComponent(id)}`, { replace: true });
+            }
+        });
+
+        route('/maintenance', () => {
+            const maintenanceForm = AppState.modules.get('maintenanceForm');
+            if (maintenanceForm && maintenanceForm.currentRecordId) {
+                maintenanceForm.resetForm();
+            }
+            this.showView(['maintenance-log', 'maintenance'], 'Maintenance');
+        });
+
+        route('/maintenance/search/:query', ({ query }) => {
+            const savedSearches = AppState.modules.get('savedSearches');
+            const search = savedSearches ? savedSearches.openShared(query) : null;
+            this.showView(['maintenance'], search && search.name ? search.name : 'Search Results');
+        });
+
+        route('/maintenance/:recordId', ({ recordId }) => {
+            const maintenanceForm = AppState.modules.get('maintenanceForm');
+
+            if (maintenanceForm && maintenanceForm.loadMaintenanceRecord(recordId)) {
+                this.showView(['maintenance-log'], 'Edit Maintenance Record');
+            } else {
+                Logger.warn('Maintenance record not found for route', { recordId });
+                this.router.navigate('/maintenance', { replace: true });
+            }
+        });
+
+        route('/costs', () => {
+            this.showView(['costs'], 'Costs');
+        });
+
+        route('/costs/ownership', () => {
+            this.showView(['cost-report'], 'Cost of Ownership');
+        });
+
+        route('/trash', () => {
+            const trashList = AppState.modules.get('trashList');
+            if (trashList) {
+                trashList.refresh();
+            }
+            this.showView(['trash'], 'Trash');
+        });
+
+        route('/settings', () => {
+            const storageStatus = AppState.modules.get('storageStatus');
+            if (storageStatus) {
+                storageStatus.refresh();
+            }
+            const backupPanel = AppState.modules.get('backupPanel');
+            if (backupPanel) {
+                backupPanel.refresh();
+            }
+            const snapshotPanel = AppState.modules.get('snapshotPanel');
+            if (snapshotPanel) {
+                snapshotPanel.refresh();
+            }
+            const dataHealthPanel = AppState.modules.get('dataHealthPanel');
+            if (dataHealthPanel) {
+                dataHealthPanel.refresh();
+            }
+            this.showView(['settings'], 'Data & Storage');
+        });
+
+        this.router.setNotFound(() => {
+            this.router.navigate('/', { replace: true });
+        });
+
+        this.router.start();
+    }
+
+    /**
+     * Clear a vehicle loaded for editing when leaving the edit route
+     */
+    resetVehicleFormIfEditing() {
+        const vehicleForm = AppState.modules.get('vehicleForm');
+        if (vehicleForm && vehicleForm.currentVehicleId) {
+            vehicleForm.resetForm();
+        }
+    }
+
+    /**
+     * Show only the sections belonging to the active view
+     * @param {string[]} sectionIds - Section element IDs to show
+     * @param {string} title - View title for the document title
+     */
+    showView(sectionIds, title) {
+        VIEW_SECTIONS.forEach(sectionId => {
+            const section = document.getElementById(sectionId);
+            if (section) {
+                section.classList.toggle('hidden', !sectionIds.includes(sectionId));
+            }
+        });
+
+        // Mark the nav link for the active top-level route
+        const topLevel = `#/${(this.router.currentPath || '/').split('/')[1] || ''}`;
+        document.querySelectorAll('nav a[href^="#/"]').forEach(link => {
+            if (link.getAttribute('href') === topLevel) {
+                link.setAttribute('aria-current', 'page');
+            } else {
+                link.removeAttribute('aria-current');
+            }
+        });
+
+        document.title = `${title} - AutoCare Log`;
+
+        // Move focus to the new view's heading for keyboard and screen reader users
+        if (AppState.isInitialized) {
+            const heading = document.querySelector(`#${sectionIds[0]} h2`);
+            if (heading) {
+                heading.setAttribute('tabindex', '-1');
+                heading.focus({ preventScroll: true });
+            }
+            window.scrollTo(0, 0);
+        }
+
+        Logger.debug('View shown', { sections: sectionIds });
+    }
+
     /**
      * Load a module dynamically
      */
@@ -431,4 +1433,4 @@ const app = new Application();
 /**
  * Export the application instance for testing and debugging
  */
-export { app, AppState, Logger, ErrorHandler };
+export { app, AppState, Logger, ErrorHandler, Router };
@@ -0,0 +1,505 @@
+/**
+ * Backup Panel Component
+ *
+ * ES6 module for downloading JSON backup files and restoring from them, with
+ * a preview of what a restore will change. Also shows a reminder banner when
+ * the last backup is older than the age the user chose.
+ */
+
+import { dataManager, IMPORT_POLICIES, IMPORT_STATUS } from '../services/dataManager.js';
+import { backupService } from '../services/backupService.js';
+import { escapeHTML } from '../utils/htmlUtils.js';
+
+/**
+ * Reminder ages offered, in days (0 turns reminders off)
+ */
+const REMINDER_OPTIONS = [0, 7, 14, 30, 90];
+
+/**
+ * Restore modes offered, mapped to backupService options
+ */
+const RESTORE_MODES = {
+    newest: { label: 'Merge, keeping the newer copy of each entry', replace: false, policy: IMPORT_POLICIES.NEWEST },
+    'keep-local': { label: 'Merge, keeping my current copy of each entry', replace: false, policy: IMPORT_POLICIES.KEEP_LOCAL },
+    replace: { label: 'Replace all current data with the backup', replace: true, policy: IMPORT_POLICIES.KEEP_INCOMING }
+};
+
+/**
+ * Display names for backup collections
+ */
+const COLLECTION_LABELS = {
+    vehicles: 'Vehicles',
+    maintenanceRecords: 'Maintenance records',
+    odometerReadings: 'Odometer readings',
+    serviceSchedules: 'Service schedules',
+    expenses: 'Fuel and insurance expenses'
+};
+
+/**
+ * Number of problem entries listed in the restore preview
+ */
+const PROBLEM_LIMIT = 10;
+
+/**
+ * Backup Panel class
+ */
+class BackupPanel {
+    /**
+     * @param {string} containerId - Container for the backup panel
+     * @param {Object} options - Options
+     * @param {string} options.reminderContainerId - Container for the backup reminder banner
+     */
+    constructor(containerId, options = {}) {
+        this.containerId = containerId;
+        this.reminderContainerId = options.reminderContainerId || null;
+        this.container = null;
+        this.reminderContainer = null;
+        this.pendingRestore = null;
+        this.restoreMode = 'newest';
+        this.reminderDismissed = false;
+        this.isInitialized = false;
+        this.unsubscribeData = null;
+        this.handleClick = this.handleClick.bind(this);
+        this.handleChange = this.handleChange.bind(this);
+        this.handleDataChanged = this.handleDataChanged.bind(this);
+        this.refresh = this.refresh.bind(this);
+    }
+
+    /**
+     * Initialize the backup panel
+     * @returns {boolean} Success status
+     */
+    initialize() {
+        try {
+            this.container = document.getElementById(this.containerId);
+
+            if (!this.container) {
+                console.error(`Container with ID '${this.containerId}' not found`);
+                return false;
+            }
+
+            if (this.reminderContainerId) {
+                this.reminderContainer = document.getElementById(this.reminderContainerId);
+            }
+
+            this.render();
+            this.renderReminder();
+            this.setupEventListeners();
+            this.isInitialized = true;
+
+            console.log('Backup panel initialized successfully');
+            return true;
+        } catch (error) {
+            console.error('Error initializing backup panel:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Render the backup panel
+     */
+    render() {
+        if (!this.container) {
+            console.error('Container not found');
+            return;
+        }
+
+        const lastBackup = backupService.getLastBackup();
+        const reminderDays = backupService.getReminderDays();
+
+        const reminderOptions = REMINDER_OPTIONS.map(days => {
+            const label = days === 0 ? 'Never' : `After ${days} days`;
+            return `<option value="${days}"${days === reminderDays ? ' selected' : ''}>${label}</option>`;
+        }).join('');
+
+        this.container.innerHTML = `
+            <div class="backup-panel">
+                <h3>Backup &amp; Restore</h3>
+                <p>${escapeHTML(this.describeLastBackup(lastBackup))}</p>
+                <div class="form-group">
+                    <label for="backup-reminder-days" class="form-label">Remind me to back up</label>
+                    <select id="backup-reminder-days" class="form-select">${reminderOptions}</select>
+                </div>
+                <div class="form-actions">
+                    <button type="button" class="btn btn-primary" data-action="download-backup">Download Backup</button>
+                </div>
+                <div class="backup-restore">${this.renderRestore()}</div>
+                <div class="backup-panel-message" aria-live="polite"></div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the restore step for the current state
+     * @returns {string} HTML
+     */
+    renderRestore() {
+        if (!this.pendingRestore) {
+            return `
+                <div class="form-group">
+                    <label for="backup-restore-file" class="form-label">Restore from a backup file</label>
+                    <input type="file" id="backup-restore-file" class="form-input" accept=".json,application/json" />
+                </div>
+            `;
+        }
+
+        const { backup, preview, fileName } = this.pendingRestore;
+        const modeOptions = Object.entries(RESTORE_MODES).map(([value, mode]) =>
+            `<option value="${value}"${value === this.restoreMode ? ' selected' : ''}>${escapeHTML(mode.label)}</option>`
+        ).join('');
+
+        const count = (report, status) => report.filter(item => item.status === status).length;
+        const rows = Object.entries(COLLECTION_LABELS).map(([name, label]) => {
+            const report = preview.report[name] || [];
+            return `
+                <tr>
+                    <th scope="row">${label}</th>
+                    <td class="text-right">${count(report, IMPORT_STATUS.ADDED)}</td>
+                    <td class="text-right">${count(report, IMPORT_STATUS.UPDATED)}</td>
+                    <td class="text-right">${count(report, IMPORT_STATUS.SKIPPED)}</td>
+                    <td class="text-right">${count(report, IMPORT_STATUS.INVALID)}</td>
+                </tr>
+            `;
+        }).join('');
+
+        const problems = Object.entries(COLLECTION_LABELS).flatMap(([name, label]) =>
+            (preview.report[name] || [])
+                .filter(item => item.status === IMPORT_STATUS.INVALID)
+                .map(item => `${label} ${item.id || `#${item.index + 1}`}: ${item.reason}`)
+        );
+
+        const warnings = backup.warnings.map(warning => `<li>${escapeHTML(warning)}</li>`).join('');
+        const problemItems = problems.slice(0, PROBLEM_LIMIT).map(problem => `<li>${escapeHTML(problem)}</li>`).join('');
+        const createdAt = backup.createdAt ? new Date(backup.createdAt).toLocaleString('en-US') : 'an unknown date';
+
+        return `
+            <p>
+                <strong>${escapeHTML(fileName)}</strong>: backup from ${escapeHTML(createdAt)},
+                data version ${escapeHTML(backup.schemaVersion)}.
+            </p>
+            ${warnings ? `<ul class="backup-warnings">${warnings}</ul>` : ''}
+            <div class="form-group">
+                <label for="backup-restore-mode" class="form-label">How to restore</label>
+                <select id="backup-restore-mode" class="form-select">${modeOptions}</select>
+            </div>
+            <div class="table-container">
+                <table class="data-table">
+                    <caption>What will change</caption>
+                    <thead>
+                        <tr>
+                            <th scope="col">Data</th>
+                            <th scope="col" class="text-right">New</th>
+                            <th scope="col" class="text-right">Updated</th>
+                            <th scope="col" class="text-right">Unchanged</th>
+                            <th scope="col" class="text-right">Invalid</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+            ${RESTORE_MODES[this.restoreMode].replace
+                ? '<p class="form-hint">Anything not in the backup will be deleted.</p>'
+                : ''}
+            ${problemItems ? `
+                <ul class="backup-problems">${problemItems}</ul>
+                ${problems.length > PROBLEM_LIMIT ? `<p class="form-hint">And ${problems.length - PROBLEM_LIMIT} more.</p>` : ''}
+            ` : ''}
+            <div class="form-actions">
+                <button type="button" class="btn btn-primary" data-action="restore">Restore Backup</button>
+                <button type="button" class="btn btn-tertiary" data-action="cancel-restore">Cancel</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Describe when the last backup was made
+     * @param {Object|null} lastBackup - Details from backupService.getLastBackup()
+     * @returns {string} Description
+     */
+    describeLastBackup(lastBackup) {
+        if (!lastBackup) {
+            return 'You have not downloaded a backup yet.';
+        }
+
+        const date = new Date(lastBackup.date);
+        const days = Math.floor((Date.now() - date.getTime()) / (24 * 60 * 60 * 1000));
+        const age = days <= 0 ? 'today' : `${days} day${days === 1 ? '' : 's'} ago`;
+
+        return `Last backup: ${date.toLocaleDateString('en-US')} (${age}).`;
+    }
+
+    /**
+     * Show or hide the backup reminder banner
+     */
+    renderReminder() {
+        if (!this.reminderContainer) {
+            return;
+        }
+
+        if (this.reminderDismissed || !backupService.isBackupOverdue()) {
+            this.reminderContainer.innerHTML = '';
+            this.reminderContainer.classList.add('hidden');
+            return;
+        }
+
+        const lastBackup = backupService.getLastBackup();
+        this.reminderContainer.innerHTML = `
+            <div class="backup-reminder" role="status">
+                <p>
+                    <strong>Time for a backup.</strong>
+                    ${lastBackup
+                        ? `Your last backup was ${escapeHTML(new Date(lastBackup.date).toLocaleDateString('en-US'))}.`
+                        : 'You have not backed up your data yet.'}
+                    Your records are only stored in this browser.
+                </p>
+                <div class="backup-reminder-actions">
+                    <button type="button" class="btn btn-primary" data-action="download-backup">Download Backup</button>
+                    <button type="button" class="btn btn-tertiary" data-action="dismiss-reminder">Not Now</button>
+                </div>
+            </div>
+        `;
+        this.reminderContainer.classList.remove('hidden');
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        if (!this.container) {
+            console.error('Container not found');
+            return;
+        }
+
+        this.container.addEventListener('click', this.handleClick);
+        this.container.addEventListener('change', this.handleChange);
+
+        if (this.reminderContainer) {
+            this.reminderContainer.addEventListener('click', this.handleClick);
+        }
+
+        this.unsubscribeData = dataManager.subscribe(['vehicle:*', 'data:*'], this.handleDataChanged);
+        window.addEventListener('backup:created', this.refresh);
+    }
+
+    /**
+     * Handle clicks on panel and banner actions
+     * @param {Event} event - Click event
+     */
+    handleClick(event) {
+        const button = event.target.closest('[data-action]');
+        if (!button) {
+            return;
+        }
+
+        switch (button.dataset.action) {
+            case 'download-backup':
+                this.downloadBackup();
+                break;
+            case 'dismiss-reminder':
+                this.reminderDismissed = true;
+                this.renderReminder();
+                break;
+            case 'restore':
+                this.handleRestore();
+                break;
+            case 'cancel-restore':
+                this.pendingRestore = null;
+                this.renderRestoreStep();
+                break;
+            default:
+                break;
+        }
+    }
+
+    /**
+     * Handle file, restore mode and reminder age changes
+     * @param {Event} event - Change event
+     */
+    handleChange(event) {
+        const target = event.target;
+
+        switch (target.id) {
+            case 'backup-restore-file':
+                this.handleFile(target.files && target.files[0]);
+                break;
+            case 'backup-restore-mode':
+                this.restoreMode = target.value;
+                this.updatePreview();
+                break;
+            case 'backup-reminder-days': {
+                const result = backupService.setReminderDays(Number(target.value));
+                this.showMessage(result.message, !result.success);
+                this.renderReminder();
+                break;
+            }
+            default:
+                break;
+        }
+    }
+
+    /**
+     * Reminder state depends on whether there are any vehicles
+     */
+    handleDataChanged() {
+        this.renderReminder();
+    }
+
+    /**
+     * Download a backup; the panel refreshes on the backup:created event
+     */
+    downloadBackup() {
+        const result = backupService.downloadBackup();
+        this.showMessage(result.message, !result.success || result.recorded === false);
+    }
+
+    /**
+     * Read a chosen backup file and preview restoring it
+     * @param {File} file - Selected file
+     */
+    async handleFile(file) {
+        if (!file) {
+            return;
+        }
+
+        try {
+            const result = backupService.parseBackup(await file.text());
+            if (!result.success) {
+                this.pendingRestore = null;
+                this.renderRestoreStep();
+                this.showMessage(result.message, true);
+                return;
+            }
+
+            this.pendingRestore = { backup: result.data, fileName: file.name, preview: null };
+            this.updatePreview();
+        } catch (error) {
+            console.error('Error reading backup file:', error.message);
+            this.showMessage('Unable to read that file.', true);
+        }
+    }
+
+    /**
+     * Re-run the dry-run restore for the chosen mode
+     */
+    updatePreview() {
+        if (!this.pendingRestore) {
+            return;
+        }
+
+        const preview = backupService.previewRestore(this.pendingRestore.backup.data, RESTORE_MODES[this.restoreMode]);
+        if (!preview.success) {
+            this.pendingRestore = null;
+            this.renderRestoreStep();
+            this.showMessage(preview.message, true);
+            return;
+        }
+
+        this.pendingRestore.preview = preview;
+        this.renderRestoreStep();
+        this.showMessage('', false);
+    }
+
+    /**
+     * Restore the previewed backup after confirmation
+     */
+    handleRestore() {
+        if (!this.pendingRestore) {
+            return;
+        }
+
+        const mode = RESTORE_MODES[this.restoreMode];
+        if (mode.replace && !window.confirm('Replace all current data with this backup? Anything not in the backup will be deleted.')) {
+            return;
+        }
+
+        let result = backupService.restoreBackup(this.pendingRestore.backup.data, mode);
+        if (result.snapshotFailed && window.confirm(`${result.message} Restore the backup anyway? This can't be undone.`)) {
+            result = backupService.restoreBackup(this.pendingRestore.backup.data, { ...mode, allowWithoutSnapshot: true });
+        }
+
+        if (!result.success) {
+            this.showMessage(result.message, true);
+            return;
+        }
+
+        this.pendingRestore = null;
+        this.renderRestoreStep();
+        this.showMessage('Backup restored.', false);
+    }
+
+    /**
+     * Re-render only the restore step
+     */
+    renderRestoreStep() {
+        const restore = this.container && this.container.querySelector('.backup-restore');
+        if (restore) {
+            restore.innerHTML = this.renderRestore();
+        }
+    }
+
+    /**
+     * Show a status message below the panel
+     * @param {string} message - Message text, or empty to clear
+     * @param {boolean} isError - Whether the message is an error
+     */
+    showMessage(message, isError) {
+        const messageContainer = this.container && this.container.querySelector('.backup-panel-message');
+        if (!messageContainer) {
+            return;
+        }
+
+        messageContainer.innerHTML = message
+            ? `<div class="${isError ? 'form-error-message' : 'success-message'}">${escapeHTML(message)}</div>`
+            : '';
+    }
+
+    /**
+     * Refresh the last-backup details and reminder
+     */
+    refresh() {
+        if (this.isInitialized) {
+            this.render();
+        }
+        this.renderReminder();
+    }
+
+    /**
+     * Destroy the panel and cleanup
+     */
+    destroy() {
+        if (this.container) {
+            this.container.removeEventListener('click', this.handleClick);
+            this.container.removeEventListener('change', this.handleChange);
+            this.container.innerHTML = '';
+        }
+
+        if (this.reminderContainer) {
+            this.reminderContainer.removeEventListener('click', this.handleClick);
+        }
+
+        if (this.unsubscribeData) {
+            this.unsubscribeData();
+            this.unsubscribeData = null;
+        }
+        window.removeEventListener('backup:created', this.refresh);
+
+        this.pendingRestore = null;
+        this.isInitialized = false;
+
+        console.log('Backup panel destroyed');
+    }
+}
+
+/**
+ * Create and initialize a backup panel
+ * @param {string} containerId - Container element ID
+ * @param {Object} options - Options passed to the constructor
+ * @returns {BackupPanel} Backup panel instance
+ */
+export function createBackupPanel(containerId, options = {}) {
+    const panel = new BackupPanel(containerId, options);
+    panel.initialize();
+    return panel;
+}
+
+export { BackupPanel };
@@ -0,0 +1,508 @@
+/**
+ * Cost Dashboard Component
+ *
+ * ES6 module charting where maintenance money goes: spend per month or year
+ * for each vehicle, spend by service type, cumulative spend over time and the
+ * most expensive records. Figures come from dataManager.aggregate and
+ * dataManager.query, and can be narrowed to one vehicle and a date range.
+ */
+
+import { dataManager, AGGREGATE_GROUPS } from '../services/dataManager.js';
+import { MaintenanceRecord } from '../models/MaintenanceRecord.js';
+import { DATE_RANGES, getDateRangeLabel, resolveDateRange } from '../utils/dateRanges.js';
+import { renderColumnChart, renderLineChart, renderBarList } from '../utils/svgCharts.js';
+import { formatCurrency } from '../utils/currencyFormatter.js';
+import { escapeHTML } from '../utils/htmlUtils.js';
+
+/**
+ * How many of the most expensive records can be listed
+ */
+const TOP_COUNT_OPTIONS = [5, 10, 20];
+
+/**
+ * Periods spend can be charted by
+ */
+const PERIODS = {
+    MONTH: AGGREGATE_GROUPS.MONTH,
+    YEAR: AGGREGATE_GROUPS.YEAR
+};
+
+/**
+ * Format an amount for an axis label, without cents
+ * @param {number} value - Amount
+ * @returns {string} Formatted amount
+ */
+function formatAxisCurrency(value) {
+    return formatCurrency(value, { minimumFractionDigits: 0, maximumFractionDigits: 0 });
+}
+
+/**
+ * Cost Dashboard class
+ */
+class CostDashboard {
+    /**
+     * @param {string} containerId - Container element ID
+     */
+    constructor(containerId) {
+        this.containerId = containerId;
+        this.container = null;
+        this.filterForm = null;
+        this.resultsContainer = null;
+        this.filters = {
+            vehicleId: '',
+            dateRange: '',
+            period: PERIODS.MONTH,
+            topCount: TOP_COUNT_OPTIONS[0]
+        };
+        this.isInitialized = false;
+        this.unsubscribeData = null;
+        this.handleFilterChange = this.handleFilterChange.bind(this);
+        this.handleDataChanged = this.handleDataChanged.bind(this);
+    }
+
+    /**
+     * Initialize the dashboard
+     * @returns {boolean} Success status
+     */
+    initialize() {
+        try {
+            this.container = document.getElementById(this.containerId);
+
+            if (!this.container) {
+                console.error(`Container with ID '${this.containerId}' not found`);
+                return false;
+            }
+
+            this.render();
+            this.setupEventListeners();
+            this.isInitialized = true;
+
+            console.log('Cost dashboard initialized successfully');
+            return true;
+        } catch (error) {
+            console.error('Error initializing cost dashboard:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Render the filters and the charts
+     */
+    render() {
+        if (!this.container) {
+            console.error('Container not found');
+            return;
+        }
+
+        const dateRangeOptions = DATE_RANGES.map(range =>
+            `<option value="${escapeHTML(range.id)}"${range.id === this.filters.dateRange ? ' selected' : ''}>${escapeHTML(range.label)}</option>`
+        ).join('');
+
+        const topCountOptions = TOP_COUNT_OPTIONS.map(count =>
+            `<option value="${count}"${count === this.filters.topCount ? ' selected' : ''}>Top ${count}</option>`
+        ).join('');
+
+        this.container.innerHTML = `
+            <div class="cost-dashboard">
+                <p><a href="#/costs/ownership">Compare cost per mile and total cost of ownership</a></p>
+                <form class="filter-bar" id="cost-dashboard-filter-form" aria-label="Choose which costs to chart">
+                    <div class="form-group">
+                        <label for="cost-dashboard-vehicle" class="form-label">Vehicle</label>
+                        <select id="cost-dashboard-vehicle" name="vehicleId" class="form-select">
+                            ${this.renderVehicleOptions()}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label for="cost-dashboard-date-range" class="form-label">Date Range</label>
+                        <select id="cost-dashboard-date-range" name="dateRange" class="form-select">
+                            <option value="">All time</option>
+                            ${dateRangeOptions}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label for="cost-dashboard-period" class="form-label">Spend Per</label>
+                        <select id="cost-dashboard-period" name="period" class="form-select">
+                            <option value="${PERIODS.MONTH}"${this.filters.period === PERIODS.MONTH ? ' selected' : ''}>Month</option>
+                            <option value="${PERIODS.YEAR}"${this.filters.period === PERIODS.YEAR ? ' selected' : ''}>Year</option>
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label for="cost-dashboard-top-count" class="form-label">Most Expensive</label>
+                        <select id="cost-dashboard-top-count" name="topCount" class="form-select">
+                            ${topCountOptions}
+                        </select>
+                    </div>
+                </form>
+                <div class="cost-dashboard-results" aria-live="polite"></div>
+            </div>
+        `;
+
+        this.filterForm = this.container.querySelector('#cost-dashboard-filter-form');
+        this.resultsContainer = this.container.querySelector('.cost-dashboard-results');
+
+        this.renderResults();
+    }
+
+    /**
+     * Render vehicle filter options
+     * @returns {string} Options HTML
+     */
+    renderVehicleOptions() {
+        const options = dataManager.getAllVehicles().map(vehicle => {
+            const selected = vehicle.id === this.filters.vehicleId ? ' selected' : '';
+            return `<option value="${escapeHTML(vehicle.id)}"${selected}>${escapeHTML(this.getVehicleName(vehicle))}</option>`;
+        }).join('');
+
+        return `<option value="">All vehicles</option>${options}`;
+    }
+
+    /**
+     * Render the summary and charts for the current filters
+     */
+    renderResults() {
+        if (!this.resultsContainer) {
+            return;
+        }
+
+        const where = this.getWhere();
+        const [summary] = dataManager.aggregate({ where });
+
+        if (!summary || summary.count === 0) {
+            this.resultsContainer.innerHTML = `
+                <div class="empty-state">
+                    <p>${this.filters.vehicleId || this.filters.dateRange
+                        ? 'No maintenance costs match the current filters.'
+                        : 'No maintenance costs yet. Log a service to see where the money goes.'}</p>
+                </div>
+            `;
+            return;
+        }
+
+        const periodName = this.filters.period === PERIODS.YEAR ? 'year' : 'month';
+        const periods = this.getPeriods(where);
+        const labels = periods.map(key => this.getPeriodLabel(key));
+        const scope = this.describeScope();
+
+        const vehicleSeries = this.getVehicleSeries(where, periods);
+        const cumulative = this.getCumulativeSpend(where, periods);
+        const serviceTypes = dataManager.aggregate({ where, groupBy: AGGREGATE_GROUPS.SERVICE_TYPE })
+            .sort((a, b) => b.sum - a.sum || String(a.key).localeCompare(String(b.key)));
+        const { records: topRecords } = dataManager.query({
+            where,
+            orderBy: [{ field: 'cost', direction: 'desc' }, { field: 'date', direction: 'desc' }],
+            limit: this.filters.topCount
+        });
+
+        const vehicleNames = new Map(
+            dataManager.getAllVehicles(true, { includeDeleted: true }).map(vehicle => [vehicle.id, this.getVehicleName(vehicle)])
+        );
+
+        this.resultsContainer.innerHTML = `
+            <dl class="vehicle-card-details cost-dashboard-summary">
+                <div>
+                    <dt>Total spent</dt>
+                    <dd>${escapeHTML(formatCurrency(summary.sum))}</dd>
+                </div>
+                <div>
+                    <dt>Services</dt>
+                    <dd>${summary.count.toLocaleString('en-US')}</dd>
+                </div>
+                <div>
+                    <dt>Average per service</dt>
+                    <dd>${escapeHTML(formatCurrency(summary.avg))}</dd>
+                </div>
+                <div>
+                    <dt>Average per ${periodName}</dt>
+                    <dd>${escapeHTML(formatCurrency(periods.length > 0 ? summary.sum / periods.length : 0))}</dd>
+                </div>
+            </dl>
+            <div class="cost-dashboard-charts">
+                ${renderColumnChart({
+                    id: 'cost-chart-period',
+                    title: `Spend per ${periodName}`,
+                    description: `Maintenance spend per ${periodName} for ${scope}${vehicleSeries.length > 1 ? ', stacked by vehicle' : ''}.`,
+                    categories: labels,
+                    series: vehicleSeries.map(item => ({
+                        name: vehicleNames.get(item.vehicleId) || 'Unknown vehicle',
+                        values: item.values
+                    })),
+                    categoryLabel: periodName === 'year' ? 'Year' : 'Month',
+                    formatValue: value => formatCurrency(value),
+                    formatAxis: formatAxisCurrency
+                })}
+                ${renderLineChart({
+                    id: 'cost-chart-cumulative',
+                    title: 'Cumulative spend',
+                    description: `Running total of maintenance spend for ${scope}, reaching ${formatCurrency(summary.sum)}.`,
+                    categories: labels,
+                    values: cumulative,
+                    categoryLabel: periodName === 'year' ? 'Year' : 'Month',
+                    valueLabel: 'Spent to date',
+                    formatValue: value => formatCurrency(value),
+                    formatAxis: formatAxisCurrency
+                })}
+                ${renderBarList({
+                    id: 'cost-chart-service-types',
+                    title: 'Spend by service type',
+                    description: `Maintenance spend by service type for ${scope}, largest first.`,
+                    items: serviceTypes.map(group => ({
+                        label: group.key || 'Unknown service',
+                        value: group.sum,
+                        note: `${group.count} ${group.count === 1 ? 'service' : 'services'}`
+                    })),
+                    categoryLabel: 'Service type',
+                    valueLabel: 'Spent',
+                    formatValue: value => formatCurrency(value)
+                })}
+                ${renderBarList({
+                    id: 'cost-chart-top-records',
+                    title: 'Most expensive services',
+                    description: `The ${topRecords.length} most expensive services for ${scope}.`,
+                    items: topRecords.map(record => ({
+                        label: record.serviceType,
+                        value: record.cost,
+                        note: `${MaintenanceRecord.fromJSON(record).formatDateShort()} · ${vehicleNames.get(record.vehicleId) || 'Unknown vehicle'}`,
+                        href: `#/maintenance/${encodeURIComponent(record.id)}`
+                    })),
+                    categoryLabel: 'Service',
+                    valueLabel: 'Cost',
+                    formatValue: value => formatCurrency(value),
+                    tableOpen: true
+                })}
+            </div>
+        `;
+    }
+
+    /**
+     * Get the where clause for the current filters
+     * @returns {Object} Where clause for dataManager.query and aggregate
+     */
+    getWhere() {
+        return dataManager.buildMaintenanceWhere({
+            vehicleId: this.filters.vehicleId,
+            dateRange: this.filters.dateRange
+        });
+    }
+
+    /**
+     * Get every period from the first to the last one charted, so quiet
+     * months or years show as gaps instead of being left out
+     * @param {Object} where - Where clause
+     * @returns {string[]} Period keys, "YYYY-MM" or "YYYY"
+     */
+    getPeriods(where) {
+        const keys = dataManager.aggregate({ where, groupBy: this.filters.period })
+            .map(group => group.key)
+            .filter(key => !key.includes('unknown'));
+
+        if (keys.length === 0) {
+            return [];
+        }
+
+        let first = keys[0];
+        let last = keys[keys.length - 1];
+
+        // A date range covers all of its periods up to the current one, even those without services
+        const range = this.filters.dateRange ? resolveDateRange(this.filters.dateRange) : null;
+        if (range) {
+            const length = this.filters.period === PERIODS.YEAR ? 4 : 7;
+            const now = new Date();
+            const current = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`.slice(0, length);
+            const end = [range.endDate.slice(0, length), current].sort()[0];
+
+            first = [first, range.startDate.slice(0, length)].sort()[0];
+            last = [last, end].sort()[1];
+        }
+
+        const periods = [];
+
+        if (this.filters.period === PERIODS.YEAR) {
+            for (let year = Number(first); year <= Number(last); year++) {
+                periods.push(String(year));
+            }
+            return periods;
+        }
+
+        let [year, month] = first.split('-').map(Number);
+        const [lastYear, lastMonth] = last.split('-').map(Number);
+
+        while (year < lastYear || (year === lastYear && month <= lastMonth)) {
+            periods.push(`${year}-${String(month).padStart(2, '0')}`);
+            month++;
+            if (month > 12) {
+                month = 1;
+                year++;
+            }
+        }
+
+        return periods;
+    }
+
+    /**
+     * Get each vehicle's spend per period, biggest spender first
+     * @param {Object} where - Where clause
+     * @param {string[]} periods - Period keys
+     * @returns {Array} { vehicleId, values } with one value per period
+     */
+    getVehicleSeries(where, periods) {
+        return dataManager.aggregate({ where, groupBy: AGGREGATE_GROUPS.VEHICLE })
+            .sort((a, b) => b.sum - a.sum)
+            .map(group => {
+                const sums = new Map(
+                    dataManager.aggregate({ where: { ...where, vehicleId: group.key }, groupBy: this.filters.period })
+                        .map(periodGroup => [periodGroup.key, periodGroup.sum])
+                );
+
+                return { vehicleId: group.key, values: periods.map(key => sums.get(key) || 0) };
+            });
+    }
+
+    /**
+     * Get the running total of spend at the end of each period
+     * @param {Object} where - Where clause
+     * @param {string[]} periods - Period keys
+     * @returns {number[]} Running totals, one per period
+     */
+    getCumulativeSpend(where, periods) {
+        const sums = new Map(
+            dataManager.aggregate({ where, groupBy: this.filters.period }).map(group => [group.key, group.sum])
+        );
+
+        let total = 0;
+        return periods.map(key => {
+            total = Math.round((total + (sums.get(key) || 0)) * 100) / 100;
+            return total;
+        });
+    }
+
+    /**
+     * Get the label shown for a period
+     * @param {string} key - "YYYY-MM" or "YYYY"
+     * @returns {string} e.g. "Mar 2024" or "2024"
+     */
+    getPeriodLabel(key) {
+        const [year, month] = key.split('-').map(Number);
+
+        if (!month) {
+            return String(year);
+        }
+
+        return new Date(year, month - 1, 1).toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
+    }
+
+    /**
+     * Describe which vehicles and dates the charts cover
+     * @returns {string} e.g. "2015 Ford Focus, last 90 days"
+     */
+    describeScope() {
+        const vehicle = this.filters.vehicleId ? dataManager.getVehicleById(this.filters.vehicleId) : null;
+        const vehicles = vehicle ? this.getVehicleName(vehicle) : 'all vehicles';
+        const dates = this.filters.dateRange ? getDateRangeLabel(this.filters.dateRange).toLowerCase() : 'all time';
+
+        return `${vehicles}, ${dates}`;
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        if (!this.container) {
+            console.error('Container not found');
+            return;
+        }
+
+        this.container.addEventListener('change', this.handleFilterChange);
+        this.unsubscribeData = dataManager.subscribe(['vehicle:*', 'record:*', 'data:*'], this.handleDataChanged);
+    }
+
+    /**
+     * Redraw the charts when a filter changes
+     * @param {Event} event - Change event
+     */
+    handleFilterChange(event) {
+        if (!this.filterForm || !this.filterForm.contains(event.target)) {
+            return;
+        }
+
+        const form = new FormData(this.filterForm);
+        this.filters = {
+            vehicleId: form.get('vehicleId') || '',
+            dateRange: form.get('dateRange') || '',
+            period: form.get('period') === PERIODS.YEAR ? PERIODS.YEAR : PERIODS.MONTH,
+            topCount: TOP_COUNT_OPTIONS.includes(Number(form.get('topCount'))) ? Number(form.get('topCount')) : TOP_COUNT_OPTIONS[0]
+        };
+
+        this.renderResults();
+    }
+
+    /**
+     * Redraw when vehicles or records change
+     */
+    handleDataChanged() {
+        this.refresh();
+    }
+
+    /**
+     * Get a vehicle's display name
+     * @param {Object} vehicle - Vehicle data
+     * @returns {string} Display name
+     */
+    getVehicleName(vehicle) {
+        return `${vehicle.year} ${vehicle.make} ${vehicle.model}`;
+    }
+
+    /**
+     * Refresh the vehicle options and the charts
+     */
+    refresh() {
+        if (!this.isInitialized) {
+            return;
+        }
+
+        // Drop a vehicle filter whose vehicle is gone
+        if (this.filters.vehicleId && !dataManager.getVehicleById(this.filters.vehicleId)) {
+            this.filters.vehicleId = '';
+        }
+
+        const vehicleSelect = this.container.querySelector('#cost-dashboard-vehicle');
+        if (vehicleSelect) {
+            vehicleSelect.innerHTML = this.renderVehicleOptions();
+        }
+
+        this.renderResults();
+    }
+
+    /**
+     * Destroy the dashboard and cleanup
+     */
+    destroy() {
+        if (this.container) {
+            this.container.removeEventListener('change', this.handleFilterChange);
+            this.container.innerHTML = '';
+        }
+
+        if (this.unsubscribeData) {
+            this.unsubscribeData();
+            this.unsubscribeData = null;
+        }
+
+        this.filterForm = null;
+        this.resultsContainer = null;
+        this.isInitialized = false;
+
+        console.log('Cost dashboard destroyed');
+    }
+}
+
+/**
+ * Create and initialize a cost dashboard
+ * @param {string} containerId - Container element ID
+ * @returns {CostDashboard} Cost dashboard instance
+ */
+export function createCostDashboard(containerId) {
+    const dashboard = new CostDashboard(containerId);
+    dashboard.initialize();
+    return dashboard;
+}
+
+export { CostDashboard };
@@ -0,0 +1,527 @@
+/**
+ * CSV Transfer Component
+ *
+ * ES6 module with CSV export buttons for maintenance history and vehicles,
+ * and a step-by-step import wizard: choose a file, map its columns and
+ * formats, preview what will change, then import.
+ */
+
+import { dataManager, IMPORT_POLICIES, IMPORT_STATUS } from '../services/dataManager.js';
+import { csvService, MAINTENANCE_FIELDS } from '../services/csvService.js';
+import { DATE_FORMATS } from '../utils/csvUtils.js';
+import { formatCurrency } from '../utils/currencyFormatter.js';
+import { escapeHTML } from '../utils/htmlUtils.js';
+import { downloadFile, datedFilename } from '../utils/fileUtils.js';
+
+/**
+ * Number of records listed in the import preview
+ */
+const PREVIEW_LIMIT = 20;
+
+/**
+ * Labels for decimal separator choices
+ */
+const DECIMAL_SEPARATORS = {
+    '.': '1,234.56',
+    ',': '1.234,56'
+};
+
+/**
+ * Labels for import conflict policies
+ */
+const POLICY_LABELS = {
+    [IMPORT_POLICIES.NEWEST]: 'Keep whichever copy is newer',
+    [IMPORT_POLICIES.KEEP_INCOMING]: 'Replace with the file’s copy',
+    [IMPORT_POLICIES.KEEP_LOCAL]: 'Keep my existing copy'
+};
+
+/**
+ * Labels for import report statuses
+ */
+const STATUS_LABELS = {
+    [IMPORT_STATUS.ADDED]: 'New',
+    [IMPORT_STATUS.UPDATED]: 'Update',
+    [IMPORT_STATUS.SKIPPED]: 'Skip',
+    [IMPORT_STATUS.INVALID]: 'Invalid'
+};
+
+/**
+ * CSV Transfer class
+ */
+class CsvTransfer {
+    /**
+     * @param {string} containerId - Container element ID
+     */
+    constructor(containerId) {
+        this.containerId = containerId;
+        this.container = null;
+        this.analysis = null;
+        this.preview = null;
+        this.isInitialized = false;
+        this.handleClick = this.handleClick.bind(this);
+        this.handleChange = this.handleChange.bind(this);
+    }
+
+    /**
+     * Initialize the CSV panel
+     * @returns {boolean} Success status
+     */
+    initialize() {
+        try {
+            this.container = document.getElementById(this.containerId);
+
+            if (!this.container) {
+                console.error(`Container with ID '${this.containerId}' not found`);
+                return false;
+            }
+
+            this.render();
+            this.setupEventListeners();
+            this.isInitialized = true;
+
+            console.log('CSV transfer initialized successfully');
+            return true;
+        } catch (error) {
+            console.error('Error initializing CSV transfer:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Render the export controls and the current import step
+     */
+    render() {
+        if (!this.container) {
+            console.error('Container not found');
+            return;
+        }
+
+        this.container.innerHTML = `
+            <div class="csv-transfer">
+                <h3>Export to CSV</h3>
+                <div class="form-group">
+                    <label for="csv-export-decimal" class="form-label">Number format</label>
+                    <select id="csv-export-decimal" class="form-select">
+                        ${this.renderDecimalOptions('.')}
+                    </select>
+                </div>
+                <div class="form-actions">
+                    <button type="button" class="btn btn-secondary" data-action="export-maintenance">Export Maintenance CSV</button>
+                    <button type="button" class="btn btn-secondary" data-action="export-vehicles">Export Vehicles CSV</button>
+                </div>
+
+                <h3>Import from CSV</h3>
+                <div class="csv-import-step">${this.renderImportStep()}</div>
+                <div class="csv-transfer-message" aria-live="polite"></div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the import step for the current state
+     * @returns {string} HTML
+     */
+    renderImportStep() {
+        if (this.preview) {
+            return this.renderPreview();
+        }
+
+        if (this.analysis) {
+            return this.renderMapping();
+        }
+
+        return `
+            <p class="form-hint">
+                Import maintenance history from a spreadsheet. Each row should be one service,
+                with its date, service type and cost, and the vehicle's year, make and model.
+            </p>
+            <div class="form-group">
+                <label for="csv-import-file" class="form-label">CSV file</label>
+                <input type="file" id="csv-import-file" class="form-input" accept=".csv,text/csv" />
+            </div>
+        `;
+    }
+
+    /**
+     * Render the column mapping and format options
+     * @returns {string} HTML
+     */
+    renderMapping() {
+        const { headers, mapping, dateFormat, decimalSeparator, vehicleId = '', policy = IMPORT_POLICIES.NEWEST } = this.analysis;
+
+        const columnSelects = MAINTENANCE_FIELDS.map(({ field, label, required }) => {
+            const options = headers.map((header, index) => {
+                const selected = mapping[field] === index ? ' selected' : '';
+                return `<option value="${index}"${selected}>${escapeHTML(header || `Column ${index + 1}`)}</option>`;
+            }).join('');
+
+            return `
+                <div class="form-group">
+                    <label for="csv-map-${field}" class="form-label">${escapeHTML(label)}${required ? ' *' : ''}</label>
+                    <select id="csv-map-${field}" class="form-select" data-map-field="${field}">
+                        <option value="">${required ? 'Choose a column' : 'Not in file'}</option>
+                        ${options}
+                    </select>
+                </div>
+            `;
+        }).join('');
+
+        const dateOptions = Object.values(DATE_FORMATS).map(format =>
+            `<option value="${format}"${format === dateFormat ? ' selected' : ''}>${format}</option>`
+        ).join('');
+
+        const vehicleOptions = dataManager.getAllVehicles().map(vehicle =>
+            `<option value="${escapeHTML(vehicle.id)}"${vehicle.id === vehicleId ? ' selected' : ''}>${escapeHTML(`${vehicle.year} ${vehicle.make} ${vehicle.model}`)}</option>`
+        ).join('');
+
+        const policyOptions = Object.entries(POLICY_LABELS).map(([value, label]) =>
+            `<option value="${value}"${value === policy ? ' selected' : ''}>${escapeHTML(label)}</option>`
+        ).join('');
+
+        return `
+            <p>${escapeHTML(this.analysis.fileName)}: ${this.analysis.rows.length} row${this.analysis.rows.length === 1 ? '' : 's'}.
+                Check which column holds each field.</p>
+            <div class="csv-mapping">${columnSelects}</div>
+            <div class="csv-mapping">
+                <div class="form-group">
+                    <label for="csv-date-format" class="form-label">Date format</label>
+                    <select id="csv-date-format" class="form-select" data-option="dateFormat">${dateOptions}</select>
+                </div>
+                <div class="form-group">
+                    <label for="csv-decimal" class="form-label">Number format</label>
+                    <select id="csv-decimal" class="form-select" data-option="decimalSeparator">
+                        ${this.renderDecimalOptions(decimalSeparator)}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label for="csv-vehicle" class="form-label">Vehicle</label>
+                    <select id="csv-vehicle" class="form-select" data-option="vehicleId">
+                        <option value="">Match rows by vehicle columns</option>
+                        ${vehicleOptions}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label for="csv-policy" class="form-label">When a record already exists</label>
+                    <select id="csv-policy" class="form-select" data-option="policy">${policyOptions}</select>
+                </div>
+            </div>
+            <div class="form-actions">
+                <button type="button" class="btn btn-primary" data-action="preview">Preview Import</button>
+                <button type="button" class="btn btn-tertiary" data-action="cancel">Cancel</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the dry-run report
+     * @returns {string} HTML
+     */
+    renderPreview() {
+        const { report, results, data, recordLines, rowErrors } = this.preview;
+        const recordReport = report.maintenanceRecords;
+        const count = status => recordReport.filter(item => item.status === status).length;
+        const vehicleNames = new Map(
+            [...dataManager.getAllVehicles(), ...data.vehicles].map(vehicle => [vehicle.id, `${vehicle.year} ${vehicle.make} ${vehicle.model}`])
+        );
+
+        const summary = [
+            `${count(IMPORT_STATUS.ADDED)} new record${count(IMPORT_STATUS.ADDED) === 1 ? '' : 's'}`,
+            `${count(IMPORT_STATUS.UPDATED)} updated`,
+            `${count(IMPORT_STATUS.SKIPPED)} unchanged`,
+            `${count(IMPORT_STATUS.INVALID) + rowErrors.length} with problems`,
+            `${results.vehiclesImported} new vehicle${results.vehiclesImported === 1 ? '' : 's'}`
+        ].join(', ');
+
+        const rows = recordReport.slice(0, PREVIEW_LIMIT).map(item => {
+            const record = data.maintenanceRecords[item.index];
+            return `
+                <tr class="csv-preview-${item.status}">
+                    <td class="text-right">${recordLines[item.index]}</td>
+                    <td>${escapeHTML(record.date)}</td>
+                    <td>${escapeHTML(vehicleNames.get(record.vehicleId) || record.vehicleId)}</td>
+                    <td>${escapeHTML(record.serviceType)}</td>
+                    <td class="text-right">${escapeHTML(formatCurrency(record.cost))}</td>
+                    <td>${escapeHTML(STATUS_LABELS[item.status])}${item.reason ? `<span class="table-subtext">${escapeHTML(item.reason)}</span>` : ''}</td>
+                </tr>
+            `;
+        }).join('');
+
+        const problems = rowErrors.map(error =>
+            `<li>Line ${error.line}: ${escapeHTML(error.reason)}</li>`
+        ).join('');
+
+        return `
+            <p><strong>Preview:</strong> ${escapeHTML(summary)}. Nothing has been saved yet.</p>
+            ${problems ? `<ul class="csv-row-errors">${problems}</ul>` : ''}
+            ${rows ? `
+                <div class="table-container">
+                    <table class="data-table">
+                        <thead>
+                            <tr>
+                                <th scope="col" class="text-right">Line</th>
+                                <th scope="col">Date</th>
+                                <th scope="col">Vehicle</th>
+                                <th scope="col">Service Type</th>
+                                <th scope="col" class="text-right">Cost</th>
+                                <th scope="col">Result</th>
+                            </tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+                ${recordReport.length > PREVIEW_LIMIT ? `<p class="form-hint">Showing the first ${PREVIEW_LIMIT} of ${recordReport.length} records.</p>` : ''}
+            ` : ''}
+            <div class="form-actions">
+                <button type="button" class="btn btn-primary" data-action="import"
+                    ${results.maintenanceRecordsImported === 0 ? 'disabled' : ''}>Import ${results.maintenanceRecordsImported} Record${results.maintenanceRecordsImported === 1 ? '' : 's'}</button>
+                <button type="button" class="btn btn-secondary" data-action="back">Back</button>
+                <button type="button" class="btn btn-tertiary" data-action="cancel">Cancel</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Render decimal separator options
+     * @param {string} selectedSeparator - Selected separator
+     * @returns {string} HTML
+     */
+    renderDecimalOptions(selectedSeparator) {
+        return Object.entries(DECIMAL_SEPARATORS).map(([separator, example]) =>
+            `<option value="${separator}"${separator === selectedSeparator ? ' selected' : ''}>${example}</option>`
+        ).join('');
+    }
+
+    /**
+     * Re-render only the import step, keeping export settings
+     */
+    renderStep() {
+        const step = this.container && this.container.querySelector('.csv-import-step');
+        if (step) {
+            step.innerHTML = this.renderImportStep();
+        }
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        if (!this.container) {
+            console.error('Container not found');
+            return;
+        }
+
+        this.container.addEventListener('click', this.handleClick);
+        this.container.addEventListener('change', this.handleChange);
+    }
+
+    /**
+     * Handle clicks on export and wizard buttons
+     * @param {Event} event - Click event
+     */
+    handleClick(event) {
+        const button = event.target.closest('[data-action]');
+        if (!button) {
+            return;
+        }
+
+        switch (button.dataset.action) {
+            case 'export-maintenance':
+                this.exportMaintenance();
+                break;
+            case 'export-vehicles':
+                this.exportVehicles();
+                break;
+            case 'preview':
+                this.handlePreview();
+                break;
+            case 'import':
+                this.handleImport();
+                break;
+            case 'back':
+                this.preview = null;
+                this.renderStep();
+                break;
+            case 'cancel':
+                this.reset();
+                break;
+            default:
+                break;
+        }
+    }
+
+    /**
+     * Handle file selection and mapping changes
+     * @param {Event} event - Change event
+     */
+    handleChange(event) {
+        const target = event.target;
+
+        if (target.id === 'csv-import-file') {
+            this.handleFile(target.files && target.files[0]);
+        } else if (target.dataset.mapField && this.analysis) {
+            this.analysis.mapping[target.dataset.mapField] = target.value === '' ? null : Number(target.value);
+        } else if (target.dataset.option && this.analysis) {
+            this.analysis[target.dataset.option] = target.value;
+        }
+    }
+
+    /**
+     * Read a chosen CSV file and move to the mapping step
+     * @param {File} file - Selected file
+     */
+    async handleFile(file) {
+        if (!file) {
+            return;
+        }
+
+        try {
+            const result = csvService.analyzeCSV(await file.text());
+            if (!result.success) {
+                this.showMessage(result.message, true);
+                return;
+            }
+
+            this.analysis = { ...result.data, fileName: file.name };
+            this.preview = null;
+            this.renderStep();
+            this.showMessage('', false);
+        } catch (error) {
+            console.error('Error reading CSV file:', error.message);
+            this.showMessage('Unable to read that file.', true);
+        }
+    }
+
+    /**
+     * Get import options from the mapping step
+     * @returns {Object} Options for csvService
+     */
+    getImportOptions() {
+        return {
+            mapping: this.analysis.mapping,
+            dateFormat: this.analysis.dateFormat,
+            decimalSeparator: this.analysis.decimalSeparator,
+            vehicleId: this.analysis.vehicleId || null,
+            policy: this.analysis.policy || IMPORT_POLICIES.NEWEST
+        };
+    }
+
+    /**
+     * Show what the import would change
+     */
+    handlePreview() {
+        const result = csvService.previewImport(this.analysis, this.getImportOptions());
+        if (!result.success) {
+            this.showMessage(result.message, true);
+            return;
+        }
+
+        this.preview = result;
+        this.renderStep();
+        this.showMessage('', false);
+    }
+
+    /**
+     * Save the previewed import
+     */
+    handleImport() {
+        let result = csvService.importCSV(this.analysis, this.getImportOptions());
+        if (result.snapshotFailed && window.confirm(`${result.message} Import anyway? This can't be undone.`)) {
+            result = csvService.importCSV(this.analysis, { ...this.getImportOptions(), allowWithoutSnapshot: true });
+        }
+
+        if (!result.success) {
+            this.showMessage(result.message, true);
+            return;
+        }
+
+        const { vehiclesImported, maintenanceRecordsImported } = result.results;
+        this.reset();
+        this.showMessage(
+            `Imported ${maintenanceRecordsImported} record${maintenanceRecordsImported === 1 ? '' : 's'}` +
+            (vehiclesImported > 0 ? ` and ${vehiclesImported} vehicle${vehiclesImported === 1 ? '' : 's'}.` : '.'),
+            false
+        );
+    }
+
+    /**
+     * Download maintenance history as CSV
+     */
+    exportMaintenance() {
+        const csv = csvService.exportMaintenanceCSV(null, { decimalSeparator: this.getExportDecimalSeparator() });
+        downloadFile(datedFilename('autocare-maintenance', 'csv'), csv, 'text/csv');
+        this.showMessage('Maintenance history exported.', false);
+    }
+
+    /**
+     * Download vehicles as CSV
+     */
+    exportVehicles() {
+        const csv = csvService.exportVehiclesCSV({ decimalSeparator: this.getExportDecimalSeparator() });
+        downloadFile(datedFilename('autocare-vehicles', 'csv'), csv, 'text/csv');
+        this.showMessage('Vehicles exported.', false);
+    }
+
+    /**
+     * Get the chosen export number format
+     * @returns {string} '.' or ','
+     */
+    getExportDecimalSeparator() {
+        const select = this.container && this.container.querySelector('#csv-export-decimal');
+        return select ? select.value : '.';
+    }
+
+    /**
+     * Return the wizard to the file step
+     */
+    reset() {
+        this.analysis = null;
+        this.preview = null;
+        this.renderStep();
+    }
+
+    /**
+     * Show a status message below the panel
+     * @param {string} message - Message text, or empty to clear
+     * @param {boolean} isError - Whether the message is an error
+     */
+    showMessage(message, isError) {
+        const messageContainer = this.container && this.container.querySelector('.csv-transfer-message');
+        if (!messageContainer) {
+            return;
+        }
+
+        messageContainer.innerHTML = message
+            ? `<div class="${isError ? 'form-error-message' : 'success-message'}">${escapeHTML(message)}</div>`
+            : '';
+    }
+
+    /**
+     * Destroy the panel and cleanup
+     */
+    destroy() {
+        if (this.container) {
+            this.container.removeEventListener('click', this.handleClick);
+            this.container.removeEventListener('change', this.handleChange);
+            this.container.innerHTML = '';
+        }
+
+        this.analysis = null;
+        this.preview = null;
+        this.isInitialized = false;
+
+        console.log('CSV transfer destroyed');
+    }
+}
+
+/**
+ * Create and initialize a CSV transfer panel
+ * @param {string} containerId - Container element ID
+ * @returns {CsvTransfer} CSV transfer instance
+ */
+export function createCsvTransfer(containerId) {
+    const transfer = new CsvTransfer(containerId);
+    transfer.initialize();
+    return transfer;
+}
+
+export { CsvTransfer };
@@ -0,0 +1,368 @@
+/**
+ * Data Health Panel Component
+ *
+ * ES6 module that checks stored data for damaged entries, duplicate IDs,
+ * invalid fields, future dates and records of vehicles that no longer exist,
+ * and offers a repair for each problem. The check runs on startup, and a
+ * banner points to the panel when it finds anything.
+ */
+
+import { dataManager, HEALTH_REPAIRS } from '../services/dataManager.js';
+import { escapeHTML } from '../utils/htmlUtils.js';
+
+/**
+ * Button text for each repair
+ */
+const REPAIR_LABELS = {
+    [HEALTH_REPAIRS.REASSIGN]: 'Move',
+    [HEALTH_REPAIRS.DEDUPE]: 'Keep Newest',
+    [HEALTH_REPAIRS.QUARANTINE]: 'Quarantine'
+};
+
+/**
+ * Data Health Panel class
+ */
+class DataHealthPanel {
+    /**
+     * @param {string} containerId - Container element ID
+     * @param {Object} options - Panel options
+     * @param {string} options.alertContainerId - Container for the banner shown when problems are found
+     */
+    constructor(containerId, options = {}) {
+        this.containerId = containerId;
+        this.alertContainerId = options.alertContainerId || null;
+        this.container = null;
+        this.alertContainer = null;
+        this.report = null;
+        this.alertDismissed = false;
+        this.isInitialized = false;
+        this.unsubscribeData = null;
+        this.handleClick = this.handleClick.bind(this);
+        this.handleDataChanged = this.handleDataChanged.bind(this);
+    }
+
+    /**
+     * Initialize the panel and run the startup check
+     * @returns {boolean} Success status
+     */
+    initialize() {
+        try {
+            this.container = document.getElementById(this.containerId);
+
+            if (!this.container) {
+                console.error(`Container with ID '${this.containerId}' not found`);
+                return false;
+            }
+
+            if (this.alertContainerId) {
+                this.alertContainer = document.getElementById(this.alertContainerId);
+            }
+
+            this.runCheck();
+            this.render();
+            this.renderAlert();
+            this.setupEventListeners();
+            this.isInitialized = true;
+
+            console.log('Data health panel initialized successfully');
+            return true;
+        } catch (error) {
+            console.error('Error initializing data health panel:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Check the data and keep the report
+     * @returns {Object} Result object
+     */
+    runCheck() {
+        const result = dataManager.checkDataHealth();
+        this.report = result.success ? result.data : null;
+
+        if (result.success && result.data.issues.length > 0) {
+            console.warn(`Data health check: ${result.message}`);
+        }
+
+        return result;
+    }
+
+    /**
+     * Render the panel
+     */
+    render() {
+        if (!this.container) {
+            console.error('Container not found');
+            return;
+        }
+
+        const issues = this.report ? this.report.issues : [];
+        const vehicles = dataManager.getAllVehicles(false, { includeDeleted: true });
+        const quarantined = dataManager.getQuarantinedItems().length;
+
+        const rows = issues.map(issue => `
+            <tr>
+                <td>
+                    ${escapeHTML(issue.message)}
+                    ${issue.description ? `<span class="table-subtext">${escapeHTML(issue.description)}</span>` : ''}
+                </td>
+                <td class="table-actions">${this.renderRepairs(issue, vehicles)}</td>
+            </tr>
+        `).join('');
+
+        let summary = 'Data has not been checked yet.';
+        if (this.report) {
+            const when = new Date(this.report.checkedAt).toLocaleString('en-US');
+            summary = issues.length === 0
+                ? `No problems found. Last checked ${when}.`
+                : `${issues.length} ${issues.length === 1 ? 'problem' : 'problems'} found. Last checked ${when}.`;
+        }
+
+        this.container.innerHTML = `
+            <div class="data-health-panel">
+                <h3>Data Health</h3>
+                <p class="form-hint">
+                    Checks your saved data for damaged or invalid entries, duplicates, future dates and
+                    records of vehicles that no longer exist. A snapshot is taken before each repair, and
+                    removed entries are kept in quarantine rather than deleted.
+                </p>
+                <p>${escapeHTML(summary)}</p>
+                ${quarantined > 0 ? `<p class="form-hint">${quarantined} quarantined ${quarantined === 1 ? 'item' : 'items'}.</p>` : ''}
+                <div class="form-actions">
+                    <button type="button" class="btn btn-secondary" data-action="check">Check Now</button>
+                </div>
+                ${rows ? `
+                    <div class="table-container">
+                        <table class="data-table">
+                            <thead>
+                                <tr>
+                                    <th scope="col">Problem</th>
+                                    <th scope="col"><span class="sr-only">Repairs</span></th>
+                                </tr>
+                            </thead>
+                            <tbody>${rows}</tbody>
+                        </table>
+                    </div>
+                ` : ''}
+                <div class="data-health-message" aria-live="polite"></div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the repair controls for a problem
+     * @param {Object} issue - Issue from dataManager.checkDataHealth()
+     * @param {Array} vehicles - Vehicles an orphaned entry can be moved to
+     * @returns {string} HTML
+     */
+    renderRepairs(issue, vehicles) {
+        const id = escapeHTML(issue.id);
+
+        return issue.repairs.map(repair => {
+            const button = `<button type="button" class="btn ${repair === HEALTH_REPAIRS.QUARANTINE ? 'btn-tertiary' : 'btn-secondary'}"
+                data-action="repair" data-repair="${escapeHTML(repair)}" data-issue-id="${id}">${escapeHTML(REPAIR_LABELS[repair] || repair)}</button>`;
+
+            if (repair !== HEALTH_REPAIRS.REASSIGN) {
+                return button;
+            }
+
+            if (vehicles.length === 0) {
+                return '';
+            }
+
+            const options = vehicles.map(vehicle =>
+                `<option value="${escapeHTML(vehicle.id)}">${escapeHTML(`${vehicle.year} ${vehicle.make} ${vehicle.model}`)}</option>`
+            ).join('');
+
+            return `
+                <select class="form-select data-health-vehicle" data-issue-id="${id}" aria-label="Vehicle to move this entry to">${options}</select>
+                ${button}
+            `;
+        }).join('');
+    }
+
+    /**
+     * Show or hide the banner about problems found
+     */
+    renderAlert() {
+        if (!this.alertContainer) {
+            return;
+        }
+
+        const count = this.report ? this.report.issues.length : 0;
+
+        if (this.alertDismissed || count === 0) {
+            this.alertContainer.innerHTML = '';
+            this.alertContainer.classList.add('hidden');
+            return;
+        }
+
+        this.alertContainer.innerHTML = `
+            <div class="data-health-alert" role="status">
+                <p>
+                    <strong>Some of your saved data needs attention.</strong>
+                    ${count} ${count === 1 ? 'problem was' : 'problems were'} found, such as damaged entries
+                    or service records of vehicles that no longer exist.
+                </p>
+                <div class="data-health-alert-actions">
+                    <a class="btn btn-primary" href="#/settings">Review Problems</a>
+                    <button type="button" class="btn btn-tertiary" data-action="dismiss-alert">Not Now</button>
+                </div>
+            </div>
+        `;
+        this.alertContainer.classList.remove('hidden');
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        if (!this.container) {
+            console.error('Container not found');
+            return;
+        }
+
+        this.container.addEventListener('click', this.handleClick);
+
+        if (this.alertContainer) {
+            this.alertContainer.addEventListener('click', this.handleClick);
+        }
+
+        this.unsubscribeData = dataManager.subscribe('*', this.handleDataChanged);
+    }
+
+    /**
+     * Handle clicks on panel and banner actions
+     * @param {Event} event - Click event
+     */
+    handleClick(event) {
+        const button = event.target.closest('[data-action]');
+        if (!button) {
+            return;
+        }
+
+        switch (button.dataset.action) {
+            case 'check':
+                this.handleCheck();
+                break;
+            case 'repair':
+                this.handleRepair(button.dataset.issueId, button.dataset.repair);
+                break;
+            case 'dismiss-alert':
+                this.alertDismissed = true;
+                this.renderAlert();
+                break;
+            default:
+                break;
+        }
+    }
+
+    /**
+     * Re-check when data changes, so repaired or re-broken entries show up
+     */
+    handleDataChanged() {
+        this.refresh();
+    }
+
+    /**
+     * Run the check on request
+     */
+    handleCheck() {
+        const result = this.runCheck();
+        this.alertDismissed = false;
+        this.render();
+        this.renderAlert();
+        this.showMessage(result.message, !result.success);
+    }
+
+    /**
+     * Apply a repair
+     * @param {string} issueId - Issue ID
+     * @param {string} action - One of HEALTH_REPAIRS
+     */
+    handleRepair(issueId, action) {
+        let vehicleId = null;
+
+        if (action === HEALTH_REPAIRS.REASSIGN) {
+            const select = [...this.container.querySelectorAll('.data-health-vehicle')]
+                .find(element => element.dataset.issueId === issueId);
+            vehicleId = select ? select.value : null;
+        }
+
+        let result = dataManager.repairDataIssue(issueId, { action, vehicleId });
+        if (result.snapshotFailed && window.confirm(`${result.message} Repair it anyway?`)) {
+            result = dataManager.repairDataIssue(issueId, { action, vehicleId, allowWithoutSnapshot: true });
+        }
+
+        // Repairs to collections without change events don't reach handleDataChanged()
+        this.runCheck();
+        this.render();
+        this.renderAlert();
+        this.showMessage(result.message, !result.success);
+    }
+
+    /**
+     * Show a status message below the panel
+     * @param {string} message - Message text
+     * @param {boolean} isError - Whether the message is an error
+     */
+    showMessage(message, isError) {
+        const messageContainer = this.container && this.container.querySelector('.data-health-message');
+        if (!messageContainer) {
+            return;
+        }
+
+        messageContainer.innerHTML = `<div class="${isError ? 'form-error-message' : 'success-message'}">${escapeHTML(message)}</div>`;
+    }
+
+    /**
+     * Re-check the data and refresh the panel
+     */
+    refresh() {
+        if (this.isInitialized) {
+            this.runCheck();
+            this.render();
+            this.renderAlert();
+        }
+    }
+
+    /**
+     * Destroy the panel and cleanup
+     */
+    destroy() {
+        if (this.container) {
+            this.container.removeEventListener('click', this.handleClick);
+            this.container.innerHTML = '';
+        }
+
+        if (this.alertContainer) {
+            this.alertContainer.removeEventListener('click', this.handleClick);
+            this.alertContainer.innerHTML = '';
+            this.alertContainer.classList.add('hidden');
+        }
+
+        if (this.unsubscribeData) {
+            this.unsubscribeData();
+            this.unsubscribeData = null;
+        }
+
+        this.report = null;
+        this.isInitialized = false;
+
+        console.log('Data health panel destroyed');
+    }
+}
+
+/**
+ * Create and initialize a data health panel
+ * @param {string} containerId - Container element ID
+ * @param {Object} options - Panel options
+ * @returns {DataHealthPanel} Data health panel instance
+ */
+export function createDataHealthPanel(containerId, options = {}) {
+    const panel = new DataHealthPanel(containerId, options);
+    panel.initialize();
+    return panel;
+}
+
+export { DataHealthPanel };
@@ -0,0 +1,363 @@
+/**
+ * Global Search Component
+ *
+ * ES6 module rendering the search box in the page header. It searches
+ * vehicles and maintenance records as you type, through dataManager.search,
+ * and lists the best matches with the matched words highlighted. Each result
+ * links to the record or vehicle it found.
+ */
+
+import { dataManager, SEARCH_RESULT_TYPES } from '../services/dataManager.js';
+import { MaintenanceRecord } from '../models/MaintenanceRecord.js';
+import { escapeHTML } from '../utils/htmlUtils.js';
+
+/**
+ * How long to wait after the last keystroke before searching, in milliseconds
+ */
+const SEARCH_DELAY = 150;
+
+/**
+ * Most results listed at once
+ */
+const RESULT_LIMIT = 8;
+
+/**
+ * Global Search class
+ */
+class GlobalSearch {
+    /**
+     * @param {string} containerId - Container element ID
+     */
+    constructor(containerId) {
+        this.containerId = containerId;
+        this.container = null;
+        this.form = null;
+        this.input = null;
+        this.resultsContainer = null;
+        this.searchTimer = null;
+        this.isInitialized = false;
+        this.unsubscribeData = null;
+        this.handleInput = this.handleInput.bind(this);
+        this.handleSubmit = this.handleSubmit.bind(this);
+        this.handleKeydown = this.handleKeydown.bind(this);
+        this.handleClick = this.handleClick.bind(this);
+        this.handleDocumentClick = this.handleDocumentClick.bind(this);
+        this.handleDataChanged = this.handleDataChanged.bind(this);
+    }
+
+    /**
+     * Initialize the search box
+     * @returns {boolean} Success status
+     */
+    initialize() {
+        try {
+            this.container = document.getElementById(this.containerId);
+
+            if (!this.container) {
+                console.error(`Container with ID '${this.containerId}' not found`);
+                return false;
+            }
+
+            this.render();
+            this.setupEventListeners();
+            this.isInitialized = true;
+
+            console.log('Global search initialized successfully');
+            return true;
+        } catch (error) {
+            console.error('Error initializing global search:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Render the search box
+     */
+    render() {
+        if (!this.container) {
+            console.error('Container not found');
+            return;
+        }
+
+        this.container.innerHTML = `
+            <form class="global-search" role="search" novalidate>
+                <label for="global-search-input" class="sr-only">Search vehicles and service records</label>
+                <input
+                    type="search"
+                    id="global-search-input"
+                    class="form-input global-search-input"
+                    placeholder="Search records…"
+                    autocomplete="off"
+                    aria-controls="global-search-results"
+                    aria-expanded="false"
+                >
+                <div id="global-search-results" class="global-search-results hidden" aria-live="polite"></div>
+            </form>
+        `;
+
+        this.form = this.container.querySelector('form');
+        this.input = this.container.querySelector('.global-search-input');
+        this.resultsContainer = this.container.querySelector('.global-search-results');
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        if (!this.container) {
+            console.error('Container not found');
+            return;
+        }
+
+        this.input.addEventListener('input', this.handleInput);
+        this.form.addEventListener('submit', this.handleSubmit);
+        this.container.addEventListener('keydown', this.handleKeydown);
+        this.container.addEventListener('click', this.handleClick);
+        document.addEventListener('click', this.handleDocumentClick);
+
+        this.unsubscribeData = dataManager.subscribe(['vehicle:*', 'record:*', 'odometer:*', 'data:*'], this.handleDataChanged);
+    }
+
+    /**
+     * Search once typing pauses
+     */
+    handleInput() {
+        clearTimeout(this.searchTimer);
+        this.searchTimer = setTimeout(() => this.search(), SEARCH_DELAY);
+    }
+
+    /**
+     * Open the top result when Enter is pressed
+     * @param {Event} event - Submit event
+     */
+    handleSubmit(event) {
+        event.preventDefault();
+        clearTimeout(this.searchTimer);
+
+        const { results } = this.search();
+        if (results.length > 0) {
+            window.location.hash = this.getResultLink(results[0]);
+            this.close();
+        }
+    }
+
+    /**
+     * Close the results on Escape, and move between results with the arrow keys
+     * @param {KeyboardEvent} event - Keydown event
+     */
+    handleKeydown(event) {
+        if (event.key === 'Escape') {
+            if (!this.resultsContainer.classList.contains('hidden')) {
+                event.preventDefault();
+                this.close();
+                this.input.focus();
+            }
+            return;
+        }
+
+        if (event.key !== 'ArrowDown' && event.key !== 'ArrowUp') {
+            return;
+        }
+
+        const links = [...this.resultsContainer.querySelectorAll('.global-search-result')];
+        if (links.length === 0) {
+            return;
+        }
+
+        event.preventDefault();
+        const current = links.indexOf(document.activeElement);
+        const next = event.key === 'ArrowDown' ? current + 1 : current - 1;
+
+        if (next < 0) {
+            this.input.focus();
+        } else {
+            links[Math.min(next, links.length - 1)].focus();
+        }
+    }
+
+    /**
+     * Close the results once one is chosen
+     * @param {Event} event - Click event
+     */
+    handleClick(event) {
+        if (event.target.closest('.global-search-result')) {
+            this.close();
+        }
+    }
+
+    /**
+     * Close the results when clicking elsewhere on the page
+     * @param {Event} event - Click event
+     */
+    handleDocumentClick(event) {
+        if (this.container && !this.container.contains(event.target)) {
+            this.close();
+        }
+    }
+
+    /**
+     * Keep open results current as data changes
+     */
+    handleDataChanged() {
+        if (this.resultsContainer && !this.resultsContainer.classList.contains('hidden')) {
+            this.search();
+        }
+    }
+
+    /**
+     * Search for the text in the search box and show the results
+     * @returns {Object} The results shown and the total number that matched
+     */
+    search() {
+        const text = this.input ? this.input.value.trim() : '';
+
+        if (text === '') {
+            this.close();
+            return { results: [], total: 0 };
+        }
+
+        const found = dataManager.search(text, { limit: RESULT_LIMIT });
+        this.renderResults(text, found);
+        return found;
+    }
+
+    /**
+     * Render search results below the search box
+     * @param {string} text - What was searched for
+     * @param {Object} found - Results and total from dataManager.search
+     */
+    renderResults(text, { results, total }) {
+        if (results.length === 0) {
+            this.resultsContainer.innerHTML = `
+                <p class="global-search-empty">No vehicles or service records match “${escapeHTML(text)}”.</p>
+            `;
+        } else {
+            this.resultsContainer.innerHTML = `
+                <ul class="global-search-list">
+                    ${results.map(result => `<li>${this.renderResult(result)}</li>`).join('')}
+                </ul>
+                <p class="global-search-count">
+                    ${total > results.length ? `Showing the best ${results.length} of ${total} matches.` : `${total} ${total === 1 ? 'match' : 'matches'}.`}
+                </p>
+            `;
+        }
+
+        this.resultsContainer.classList.remove('hidden');
+        this.input.setAttribute('aria-expanded', 'true');
+    }
+
+    /**
+     * Render one search result
+     * @param {Object} result - Result from dataManager.search
+     * @returns {string} HTML
+     */
+    renderResult(result) {
+        const { highlights } = result;
+        const href = escapeHTML(this.getResultLink(result));
+
+        if (result.type === SEARCH_RESULT_TYPES.VEHICLE) {
+            return `
+                <a class="global-search-result" href="${href}">
+                    <span class="global-search-title">${this.renderHighlight(highlights.vehicle)}</span>
+                    <span class="global-search-meta">Vehicle</span>
+                    ${this.hasMatch(highlights.notes) ? `<span class="global-search-snippet">${this.renderHighlight(highlights.notes)}</span>` : ''}
+                </a>
+            `;
+        }
+
+        const date = MaintenanceRecord.fromJSON(result.record).formatDateShort();
+        const vehicleName = highlights.vehicle.length > 0 ? this.renderHighlight(highlights.vehicle) : 'Unknown vehicle';
+
+        return `
+            <a class="global-search-result" href="${href}">
+                <span class="global-search-title">${this.renderHighlight(highlights.serviceType)}</span>
+                <span class="global-search-meta">${escapeHTML(date)} · ${vehicleName}</span>
+                ${result.record.description ? `<span class="global-search-snippet">${this.renderHighlight(highlights.description)}</span>` : ''}
+            </a>
+        `;
+    }
+
+    /**
+     * Render highlighted segments, marking the matched words
+     * @param {Array} segments - { text, match } segments
+     * @returns {string} HTML
+     */
+    renderHighlight(segments) {
+        return segments.map(segment => segment.match
+            ? `<mark>${escapeHTML(segment.text)}</mark>`
+            : escapeHTML(segment.text)
+        ).join('');
+    }
+
+    /**
+     * Check whether any words in a field matched
+     * @param {Array} segments - { text, match } segments
+     * @returns {boolean} True if a segment matched
+     */
+    hasMatch(segments) {
+        return Array.isArray(segments) && segments.some(segment => segment.match);
+    }
+
+    /**
+     * Get the page a result links to
+     * @param {Object} result - Result from dataManager.search
+     * @returns {string} Location hash
+     */
+    getResultLink(result) {
+        return result.type === SEARCH_RESULT_TYPES.VEHICLE
+            ? `#/vehicles/${encodeURIComponent(result.id)}`
+            : `#/maintenance/${encodeURIComponent(result.id)}`;
+    }
+
+    /**
+     * Hide the results
+     */
+    close() {
+        if (!this.resultsContainer) {
+            return;
+        }
+
+        this.resultsContainer.classList.add('hidden');
+        this.resultsContainer.innerHTML = '';
+        this.input.setAttribute('aria-expanded', 'false');
+    }
+
+    /**
+     * Destroy the search box and cleanup
+     */
+    destroy() {
+        clearTimeout(this.searchTimer);
+        document.removeEventListener('click', this.handleDocumentClick);
+
+        if (this.container) {
+            this.container.removeEventListener('keydown', this.handleKeydown);
+            this.container.removeEventListener('click', this.handleClick);
+            this.container.innerHTML = '';
+        }
+
+        if (this.unsubscribeData) {
+            this.unsubscribeData();
+            this.unsubscribeData = null;
+        }
+
+        this.form = null;
+        this.input = null;
+        this.resultsContainer = null;
+        this.isInitialized = false;
+
+        console.log('Global search destroyed');
+    }
+}
+
+/**
+ * Create and initialize a global search box
+ * @param {string} containerId - Container element ID
+ * @returns {GlobalSearch} Global search instance
+ */
+export function createGlobalSearch(containerId) {
+    const search = new GlobalSearch(containerId);
+    search.initialize();
+    return search;
+}
+
+export { GlobalSearch };
@@ -7,23 +7,8 @@
  */
 
 import { dataManager } from '../services/dataManager.js';
-import { MaintenanceRecord } from '../models/MaintenanceRecord.js';
-
-/**
- * Service types available for maintenance records
- */
-const SERVICE_TYPES = [
-    'Oil Change',
-    'Tire Rotation',
-    'Brake Service',
-    'Engine Tune-up',
-    'Transmission Service',
-    'Battery Replacement',
-    'Air Filter Replacement',
-    'Inspection',
-    'Repair',
-    'Other'
-];
+import { AUDIT_SOURCES } from '../services/auditService.js';
+import { MaintenanceRecord, SERVICE_TYPES } from '../models/MaintenanceRecord.js';
 
 /**
  * Maximum character length for description field
@@ -41,6 +26,7 @@ class MaintenanceForm {
         this.isInitialized = false;
         this.currentRecordId = null;
         this.currentVehicleId = null;
+        this.loadedUpdatedAt = null;
         this.onSubmitCallback = null;
         this.onCancelCallback = null;
         this.currencyCleanup = null;
@@ -163,6 +149,25 @@ class MaintenanceForm {
                         <span id="cost-hint" class="form-hint">Enter the total cost of service</span>
                     </div>
 
+                    <div class="form-group">
+                        <label for="maintenance-odometer" class="form-label">
+                            Odometer
+                        </label>
+                        <input
+                            type="number"
+                            id="maintenance-odometer"
+                            name="odometer"
+                            class="form-input"
+                            placeholder="e.g., 52000"
+                            min="0"
+                            max="10000000"
+                            step="1"
+                            inputmode="numeric"
+                            aria-describedby="odometer-hint"
+                        />
+                        <span id="odometer-hint" class="form-hint">Optional odometer reading at the time of service; a higher reading updates the vehicle's mileage</span>
+                    </div>
+
                     <div class="form-actions">
                         <button type="submit" class="btn btn-primary">
                             Save Maintenance Record
@@ -240,6 +245,12 @@ class MaintenanceForm {
         if (costInput) {
             this.setupCostInput(costInput);
         }
+
+        // Odometer validation
+        const odometerInput = document.getElementById('maintenance-odometer');
+        if (odometerInput) {
+            odometerInput.addEventListener('blur', () => this.validateOdometerField(odometerInput));
+        }
     }
 
     /**
@@ -503,6 +514,56 @@ class MaintenanceForm {
         return { valid: true, field: 'cost' };
     }
 
+    /**
+     * Validate odometer field
+     * @param {HTMLInputElement} inputElement - Odometer input element
+     */
+    validateOdometerField(inputElement) {
+        const value = inputElement.value;
+        const result = this.validateOdometer(value);
+
+        this.displayValidationResult(inputElement, result);
+    }
+
+    /**
+     * Validate odometer value
+     * @param {string|number|null} odometer - Odometer value
+     * @returns {Object} Validation result
+     */
+    validateOdometer(odometer) {
+        // Odometer is optional
+        if (odometer === null || odometer === undefined || odometer === '') {
+            return { valid: true, field: 'odometer' };
+        }
+
+        const numericOdometer = Number(odometer);
+        if (isNaN(numericOdometer)) {
+            return {
+                valid: false,
+                field: 'odometer',
+                message: 'Odometer reading must be a valid number'
+            };
+        }
+
+        if (numericOdometer < 0) {
+            return {
+                valid: false,
+                field: 'odometer',
+                message: 'Odometer reading cannot be negative'
+            };
+        }
+
+        if (numericOdometer > 10000000) {
+            return {
+                valid: false,
+                field: 'odometer',
+                message: 'Odometer reading exceeds maximum allowed value'
+            };
+        }
+
+        return { valid: true, field: 'odometer' };
+    }
+
     /**
      * Display validation result on an input element
      * @param {HTMLElement} element - Form element
@@ -565,6 +626,7 @@ class MaintenanceForm {
                 serviceType: formData.get('serviceType')?.trim() || '',
                 description: formData.get('description')?.trim() || '',
                 cost: formData.get('cost') ? parseFloat(formData.get('cost')) : 0,
+                odometer: formData.get('odometer') ? Number(formData.get('odometer')) : null,
                 vehicleId: this.currentVehicleId || ''
             };
 
@@ -592,7 +654,10 @@ class MaintenanceForm {
 
             if (this.currentRecordId) {
                 // Update existing record
-                result = dataManager.updateMaintenanceRecord(this.currentRecordId, maintenanceData);
+                result = dataManager.updateMaintenanceRecord(this.currentRecordId, maintenanceData, {
+                    source: AUDIT_SOURCES.FORM,
+                    expectedUpdatedAt: this.loadedUpdatedAt
+                });
                 console.log('Maintenance record update result:', result);
             } else {
                 // Create new maintenance record using MaintenanceRecord model
@@ -605,7 +670,7 @@ class MaintenanceForm {
                     return;
                 }
 
-                result = dataManager.addMaintenanceRecord(record.toJSON());
+                result = dataManager.addMaintenanceRecord(record.toJSON(), { source: AUDIT_SOURCES.FORM });
                 console.log('Maintenance record add result:', result);
             }
 
@@ -665,6 +730,11 @@ class MaintenanceForm {
             errors.push(costResult);
         }
 
+        const odometerResult = this.validateOdometer(formData.odometer);
+        if (!odometerResult.valid) {
+            errors.push(odometerResult);
+        }
+
         return {
             valid: errors.length === 0,
             errors
@@ -764,6 +834,7 @@ class MaintenanceForm {
             const serviceTypeSelect = document.getElementById('maintenance-service-type');
             const descriptionTextarea = document.getElementById('maintenance-description');
             const costInput = document.getElementById('maintenance-cost');
+            const odometerInput = document.getElementById('maintenance-odometer');
 
             if (dateInput && record.date) {
                 // Convert ISO date to YYYY-MM-DD format
@@ -787,9 +858,14 @@ class MaintenanceForm {
                 costInput.value = record.cost.toFixed(2);
             }
 
-            // Store current record ID and vehicle ID
+            if (odometerInput) {
+                odometerInput.value = typeof record.odometer === 'number' ? record.odometer : '';
+            }
+
+            // Store current record ID and vehicle ID, and the record's version so edits made elsewhere meanwhile aren't overwritten
             this.currentRecordId = recordId;
             this.currentVehicleId = record.vehicleId;
+            this.loadedUpdatedAt = record.updatedAt || null;
 
             console.log('Maintenance record loaded for editing:', recordId);
             return true;
@@ -932,4 +1008,4 @@ export function createMaintenanceForm(containerId) {
     return form;
 }
 
-export { MaintenanceForm };
+export { MaintenanceForm, SERVICE_TYPES };
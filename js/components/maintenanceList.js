@@ -0,0 +1,776 @@
+/**
+ * Maintenance List Component
+ *
+ * ES6 module that renders maintenance records as a sortable, filterable and
+ * paginated table on top of dataManager.query, with per-row edit, delete and
+ * change history actions.
+ */
+
+import { dataManager } from '../services/dataManager.js';
+import { MaintenanceRecord, SERVICE_TYPES } from '../models/MaintenanceRecord.js';
+import { formatCurrency, parseCurrency } from '../utils/currencyFormatter.js';
+import { escapeHTML } from '../utils/htmlUtils.js';
+import { downloadFile, datedFilename } from '../utils/fileUtils.js';
+import { csvService } from '../services/csvService.js';
+import { auditService } from '../services/auditService.js';
+import { renderAuditHistory } from '../utils/auditUtils.js';
+import { DATE_RANGES } from '../utils/dateRanges.js';
+
+/**
+ * Sortable table columns
+ */
+const COLUMNS = [
+    { field: 'date', label: 'Date' },
+    { field: 'vehicle', label: 'Vehicle' },
+    { field: 'serviceType', label: 'Service Type' },
+    { field: 'odometer', label: 'Odometer', numeric: true },
+    { field: 'cost', label: 'Cost', numeric: true }
+];
+
+/**
+ * Default number of records per page
+ */
+const DEFAULT_PAGE_SIZE = 10;
+
+/**
+ * Maintenance List class
+ */
+class MaintenanceList {
+    /**
+     * @param {string} containerId - Container element ID
+     * @param {Object} options - List options
+     * @param {Object} options.maintenanceForm - MaintenanceForm instance used for editing
+     * @param {number} options.pageSize - Records per page
+     */
+    constructor(containerId, options = {}) {
+        this.containerId = containerId;
+        this.container = null;
+        this.filterForm = null;
+        this.resultsContainer = null;
+        this.isInitialized = false;
+        this.unsubscribeData = null;
+        this.maintenanceForm = options.maintenanceForm || null;
+        this.pageSize = options.pageSize || DEFAULT_PAGE_SIZE;
+        this.currentPage = 1;
+        this.sortField = 'date';
+        this.sortDirection = 'desc';
+        this.criteria = {};
+        this.historyRecordId = null;
+        this.onEditCallback = null;
+        this.onDeleteCallback = null;
+        this.handleClick = this.handleClick.bind(this);
+        this.handleFilterChange = this.handleFilterChange.bind(this);
+        this.handleFilterReset = this.handleFilterReset.bind(this);
+        this.handleDataChanged = this.handleDataChanged.bind(this);
+    }
+
+    /**
+     * Initialize the maintenance list
+     * @returns {boolean} Success status
+     */
+    initialize() {
+        try {
+            this.container = document.getElementById(this.containerId);
+
+            if (!this.container) {
+                console.error(`Container with ID '${this.containerId}' not found`);
+                return false;
+            }
+
+            this.render();
+            this.setupEventListeners();
+            this.isInitialized = true;
+
+            console.log('Maintenance list initialized successfully');
+            return true;
+        } catch (error) {
+            console.error('Error initializing maintenance list:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Render the filter bar and results area
+     */
+    render() {
+        if (!this.container) {
+            console.error('Container not found');
+            return;
+        }
+
+        const serviceTypeOptions = SERVICE_TYPES.map(type =>
+            `<option value="${escapeHTML(type)}">${escapeHTML(type)}</option>`
+        ).join('');
+
+        const dateRangeOptions = DATE_RANGES.map(range =>
+            `<option value="${escapeHTML(range.id)}">${escapeHTML(range.label)}</option>`
+        ).join('');
+
+        this.container.innerHTML = `
+            <div class="maintenance-list">
+                <form class="filter-bar" id="maintenance-filter-form" role="search" aria-label="Filter maintenance records">
+                    <div class="form-group">
+                        <label for="maintenance-filter-vehicle" class="form-label">Vehicle</label>
+                        <select id="maintenance-filter-vehicle" name="vehicleId" class="form-select">
+                            ${this.renderVehicleOptions()}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label for="maintenance-filter-service-type" class="form-label">Service Type</label>
+                        <select id="maintenance-filter-service-type" name="serviceType" class="form-select">
+                            <option value="">All service types</option>
+                            ${serviceTypeOptions}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label for="maintenance-filter-date-range" class="form-label">Date Range</label>
+                        <select id="maintenance-filter-date-range" name="dateRange" class="form-select">
+                            <option value="">Any dates</option>
+                            ${dateRangeOptions}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label for="maintenance-filter-start-date" class="form-label">From</label>
+                        <input type="date" id="maintenance-filter-start-date" name="startDate" class="form-input" />
+                    </div>
+                    <div class="form-group">
+                        <label for="maintenance-filter-end-date" class="form-label">To</label>
+                        <input type="date" id="maintenance-filter-end-date" name="endDate" class="form-input" />
+                    </div>
+                    <div class="form-group">
+                        <label for="maintenance-filter-min-cost" class="form-label">Min Cost</label>
+                        <input type="text" id="maintenance-filter-min-cost" name="minCost" class="form-input"
+                            placeholder="0.00" inputmode="decimal" />
+                    </div>
+                    <div class="form-group">
+                        <label for="maintenance-filter-max-cost" class="form-label">Max Cost</label>
+                        <input type="text" id="maintenance-filter-max-cost" name="maxCost" class="form-input"
+                            placeholder="0.00" inputmode="decimal" />
+                    </div>
+                    <div class="form-group">
+                        <label for="maintenance-filter-min-odometer" class="form-label">Min Odometer</label>
+                        <input type="number" id="maintenance-filter-min-odometer" name="minOdometer" class="form-input"
+                            min="0" step="1" inputmode="numeric" />
+                    </div>
+                    <div class="form-group">
+                        <label for="maintenance-filter-max-odometer" class="form-label">Max Odometer</label>
+                        <input type="number" id="maintenance-filter-max-odometer" name="maxOdometer" class="form-input"
+                            min="0" step="1" inputmode="numeric" />
+                    </div>
+                    <div class="filter-bar-actions">
+                        <button type="reset" class="btn btn-tertiary">Clear Filters</button>
+                        <button type="button" class="btn btn-secondary" data-action="export-csv">Export CSV</button>
+                    </div>
+                </form>
+                <div class="maintenance-list-results"></div>
+            </div>
+        `;
+
+        this.filterForm = this.container.querySelector('#maintenance-filter-form');
+        this.resultsContainer = this.container.querySelector('.maintenance-list-results');
+
+        this.renderResults();
+    }
+
+    /**
+     * Render vehicle filter options
+     * @returns {string} Options HTML
+     */
+    renderVehicleOptions() {
+        const selectedId = this.criteria.vehicleId || '';
+        const options = dataManager.getAllVehicles().map(vehicle => {
+            const selected = vehicle.id === selectedId ? ' selected' : '';
+            return `<option value="${escapeHTML(vehicle.id)}"${selected}>${escapeHTML(this.getVehicleName(vehicle))}</option>`;
+        }).join('');
+
+        return `<option value="">All vehicles</option>${options}`;
+    }
+
+    /**
+     * Render the records table and pagination for the current state
+     */
+    renderResults() {
+        if (!this.resultsContainer) {
+            return;
+        }
+
+        let { records, total } = this.getRecords(this.currentPage);
+        const totalPages = Math.max(1, Math.ceil(total / this.pageSize));
+
+        // Clamp page after filtering or deletion shrinks the result set
+        const page = Math.min(Math.max(1, this.currentPage), totalPages);
+        if (page !== this.currentPage) {
+            this.currentPage = page;
+            ({ records } = this.getRecords(page));
+        }
+
+        if (total === 0) {
+            const hasFilters = Object.keys(this.criteria).length > 0;
+            this.resultsContainer.innerHTML = `
+                <div class="empty-state">
+                    <p>${hasFilters ? 'No maintenance records match the current filters.' : 'No maintenance records yet.'}</p>
+                </div>
+            `;
+            return;
+        }
+
+        this.resultsContainer.innerHTML = `
+            <div class="table-wrapper">
+                <table class="data-table maintenance-table">
+                    <caption class="sr-only">Maintenance records, sorted by ${this.getColumnLabel(this.sortField)}</caption>
+                    <thead>
+                        <tr>
+                            ${COLUMNS.map(column => this.renderHeaderCell(column)).join('')}
+                            <th scope="col"><span class="sr-only">Actions</span></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${records.map(record => this.renderRow(record)).join('')}
+                    </tbody>
+                </table>
+            </div>
+            ${this.renderPagination(total, totalPages)}
+        `;
+    }
+
+    /**
+     * Render a sortable column header
+     * @param {Object} column - Column definition
+     * @returns {string} Header cell HTML
+     */
+    renderHeaderCell(column) {
+        const isSorted = this.sortField === column.field;
+        const ariaSort = isSorted ? (this.sortDirection === 'asc' ? 'ascending' : 'descending') : 'none';
+        const indicator = isSorted ? (this.sortDirection === 'asc' ? '▲' : '▼') : '';
+        const alignClass = column.numeric ? ' class="text-right"' : '';
+
+        return `
+            <th scope="col" aria-sort="${ariaSort}"${alignClass}>
+                <button type="button" class="sort-button" data-action="sort" data-field="${column.field}">
+                    ${column.label}
+                    <span class="sort-indicator" aria-hidden="true">${indicator}</span>
+                </button>
+            </th>
+        `;
+    }
+
+    /**
+     * Render a single record row
+     * @param {Object} record - Maintenance record with resolved vehicle name
+     * @returns {string} Row HTML
+     */
+    renderRow(record) {
+        const id = escapeHTML(record.id);
+        const date = MaintenanceRecord.fromJSON(record).formatDateShort();
+        const label = escapeHTML(`${record.serviceType} on ${date}`);
+        const showHistory = this.historyRecordId === record.id;
+
+        return `
+            <tr data-record-id="${id}">
+                <td>${escapeHTML(date)}</td>
+                <td>${escapeHTML(record.vehicleName)}</td>
+                <td>
+                    ${escapeHTML(record.serviceType)}
+                    ${record.description ? `<span class="table-subtext">${escapeHTML(record.description)}</span>` : ''}
+                </td>
+                <td class="text-right">${typeof record.odometer === 'number' ? record.odometer.toLocaleString('en-US') : '&mdash;'}</td>
+                <td class="text-right">${formatCurrency(record.cost)}</td>
+                <td class="table-actions">
+                    <button type="button" class="btn btn-secondary" data-action="edit" data-record-id="${id}"
+                        aria-label="Edit ${label}">
+                        Edit
+                    </button>
+                    <button type="button" class="btn btn-tertiary" data-action="history" data-record-id="${id}"
+                        aria-label="Change history of ${label}" aria-expanded="${showHistory}">
+                        History
+                    </button>
+                    <button type="button" class="btn btn-tertiary btn-danger" data-action="delete" data-record-id="${id}"
+                        aria-label="Delete ${label}">
+                        Delete
+                    </button>
+                </td>
+            </tr>
+            ${showHistory ? `
+                <tr class="audit-history-row">
+                    <td colspan="${COLUMNS.length + 1}">
+                        ${renderAuditHistory(auditService.getEntityHistory('maintenanceRecord', record.id), {
+                            emptyMessage: 'No changes to this record have been recorded yet.'
+                        })}
+                    </td>
+                </tr>
+            ` : ''}
+        `;
+    }
+
+    /**
+     * Render pagination controls
+     * @param {number} totalRecords - Number of matching records
+     * @param {number} totalPages - Number of pages
+     * @returns {string} Pagination HTML
+     */
+    renderPagination(totalRecords, totalPages) {
+        const start = (this.currentPage - 1) * this.pageSize + 1;
+        const end = Math.min(this.currentPage * this.pageSize, totalRecords);
+        const summary = `Showing ${start}–${end} of ${totalRecords} ${totalRecords === 1 ? 'record' : 'records'}`;
+
+        if (totalPages === 1) {
+            return `<p class="pagination-summary">${summary}</p>`;
+        }
+
+        return `
+            <nav class="pagination" aria-label="Maintenance records pages">
+                <p class="pagination-summary">${summary}</p>
+                <div class="pagination-controls">
+                    <button type="button" class="btn btn-tertiary" data-action="page" data-page="${this.currentPage - 1}"
+                        ${this.currentPage === 1 ? 'disabled' : ''}>
+                        Previous
+                    </button>
+                    <span class="pagination-status" aria-current="page">Page ${this.currentPage} of ${totalPages}</span>
+                    <button type="button" class="btn btn-tertiary" data-action="page" data-page="${this.currentPage + 1}"
+                        ${this.currentPage === totalPages ? 'disabled' : ''}>
+                        Next
+                    </button>
+                </div>
+            </nav>
+        `;
+    }
+
+    /**
+     * Get matching records in the current sort order, with resolved vehicle names
+     * @param {number|null} page - Page number (1-based), or null for every matching record
+     * @returns {Object} The records and the total number that matched
+     */
+    getRecords(page = null) {
+        const vehicleNames = new Map(
+            dataManager.getAllVehicles().map(vehicle => [vehicle.id, this.getVehicleName(vehicle)])
+        );
+        const withName = record => ({
+            ...record,
+            vehicleName: vehicleNames.get(record.vehicleId) || 'Unknown vehicle'
+        });
+        const offset = page === null ? 0 : (page - 1) * this.pageSize;
+        const limit = page === null ? null : this.pageSize;
+
+        // Vehicle names aren't stored on records, so that column is sorted here
+        if (this.sortField === 'vehicle') {
+            const direction = this.sortDirection === 'asc' ? 1 : -1;
+            const { records, total } = dataManager.query({ where: dataManager.buildMaintenanceWhere(this.criteria) });
+            const sorted = records.map(withName)
+                .sort((a, b) => a.vehicleName.localeCompare(b.vehicleName) * direction);
+
+            return {
+                records: limit === null ? sorted : sorted.slice(offset, offset + limit),
+                total
+            };
+        }
+
+        const { records, total } = dataManager.query({
+            where: dataManager.buildMaintenanceWhere(this.criteria),
+            orderBy: { field: this.sortField, direction: this.sortDirection },
+            limit,
+            offset
+        });
+
+        return { records: records.map(withName), total };
+    }
+
+    /**
+     * Get a display name for a vehicle
+     * @param {Object} vehicle - Vehicle data
+     * @returns {string} Display name
+     */
+    getVehicleName(vehicle) {
+        return `${vehicle.year} ${vehicle.make} ${vehicle.model}`;
+    }
+
+    /**
+     * Get the label of a column
+     * @param {string} field - Column field
+     * @returns {string} Column label
+     */
+    getColumnLabel(field) {
+        const column = COLUMNS.find(col => col.field === field);
+        return column ? column.label.toLowerCase() : field;
+    }
+
+    /**
+     * Setup event listeners for the list
+     */
+    setupEventListeners() {
+        if (!this.container) {
+            console.error('Container not found');
+            return;
+        }
+
+        // Delegate table actions to the container so re-renders need no rebinding
+        this.container.addEventListener('click', this.handleClick);
+
+        if (this.filterForm) {
+            this.filterForm.addEventListener('change', this.handleFilterChange);
+            this.filterForm.addEventListener('reset', this.handleFilterReset);
+            this.filterForm.addEventListener('submit', (event) => {
+                event.preventDefault();
+                this.handleFilterChange();
+            });
+        }
+
+        this.unsubscribeData = dataManager.subscribe(['vehicle:*', 'record:*', 'data:*'], this.handleDataChanged);
+    }
+
+    /**
+     * Handle clicks on sort, pagination and row action buttons
+     * @param {Event} event - Click event
+     */
+    handleClick(event) {
+        const button = event.target.closest('[data-action]');
+        if (!button || !this.container.contains(button)) {
+            return;
+        }
+
+        switch (button.dataset.action) {
+            case 'sort':
+                this.setSort(button.dataset.field);
+                break;
+            case 'page':
+                this.goToPage(Number(button.dataset.page));
+                break;
+            case 'edit':
+                this.handleEdit(button.dataset.recordId);
+                break;
+            case 'delete':
+                this.handleDelete(button.dataset.recordId);
+                break;
+            case 'history':
+                this.toggleHistory(button.dataset.recordId);
+                break;
+            case 'export-csv':
+                this.handleExportCSV();
+                break;
+            default:
+                break;
+        }
+    }
+
+    /**
+     * Show or hide a record's change history below its row
+     * @param {string} recordId - Record ID
+     */
+    toggleHistory(recordId) {
+        this.historyRecordId = this.historyRecordId === recordId ? null : recordId;
+        this.renderResults();
+    }
+
+    /**
+     * Read filter criteria from the filter bar
+     * @returns {Object} Criteria for dataManager.searchMaintenanceRecords
+     */
+    readCriteria() {
+        if (!this.filterForm) {
+            return {};
+        }
+
+        const formData = new FormData(this.filterForm);
+        const criteria = {};
+
+        ['vehicleId', 'serviceType', 'dateRange'].forEach(field => {
+            const value = formData.get(field);
+            if (value) {
+                criteria[field] = value;
+            }
+        });
+
+        // A relative date range replaces the From and To dates
+        if (!criteria.dateRange) {
+            ['startDate', 'endDate'].forEach(field => {
+                const value = formData.get(field);
+                if (value) {
+                    criteria[field] = value;
+                }
+            });
+        }
+
+        const minCost = parseCurrency(formData.get('minCost'));
+        if (minCost !== null) {
+            criteria.minCost = minCost;
+        }
+
+        const maxCost = parseCurrency(formData.get('maxCost'));
+        if (maxCost !== null) {
+            criteria.maxCost = maxCost;
+        }
+
+        const minOdometer = formData.get('minOdometer');
+        if (minOdometer !== null && minOdometer !== '' && !isNaN(Number(minOdometer))) {
+            criteria.minOdometer = Number(minOdometer);
+        }
+
+        const maxOdometer = formData.get('maxOdometer');
+        if (maxOdometer !== null && maxOdometer !== '' && !isNaN(Number(maxOdometer))) {
+            criteria.maxOdometer = Number(maxOdometer);
+        }
+
+        return criteria;
+    }
+
+    /**
+     * Get the filters currently applied
+     * @returns {Object} Criteria for dataManager.searchMaintenanceRecords
+     */
+    getCriteria() {
+        return { ...this.criteria };
+    }
+
+    /**
+     * Fill the filter bar from criteria and show the matching records
+     * @param {Object} criteria - Criteria for dataManager.searchMaintenanceRecords
+     */
+    applyCriteria(criteria = {}) {
+        if (!this.filterForm) {
+            return;
+        }
+
+        this.filterForm.reset();
+
+        Object.entries(criteria).forEach(([field, value]) => {
+            const element = this.filterForm.elements.namedItem(field);
+            if (element && value !== undefined && value !== null) {
+                element.value = String(value);
+            }
+        });
+
+        this.handleFilterChange();
+    }
+
+    /**
+     * Apply filters from the filter bar
+     */
+    handleFilterChange() {
+        this.criteria = this.readCriteria();
+        this.updateDateInputs();
+        this.currentPage = 1;
+        this.renderResults();
+    }
+
+    /**
+     * Disable the From and To dates while a relative date range is chosen
+     */
+    updateDateInputs() {
+        const usesRange = Boolean(this.criteria.dateRange);
+
+        ['startDate', 'endDate'].forEach(field => {
+            const input = this.filterForm.elements.namedItem(field);
+            if (input) {
+                input.disabled = usesRange;
+            }
+        });
+    }
+
+    /**
+     * Clear all filters
+     */
+    handleFilterReset() {
+        // The reset event fires before fields are cleared
+        setTimeout(() => this.handleFilterChange(), 0);
+    }
+
+    /**
+     * Handle data change events by refreshing the list
+     */
+    handleDataChanged() {
+        this.refresh();
+    }
+
+    /**
+     * Sort by a column, toggling direction if already sorted by it
+     * @param {string} field - Column field
+     */
+    setSort(field) {
+        if (!COLUMNS.some(column => column.field === field)) {
+            return;
+        }
+
+        if (this.sortField === field) {
+            this.sortDirection = this.sortDirection === 'asc' ? 'desc' : 'asc';
+        } else {
+            this.sortField = field;
+            this.sortDirection = field === 'date' || field === 'cost' || field === 'odometer' ? 'desc' : 'asc';
+        }
+
+        this.currentPage = 1;
+        this.renderResults();
+    }
+
+    /**
+     * Go to a page of results
+     * @param {number} page - Page number (1-based)
+     */
+    goToPage(page) {
+        if (!Number.isInteger(page)) {
+            return;
+        }
+
+        this.currentPage = page;
+        this.renderResults();
+    }
+
+    /**
+     * Load a record into the maintenance form for editing
+     * @param {string} recordId - Maintenance record ID
+     */
+    handleEdit(recordId) {
+        if (!this.maintenanceForm) {
+            console.warn('No maintenance form available for editing');
+            return;
+        }
+
+        if (this.maintenanceForm.loadMaintenanceRecord(recordId)) {
+            const container = this.maintenanceForm.container;
+            if (container) {
+                container.scrollIntoView({ behavior: 'smooth', block: 'start' });
+
+                const firstField = container.querySelector('input, select, textarea');
+                if (firstField) {
+                    firstField.focus({ preventScroll: true });
+                }
+            }
+
+            if (this.onEditCallback && typeof this.onEditCallback === 'function') {
+                this.onEditCallback(recordId);
+            }
+        }
+    }
+
+    /**
+     * Download the records matching the current filters as CSV
+     */
+    handleExportCSV() {
+        const csv = csvService.exportMaintenanceCSV(this.getRecords().records);
+        downloadFile(datedFilename('autocare-maintenance', 'csv'), csv, 'text/csv');
+    }
+
+    /**
+     * Move a record to the trash after confirmation
+     * @param {string} recordId - Maintenance record ID
+     */
+    handleDelete(recordId) {
+        const record = dataManager.getMaintenanceRecordById(recordId);
+        if (!record) {
+            console.error(`Maintenance record with ID ${recordId} not found`);
+            this.refresh();
+            return;
+        }
+
+        const date = MaintenanceRecord.fromJSON(record).formatDateShort();
+        if (!window.confirm(`Move the ${record.serviceType} record from ${date} to the trash?`)) {
+            return;
+        }
+
+        const result = dataManager.deleteMaintenanceRecord(recordId);
+
+        if (result.success) {
+            this.renderResults();
+
+            if (this.onDeleteCallback && typeof this.onDeleteCallback === 'function') {
+                this.onDeleteCallback(result.data);
+            }
+        } else {
+            console.error('Failed to delete maintenance record:', result.message);
+            this.showError(result.message || 'Failed to delete maintenance record. Please try again.');
+        }
+    }
+
+    /**
+     * Show an error message above the results
+     * @param {string} message - Error message
+     */
+    showError(message) {
+        if (!this.resultsContainer || !message) {
+            return;
+        }
+
+        const existingError = this.resultsContainer.querySelector('.form-error-message');
+        if (existingError) {
+            existingError.remove();
+        }
+
+        const errorDiv = document.createElement('div');
+        errorDiv.className = 'form-error-message';
+        errorDiv.textContent = message;
+        errorDiv.setAttribute('role', 'alert');
+        errorDiv.setAttribute('aria-live', 'assertive');
+
+        this.resultsContainer.insertBefore(errorDiv, this.resultsContainer.firstChild);
+    }
+
+    /**
+     * Refresh vehicle options and results from current data
+     */
+    refresh() {
+        if (!this.isInitialized) {
+            return;
+        }
+
+        const vehicleSelect = this.container.querySelector('#maintenance-filter-vehicle');
+        if (vehicleSelect) {
+            vehicleSelect.innerHTML = this.renderVehicleOptions();
+
+            // Drop the vehicle filter if that vehicle no longer exists
+            if (this.criteria.vehicleId && vehicleSelect.value !== this.criteria.vehicleId) {
+                delete this.criteria.vehicleId;
+            }
+        }
+
+        this.renderResults();
+    }
+
+    /**
+     * Set callback for edit actions
+     * @param {Function} callback - Callback function
+     */
+    onEdit(callback) {
+        this.onEditCallback = callback;
+    }
+
+    /**
+     * Set callback for completed deletions
+     * @param {Function} callback - Callback function
+     */
+    onDelete(callback) {
+        this.onDeleteCallback = callback;
+    }
+
+    /**
+     * Destroy the list and cleanup
+     */
+    destroy() {
+        if (this.container) {
+            this.container.removeEventListener('click', this.handleClick);
+            this.container.innerHTML = '';
+        }
+
+        if (this.unsubscribeData) {
+            this.unsubscribeData();
+            this.unsubscribeData = null;
+        }
+
+        this.filterForm = null;
+        this.resultsContainer = null;
+        this.isInitialized = false;
+
+        console.log('Maintenance list destroyed');
+    }
+}
+
+/**
+ * Create and initialize a maintenance list
+ * @param {string} containerId - Container element ID
+ * @param {Object} options - List options
+ * @returns {MaintenanceList} Maintenance list instance
+ */
+export function createMaintenanceList(containerId, options = {}) {
+    const list = new MaintenanceList(containerId, options);
+    list.initialize();
+    return list;
+}
+
+export { MaintenanceList };
@@ -0,0 +1,559 @@
+/**
+ * Ownership Report Component
+ *
+ * ES6 module comparing what each vehicle in the fleet costs to run: total
+ * cost of ownership over its lifetime or a chosen period, distance driven,
+ * and cost per mile and kilometer. Fuel and insurance payments can be logged
+ * here and, like the purchase price, optionally counted in the totals.
+ * Figures come from dataManager.getFleetCostAnalytics.
+ */
+
+import { dataManager } from '../services/dataManager.js';
+import { EXPENSE_CATEGORIES } from '../models/Expense.js';
+import { DATE_RANGES, getDateRangeLabel } from '../utils/dateRanges.js';
+import { renderBarList } from '../utils/svgCharts.js';
+import { formatCurrency } from '../utils/currencyFormatter.js';
+import { escapeHTML } from '../utils/htmlUtils.js';
+
+/**
+ * Display labels for expense categories
+ */
+const CATEGORY_LABELS = {
+    [EXPENSE_CATEGORIES.FUEL]: 'Fuel',
+    [EXPENSE_CATEGORIES.INSURANCE]: 'Insurance'
+};
+
+/**
+ * Format a distance
+ * @param {number} value - Distance
+ * @param {string} unit - "miles" or "km"
+ * @returns {string} e.g. "12,480 miles"
+ */
+function formatDistance(value, unit) {
+    return `${Math.round(value).toLocaleString('en-US')} ${unit}`;
+}
+
+/**
+ * Format a cost per unit of distance, or a dash when it isn't known
+ * @param {number|null} value - Cost per mile or kilometer
+ * @returns {string} Formatted cost
+ */
+function formatRate(value) {
+    return value === null ? '—' : formatCurrency(value);
+}
+
+/**
+ * Ownership Report class
+ */
+class OwnershipReport {
+    /**
+     * @param {string} containerId - Container element ID
+     */
+    constructor(containerId) {
+        this.containerId = containerId;
+        this.container = null;
+        this.filterForm = null;
+        this.resultsContainer = null;
+        this.expensesContainer = null;
+        this.filters = {
+            dateRange: '',
+            includePurchasePrice: true,
+            includeInsurance: true,
+            includeFuel: true
+        };
+        this.isInitialized = false;
+        this.unsubscribeData = null;
+        this.handleFilterChange = this.handleFilterChange.bind(this);
+        this.handleSubmit = this.handleSubmit.bind(this);
+        this.handleClick = this.handleClick.bind(this);
+        this.handleDataChanged = this.handleDataChanged.bind(this);
+    }
+
+    /**
+     * Initialize the report
+     * @returns {boolean} Success status
+     */
+    initialize() {
+        try {
+            this.container = document.getElementById(this.containerId);
+
+            if (!this.container) {
+                console.error(`Container with ID '${this.containerId}' not found`);
+                return false;
+            }
+
+            this.render();
+            this.setupEventListeners();
+            this.isInitialized = true;
+
+            console.log('Ownership report initialized successfully');
+            return true;
+        } catch (error) {
+            console.error('Error initializing ownership report:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Render the filters, the fleet comparison and the expense log
+     */
+    render() {
+        if (!this.container) {
+            console.error('Container not found');
+            return;
+        }
+
+        const dateRangeOptions = DATE_RANGES.map(range =>
+            `<option value="${escapeHTML(range.id)}"${range.id === this.filters.dateRange ? ' selected' : ''}>${escapeHTML(range.label)}</option>`
+        ).join('');
+
+        const checkbox = (name, label) => `
+            <label class="checkbox-label">
+                <input type="checkbox" name="${name}"${this.filters[name] ? ' checked' : ''} />
+                ${label}
+            </label>
+        `;
+
+        this.container.innerHTML = `
+            <div class="ownership-report">
+                <p><a href="#/costs">Back to maintenance cost charts</a></p>
+                <form class="filter-bar" id="ownership-report-filter-form" aria-label="Choose which costs to count">
+                    <div class="form-group">
+                        <label for="ownership-report-date-range" class="form-label">Period</label>
+                        <select id="ownership-report-date-range" name="dateRange" class="form-select">
+                            <option value="">Lifetime</option>
+                            ${dateRangeOptions}
+                        </select>
+                    </div>
+                    <fieldset class="form-group ownership-report-includes">
+                        <legend class="form-label">Include</legend>
+                        ${checkbox('includePurchasePrice', 'Purchase price')}
+                        ${checkbox('includeInsurance', 'Insurance')}
+                        ${checkbox('includeFuel', 'Fuel')}
+                    </fieldset>
+                </form>
+                <div class="ownership-report-results" aria-live="polite"></div>
+                <div class="ownership-report-expenses"></div>
+            </div>
+        `;
+
+        this.filterForm = this.container.querySelector('#ownership-report-filter-form');
+        this.resultsContainer = this.container.querySelector('.ownership-report-results');
+        this.expensesContainer = this.container.querySelector('.ownership-report-expenses');
+
+        this.renderResults();
+        this.renderExpenses();
+    }
+
+    /**
+     * Render the fleet comparison for the current filters
+     */
+    renderResults() {
+        if (!this.resultsContainer) {
+            return;
+        }
+
+        const fleet = dataManager.getFleetCostAnalytics(this.filters);
+
+        if (fleet.vehicles.length === 0) {
+            this.resultsContainer.innerHTML = `
+                <div class="empty-state">
+                    <p>No vehicles yet. Add a vehicle to see what it costs to run.</p>
+                </div>
+            `;
+            return;
+        }
+
+        const { totals } = fleet;
+        const scope = this.filters.dateRange ? getDateRangeLabel(this.filters.dateRange).toLowerCase() : 'lifetime';
+
+        // Only show the kinds of cost being counted
+        const columns = [
+            { kind: 'maintenance', label: 'Maintenance', shown: true },
+            { kind: 'fuel', label: 'Fuel', shown: this.filters.includeFuel },
+            { kind: 'insurance', label: 'Insurance', shown: this.filters.includeInsurance },
+            { kind: 'purchase', label: 'Purchase', shown: this.filters.includePurchasePrice && !fleet.period }
+        ].filter(column => column.shown);
+
+        const rows = fleet.vehicles.map(item => {
+            const vehicle = dataManager.getVehicleById(item.vehicleId);
+            const distance = item.distance;
+
+            return `
+                <tr>
+                    <th scope="row">
+                        <a href="#/vehicles/${encodeURIComponent(item.vehicleId)}">${escapeHTML(this.getVehicleName(vehicle))}</a>
+                        <span class="table-subtext">${item.serviceCount} ${item.serviceCount === 1 ? 'service' : 'services'}</span>
+                    </th>
+                    ${columns.map(column => `<td class="text-right">${escapeHTML(formatCurrency(item.costs[column.kind]))}</td>`).join('')}
+                    <td class="text-right"><strong>${escapeHTML(formatCurrency(item.costs.total))}</strong></td>
+                    <td class="text-right">${Math.round(item.share * 100)}%</td>
+                    <td class="text-right">
+                        ${distance ? escapeHTML(formatDistance(distance.miles, 'miles')) : '—'}
+                        ${distance && distance.source === 'odometer' ? '<span class="table-subtext">From the odometer</span>' : ''}
+                    </td>
+                    <td class="text-right">${escapeHTML(formatRate(item.costPerMile))}</td>
+                    <td class="text-right">${escapeHTML(formatRate(item.costPerKilometer))}</td>
+                </tr>
+            `;
+        }).join('');
+
+        const rated = fleet.vehicles.filter(item => item.costPerMile !== null);
+
+        this.resultsContainer.innerHTML = `
+            <dl class="vehicle-card-details ownership-report-summary">
+                <div>
+                    <dt>Total cost</dt>
+                    <dd>${escapeHTML(formatCurrency(totals.costs.total))}</dd>
+                </div>
+                <div>
+                    <dt>Distance driven</dt>
+                    <dd>${totals.miles > 0 ? escapeHTML(formatDistance(totals.miles, 'miles')) : '—'}</dd>
+                </div>
+                <div>
+                    <dt>Cost per mile</dt>
+                    <dd>${escapeHTML(formatRate(totals.costPerMile))}</dd>
+                </div>
+                <div>
+                    <dt>Cost per kilometer</dt>
+                    <dd>${escapeHTML(formatRate(totals.costPerKilometer))}</dd>
+                </div>
+            </dl>
+            ${this.filters.includePurchasePrice && fleet.period ? `
+                <p class="form-hint">Purchase prices are only counted over a vehicle's lifetime.</p>
+            ` : ''}
+            <div class="table-wrapper">
+                <table class="data-table ownership-report-table">
+                    <caption class="sr-only">Cost of ownership per vehicle, ${escapeHTML(scope)}, most expensive first</caption>
+                    <thead>
+                        <tr>
+                            <th scope="col">Vehicle</th>
+                            ${columns.map(column => `<th scope="col" class="text-right">${column.label}</th>`).join('')}
+                            <th scope="col" class="text-right">Total</th>
+                            <th scope="col" class="text-right">Share</th>
+                            <th scope="col" class="text-right">Distance</th>
+                            <th scope="col" class="text-right">Per mile</th>
+                            <th scope="col" class="text-right">Per km</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows}
+                    </tbody>
+                    <tfoot>
+                        <tr>
+                            <th scope="row">Fleet</th>
+                            ${columns.map(column => `<td class="text-right">${escapeHTML(formatCurrency(totals.costs[column.kind]))}</td>`).join('')}
+                            <td class="text-right"><strong>${escapeHTML(formatCurrency(totals.costs.total))}</strong></td>
+                            <td class="text-right">${totals.costs.total > 0 ? '100%' : '0%'}</td>
+                            <td class="text-right">${totals.miles > 0 ? escapeHTML(formatDistance(totals.miles, 'miles')) : '—'}</td>
+                            <td class="text-right">${escapeHTML(formatRate(totals.costPerMile))}</td>
+                            <td class="text-right">${escapeHTML(formatRate(totals.costPerKilometer))}</td>
+                        </tr>
+                    </tfoot>
+                </table>
+            </div>
+            ${rated.length > 0 ? renderBarList({
+                id: 'ownership-chart-cost-per-mile',
+                title: 'Cost per mile',
+                description: `Cost per mile of each vehicle with a known distance driven, ${scope}, most expensive first.`,
+                items: [...rated]
+                    .sort((a, b) => b.costPerMile - a.costPerMile)
+                    .map(item => ({
+                        label: this.getVehicleName(dataManager.getVehicleById(item.vehicleId)),
+                        value: item.costPerMile,
+                        note: `${formatRate(item.costPerKilometer)} per km`,
+                        href: `#/vehicles/${encodeURIComponent(item.vehicleId)}`
+                    })),
+                categoryLabel: 'Vehicle',
+                valueLabel: 'Per mile',
+                formatValue: value => formatCurrency(value)
+            }) : `
+                <p class="form-hint">Log odometer readings to work out cost per mile.</p>
+            `}
+        `;
+    }
+
+    /**
+     * Render the form for logging expenses and the list of logged ones
+     */
+    renderExpenses() {
+        if (!this.expensesContainer) {
+            return;
+        }
+
+        const vehicles = dataManager.getAllVehicles();
+        const vehicleNames = new Map(vehicles.map(vehicle => [vehicle.id, this.getVehicleName(vehicle)]));
+        const today = new Date().toISOString().split('T')[0];
+
+        // Expenses of vehicles in the trash stay hidden until the vehicle is restored
+        const expenses = dataManager.getAllExpenses()
+            .filter(expense => vehicleNames.has(expense.vehicleId))
+            .sort((a, b) => new Date(b.date) - new Date(a.date));
+
+        const rows = expenses.map(expense => {
+            const date = new Date(expense.date)
+                .toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+
+            return `
+                <tr>
+                    <td>${escapeHTML(date)}</td>
+                    <td>${escapeHTML(vehicleNames.get(expense.vehicleId))}</td>
+                    <td>
+                        ${escapeHTML(CATEGORY_LABELS[expense.category] || expense.category)}
+                        ${expense.note ? `<span class="table-subtext">${escapeHTML(expense.note)}</span>` : ''}
+                    </td>
+                    <td class="text-right">${escapeHTML(formatCurrency(expense.amount))}</td>
+                    <td class="table-actions">
+                        <button type="button" class="btn btn-tertiary btn-danger" data-action="delete-expense"
+                            data-expense-id="${escapeHTML(expense.id)}"
+                            aria-label="Delete ${escapeHTML((CATEGORY_LABELS[expense.category] || 'expense').toLowerCase())} expense from ${escapeHTML(date)}">Delete</button>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+
+        this.expensesContainer.innerHTML = `
+            <h3>Fuel and Insurance</h3>
+            ${vehicles.length > 0 ? `
+                <form class="expense-form filter-bar" novalidate>
+                    <div class="form-group">
+                        <label for="expense-vehicle" class="form-label">Vehicle <span class="required">*</span></label>
+                        <select id="expense-vehicle" name="vehicleId" class="form-select" required aria-required="true">
+                            ${vehicles.map(vehicle => `<option value="${escapeHTML(vehicle.id)}">${escapeHTML(vehicleNames.get(vehicle.id))}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label for="expense-category" class="form-label">Type <span class="required">*</span></label>
+                        <select id="expense-category" name="category" class="form-select" required aria-required="true">
+                            ${Object.entries(CATEGORY_LABELS).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label for="expense-date" class="form-label">Date <span class="required">*</span></label>
+                        <input type="date" id="expense-date" name="date" class="form-input"
+                            value="${today}" max="${today}" required aria-required="true" />
+                    </div>
+                    <div class="form-group">
+                        <label for="expense-amount" class="form-label">Amount <span class="required">*</span></label>
+                        <div class="input-with-prefix">
+                            <span class="input-prefix" aria-hidden="true">$</span>
+                            <input type="number" id="expense-amount" name="amount" class="form-input"
+                                min="0" max="1000000" step="0.01" inputmode="decimal" required aria-required="true" />
+                        </div>
+                    </div>
+                    <div class="form-group">
+                        <label for="expense-note" class="form-label">Note</label>
+                        <input type="text" id="expense-note" name="note" class="form-input" maxlength="200" />
+                    </div>
+                    <div class="filter-bar-actions">
+                        <button type="submit" class="btn btn-primary">Add Expense</button>
+                    </div>
+                </form>
+            ` : ''}
+            <div class="expense-message" aria-live="polite"></div>
+            ${rows ? `
+                <div class="table-wrapper">
+                    <table class="data-table">
+                        <caption class="sr-only">Fuel and insurance expenses, newest first</caption>
+                        <thead>
+                            <tr>
+                                <th scope="col">Date</th>
+                                <th scope="col">Vehicle</th>
+                                <th scope="col">Type</th>
+                                <th scope="col" class="text-right">Amount</th>
+                                <th scope="col"><span class="sr-only">Actions</span></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${rows}
+                        </tbody>
+                    </table>
+                </div>
+            ` : '<p class="form-hint">No fuel or insurance expenses logged yet.</p>'}
+        `;
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        if (!this.container) {
+            console.error('Container not found');
+            return;
+        }
+
+        this.container.addEventListener('change', this.handleFilterChange);
+        this.container.addEventListener('submit', this.handleSubmit);
+        this.container.addEventListener('click', this.handleClick);
+        this.unsubscribeData = dataManager.subscribe(
+            ['vehicle:*', 'record:*', 'odometer:*', 'expense:*', 'data:*'],
+            this.handleDataChanged
+        );
+    }
+
+    /**
+     * Recalculate when a filter changes
+     * @param {Event} event - Change event
+     */
+    handleFilterChange(event) {
+        if (!this.filterForm || !this.filterForm.contains(event.target)) {
+            return;
+        }
+
+        const form = new FormData(this.filterForm);
+        this.filters = {
+            dateRange: form.get('dateRange') || '',
+            includePurchasePrice: form.has('includePurchasePrice'),
+            includeInsurance: form.has('includeInsurance'),
+            includeFuel: form.has('includeFuel')
+        };
+
+        this.renderResults();
+    }
+
+    /**
+     * Log an expense from the expense form
+     * @param {Event} event - Submit event
+     */
+    handleSubmit(event) {
+        const form = event.target.closest('.expense-form');
+        if (!form) {
+            return;
+        }
+
+        event.preventDefault();
+
+        const formData = new FormData(form);
+        const date = formData.get('date');
+        const amount = formData.get('amount');
+
+        if (!date || amount === null || amount === '') {
+            this.showExpenseMessage('Enter a date and an amount.', true);
+            return;
+        }
+
+        const result = dataManager.addExpense({
+            vehicleId: formData.get('vehicleId'),
+            category: formData.get('category'),
+            date,
+            amount: Number(amount),
+            note: (formData.get('note') || '').trim()
+        });
+
+        this.showExpenseMessage(result.success ? 'Expense added.' : result.message, !result.success);
+    }
+
+    /**
+     * Handle clicks on expense actions
+     * @param {Event} event - Click event
+     */
+    handleClick(event) {
+        const button = event.target.closest('[data-action="delete-expense"]');
+        if (!button || !window.confirm('Delete this expense?')) {
+            return;
+        }
+
+        const result = dataManager.deleteExpense(button.dataset.expenseId);
+        if (!result.success) {
+            this.showExpenseMessage(result.message, true);
+        }
+    }
+
+    /**
+     * Recalculate when vehicles, records, readings or expenses change
+     */
+    handleDataChanged() {
+        this.refresh();
+    }
+
+    /**
+     * Show a message below the expense form
+     * @param {string} message - Message text
+     * @param {boolean} isError - Whether the message is an error
+     */
+    showExpenseMessage(message, isError) {
+        const messageContainer = this.expensesContainer && this.expensesContainer.querySelector('.expense-message');
+        if (!messageContainer) {
+            return;
+        }
+
+        messageContainer.innerHTML = `<div class="${isError ? 'form-error-message' : 'success-message'}">${escapeHTML(message)}</div>`;
+    }
+
+    /**
+     * Get a vehicle's display name
+     * @param {Object|null} vehicle - Vehicle data
+     * @returns {string} Display name
+     */
+    getVehicleName(vehicle) {
+        return vehicle ? `${vehicle.year} ${vehicle.make} ${vehicle.model}` : 'Unknown vehicle';
+    }
+
+    /**
+     * Refresh the comparison and the expense log
+     */
+    refresh() {
+        if (!this.isInitialized) {
+            return;
+        }
+
+        // Keep what was picked in the expense form, and a message about the last change
+        const form = this.expensesContainer && this.expensesContainer.querySelector('.expense-form');
+        const picked = form ? { vehicleId: form.elements.vehicleId.value, category: form.elements.category.value } : null;
+        const message = this.expensesContainer && this.expensesContainer.querySelector('.expense-message');
+        const messageHTML = message ? message.innerHTML : '';
+
+        this.renderResults();
+        this.renderExpenses();
+
+        const newForm = this.expensesContainer.querySelector('.expense-form');
+        if (newForm && picked) {
+            if (dataManager.getVehicleById(picked.vehicleId)) {
+                newForm.elements.vehicleId.value = picked.vehicleId;
+            }
+            newForm.elements.category.value = picked.category;
+        }
+
+        const newMessage = this.expensesContainer.querySelector('.expense-message');
+        if (newMessage) {
+            newMessage.innerHTML = messageHTML;
+        }
+    }
+
+    /**
+     * Destroy the report and cleanup
+     */
+    destroy() {
+        if (this.container) {
+            this.container.removeEventListener('change', this.handleFilterChange);
+            this.container.removeEventListener('submit', this.handleSubmit);
+            this.container.removeEventListener('click', this.handleClick);
+            this.container.innerHTML = '';
+        }
+
+        if (this.unsubscribeData) {
+            this.unsubscribeData();
+            this.unsubscribeData = null;
+        }
+
+        this.filterForm = null;
+        this.resultsContainer = null;
+        this.expensesContainer = null;
+        this.isInitialized = false;
+
+        console.log('Ownership report destroyed');
+    }
+}
+
+/**
+ * Create and initialize an ownership report
+ * @param {string} containerId - Container element ID
+ * @returns {OwnershipReport} Ownership report instance
+ */
+export function createOwnershipReport(containerId) {
+    const report = new OwnershipReport(containerId);
+    report.initialize();
+    return report;
+}
+
+export { OwnershipReport };
@@ -0,0 +1,443 @@
+/**
+ * Reminder List Component
+ *
+ * ES6 module that renders upcoming, due and overdue scheduled maintenance
+ * on the home section, with a form for adding service intervals to a vehicle.
+ */
+
+import { dataManager } from '../services/dataManager.js';
+import { reminderService, REMINDER_STATUS } from '../services/reminderService.js';
+import { ServiceSchedule } from '../models/ServiceSchedule.js';
+import { SERVICE_TYPES } from '../models/MaintenanceRecord.js';
+import { escapeHTML } from '../utils/htmlUtils.js';
+
+/**
+ * Display labels for reminder statuses
+ */
+const STATUS_LABELS = {
+    [REMINDER_STATUS.OVERDUE]: 'Overdue',
+    [REMINDER_STATUS.DUE]: 'Due soon',
+    [REMINDER_STATUS.UPCOMING]: 'Upcoming'
+};
+
+/**
+ * Reminder List class
+ */
+class ReminderList {
+    constructor(containerId) {
+        this.containerId = containerId;
+        this.container = null;
+        this.scheduleForm = null;
+        this.listContainer = null;
+        this.isInitialized = false;
+        this.unsubscribeData = null;
+        this.onLogServiceCallback = null;
+        this.handleClick = this.handleClick.bind(this);
+        this.handleSubmit = this.handleSubmit.bind(this);
+        this.handleDataChanged = this.handleDataChanged.bind(this);
+    }
+
+    /**
+     * Initialize the reminder list
+     * @returns {boolean} Success status
+     */
+    initialize() {
+        try {
+            this.container = document.getElementById(this.containerId);
+
+            if (!this.container) {
+                console.error(`Container with ID '${this.containerId}' not found`);
+                return false;
+            }
+
+            this.render();
+            this.setupEventListeners();
+            this.isInitialized = true;
+
+            console.log('Reminder list initialized successfully');
+            return true;
+        } catch (error) {
+            console.error('Error initializing reminder list:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Render the reminder list and schedule form
+     */
+    render() {
+        if (!this.container) {
+            console.error('Container not found');
+            return;
+        }
+
+        const serviceTypeOptions = SERVICE_TYPES.map(type =>
+            `<option value="${escapeHTML(type)}">${escapeHTML(type)}</option>`
+        ).join('');
+
+        this.container.innerHTML = `
+            <div class="reminder-list">
+                <div class="reminder-list-items"></div>
+                <details class="reminder-schedule-editor">
+                    <summary>Add a service reminder</summary>
+                    <form id="reminder-schedule-form" class="reminder-schedule-form" novalidate>
+                        <div class="form-group">
+                            <label for="reminder-vehicle" class="form-label">Vehicle <span class="required">*</span></label>
+                            <select id="reminder-vehicle" name="vehicleId" class="form-select" required aria-required="true"></select>
+                        </div>
+                        <div class="form-group">
+                            <label for="reminder-service-type" class="form-label">Service Type <span class="required">*</span></label>
+                            <select id="reminder-service-type" name="serviceType" class="form-select" required aria-required="true">
+                                ${serviceTypeOptions}
+                            </select>
+                        </div>
+                        <div class="form-group">
+                            <label for="reminder-interval-miles" class="form-label">Every (miles)</label>
+                            <input type="number" id="reminder-interval-miles" name="intervalMiles" class="form-input"
+                                min="1" step="1" placeholder="e.g., 5000" aria-describedby="reminder-interval-hint" />
+                        </div>
+                        <div class="form-group">
+                            <label for="reminder-interval-months" class="form-label">Every (months)</label>
+                            <input type="number" id="reminder-interval-months" name="intervalMonths" class="form-input"
+                                min="1" max="240" step="1" placeholder="e.g., 6" aria-describedby="reminder-interval-hint" />
+                        </div>
+                        <span id="reminder-interval-hint" class="form-hint">
+                            Enter a mileage interval, a time interval, or both — whichever comes first triggers the reminder.
+                        </span>
+                        <div class="form-actions">
+                            <button type="submit" class="btn btn-primary">Add Reminder</button>
+                            <button type="button" class="btn btn-tertiary" data-action="apply-defaults">
+                                Use Recommended Schedule
+                            </button>
+                        </div>
+                    </form>
+                </details>
+            </div>
+        `;
+
+        this.scheduleForm = this.container.querySelector('#reminder-schedule-form');
+        this.listContainer = this.container.querySelector('.reminder-list-items');
+
+        this.renderVehicleOptions();
+        this.renderReminders();
+    }
+
+    /**
+     * Render vehicle options for the schedule form, keeping the current selection
+     */
+    renderVehicleOptions() {
+        const select = this.container ? this.container.querySelector('#reminder-vehicle') : null;
+        if (!select) {
+            return;
+        }
+
+        const selectedId = select.value;
+        const vehicles = dataManager.getAllVehicles();
+
+        select.innerHTML = vehicles.map(vehicle =>
+            `<option value="${escapeHTML(vehicle.id)}">${escapeHTML(`${vehicle.year} ${vehicle.make} ${vehicle.model}`)}</option>`
+        ).join('');
+
+        if (vehicles.some(vehicle => vehicle.id === selectedId)) {
+            select.value = selectedId;
+        }
+
+        const editor = this.container.querySelector('.reminder-schedule-editor');
+        if (editor) {
+            editor.classList.toggle('hidden', vehicles.length === 0);
+        }
+    }
+
+    /**
+     * Render the reminders
+     */
+    renderReminders() {
+        if (!this.listContainer) {
+            return;
+        }
+
+        const reminders = reminderService.getReminders();
+
+        if (reminders.length === 0) {
+            const hasVehicles = dataManager.getAllVehicles().length > 0;
+            this.listContainer.innerHTML = `
+                <div class="empty-state">
+                    <p>${hasVehicles
+                        ? 'No service reminders scheduled. Add one below to see what is due next.'
+                        : 'Add a vehicle to start scheduling service reminders.'}</p>
+                </div>
+            `;
+            return;
+        }
+
+        this.listContainer.innerHTML = `
+            <ul class="reminder-items" aria-label="Service reminders">
+                ${reminders.map(reminder => this.renderReminder(reminder)).join('')}
+            </ul>
+        `;
+    }
+
+    /**
+     * Render a single reminder
+     * @param {Object} reminder - Reminder from reminderService
+     * @returns {string} Reminder HTML
+     */
+    renderReminder(reminder) {
+        const { schedule, vehicle, status } = reminder;
+        const scheduleId = escapeHTML(schedule.id);
+        const vehicleName = escapeHTML(`${vehicle.year} ${vehicle.make} ${vehicle.model}`);
+        const interval = ServiceSchedule.fromJSON(schedule).describeInterval();
+        const lastService = reminder.lastService
+            ? `Last done ${new Date(reminder.lastService.date).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' })}`
+            : 'No service logged yet';
+
+        return `
+            <li class="reminder-item reminder-${status}" data-schedule-id="${scheduleId}">
+                <span class="reminder-status">${STATUS_LABELS[status]}</span>
+                <div class="reminder-body">
+                    <strong>${escapeHTML(schedule.serviceType)}</strong>
+                    &middot; <a href="#/vehicles/${escapeHTML(encodeURIComponent(vehicle.id))}">${vehicleName}</a>
+                    <span class="reminder-when">${escapeHTML(this.describeDue(reminder))}</span>
+                    <span class="reminder-meta">${escapeHTML(`${lastService} · ${interval}`)}</span>
+                </div>
+                <div class="reminder-actions">
+                    <button type="button" class="btn btn-secondary" data-action="log-service"
+                        data-vehicle-id="${escapeHTML(vehicle.id)}">
+                        Log Service
+                    </button>
+                    <button type="button" class="btn btn-tertiary btn-danger" data-action="remove"
+                        data-schedule-id="${scheduleId}"
+                        aria-label="Remove ${escapeHTML(schedule.serviceType)} reminder for ${vehicleName}">
+                        Remove
+                    </button>
+                </div>
+            </li>
+        `;
+    }
+
+    /**
+     * Describe when a reminder is due in plain words
+     * @param {Object} reminder - Reminder from reminderService
+     * @returns {string} Description, e.g. "Due in 12 days or 300 miles"
+     */
+    describeDue(reminder) {
+        const parts = [];
+
+        if (reminder.daysRemaining !== null) {
+            const days = Math.abs(reminder.daysRemaining);
+            parts.push(`${days} ${days === 1 ? 'day' : 'days'}`);
+        }
+
+        if (reminder.milesRemaining !== null) {
+            parts.push(`${Math.abs(reminder.milesRemaining).toLocaleString('en-US')} miles`);
+        }
+
+        if (reminder.status === REMINDER_STATUS.OVERDUE) {
+            return `Overdue by ${parts.join(' / ')}`;
+        }
+
+        const due = `Due in ${parts.join(' or ')}`;
+
+        // Forecast when the mileage interval will be reached from the vehicle's driving rate
+        if (reminder.projectedDueDate) {
+            const projected = new Date(reminder.projectedDueDate)
+                .toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+            return `${due} (expected around ${projected})`;
+        }
+
+        return due;
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        if (!this.container) {
+            console.error('Container not found');
+            return;
+        }
+
+        this.container.addEventListener('click', this.handleClick);
+
+        if (this.scheduleForm) {
+            this.scheduleForm.addEventListener('submit', this.handleSubmit);
+        }
+
+        this.unsubscribeData = dataManager.subscribe(['vehicle:*', 'record:*', 'data:*'], this.handleDataChanged);
+    }
+
+    /**
+     * Handle clicks on reminder and form actions
+     * @param {Event} event - Click event
+     */
+    handleClick(event) {
+        const button = event.target.closest('[data-action]');
+        if (!button || !this.container.contains(button)) {
+            return;
+        }
+
+        switch (button.dataset.action) {
+            case 'remove':
+                this.handleRemove(button.dataset.scheduleId);
+                break;
+            case 'apply-defaults':
+                this.handleApplyDefaults();
+                break;
+            case 'log-service':
+                if (this.onLogServiceCallback && typeof this.onLogServiceCallback === 'function') {
+                    this.onLogServiceCallback(button.dataset.vehicleId);
+                }
+                break;
+            default:
+                break;
+        }
+    }
+
+    /**
+     * Handle schedule form submission
+     * @param {Event} event - Submit event
+     */
+    handleSubmit(event) {
+        event.preventDefault();
+
+        const formData = new FormData(this.scheduleForm);
+        const intervalMiles = formData.get('intervalMiles');
+        const intervalMonths = formData.get('intervalMonths');
+
+        const result = reminderService.addSchedule({
+            vehicleId: formData.get('vehicleId') || '',
+            serviceType: formData.get('serviceType') || '',
+            intervalMiles: intervalMiles ? Number(intervalMiles) : null,
+            intervalMonths: intervalMonths ? Number(intervalMonths) : null
+        });
+
+        if (result.success) {
+            this.scheduleForm.querySelector('#reminder-interval-miles').value = '';
+            this.scheduleForm.querySelector('#reminder-interval-months').value = '';
+            this.showFormMessage('Reminder added.', false);
+            this.renderReminders();
+        } else {
+            this.showFormMessage(result.message, true);
+        }
+    }
+
+    /**
+     * Apply the recommended schedule to the selected vehicle
+     */
+    handleApplyDefaults() {
+        const vehicleId = this.scheduleForm ? new FormData(this.scheduleForm).get('vehicleId') : null;
+        if (!vehicleId) {
+            this.showFormMessage('Select a vehicle first.', true);
+            return;
+        }
+
+        const result = reminderService.applyDefaultSchedules(vehicleId);
+
+        if (result.success) {
+            this.showFormMessage(result.count > 0
+                ? `Added ${result.count} recommended ${result.count === 1 ? 'reminder' : 'reminders'}.`
+                : 'All recommended reminders are already scheduled.', false);
+            this.renderReminders();
+        } else {
+            this.showFormMessage(result.message, true);
+        }
+    }
+
+    /**
+     * Remove a schedule after confirmation
+     * @param {string} scheduleId - Schedule ID
+     */
+    handleRemove(scheduleId) {
+        if (!window.confirm('Remove this service reminder?')) {
+            return;
+        }
+
+        const result = reminderService.deleteSchedule(scheduleId);
+        if (!result.success) {
+            console.error('Failed to remove reminder:', result.message);
+        }
+
+        this.renderReminders();
+    }
+
+    /**
+     * Show a message in the schedule form
+     * @param {string} message - Message text
+     * @param {boolean} isError - Whether the message is an error
+     */
+    showFormMessage(message, isError) {
+        if (!this.scheduleForm) {
+            return;
+        }
+
+        this.scheduleForm.querySelectorAll('.form-error-message, .success-message').forEach(el => el.remove());
+
+        const messageDiv = document.createElement('div');
+        messageDiv.className = isError ? 'form-error-message' : 'success-message';
+        messageDiv.textContent = message;
+        messageDiv.setAttribute('role', isError ? 'alert' : 'status');
+
+        this.scheduleForm.insertBefore(messageDiv, this.scheduleForm.firstChild);
+    }
+
+    /**
+     * Handle data change events by refreshing the reminders
+     */
+    handleDataChanged() {
+        this.refresh();
+    }
+
+    /**
+     * Refresh vehicle options and reminders from current data
+     */
+    refresh() {
+        if (!this.isInitialized) {
+            return;
+        }
+
+        this.renderVehicleOptions();
+        this.renderReminders();
+    }
+
+    /**
+     * Set callback for log service actions
+     * @param {Function} callback - Callback function
+     */
+    onLogService(callback) {
+        this.onLogServiceCallback = callback;
+    }
+
+    /**
+     * Destroy the reminder list and cleanup
+     */
+    destroy() {
+        if (this.container) {
+            this.container.removeEventListener('click', this.handleClick);
+            this.container.innerHTML = '';
+        }
+
+        if (this.unsubscribeData) {
+            this.unsubscribeData();
+            this.unsubscribeData = null;
+        }
+
+        this.scheduleForm = null;
+        this.listContainer = null;
+        this.isInitialized = false;
+
+        console.log('Reminder list destroyed');
+    }
+}
+
+/**
+ * Create and initialize a reminder list
+ * @param {string} containerId - Container element ID
+ * @returns {ReminderList} Reminder list instance
+ */
+export function createReminderList(containerId) {
+    const list = new ReminderList(containerId);
+    list.initialize();
+    return list;
+}
+
+export { ReminderList };
@@ -0,0 +1,401 @@
+/**
+ * Saved Searches Component
+ *
+ * ES6 module that lets users save the maintenance list's current filters
+ * under a name, re-run, pin, share and delete saved searches, and lists the
+ * pinned ones in the page header. Opening a shared search link fills in the
+ * filters it carries and offers to save them.
+ */
+
+import { dataManager, DATA_EVENTS, STORAGE_KEYS } from '../services/dataManager.js';
+import { savedSearchService } from '../services/savedSearchService.js';
+import { escapeHTML } from '../utils/htmlUtils.js';
+
+/**
+ * Saved Searches class
+ */
+class SavedSearches {
+    /**
+     * @param {string} containerId - Container element ID
+     * @param {Object} options - Component options
+     * @param {string} options.pinnedContainerId - Container for links to pinned searches
+     * @param {Object} options.maintenanceList - MaintenanceList instance the searches filter
+     */
+    constructor(containerId, options = {}) {
+        this.containerId = containerId;
+        this.pinnedContainerId = options.pinnedContainerId || null;
+        this.maintenanceList = options.maintenanceList || null;
+        this.container = null;
+        this.pinnedContainer = null;
+        this.isInitialized = false;
+        this.unsubscribeData = null;
+        this.handleClick = this.handleClick.bind(this);
+        this.handleSubmit = this.handleSubmit.bind(this);
+        this.handleSearchesChanged = this.handleSearchesChanged.bind(this);
+        this.handleDataChanged = this.handleDataChanged.bind(this);
+    }
+
+    /**
+     * Initialize the component
+     * @returns {boolean} Success status
+     */
+    initialize() {
+        try {
+            this.container = document.getElementById(this.containerId);
+
+            if (!this.container) {
+                console.error(`Container with ID '${this.containerId}' not found`);
+                return false;
+            }
+
+            if (this.pinnedContainerId) {
+                this.pinnedContainer = document.getElementById(this.pinnedContainerId);
+            }
+
+            this.render();
+            this.renderPinned();
+            this.setupEventListeners();
+            this.isInitialized = true;
+
+            console.log('Saved searches initialized successfully');
+            return true;
+        } catch (error) {
+            console.error('Error initializing saved searches:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Render the save form and the list of saved searches
+     */
+    render() {
+        if (!this.container) {
+            console.error('Container not found');
+            return;
+        }
+
+        const searches = savedSearchService.getAll();
+
+        const items = searches.map(search => `
+            <li class="saved-search-item">
+                <div class="saved-search-details">
+                    <a class="saved-search-name" href="${escapeHTML(savedSearchService.getLink(search.criteria, search.name))}">${escapeHTML(search.name)}</a>
+                    <span class="table-subtext">${escapeHTML(savedSearchService.describe(search.criteria))}</span>
+                </div>
+                <div class="table-actions">
+                    <button type="button" class="btn btn-tertiary" data-action="pin" data-search-id="${escapeHTML(search.id)}"
+                        aria-pressed="${search.pinned ? 'true' : 'false'}">${search.pinned ? 'Unpin' : 'Pin'}</button>
+                    <button type="button" class="btn btn-tertiary" data-action="share" data-search-id="${escapeHTML(search.id)}">Copy Link</button>
+                    <button type="button" class="btn btn-tertiary" data-action="delete" data-search-id="${escapeHTML(search.id)}">Delete</button>
+                </div>
+            </li>
+        `).join('');
+
+        this.container.innerHTML = `
+            <div class="saved-searches">
+                <h3>Saved Searches</h3>
+                <form class="saved-search-form" novalidate>
+                    <label for="saved-search-name" class="form-label">Save the current filters as</label>
+                    <div class="saved-search-form-row">
+                        <input type="text" id="saved-search-name" name="name" class="form-input"
+                            maxlength="60" placeholder="e.g. Brake work over $300" autocomplete="off" />
+                        <button type="submit" class="btn btn-secondary">Save Search</button>
+                        <button type="button" class="btn btn-tertiary" data-action="share-current">Copy Link</button>
+                    </div>
+                    <p class="form-hint">Date ranges such as "Last 90 days" move with time each time the search is run.</p>
+                </form>
+                ${items ? `<ul class="saved-search-list">${items}</ul>` : '<p class="form-hint">No saved searches yet.</p>'}
+                <div class="saved-search-message" aria-live="polite"></div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render links to the pinned searches
+     */
+    renderPinned() {
+        if (!this.pinnedContainer) {
+            return;
+        }
+
+        const pinned = savedSearchService.getPinned();
+
+        if (pinned.length === 0) {
+            this.pinnedContainer.innerHTML = '';
+            this.pinnedContainer.classList.add('hidden');
+            return;
+        }
+
+        this.pinnedContainer.innerHTML = `
+            <span class="pinned-searches-label">Pinned:</span>
+            <ul class="pinned-searches-list">
+                ${pinned.map(search => `
+                    <li><a href="${escapeHTML(savedSearchService.getLink(search.criteria, search.name))}"
+                        title="${escapeHTML(savedSearchService.describe(search.criteria))}">${escapeHTML(search.name)}</a></li>
+                `).join('')}
+            </ul>
+        `;
+        this.pinnedContainer.classList.remove('hidden');
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        if (!this.container) {
+            console.error('Container not found');
+            return;
+        }
+
+        this.container.addEventListener('click', this.handleClick);
+        this.container.addEventListener('submit', this.handleSubmit);
+        window.addEventListener('saved-searches:changed', this.handleSearchesChanged);
+
+        // Descriptions name vehicles, and other tabs may change the saved searches
+        this.unsubscribeData = dataManager.subscribe(['vehicle:*', 'data:*'], this.handleDataChanged);
+    }
+
+    /**
+     * Handle clicks on saved search actions
+     * @param {Event} event - Click event
+     */
+    handleClick(event) {
+        const button = event.target.closest('[data-action]');
+        if (!button) {
+            return;
+        }
+
+        const id = button.dataset.searchId;
+
+        switch (button.dataset.action) {
+            case 'pin': {
+                const search = savedSearchService.getById(id);
+                this.showResult(search
+                    ? savedSearchService.setPinned(id, !search.pinned)
+                    : { success: false, message: 'Saved search not found' });
+                break;
+            }
+            case 'share': {
+                const search = savedSearchService.getById(id);
+                if (search) {
+                    this.shareLink(savedSearchService.getLink(search.criteria, search.name));
+                }
+                break;
+            }
+            case 'share-current':
+                this.shareLink(savedSearchService.getLink(this.getCurrentCriteria(), this.getNameInput().value.trim()));
+                break;
+            case 'delete':
+                this.handleDelete(id);
+                break;
+            default:
+                break;
+        }
+    }
+
+    /**
+     * Save the current filters under the name entered
+     * @param {Event} event - Submit event
+     */
+    handleSubmit(event) {
+        event.preventDefault();
+
+        const result = savedSearchService.save({
+            name: this.getNameInput().value,
+            criteria: this.getCurrentCriteria()
+        });
+
+        // Keep the name for another try if saving failed
+        if (result.success) {
+            this.getNameInput().value = '';
+        }
+
+        this.showResult(result);
+    }
+
+    /**
+     * Delete a saved search after confirmation
+     * @param {string} id - Saved search ID
+     */
+    handleDelete(id) {
+        const search = savedSearchService.getById(id);
+        if (!search || !window.confirm(`Delete the saved search "${search.name}"?`)) {
+            return;
+        }
+
+        this.showResult(savedSearchService.remove(id));
+    }
+
+    /**
+     * Re-render when saved searches change
+     */
+    handleSearchesChanged() {
+        this.refresh();
+    }
+
+    /**
+     * Re-render when vehicles change or another tab saved searches
+     * @param {Array} events - Change events
+     */
+    handleDataChanged(events) {
+        const relevant = events.some(event =>
+            event.type !== DATA_EVENTS.SYNCED || event.keys.includes(STORAGE_KEYS.SAVED_SEARCHES)
+        );
+
+        if (relevant) {
+            this.refresh();
+        }
+    }
+
+    /**
+     * Apply a search from a shared link to the maintenance list
+     * @param {string} encoded - Encoded search from the URL fragment
+     * @returns {Object} The decoded { name, criteria }
+     */
+    openShared(encoded) {
+        const search = savedSearchService.decode(encoded);
+
+        if (this.maintenanceList) {
+            this.maintenanceList.applyCriteria(search.criteria);
+        }
+
+        // Offer to keep a search someone shared, unless it's already saved under that name
+        const input = this.getNameInput();
+        if (input) {
+            const isSaved = savedSearchService.getAll().some(saved => saved.name === search.name);
+            input.value = isSaved ? '' : search.name;
+        }
+
+        return search;
+    }
+
+    /**
+     * Get the maintenance list's current filters
+     * @returns {Object} Criteria for dataManager.searchMaintenanceRecords
+     */
+    getCurrentCriteria() {
+        return this.maintenanceList ? this.maintenanceList.getCriteria() : {};
+    }
+
+    /**
+     * Get the saved search name input
+     * @returns {HTMLInputElement|null} Input element
+     */
+    getNameInput() {
+        return this.container ? this.container.querySelector('#saved-search-name') : null;
+    }
+
+    /**
+     * Copy a search link to the clipboard, and show it for copying by hand
+     * @param {string} hash - Location hash of the search
+     */
+    shareLink(hash) {
+        const url = `${window.location.href.split('#')[0]}${hash}`;
+        const messageContainer = this.container.querySelector('.saved-search-message');
+
+        messageContainer.innerHTML = `
+            <div class="success-message">
+                <label for="saved-search-link" class="form-label">Link to this search</label>
+                <input type="text" id="saved-search-link" class="form-input" readonly value="${escapeHTML(url)}" />
+            </div>
+        `;
+
+        const linkInput = messageContainer.querySelector('#saved-search-link');
+        linkInput.select();
+
+        if (navigator.clipboard && typeof navigator.clipboard.writeText === 'function') {
+            navigator.clipboard.writeText(url).then(() => {
+                const label = messageContainer.querySelector('label');
+                if (label) {
+                    label.textContent = 'Link copied to the clipboard';
+                }
+            }).catch(() => {
+                // The link stays selected for copying by hand
+            });
+        }
+    }
+
+    /**
+     * Show the outcome of an action
+     * @param {Object} result - Result object
+     */
+    showResult(result) {
+        this.showMessage(result.message, !result.success);
+    }
+
+    /**
+     * Show a status message below the list
+     * @param {string} message - Message text
+     * @param {boolean} isError - Whether the message is an error
+     */
+    showMessage(message, isError) {
+        const messageContainer = this.container && this.container.querySelector('.saved-search-message');
+        if (!messageContainer) {
+            return;
+        }
+
+        messageContainer.innerHTML = `<div class="${isError ? 'form-error-message' : 'success-message'}">${escapeHTML(message)}</div>`;
+    }
+
+    /**
+     * Refresh the list and the pinned links
+     */
+    refresh() {
+        if (!this.isInitialized) {
+            return;
+        }
+
+        // Keep a name being typed across re-renders
+        const input = this.getNameInput();
+        const name = input ? input.value : '';
+
+        this.render();
+        this.renderPinned();
+
+        const newInput = this.getNameInput();
+        if (newInput) {
+            newInput.value = name;
+        }
+    }
+
+    /**
+     * Destroy the component and cleanup
+     */
+    destroy() {
+        if (this.container) {
+            this.container.removeEventListener('click', this.handleClick);
+            this.container.removeEventListener('submit', this.handleSubmit);
+            this.container.innerHTML = '';
+        }
+
+        if (this.pinnedContainer) {
+            this.pinnedContainer.innerHTML = '';
+            this.pinnedContainer.classList.add('hidden');
+        }
+
+        window.removeEventListener('saved-searches:changed', this.handleSearchesChanged);
+
+        if (this.unsubscribeData) {
+            this.unsubscribeData();
+            this.unsubscribeData = null;
+        }
+
+        this.isInitialized = false;
+
+        console.log('Saved searches destroyed');
+    }
+}
+
+/**
+ * Create and initialize saved searches
+ * @param {string} containerId - Container element ID
+ * @param {Object} options - Component options
+ * @returns {SavedSearches} Saved searches instance
+ */
+export function createSavedSearches(containerId, options = {}) {
+    const savedSearches = new SavedSearches(containerId, options);
+    savedSearches.initialize();
+    return savedSearches;
+}
+
+export { SavedSearches };
@@ -0,0 +1,430 @@
+/**
+ * Snapshot Panel Component
+ *
+ * ES6 module listing the automatic point-in-time snapshots of the user's
+ * data, with retention settings and actions to compare a snapshot with the
+ * current data, restore it, or delete it.
+ */
+
+import { dataManager } from '../services/dataManager.js';
+import { snapshotService, SNAPSHOT_REASONS } from '../services/snapshotService.js';
+import { escapeHTML } from '../utils/htmlUtils.js';
+import { formatBytes } from '../utils/fileUtils.js';
+import { formatCurrency } from '../utils/currencyFormatter.js';
+
+/**
+ * Snapshot counts offered in the retention setting
+ */
+const COUNT_OPTIONS = [5, 10, 20, 50];
+
+/**
+ * Snapshot space limits offered in the retention setting, in bytes
+ */
+const SIZE_OPTIONS = [1, 2, 5, 10].map(megabytes => megabytes * 1024 * 1024);
+
+/**
+ * Display names for snapshot reasons
+ */
+const REASON_LABELS = {
+    [SNAPSHOT_REASONS.IMPORT]: 'Import',
+    [SNAPSHOT_REASONS.CLEAR]: 'Clear',
+    [SNAPSHOT_REASONS.BULK_DELETE]: 'Deletion',
+    [SNAPSHOT_REASONS.MIGRATION]: 'Upgrade',
+    [SNAPSHOT_REASONS.RESTORE]: 'Restore',
+    [SNAPSHOT_REASONS.REPAIR]: 'Repair',
+    [SNAPSHOT_REASONS.DAILY]: 'Daily',
+    [SNAPSHOT_REASONS.MANUAL]: 'Manual'
+};
+
+/**
+ * Singular and plural names for snapshot collections
+ */
+const COLLECTION_NAMES = {
+    vehicles: ['vehicle', 'vehicles'],
+    maintenanceRecords: ['service record', 'service records'],
+    odometerReadings: ['odometer reading', 'odometer readings'],
+    serviceSchedules: ['schedule', 'schedules'],
+    expenses: ['expense', 'expenses']
+};
+
+/**
+ * Number of entries named per change type in a comparison
+ */
+const DIFF_NAME_LIMIT = 5;
+
+/**
+ * Snapshot Panel class
+ */
+class SnapshotPanel {
+    /**
+     * @param {string} containerId - Container element ID
+     */
+    constructor(containerId) {
+        this.containerId = containerId;
+        this.container = null;
+        this.comparedId = null;
+        this.isInitialized = false;
+        this.unsubscribeData = null;
+        this.handleClick = this.handleClick.bind(this);
+        this.handleChange = this.handleChange.bind(this);
+        this.handleDataChanged = this.handleDataChanged.bind(this);
+    }
+
+    /**
+     * Initialize the snapshot panel
+     * @returns {boolean} Success status
+     */
+    initialize() {
+        try {
+            this.container = document.getElementById(this.containerId);
+
+            if (!this.container) {
+                console.error(`Container with ID '${this.containerId}' not found`);
+                return false;
+            }
+
+            this.render();
+            this.setupEventListeners();
+            this.isInitialized = true;
+
+            console.log('Snapshot panel initialized successfully');
+            return true;
+        } catch (error) {
+            console.error('Error initializing snapshot panel:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Render the settings and snapshot list
+     */
+    render() {
+        if (!this.container) {
+            console.error('Container not found');
+            return;
+        }
+
+        const settings = snapshotService.getSettings();
+        const snapshots = snapshotService.listSnapshots();
+
+        const countOptions = COUNT_OPTIONS.map(count =>
+            `<option value="${count}"${count === settings.maxSnapshots ? ' selected' : ''}>${count}</option>`
+        ).join('');
+
+        const sizeOptions = SIZE_OPTIONS.map(size =>
+            `<option value="${size}"${size === settings.maxBytes ? ' selected' : ''}>${formatBytes(size)}</option>`
+        ).join('');
+
+        const rows = snapshots.map(snapshot => {
+            const id = escapeHTML(snapshot.id);
+            return `
+                <tr>
+                    <td>${escapeHTML(new Date(snapshot.createdAt).toLocaleString('en-US'))}</td>
+                    <td>
+                        ${escapeHTML(REASON_LABELS[snapshot.reason] || snapshot.reason)}
+                        <span class="table-subtext">${escapeHTML(snapshot.label)}</span>
+                    </td>
+                    <td>${escapeHTML(this.describeCounts(snapshot.counts))}</td>
+                    <td class="text-right">${formatBytes(snapshot.size)}</td>
+                    <td class="table-actions">
+                        <button type="button" class="btn btn-tertiary" data-action="compare" data-snapshot-id="${id}">Compare</button>
+                        <button type="button" class="btn btn-secondary" data-action="restore" data-snapshot-id="${id}">Restore</button>
+                        <button type="button" class="btn btn-tertiary btn-danger" data-action="delete" data-snapshot-id="${id}"
+                            aria-label="Delete snapshot from ${escapeHTML(new Date(snapshot.createdAt).toLocaleString('en-US'))}">Delete</button>
+                    </td>
+                </tr>
+                ${snapshot.id === this.comparedId ? `<tr class="snapshot-diff-row"><td colspan="5">${this.renderDiff(snapshot.id)}</td></tr>` : ''}
+            `;
+        }).join('');
+
+        this.container.innerHTML = `
+            <div class="snapshot-panel">
+                <h3>Snapshots</h3>
+                <p class="form-hint">
+                    A copy of your data is saved automatically before imports, deletions and upgrades, and once a day.
+                    Restore one to undo a mistake.
+                </p>
+                <div class="snapshot-settings">
+                    <div class="form-group">
+                        <label for="snapshot-max-count" class="form-label">Keep up to</label>
+                        <select id="snapshot-max-count" class="form-select" data-setting="maxSnapshots">${countOptions}</select>
+                    </div>
+                    <div class="form-group">
+                        <label for="snapshot-max-size" class="form-label">Space for snapshots</label>
+                        <select id="snapshot-max-size" class="form-select" data-setting="maxBytes">${sizeOptions}</select>
+                    </div>
+                </div>
+                <div class="form-actions">
+                    <button type="button" class="btn btn-secondary" data-action="take">Take Snapshot Now</button>
+                </div>
+                ${rows ? `
+                    <div class="table-container">
+                        <table class="data-table">
+                            <thead>
+                                <tr>
+                                    <th scope="col">Taken</th>
+                                    <th scope="col">Reason</th>
+                                    <th scope="col">Contents</th>
+                                    <th scope="col" class="text-right">Size</th>
+                                    <th scope="col"><span class="sr-only">Actions</span></th>
+                                </tr>
+                            </thead>
+                            <tbody>${rows}</tbody>
+                        </table>
+                    </div>
+                ` : '<p class="form-hint">No snapshots yet.</p>'}
+                <div class="snapshot-panel-message" aria-live="polite"></div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render how the current data differs from a snapshot
+     * @param {string} id - Snapshot ID
+     * @returns {string} HTML
+     */
+    renderDiff(id) {
+        const result = snapshotService.diffSnapshot(id);
+        if (!result.success) {
+            return `<p class="form-error-message">${escapeHTML(result.message)}</p>`;
+        }
+
+        const items = Object.entries(result.data.diff).flatMap(([name, changes]) => [
+            ['added', 'Added since'],
+            ['removed', 'Removed since'],
+            ['changed', 'Changed since']
+        ].filter(([type]) => changes[type].length > 0).map(([type, label]) => {
+            const entries = changes[type];
+            const names = entries.slice(0, DIFF_NAME_LIMIT).map(entry => this.describeEntry(name, entry)).join('; ');
+            const more = entries.length > DIFF_NAME_LIMIT ? `; and ${entries.length - DIFF_NAME_LIMIT} more` : '';
+            return `<li><strong>${escapeHTML(label)}:</strong> ${escapeHTML(this.pluralize(name, entries.length))} (${escapeHTML(names + more)})</li>`;
+        }));
+
+        return items.length > 0
+            ? `<ul class="snapshot-diff">${items.join('')}</ul>`
+            : '<p>Your data has not changed since this snapshot.</p>';
+    }
+
+    /**
+     * Describe how many entries a snapshot holds
+     * @param {Object} counts - Collection name to count
+     * @returns {string} Description
+     */
+    describeCounts(counts = {}) {
+        return ['vehicles', 'maintenanceRecords']
+            .map(name => this.pluralize(name, counts[name] || 0))
+            .join(', ');
+    }
+
+    /**
+     * Format a count with the collection's name
+     * @param {string} name - Collection name
+     * @param {number} count - Count
+     * @returns {string} e.g. "3 service records"
+     */
+    pluralize(name, count) {
+        const [singular, plural] = COLLECTION_NAMES[name] || [name, name];
+        return `${count} ${count === 1 ? singular : plural}`;
+    }
+
+    /**
+     * Name an entry for display in a comparison
+     * @param {string} name - Collection name
+     * @param {Object} entry - Entry
+     * @returns {string} Short description
+     */
+    describeEntry(name, entry) {
+        switch (name) {
+            case 'vehicles':
+                return `${entry.year} ${entry.make} ${entry.model}`;
+            case 'maintenanceRecords':
+                return `${entry.serviceType} on ${String(entry.date).split('T')[0]}`;
+            case 'odometerReadings':
+                return `${Number(entry.mileage).toLocaleString('en-US')} miles on ${String(entry.date).split('T')[0]}`;
+            case 'serviceSchedules':
+                return entry.serviceType;
+            case 'expenses':
+                return `${entry.category} expense of ${formatCurrency(entry.amount)} on ${String(entry.date).split('T')[0]}`;
+            default:
+                return entry.id;
+        }
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        if (!this.container) {
+            console.error('Container not found');
+            return;
+        }
+
+        this.container.addEventListener('click', this.handleClick);
+        this.container.addEventListener('change', this.handleChange);
+
+        // Deleting and importing take snapshots, so keep the list current
+        this.unsubscribeData = dataManager.subscribe('*', this.handleDataChanged);
+    }
+
+    /**
+     * Handle clicks on snapshot actions
+     * @param {Event} event - Click event
+     */
+    handleClick(event) {
+        const button = event.target.closest('[data-action]');
+        if (!button || !this.container.contains(button)) {
+            return;
+        }
+
+        const id = button.dataset.snapshotId;
+
+        switch (button.dataset.action) {
+            case 'take':
+                this.handleTake();
+                break;
+            case 'compare':
+                this.comparedId = this.comparedId === id ? null : id;
+                this.render();
+                break;
+            case 'restore':
+                this.handleRestore(id);
+                break;
+            case 'delete':
+                this.handleDelete(id);
+                break;
+            default:
+                break;
+        }
+    }
+
+    /**
+     * Save retention setting changes
+     * @param {Event} event - Change event
+     */
+    handleChange(event) {
+        const setting = event.target.dataset.setting;
+        if (!setting) {
+            return;
+        }
+
+        const result = snapshotService.updateSettings({ [setting]: Number(event.target.value) });
+        this.render();
+        this.showMessage(result.message, !result.success);
+    }
+
+    /**
+     * Re-render when data changes elsewhere
+     */
+    handleDataChanged() {
+        this.refresh();
+    }
+
+    /**
+     * Take a snapshot now
+     */
+    handleTake() {
+        const result = snapshotService.takeSnapshot(SNAPSHOT_REASONS.MANUAL, 'Taken by you');
+        this.render();
+        this.showMessage(result.message, !result.success);
+    }
+
+    /**
+     * Restore a snapshot after confirmation
+     * @param {string} id - Snapshot ID
+     */
+    handleRestore(id) {
+        const snapshot = snapshotService.listSnapshots().find(item => item.id === id);
+        if (!snapshot) {
+            return;
+        }
+
+        const when = new Date(snapshot.createdAt).toLocaleString('en-US');
+        if (!window.confirm(`Replace all current data with the snapshot from ${when}? A snapshot of your current data is taken first.`)) {
+            return;
+        }
+
+        let result = dataManager.restoreSnapshot(id);
+        if (result.snapshotFailed && window.confirm(`${result.message} Restore anyway? Your current data will be lost.`)) {
+            result = dataManager.restoreSnapshot(id, { allowWithoutSnapshot: true });
+        }
+        this.comparedId = null;
+
+        this.render();
+        this.showMessage(result.message, !result.success);
+    }
+
+    /**
+     * Delete a snapshot after confirmation
+     * @param {string} id - Snapshot ID
+     */
+    handleDelete(id) {
+        if (!window.confirm('Delete this snapshot? This cannot be undone.')) {
+            return;
+        }
+
+        const result = snapshotService.deleteSnapshot(id);
+        if (this.comparedId === id) {
+            this.comparedId = null;
+        }
+
+        this.render();
+        this.showMessage(result.message, !result.success);
+    }
+
+    /**
+     * Show a status message below the panel
+     * @param {string} message - Message text
+     * @param {boolean} isError - Whether the message is an error
+     */
+    showMessage(message, isError) {
+        const messageContainer = this.container && this.container.querySelector('.snapshot-panel-message');
+        if (!messageContainer) {
+            return;
+        }
+
+        messageContainer.innerHTML = `<div class="${isError ? 'form-error-message' : 'success-message'}">${escapeHTML(message)}</div>`;
+    }
+
+    /**
+     * Refresh the snapshot list
+     */
+    refresh() {
+        if (this.isInitialized) {
+            this.render();
+        }
+    }
+
+    /**
+     * Destroy the panel and cleanup
+     */
+    destroy() {
+        if (this.container) {
+            this.container.removeEventListener('click', this.handleClick);
+            this.container.removeEventListener('change', this.handleChange);
+            this.container.innerHTML = '';
+        }
+
+        if (this.unsubscribeData) {
+            this.unsubscribeData();
+            this.unsubscribeData = null;
+        }
+
+        this.comparedId = null;
+        this.isInitialized = false;
+
+        console.log('Snapshot panel destroyed');
+    }
+}
+
+/**
+ * Create and initialize a snapshot panel
+ * @param {string} containerId - Container element ID
+ * @returns {SnapshotPanel} Snapshot panel instance
+ */
+export function createSnapshotPanel(containerId) {
+    const panel = new SnapshotPanel(containerId);
+    panel.initialize();
+    return panel;
+}
+
+export { SnapshotPanel };
@@ -0,0 +1,336 @@
+/**
+ * Storage Status Component
+ *
+ * ES6 module that shows how much storage the app is using against the
+ * browser's quota, lets the user export a backup or remove optional data to
+ * free space, and raises an alert banner whenever a save fails because
+ * storage is full, or storage can't be used until the page is reloaded.
+ */
+
+import { dataManager } from '../services/dataManager.js';
+import { storageService } from '../services/storageService.js';
+import { backupService } from '../services/backupService.js';
+import { escapeHTML } from '../utils/htmlUtils.js';
+import { formatBytes } from '../utils/fileUtils.js';
+
+/**
+ * Usage percentage above which the usage bar is shown as a warning
+ */
+const USAGE_WARNING_PERCENT = 80;
+
+/**
+ * Display names for storage backends
+ */
+const BACKEND_LABELS = {
+    localStorage: 'browser local storage',
+    indexedDB: 'the browser database (IndexedDB)'
+};
+
+/**
+ * Storage Status class
+ */
+class StorageStatus {
+    /**
+     * @param {string} containerId - Container for the usage panel
+     * @param {Object} options - Options
+     * @param {string} options.alertContainerId - Container for the storage-full banner
+     */
+    constructor(containerId, options = {}) {
+        this.containerId = containerId;
+        this.alertContainerId = options.alertContainerId || null;
+        this.container = null;
+        this.alertContainer = null;
+        this.isInitialized = false;
+        this.handleClick = this.handleClick.bind(this);
+        this.handleQuotaExceeded = this.handleQuotaExceeded.bind(this);
+        this.handleStorageUnavailable = this.handleStorageUnavailable.bind(this);
+    }
+
+    /**
+     * Initialize the storage status panel
+     * @returns {boolean} Success status
+     */
+    initialize() {
+        try {
+            this.container = document.getElementById(this.containerId);
+
+            if (!this.container) {
+                console.error(`Container with ID '${this.containerId}' not found`);
+                return false;
+            }
+
+            if (this.alertContainerId) {
+                this.alertContainer = document.getElementById(this.alertContainerId);
+            }
+
+            this.render();
+            this.setupEventListeners();
+            this.isInitialized = true;
+
+            // Storage may have become unusable while the app was starting
+            if (storageService.backendProblem) {
+                this.showUnavailableAlert(storageService.backendProblem);
+            }
+
+            console.log('Storage status initialized successfully');
+            return true;
+        } catch (error) {
+            console.error('Error initializing storage status:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Render the usage panel
+     * @returns {Promise<void>}
+     */
+    async render() {
+        if (!this.container) {
+            console.error('Container not found');
+            return;
+        }
+
+        const estimate = await storageService.getQuotaEstimate();
+        const optionalData = dataManager.getOptionalDataUsage().filter(entry => entry.size > 0);
+        const percent = estimate.percentUsed;
+        const isWarning = percent !== null && percent >= USAGE_WARNING_PERCENT;
+
+        const usageText = estimate.quota
+            ? `${formatBytes(estimate.usage)} of about ${formatBytes(estimate.quota)} used (${Math.round(percent)}%)`
+            : `${formatBytes(estimate.usage)} used`;
+
+        const optionalItems = optionalData.map(entry => `
+            <li class="storage-optional-item">
+                <div>
+                    <strong>${escapeHTML(entry.label)}</strong> &middot; ${formatBytes(entry.size)}
+                    <span class="table-subtext">${escapeHTML(entry.description)}</span>
+                </div>
+                <button type="button" class="btn btn-tertiary btn-danger" data-action="purge"
+                    data-purge-id="${escapeHTML(entry.id)}" aria-label="Remove ${escapeHTML(entry.label)}">
+                    Remove
+                </button>
+            </li>
+        `).join('');
+
+        this.container.innerHTML = `
+            <div class="storage-status">
+                <p>Your data is stored on this device in ${escapeHTML(BACKEND_LABELS[estimate.backend] || estimate.backend)}.</p>
+                <div class="storage-usage${isWarning ? ' storage-usage-warning' : ''}">
+                    ${estimate.quota ? `
+                        <progress class="storage-usage-bar" max="100" value="${percent.toFixed(1)}"
+                            aria-label="Storage used">${Math.round(percent)}%</progress>
+                    ` : ''}
+                    <span class="storage-usage-text">${escapeHTML(usageText)}</span>
+                </div>
+                <div class="form-actions">
+                    <button type="button" class="btn btn-primary" data-action="export-backup">Export Backup</button>
+                </div>
+                <h3>Free Up Space</h3>
+                ${optionalItems
+                    ? `<ul class="storage-optional-items">${optionalItems}</ul>`
+                    : '<p class="form-hint">There is no optional data to remove.</p>'}
+                <div class="storage-status-message" aria-live="polite"></div>
+            </div>
+        `;
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        if (!this.container) {
+            console.error('Container not found');
+            return;
+        }
+
+        this.container.addEventListener('click', this.handleClick);
+
+        if (this.alertContainer) {
+            this.alertContainer.addEventListener('click', this.handleClick);
+        }
+
+        window.addEventListener('storage:quota-exceeded', this.handleQuotaExceeded);
+        window.addEventListener('storage:unavailable', this.handleStorageUnavailable);
+    }
+
+    /**
+     * Handle clicks on panel and banner actions
+     * @param {Event} event - Click event
+     */
+    handleClick(event) {
+        const button = event.target.closest('[data-action]');
+        if (!button) {
+            return;
+        }
+
+        switch (button.dataset.action) {
+            case 'export-backup':
+                this.exportBackup();
+                break;
+            case 'purge':
+                this.handlePurge(button.dataset.purgeId);
+                break;
+            case 'dismiss-alert':
+                this.hideAlert();
+                break;
+            case 'reload':
+                window.location.reload();
+                break;
+            default:
+                break;
+        }
+    }
+
+    /**
+     * Download all data as a JSON backup file
+     */
+    exportBackup() {
+        const result = backupService.downloadBackup();
+        this.showMessage(result.success ? 'Backup exported.' : result.message, !result.success);
+    }
+
+    /**
+     * Remove one kind of optional data after confirmation
+     * @param {string} id - Optional data ID
+     */
+    async handlePurge(id) {
+        const entry = dataManager.getOptionalDataUsage().find(item => item.id === id);
+        if (!entry || !window.confirm(`Remove ${entry.label.toLowerCase()}? This cannot be undone.`)) {
+            return;
+        }
+
+        const result = dataManager.purgeOptionalData(id);
+        await this.render();
+        this.showMessage(result.message, !result.success);
+
+        if (result.success) {
+            this.hideAlert();
+        }
+    }
+
+    /**
+     * Show the storage-full banner
+     */
+    handleQuotaExceeded() {
+        if (!this.alertContainer) {
+            return;
+        }
+
+        this.alertContainer.innerHTML = `
+            <div class="storage-alert form-error-message" role="alert">
+                <p>
+                    <strong>Storage is full.</strong>
+                    Your last change could not be saved. Export a backup, then free up space and try again.
+                </p>
+                <div class="storage-alert-actions">
+                    <button type="button" class="btn btn-primary" data-action="export-backup">Export Backup</button>
+                    <a class="btn btn-secondary" href="#/settings">Manage Storage</a>
+                    <button type="button" class="btn btn-tertiary" data-action="dismiss-alert">Dismiss</button>
+                </div>
+            </div>
+        `;
+        this.alertContainer.classList.remove('hidden');
+
+        if (this.isInitialized) {
+            this.render();
+        }
+    }
+
+    /**
+     * Show the storage-unavailable banner
+     * @param {CustomEvent} event - storage:unavailable event
+     */
+    handleStorageUnavailable(event) {
+        this.showUnavailableAlert(event.detail.message);
+    }
+
+    /**
+     * Show a banner explaining that changes can't be saved until the page is reloaded
+     * @param {string} message - What happened and what to do about it
+     */
+    showUnavailableAlert(message) {
+        if (!this.alertContainer) {
+            return;
+        }
+
+        this.alertContainer.innerHTML = `
+            <div class="storage-alert form-error-message" role="alert">
+                <p>
+                    <strong>Changes can't be saved.</strong>
+                    ${escapeHTML(message)}
+                </p>
+                <div class="storage-alert-actions">
+                    <button type="button" class="btn btn-primary" data-action="reload">Reload</button>
+                </div>
+            </div>
+        `;
+        this.alertContainer.classList.remove('hidden');
+    }
+
+    /**
+     * Hide the storage-full banner
+     */
+    hideAlert() {
+        if (this.alertContainer) {
+            this.alertContainer.innerHTML = '';
+            this.alertContainer.classList.add('hidden');
+        }
+    }
+
+    /**
+     * Show a status message below the panel
+     * @param {string} message - Message text
+     * @param {boolean} isError - Whether the message is an error
+     */
+    showMessage(message, isError) {
+        const messageContainer = this.container && this.container.querySelector('.storage-status-message');
+        if (!messageContainer) {
+            return;
+        }
+
+        messageContainer.innerHTML = `<div class="${isError ? 'form-error-message' : 'success-message'}">${escapeHTML(message)}</div>`;
+    }
+
+    /**
+     * Refresh usage figures
+     * @returns {Promise<void>}
+     */
+    refresh() {
+        return this.isInitialized ? this.render() : Promise.resolve();
+    }
+
+    /**
+     * Destroy the panel and cleanup
+     */
+    destroy() {
+        if (this.container) {
+            this.container.removeEventListener('click', this.handleClick);
+            this.container.innerHTML = '';
+        }
+
+        if (this.alertContainer) {
+            this.alertContainer.removeEventListener('click', this.handleClick);
+        }
+
+        window.removeEventListener('storage:quota-exceeded', this.handleQuotaExceeded);
+        window.removeEventListener('storage:unavailable', this.handleStorageUnavailable);
+
+        this.isInitialized = false;
+
+        console.log('Storage status destroyed');
+    }
+}
+
+/**
+ * Create and initialize a storage status panel
+ * @param {string} containerId - Container element ID
+ * @param {Object} options - Options passed to the constructor
+ * @returns {StorageStatus} Storage status instance
+ */
+export function createStorageStatus(containerId, options = {}) {
+    const status = new StorageStatus(containerId, options);
+    status.initialize();
+    return status;
+}
+
+export { StorageStatus };
@@ -0,0 +1,362 @@
+/**
+ * Trash List Component
+ *
+ * ES6 module listing deleted vehicles and maintenance records, with actions
+ * to restore them or delete them permanently, and the setting for how long
+ * deleted items are kept before they are removed automatically.
+ */
+
+import { dataManager } from '../services/dataManager.js';
+import { MaintenanceRecord } from '../models/MaintenanceRecord.js';
+import { formatCurrency } from '../utils/currencyFormatter.js';
+import { escapeHTML } from '../utils/htmlUtils.js';
+
+/**
+ * Retention periods offered in the settings, in days (0 keeps items until the trash is emptied)
+ */
+const RETENTION_OPTIONS = [7, 30, 90, 365, 0];
+
+/**
+ * Trash List class
+ */
+class TrashList {
+    /**
+     * @param {string} containerId - Container element ID
+     */
+    constructor(containerId) {
+        this.containerId = containerId;
+        this.container = null;
+        this.isInitialized = false;
+        this.unsubscribeData = null;
+        this.handleClick = this.handleClick.bind(this);
+        this.handleChange = this.handleChange.bind(this);
+        this.handleDataChanged = this.handleDataChanged.bind(this);
+    }
+
+    /**
+     * Initialize the trash list
+     * @returns {boolean} Success status
+     */
+    initialize() {
+        try {
+            this.container = document.getElementById(this.containerId);
+
+            if (!this.container) {
+                console.error(`Container with ID '${this.containerId}' not found`);
+                return false;
+            }
+
+            this.render();
+            this.setupEventListeners();
+            this.isInitialized = true;
+
+            console.log('Trash list initialized successfully');
+            return true;
+        } catch (error) {
+            console.error('Error initializing trash list:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Render the retention setting and the deleted items
+     */
+    render() {
+        if (!this.container) {
+            console.error('Container not found');
+            return;
+        }
+
+        const trash = dataManager.getTrash();
+        const retentionDays = dataManager.getTrashRetentionDays();
+        const vehicleNames = new Map(
+            dataManager.getAllVehicles(true, { includeDeleted: true }).map(vehicle => [vehicle.id, this.getVehicleName(vehicle)])
+        );
+
+        const retentionOptions = RETENTION_OPTIONS.map(days =>
+            `<option value="${days}"${days === retentionDays ? ' selected' : ''}>${days === 0 ? 'Never' : `After ${days} days`}</option>`
+        ).join('');
+
+        const vehicleRows = trash.vehicles.map(vehicle => {
+            const name = this.getVehicleName(vehicle);
+            const contents = vehicle.recordCount > 0
+                ? `With ${vehicle.recordCount} maintenance ${vehicle.recordCount === 1 ? 'record' : 'records'}`
+                : 'No maintenance records';
+
+            return this.renderRow({
+                type: 'vehicle',
+                id: vehicle.id,
+                name,
+                details: contents,
+                deletedAt: vehicle.deletedAt
+            });
+        });
+
+        const recordRows = trash.maintenanceRecords.map(record => {
+            const date = MaintenanceRecord.fromJSON(record).formatDateShort();
+            const vehicleName = vehicleNames.get(record.vehicleId) || 'Unknown vehicle';
+
+            return this.renderRow({
+                type: 'record',
+                id: record.id,
+                name: `${record.serviceType} on ${date}`,
+                details: `${vehicleName} · ${formatCurrency(record.cost)}`,
+                deletedAt: record.deletedAt
+            });
+        });
+
+        const rows = [...vehicleRows, ...recordRows].join('');
+
+        this.container.innerHTML = `
+            <div class="trash-list">
+                <p class="form-hint">
+                    Deleted vehicles and maintenance records are kept here so they can be restored.
+                    Restoring a vehicle also restores the records deleted with it.
+                </p>
+                <div class="trash-settings">
+                    <div class="form-group">
+                        <label for="trash-retention" class="form-label">Permanently delete items</label>
+                        <select id="trash-retention" class="form-select" data-setting="retention">${retentionOptions}</select>
+                    </div>
+                    <div class="form-actions">
+                        <button type="button" class="btn btn-secondary btn-danger" data-action="empty"${rows ? '' : ' disabled'}>Empty Trash</button>
+                    </div>
+                </div>
+                ${rows ? `
+                    <div class="table-container">
+                        <table class="data-table">
+                            <thead>
+                                <tr>
+                                    <th scope="col">Item</th>
+                                    <th scope="col">Details</th>
+                                    <th scope="col">Deleted</th>
+                                    <th scope="col"><span class="sr-only">Actions</span></th>
+                                </tr>
+                            </thead>
+                            <tbody>${rows}</tbody>
+                        </table>
+                    </div>
+                ` : '<p class="form-hint">The trash is empty.</p>'}
+                <div class="trash-list-message" aria-live="polite"></div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render one deleted item
+     * @param {Object} item - Item to render
+     * @param {string} item.type - 'vehicle' or 'record'
+     * @param {string} item.id - Item ID
+     * @param {string} item.name - Display name
+     * @param {string} item.details - Secondary description
+     * @param {string} item.deletedAt - When the item was deleted
+     * @returns {string} HTML
+     */
+    renderRow({ type, id, name, details, deletedAt }) {
+        const safeId = escapeHTML(id);
+        const safeName = escapeHTML(name);
+
+        return `
+            <tr>
+                <td>
+                    ${safeName}
+                    <span class="table-subtext">${type === 'vehicle' ? 'Vehicle' : 'Maintenance record'}</span>
+                </td>
+                <td>${escapeHTML(details)}</td>
+                <td>${escapeHTML(new Date(deletedAt).toLocaleString('en-US'))}</td>
+                <td class="table-actions">
+                    <button type="button" class="btn btn-secondary" data-action="restore" data-type="${type}" data-item-id="${safeId}"
+                        aria-label="Restore ${safeName}">Restore</button>
+                    <button type="button" class="btn btn-tertiary btn-danger" data-action="purge" data-type="${type}" data-item-id="${safeId}"
+                        aria-label="Permanently delete ${safeName}">Delete Forever</button>
+                </td>
+            </tr>
+        `;
+    }
+
+    /**
+     * Get a display name for a vehicle
+     * @param {Object} vehicle - Vehicle data
+     * @returns {string} Display name
+     */
+    getVehicleName(vehicle) {
+        return `${vehicle.year} ${vehicle.make} ${vehicle.model}`;
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        if (!this.container) {
+            console.error('Container not found');
+            return;
+        }
+
+        this.container.addEventListener('click', this.handleClick);
+        this.container.addEventListener('change', this.handleChange);
+
+        // Deleting elsewhere moves items here
+        this.unsubscribeData = dataManager.subscribe(['vehicle:*', 'record:*', 'data:*'], this.handleDataChanged);
+    }
+
+    /**
+     * Handle clicks on trash actions
+     * @param {Event} event - Click event
+     */
+    handleClick(event) {
+        const button = event.target.closest('[data-action]');
+        if (!button || !this.container.contains(button)) {
+            return;
+        }
+
+        const { type, itemId } = button.dataset;
+
+        switch (button.dataset.action) {
+            case 'restore':
+                this.handleRestore(type, itemId);
+                break;
+            case 'purge':
+                this.handlePurge(type, itemId);
+                break;
+            case 'empty':
+                this.handleEmpty();
+                break;
+            default:
+                break;
+        }
+    }
+
+    /**
+     * Save the retention setting
+     * @param {Event} event - Change event
+     */
+    handleChange(event) {
+        if (event.target.dataset.setting !== 'retention') {
+            return;
+        }
+
+        const result = dataManager.setTrashRetentionDays(Number(event.target.value));
+        this.render();
+        this.showMessage(result.message, !result.success);
+    }
+
+    /**
+     * Re-render when data changes elsewhere
+     */
+    handleDataChanged() {
+        this.refresh();
+    }
+
+    /**
+     * Restore a deleted item
+     * @param {string} type - 'vehicle' or 'record'
+     * @param {string} id - Item ID
+     */
+    handleRestore(type, id) {
+        const result = type === 'vehicle'
+            ? dataManager.restoreVehicle(id)
+            : dataManager.restoreMaintenanceRecord(id);
+
+        this.render();
+        this.showMessage(result.message, !result.success);
+    }
+
+    /**
+     * Permanently delete an item after confirmation
+     * @param {string} type - 'vehicle' or 'record'
+     * @param {string} id - Item ID
+     */
+    handlePurge(type, id) {
+        const message = type === 'vehicle'
+            ? 'Permanently delete this vehicle with its maintenance records, odometer history and service reminders? This cannot be undone.'
+            : 'Permanently delete this maintenance record? This cannot be undone.';
+
+        if (!window.confirm(message)) {
+            return;
+        }
+
+        const purge = options => (type === 'vehicle'
+            ? dataManager.purgeVehicle(id, options)
+            : dataManager.purgeMaintenanceRecord(id, options));
+
+        let result = purge();
+        if (result.snapshotFailed && window.confirm(`${result.message} Delete it anyway?`)) {
+            result = purge({ allowWithoutSnapshot: true });
+        }
+
+        this.render();
+        this.showMessage(result.message, !result.success);
+    }
+
+    /**
+     * Permanently delete everything in the trash after confirmation
+     */
+    handleEmpty() {
+        if (!window.confirm('Permanently delete everything in the trash? This cannot be undone.')) {
+            return;
+        }
+
+        let result = dataManager.emptyTrash();
+        if (result.snapshotFailed && window.confirm(`${result.message} Empty the trash anyway?`)) {
+            result = dataManager.emptyTrash({ allowWithoutSnapshot: true });
+        }
+        this.render();
+        this.showMessage(result.message, !result.success);
+    }
+
+    /**
+     * Show a status message below the list
+     * @param {string} message - Message text
+     * @param {boolean} isError - Whether the message is an error
+     */
+    showMessage(message, isError) {
+        const messageContainer = this.container && this.container.querySelector('.trash-list-message');
+        if (!messageContainer) {
+            return;
+        }
+
+        messageContainer.innerHTML = `<div class="${isError ? 'form-error-message' : 'success-message'}">${escapeHTML(message)}</div>`;
+    }
+
+    /**
+     * Refresh the trash list
+     */
+    refresh() {
+        if (this.isInitialized) {
+            this.render();
+        }
+    }
+
+    /**
+     * Destroy the list and cleanup
+     */
+    destroy() {
+        if (this.container) {
+            this.container.removeEventListener('click', this.handleClick);
+            this.container.removeEventListener('change', this.handleChange);
+            this.container.innerHTML = '';
+        }
+
+        if (this.unsubscribeData) {
+            this.unsubscribeData();
+            this.unsubscribeData = null;
+        }
+
+        this.isInitialized = false;
+
+        console.log('Trash list destroyed');
+    }
+}
+
+/**
+ * Create and initialize a trash list
+ * @param {string} containerId - Container element ID
+ * @returns {TrashList} Trash list instance
+ */
+export function createTrashList(containerId) {
+    const list = new TrashList(containerId);
+    list.initialize();
+    return list;
+}
+
+export { TrashList };
@@ -0,0 +1,211 @@
+/**
+ * Undo Toast Component
+ *
+ * ES6 module showing a short-lived notice after a vehicle or maintenance
+ * record is deleted, with a button to undo it, and reporting the outcome of
+ * undo and redo from the keyboard shortcuts.
+ */
+
+import { dataManager } from '../services/dataManager.js';
+import { escapeHTML } from '../utils/htmlUtils.js';
+
+/**
+ * How long a notice stays visible, in milliseconds
+ */
+const TOAST_DURATION = 8000;
+
+/**
+ * Undo Toast class
+ */
+class UndoToast {
+    /**
+     * @param {string} containerId - Container element ID
+     */
+    constructor(containerId) {
+        this.containerId = containerId;
+        this.container = null;
+        this.hideTimer = null;
+        this.isInitialized = false;
+        this.handleClick = this.handleClick.bind(this);
+        this.handleVehicleDeleted = this.handleVehicleDeleted.bind(this);
+        this.handleMaintenanceDeleted = this.handleMaintenanceDeleted.bind(this);
+    }
+
+    /**
+     * Initialize the toast
+     * @returns {boolean} Success status
+     */
+    initialize() {
+        try {
+            this.container = document.getElementById(this.containerId);
+
+            if (!this.container) {
+                console.error(`Container with ID '${this.containerId}' not found`);
+                return false;
+            }
+
+            this.setupEventListeners();
+            this.isInitialized = true;
+
+            console.log('Undo toast initialized successfully');
+            return true;
+        } catch (error) {
+            console.error('Error initializing undo toast:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        if (!this.container) {
+            console.error('Container not found');
+            return;
+        }
+
+        this.container.addEventListener('click', this.handleClick);
+        window.addEventListener('vehicle:deleted', this.handleVehicleDeleted);
+        window.addEventListener('maintenance:deleted', this.handleMaintenanceDeleted);
+    }
+
+    /**
+     * Offer to undo a vehicle deletion
+     * @param {CustomEvent} event - vehicle:deleted event
+     */
+    handleVehicleDeleted(event) {
+        const vehicle = event.detail && event.detail.vehicle;
+        const name = vehicle ? `${vehicle.year} ${vehicle.make} ${vehicle.model}` : 'Vehicle';
+        this.show(`${name} moved to the trash.`, { canUndo: true });
+    }
+
+    /**
+     * Offer to undo a maintenance record deletion
+     * @param {CustomEvent} event - maintenance:deleted event
+     */
+    handleMaintenanceDeleted(event) {
+        const record = event.detail && event.detail.maintenance;
+        const name = record && record.serviceType ? `${record.serviceType} record` : 'Maintenance record';
+        this.show(`${name} moved to the trash.`, { canUndo: true });
+    }
+
+    /**
+     * Handle clicks on toast actions
+     * @param {Event} event - Click event
+     */
+    handleClick(event) {
+        const button = event.target.closest('[data-action]');
+        if (!button || !this.container.contains(button)) {
+            return;
+        }
+
+        switch (button.dataset.action) {
+            case 'undo':
+                this.undo();
+                break;
+            case 'dismiss':
+                this.hide();
+                break;
+            default:
+                break;
+        }
+    }
+
+    /**
+     * Undo the latest change and report the outcome
+     * @returns {Object} Result object
+     */
+    undo() {
+        const result = dataManager.undo();
+        this.announceResult(result);
+        return result;
+    }
+
+    /**
+     * Redo the latest undone change and report the outcome
+     * @returns {Object} Result object
+     */
+    redo() {
+        const result = dataManager.redo();
+        this.announceResult(result);
+        return result;
+    }
+
+    /**
+     * Show the outcome of an undo or redo; views update through their data subscriptions
+     * @param {Object} result - Result object
+     */
+    announceResult(result) {
+        this.show(result.message, { isError: !result.success });
+    }
+
+    /**
+     * Show a notice
+     * @param {string} message - Message text
+     * @param {Object} options - Display options
+     * @param {boolean} options.canUndo - Show an Undo button
+     * @param {boolean} options.isError - Style the notice as an error
+     */
+    show(message, { canUndo = false, isError = false } = {}) {
+        if (!this.container) {
+            return;
+        }
+
+        clearTimeout(this.hideTimer);
+
+        this.container.innerHTML = `
+            <div class="undo-toast${isError ? ' undo-toast-error' : ''}" role="status">
+                <span class="undo-toast-message">${escapeHTML(message)}</span>
+                ${canUndo ? '<button type="button" class="btn btn-secondary" data-action="undo">Undo</button>' : ''}
+                <button type="button" class="btn btn-tertiary" data-action="dismiss" aria-label="Dismiss">&times;</button>
+            </div>
+        `;
+        this.container.classList.remove('hidden');
+
+        this.hideTimer = setTimeout(() => this.hide(), TOAST_DURATION);
+    }
+
+    /**
+     * Hide the notice
+     */
+    hide() {
+        clearTimeout(this.hideTimer);
+        this.hideTimer = null;
+
+        if (this.container) {
+            this.container.classList.add('hidden');
+            this.container.innerHTML = '';
+        }
+    }
+
+    /**
+     * Destroy the toast and cleanup
+     */
+    destroy() {
+        this.hide();
+
+        if (this.container) {
+            this.container.removeEventListener('click', this.handleClick);
+        }
+
+        window.removeEventListener('vehicle:deleted', this.handleVehicleDeleted);
+        window.removeEventListener('maintenance:deleted', this.handleMaintenanceDeleted);
+
+        this.isInitialized = false;
+
+        console.log('Undo toast destroyed');
+    }
+}
+
+/**
+ * Create and initialize an undo toast
+ * @param {string} containerId - Container element ID
+ * @returns {UndoToast} Undo toast instance
+ */
+export function createUndoToast(containerId) {
+    const toast = new UndoToast(containerId);
+    toast.initialize();
+    return toast;
+}
+
+export { UndoToast };
@@ -0,0 +1,540 @@
+/**
+ * Vehicle Detail Component
+ *
+ * ES6 module that renders a single vehicle's information together with its
+ * full service history and odometer log, for use on the per-vehicle detail page.
+ * A History tab lists every recorded change to the vehicle and its records.
+ */
+
+import { dataManager } from '../services/dataManager.js';
+import { odometerService } from '../services/odometerService.js';
+import { auditService } from '../services/auditService.js';
+import { MaintenanceRecord } from '../models/MaintenanceRecord.js';
+import { formatCurrency } from '../utils/currencyFormatter.js';
+import { escapeHTML } from '../utils/htmlUtils.js';
+import { renderAuditHistory } from '../utils/auditUtils.js';
+
+/**
+ * Display labels for odometer reading sources
+ */
+const SOURCE_LABELS = {
+    manual: 'Manual entry',
+    vehicle: 'Vehicle edit',
+    maintenance: 'Service record'
+};
+
+/**
+ * Vehicle Detail class
+ */
+class VehicleDetail {
+    constructor(containerId) {
+        this.containerId = containerId;
+        this.container = null;
+        this.isInitialized = false;
+        this.unsubscribeData = null;
+        this.vehicleId = null;
+        this.activeTab = 'details';
+        this.onLogServiceCallback = null;
+        this.handleClick = this.handleClick.bind(this);
+        this.handleSubmit = this.handleSubmit.bind(this);
+        this.handleDataChanged = this.handleDataChanged.bind(this);
+    }
+
+    /**
+     * Initialize the vehicle detail view
+     * @returns {boolean} Success status
+     */
+    initialize() {
+        try {
+            this.container = document.getElementById(this.containerId);
+
+            if (!this.container) {
+                console.error(`Container with ID '${this.containerId}' not found`);
+                return false;
+            }
+
+            this.render();
+            this.setupEventListeners();
+            this.isInitialized = true;
+
+            console.log('Vehicle detail initialized successfully');
+            return true;
+        } catch (error) {
+            console.error('Error initializing vehicle detail:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Set the vehicle to display
+     * @param {string} vehicleId - Vehicle ID
+     * @returns {boolean} True if the vehicle exists
+     */
+    setVehicleId(vehicleId) {
+        if ((vehicleId || null) !== this.vehicleId) {
+            this.activeTab = 'details';
+        }
+
+        this.vehicleId = vehicleId || null;
+        this.render();
+        return Boolean(this.vehicleId && dataManager.getVehicleById(this.vehicleId));
+    }
+
+    /**
+     * Get a display title for the current vehicle
+     * @returns {string|null} Title or null if no vehicle is shown
+     */
+    getTitle() {
+        const vehicle = this.vehicleId ? dataManager.getVehicleById(this.vehicleId) : null;
+        return vehicle ? `${vehicle.year} ${vehicle.make} ${vehicle.model}` : null;
+    }
+
+    /**
+     * Render the vehicle detail HTML
+     */
+    render() {
+        if (!this.container) {
+            console.error('Container not found');
+            return;
+        }
+
+        if (!this.vehicleId) {
+            this.container.innerHTML = '';
+            return;
+        }
+
+        const vehicle = dataManager.getVehicleById(this.vehicleId);
+
+        if (!vehicle) {
+            this.container.innerHTML = `
+                <div class="empty-state">
+                    <p>This vehicle could not be found. It may have been deleted.</p>
+                    <p><a href="#/vehicles">Back to My Vehicles</a></p>
+                </div>
+            `;
+            return;
+        }
+
+        const { records } = dataManager.query({
+            where: { vehicleId: vehicle.id },
+            orderBy: { field: 'date', direction: 'desc' }
+        });
+        const totalCost = records.reduce((sum, record) => sum + (Number(record.cost) || 0), 0);
+        const id = escapeHTML(encodeURIComponent(vehicle.id));
+        const title = escapeHTML(`${vehicle.year} ${vehicle.make} ${vehicle.model}`);
+
+        this.container.innerHTML = `
+            <div class="vehicle-detail">
+                <div class="vehicle-detail-header">
+                    <h3 class="vehicle-detail-title">${title}</h3>
+                    <div class="vehicle-card-actions">
+                        <button type="button" class="btn btn-primary" data-action="log-service">Log Service</button>
+                        <a class="btn btn-secondary" href="#/vehicles/${id}/edit">Edit Vehicle</a>
+                    </div>
+                </div>
+                <div class="detail-tabs" role="tablist">
+                    ${this.renderTab('details', 'Details')}
+                    ${this.renderTab('history', 'History')}
+                </div>
+                ${this.activeTab === 'history' ? this.renderChangeHistory(vehicle) : `
+                <dl class="vehicle-card-details">
+                    <div>
+                        <dt>Make</dt>
+                        <dd>${escapeHTML(vehicle.make)}</dd>
+                    </div>
+                    <div>
+                        <dt>Model</dt>
+                        <dd>${escapeHTML(vehicle.model)}</dd>
+                    </div>
+                    <div>
+                        <dt>Year</dt>
+                        <dd>${escapeHTML(vehicle.year)}</dd>
+                    </div>
+                    <div>
+                        <dt>Mileage</dt>
+                        <dd>${Number(vehicle.mileage || 0).toLocaleString('en-US')} miles</dd>
+                    </div>
+                    <div>
+                        <dt>Service history</dt>
+                        <dd>${records.length} ${records.length === 1 ? 'record' : 'records'}</dd>
+                    </div>
+                    <div>
+                        <dt>Total spent</dt>
+                        <dd>${formatCurrency(totalCost)}</dd>
+                    </div>
+                </dl>
+                <h4>Service History</h4>
+                ${this.renderHistory(records)}
+                <h4>Odometer History</h4>
+                ${this.renderOdometer(vehicle)}
+                `}
+            </div>
+        `;
+    }
+
+    /**
+     * Render a tab button
+     * @param {string} tab - Tab name
+     * @param {string} label - Tab label
+     * @returns {string} Tab HTML
+     */
+    renderTab(tab, label) {
+        const isActive = this.activeTab === tab;
+        return `<button type="button" class="detail-tab${isActive ? ' active' : ''}" role="tab"
+            aria-selected="${isActive}" data-action="show-tab" data-tab="${tab}">${label}</button>`;
+    }
+
+    /**
+     * Render the change history of the vehicle and its maintenance records
+     * @param {Object} vehicle - Vehicle data
+     * @returns {string} History HTML
+     */
+    renderChangeHistory(vehicle) {
+        const serviceTypes = new Map(
+            dataManager.getAllMaintenanceRecords(true, { includeDeleted: true })
+                .filter(record => record.vehicleId === vehicle.id)
+                .map(record => [record.id, record.serviceType])
+        );
+
+        const getEntityName = entry => {
+            if (entry.entityType === 'vehicle') {
+                return 'Vehicle';
+            }
+
+            const serviceType = serviceTypes.get(entry.entityId);
+            return serviceType ? `${serviceType} record` : 'Maintenance record';
+        };
+
+        return `
+            <div class="detail-tab-panel" role="tabpanel">
+                ${renderAuditHistory(auditService.getVehicleHistory(vehicle.id), {
+                    getEntityName,
+                    emptyMessage: 'No changes to this vehicle or its records have been recorded yet.'
+                })}
+            </div>
+        `;
+    }
+
+    /**
+     * Render the service history table
+     * @param {Array} records - Maintenance records, newest first
+     * @returns {string} History HTML
+     */
+    renderHistory(records) {
+        if (records.length === 0) {
+            return `
+                <div class="empty-state">
+                    <p>No service has been logged for this vehicle yet.</p>
+                </div>
+            `;
+        }
+
+        const rows = records.map(record => {
+            const recordId = escapeHTML(encodeURIComponent(record.id));
+            const date = MaintenanceRecord.fromJSON(record).formatDateShort();
+
+            return `
+                <tr>
+                    <td>${escapeHTML(date)}</td>
+                    <td>
+                        ${escapeHTML(record.serviceType)}
+                        ${record.description ? `<span class="table-subtext">${escapeHTML(record.description)}</span>` : ''}
+                    </td>
+                    <td class="text-right">${typeof record.odometer === 'number' ? record.odometer.toLocaleString('en-US') : '&mdash;'}</td>
+                    <td class="text-right">${formatCurrency(record.cost)}</td>
+                    <td class="table-actions">
+                        <a class="btn btn-secondary" href="#/maintenance/${recordId}"
+                            aria-label="Edit ${escapeHTML(`${record.serviceType} on ${date}`)}">Edit</a>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+
+        return `
+            <div class="table-wrapper">
+                <table class="data-table">
+                    <caption class="sr-only">Service history, newest first</caption>
+                    <thead>
+                        <tr>
+                            <th scope="col">Date</th>
+                            <th scope="col">Service Type</th>
+                            <th scope="col" class="text-right">Odometer</th>
+                            <th scope="col" class="text-right">Cost</th>
+                            <th scope="col"><span class="sr-only">Actions</span></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * Render mileage statistics, the odometer log and the manual reading form
+     * @param {Object} vehicle - Vehicle data
+     * @returns {string} Odometer section HTML
+     */
+    renderOdometer(vehicle) {
+        const history = odometerService.getHistory(vehicle.id).reverse();
+        const rate = odometerService.getMileageRate(vehicle.id);
+        const estimate = odometerService.estimateMileage(vehicle.id);
+        const suspiciousCount = history.filter(reading => reading.suspicious).length;
+        const today = new Date().toISOString().split('T')[0];
+
+        const rows = history.map(reading => {
+            const date = new Date(reading.date)
+                .toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+            const source = SOURCE_LABELS[reading.source] || reading.source;
+
+            return `
+                <tr${reading.suspicious ? ' class="odometer-suspicious"' : ''}>
+                    <td>${escapeHTML(date)}</td>
+                    <td class="text-right">${Number(reading.mileage).toLocaleString('en-US')}</td>
+                    <td>
+                        ${escapeHTML(source)}
+                        ${reading.note ? `<span class="table-subtext">${escapeHTML(reading.note)}</span>` : ''}
+                        ${reading.suspicious ? '<span class="table-subtext odometer-warning">Lower than an earlier reading — possible rollback or typo</span>' : ''}
+                    </td>
+                    <td class="table-actions">
+                        ${reading.derived ? '' : `
+                            <button type="button" class="btn btn-tertiary btn-danger" data-action="delete-reading"
+                                data-reading-id="${escapeHTML(reading.id)}"
+                                aria-label="Delete odometer reading from ${escapeHTML(date)}">Delete</button>
+                        `}
+                    </td>
+                </tr>
+            `;
+        }).join('');
+
+        return `
+            <div class="odometer-section">
+                <dl class="vehicle-card-details odometer-stats">
+                    <div>
+                        <dt>Average per day</dt>
+                        <dd>${rate ? `${Math.round(rate.milesPerDay).toLocaleString('en-US')} miles` : '&mdash;'}</dd>
+                    </div>
+                    <div>
+                        <dt>Average per year</dt>
+                        <dd>${rate ? `${Math.round(rate.milesPerYear).toLocaleString('en-US')} miles` : '&mdash;'}</dd>
+                    </div>
+                    <div>
+                        <dt>Estimated today</dt>
+                        <dd>${estimate ? `${estimate.mileage.toLocaleString('en-US')} miles` : '&mdash;'}</dd>
+                    </div>
+                </dl>
+                ${suspiciousCount > 0 ? `
+                    <p class="form-error-message" role="alert">
+                        ${suspiciousCount} ${suspiciousCount === 1 ? 'reading is' : 'readings are'} lower than an earlier reading
+                        and ${suspiciousCount === 1 ? 'is' : 'are'} left out of the averages.
+                    </p>
+                ` : ''}
+                <form class="odometer-form filter-bar" novalidate>
+                    <div class="form-group">
+                        <label for="odometer-reading-date" class="form-label">Date <span class="required">*</span></label>
+                        <input type="date" id="odometer-reading-date" name="date" class="form-input"
+                            value="${today}" max="${today}" required aria-required="true" />
+                    </div>
+                    <div class="form-group">
+                        <label for="odometer-reading-mileage" class="form-label">Odometer <span class="required">*</span></label>
+                        <input type="number" id="odometer-reading-mileage" name="mileage" class="form-input"
+                            min="0" max="10000000" step="1" inputmode="numeric" required aria-required="true" />
+                    </div>
+                    <div class="form-group">
+                        <label for="odometer-reading-note" class="form-label">Note</label>
+                        <input type="text" id="odometer-reading-note" name="note" class="form-input" maxlength="200" />
+                    </div>
+                    <div class="filter-bar-actions">
+                        <button type="submit" class="btn btn-primary">Add Reading</button>
+                    </div>
+                </form>
+                <div class="table-wrapper">
+                    <table class="data-table">
+                        <caption class="sr-only">Odometer readings, newest first</caption>
+                        <thead>
+                            <tr>
+                                <th scope="col">Date</th>
+                                <th scope="col" class="text-right">Odometer</th>
+                                <th scope="col">Source</th>
+                                <th scope="col"><span class="sr-only">Actions</span></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${rows}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Setup event listeners for the detail view
+     */
+    setupEventListeners() {
+        if (!this.container) {
+            console.error('Container not found');
+            return;
+        }
+
+        this.container.addEventListener('click', this.handleClick);
+        this.container.addEventListener('submit', this.handleSubmit);
+
+        this.unsubscribeData = dataManager.subscribe('*', this.handleDataChanged);
+    }
+
+    /**
+     * Handle clicks on detail actions
+     * @param {Event} event - Click event
+     */
+    handleClick(event) {
+        const button = event.target.closest('[data-action]');
+        if (!button || !this.container.contains(button)) {
+            return;
+        }
+
+        if (button.dataset.action === 'log-service' && this.vehicleId) {
+            if (this.onLogServiceCallback && typeof this.onLogServiceCallback === 'function') {
+                this.onLogServiceCallback(this.vehicleId);
+            }
+        }
+
+        if (button.dataset.action === 'delete-reading') {
+            this.handleDeleteReading(button.dataset.readingId);
+        }
+
+        if (button.dataset.action === 'show-tab') {
+            this.activeTab = button.dataset.tab;
+            this.render();
+        }
+    }
+
+    /**
+     * Handle manual odometer reading submission
+     * @param {Event} event - Submit event
+     */
+    handleSubmit(event) {
+        const form = event.target.closest('.odometer-form');
+        if (!form || !this.vehicleId) {
+            return;
+        }
+
+        event.preventDefault();
+
+        const formData = new FormData(form);
+        const date = formData.get('date');
+        const mileage = formData.get('mileage');
+
+        if (!date || mileage === null || mileage === '') {
+            this.showOdometerMessage('Enter a date and an odometer reading.', true);
+            return;
+        }
+
+        // A reading taken today is timestamped now so it sorts after today's earlier entries
+        const isToday = date === new Date().toISOString().split('T')[0];
+
+        const result = odometerService.addManualReading({
+            vehicleId: this.vehicleId,
+            date: isToday ? new Date().toISOString() : new Date(date).toISOString(),
+            mileage: Number(mileage),
+            note: (formData.get('note') || '').trim()
+        });
+
+        if (!result.success) {
+            this.showOdometerMessage(result.message, true);
+            return;
+        }
+
+        this.showOdometerMessage(result.suspicious
+            ? 'Reading added, but it is lower than an earlier reading. Check it for a typo.'
+            : 'Reading added.', result.suspicious);
+    }
+
+    /**
+     * Delete a stored odometer reading after confirmation
+     * @param {string} readingId - Reading ID
+     */
+    handleDeleteReading(readingId) {
+        if (!readingId || !window.confirm('Delete this odometer reading?')) {
+            return;
+        }
+
+        const result = odometerService.deleteReading(readingId);
+        if (!result.success) {
+            console.error('Failed to delete odometer reading:', result.message);
+        }
+    }
+
+    /**
+     * Show a message above the odometer form
+     * @param {string} message - Message text
+     * @param {boolean} isError - Whether the message is an error
+     */
+    showOdometerMessage(message, isError) {
+        const form = this.container.querySelector('.odometer-form');
+        if (!form) {
+            return;
+        }
+
+        form.parentNode.querySelectorAll('.odometer-message').forEach(el => el.remove());
+
+        const messageDiv = document.createElement('div');
+        messageDiv.className = `odometer-message ${isError ? 'form-error-message' : 'success-message'}`;
+        messageDiv.textContent = message;
+        messageDiv.setAttribute('role', isError ? 'alert' : 'status');
+
+        form.parentNode.insertBefore(messageDiv, form);
+    }
+
+    /**
+     * Handle data change events by re-rendering the current vehicle
+     */
+    handleDataChanged() {
+        if (this.isInitialized && this.vehicleId) {
+            this.render();
+        }
+    }
+
+    /**
+     * Set callback for log service actions
+     * @param {Function} callback - Callback function
+     */
+    onLogService(callback) {
+        this.onLogServiceCallback = callback;
+    }
+
+    /**
+     * Destroy the detail view and cleanup
+     */
+    destroy() {
+        if (this.container) {
+            this.container.removeEventListener('click', this.handleClick);
+            this.container.removeEventListener('submit', this.handleSubmit);
+            this.container.innerHTML = '';
+        }
+
+        if (this.unsubscribeData) {
+            this.unsubscribeData();
+            this.unsubscribeData = null;
+        }
+
+        this.isInitialized = false;
+        this.vehicleId = null;
+
+        console.log('Vehicle detail destroyed');
+    }
+}
+
+/**
+ * Create and initialize a vehicle detail view
+ * @param {string} containerId - Container element ID
+ * @returns {VehicleDetail} Vehicle detail instance
+ */
+export function createVehicleDetail(containerId) {
+    const detail = new VehicleDetail(containerId);
+    detail.initialize();
+    return detail;
+}
+
+export { VehicleDetail };
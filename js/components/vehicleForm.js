@@ -6,12 +6,14 @@
  */
 
 import { dataManager } from '../services/dataManager.js';
+import { AUDIT_SOURCES } from '../services/auditService.js';
 import { Vehicle } from '../models/Vehicle.js';
 import {
     validateMake,
     validateModel,
     validateYear,
     validateMileage,
+    validatePurchasePrice,
     setupRealTimeValidation,
     clearValidation,
     validateAllFields,
@@ -29,6 +31,7 @@ class VehicleForm {
         this.form = null;
         this.isInitialized = false;
         this.currentVehicleId = null;
+        this.loadedUpdatedAt = null;
         this.onSubmitCallback = null;
         this.onCancelCallback = null;
     }
@@ -143,6 +146,25 @@ class VehicleForm {
                         <span id="mileage-hint" class="form-hint">Enter the current mileage</span>
                     </div>
 
+                    <div class="form-group">
+                        <label for="vehicle-purchase-price" class="form-label">
+                            Purchase Price
+                        </label>
+                        <div class="input-with-prefix">
+                            <span class="input-prefix" aria-hidden="true">$</span>
+                            <input
+                                type="text"
+                                id="vehicle-purchase-price"
+                                name="purchasePrice"
+                                class="form-input has-prefix"
+                                placeholder="0.00"
+                                aria-describedby="purchase-price-hint"
+                                inputmode="decimal"
+                            />
+                        </div>
+                        <span id="purchase-price-hint" class="form-hint">Optional; counted in the total cost of ownership</span>
+                    </div>
+
                     <div class="form-actions">
                         <button type="submit" class="btn btn-primary">
                             Save Vehicle
@@ -198,6 +220,7 @@ class VehicleForm {
         const modelInput = document.getElementById('vehicle-model');
         const yearInput = document.getElementById('vehicle-year');
         const mileageInput = document.getElementById('vehicle-mileage');
+        const purchasePriceInput = document.getElementById('vehicle-purchase-price');
 
         if (makeInput) {
             setupRealTimeValidation(makeInput, validateMake);
@@ -214,6 +237,10 @@ class VehicleForm {
         if (mileageInput) {
             setupRealTimeValidation(mileageInput, validateMileage);
         }
+
+        if (purchasePriceInput) {
+            setupRealTimeValidation(purchasePriceInput, validatePurchasePrice);
+        }
     }
 
     /**
@@ -238,7 +265,8 @@ class VehicleForm {
                 make: formData.get('make')?.trim() || '',
                 model: formData.get('model')?.trim() || '',
                 year: formData.get('year') ? Number(formData.get('year')) : null,
-                mileage: formData.get('mileage') ? Number(formData.get('mileage')) : 0
+                mileage: formData.get('mileage') ? Number(formData.get('mileage')) : 0,
+                purchasePrice: formData.get('purchasePrice')?.trim() ? Number(formData.get('purchasePrice').trim()) : null
             };
 
             // Validate all fields
@@ -260,7 +288,10 @@ class VehicleForm {
 
             if (this.currentVehicleId) {
                 // Update existing vehicle
-                result = dataManager.updateVehicle(this.currentVehicleId, vehicleData);
+                result = dataManager.updateVehicle(this.currentVehicleId, vehicleData, {
+                    source: AUDIT_SOURCES.FORM,
+                    expectedUpdatedAt: this.loadedUpdatedAt
+                });
                 console.log('Vehicle update result:', result);
             } else {
                 // Create new vehicle using Vehicle model
@@ -273,7 +304,7 @@ class VehicleForm {
                     return;
                 }
 
-                result = dataManager.addVehicle(vehicle.toJSON());
+                result = dataManager.addVehicle(vehicle.toJSON(), { source: AUDIT_SOURCES.FORM });
                 console.log('Vehicle add result:', result);
             }
 
@@ -375,14 +406,17 @@ class VehicleForm {
             const modelInput = document.getElementById('vehicle-model');
             const yearInput = document.getElementById('vehicle-year');
             const mileageInput = document.getElementById('vehicle-mileage');
+            const purchasePriceInput = document.getElementById('vehicle-purchase-price');
 
             if (makeInput) makeInput.value = vehicle.make || '';
             if (modelInput) modelInput.value = vehicle.model || '';
             if (yearInput) yearInput.value = vehicle.year || '';
             if (mileageInput) mileageInput.value = vehicle.mileage || 0;
+            if (purchasePriceInput) purchasePriceInput.value = typeof vehicle.purchasePrice === 'number' ? vehicle.purchasePrice.toFixed(2) : '';
 
-            // Store current vehicle ID
+            // Store current vehicle ID, and its version so edits made elsewhere meanwhile aren't overwritten
             this.currentVehicleId = vehicleId;
+            this.loadedUpdatedAt = vehicle.updatedAt || null;
 
             console.log('Vehicle data loaded for editing:', vehicleId);
             return true;
@@ -0,0 +1,383 @@
+/**
+ * Vehicle List Component
+ *
+ * ES6 module that renders the user's vehicles as cards with maintenance
+ * summaries, and wires edit, delete and log service actions to the
+ * vehicle and maintenance forms.
+ */
+
+import { dataManager } from '../services/dataManager.js';
+import { formatCurrency } from '../utils/currencyFormatter.js';
+import { escapeHTML } from '../utils/htmlUtils.js';
+
+/**
+ * Vehicle List class
+ */
+class VehicleList {
+    /**
+     * @param {string} containerId - Container element ID
+     * @param {Object} options - List options
+     * @param {Object} options.vehicleForm - VehicleForm instance used for editing
+     * @param {Object} options.maintenanceForm - MaintenanceForm instance used for logging service
+     */
+    constructor(containerId, options = {}) {
+        this.containerId = containerId;
+        this.container = null;
+        this.isInitialized = false;
+        this.unsubscribeData = null;
+        this.vehicleForm = options.vehicleForm || null;
+        this.maintenanceForm = options.maintenanceForm || null;
+        this.onEditCallback = null;
+        this.onDeleteCallback = null;
+        this.onLogServiceCallback = null;
+        this.handleClick = this.handleClick.bind(this);
+        this.handleDataChanged = this.handleDataChanged.bind(this);
+    }
+
+    /**
+     * Initialize the vehicle list
+     * @returns {boolean} Success status
+     */
+    initialize() {
+        try {
+            this.container = document.getElementById(this.containerId);
+
+            if (!this.container) {
+                console.error(`Container with ID '${this.containerId}' not found`);
+                return false;
+            }
+
+            this.render();
+            this.setupEventListeners();
+            this.isInitialized = true;
+
+            console.log('Vehicle list initialized successfully');
+            return true;
+        } catch (error) {
+            console.error('Error initializing vehicle list:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Render the vehicle list HTML
+     */
+    render() {
+        if (!this.container) {
+            console.error('Container not found');
+            return;
+        }
+
+        const vehicles = dataManager.getAllVehicles();
+
+        if (vehicles.length === 0) {
+            this.container.innerHTML = `
+                <div class="empty-state">
+                    <p>No vehicles yet. Add your first vehicle using the form above.</p>
+                </div>
+            `;
+            return;
+        }
+
+        const cardsHTML = vehicles.map(vehicle => this.renderVehicleCard(vehicle)).join('');
+
+        this.container.innerHTML = `
+            <ul class="vehicle-list grid" aria-label="Vehicles">
+                ${cardsHTML}
+            </ul>
+        `;
+    }
+
+    /**
+     * Render a single vehicle card
+     * @param {Object} vehicle - Vehicle data
+     * @returns {string} Card HTML
+     */
+    renderVehicleCard(vehicle) {
+        const summary = this.getVehicleSummary(vehicle.id);
+        const id = escapeHTML(vehicle.id);
+        const title = escapeHTML(`${vehicle.year} ${vehicle.make} ${vehicle.model}`);
+        const mileage = Number(vehicle.mileage || 0).toLocaleString('en-US');
+        const recordLabel = summary.recordCount === 1 ? 'record' : 'records';
+
+        return `
+            <li class="vehicle-card card" data-vehicle-id="${id}">
+                <h3 class="vehicle-card-title">
+                    <a href="#/vehicles/${escapeHTML(encodeURIComponent(vehicle.id))}">${title}</a>
+                </h3>
+                <dl class="vehicle-card-details">
+                    <div>
+                        <dt>Mileage</dt>
+                        <dd>${mileage} miles</dd>
+                    </div>
+                    <div>
+                        <dt>Service history</dt>
+                        <dd>${summary.recordCount} ${recordLabel}</dd>
+                    </div>
+                    <div>
+                        <dt>Total spent</dt>
+                        <dd>${formatCurrency(summary.totalCost)}</dd>
+                    </div>
+                </dl>
+                <div class="vehicle-card-actions">
+                    <button type="button" class="btn btn-primary" data-action="log-service" data-vehicle-id="${id}"
+                        aria-label="Log service for ${title}">
+                        Log Service
+                    </button>
+                    <button type="button" class="btn btn-secondary" data-action="edit" data-vehicle-id="${id}"
+                        aria-label="Edit ${title}">
+                        Edit
+                    </button>
+                    <button type="button" class="btn btn-tertiary btn-danger" data-action="delete" data-vehicle-id="${id}"
+                        aria-label="Delete ${title}">
+                        Delete
+                    </button>
+                </div>
+            </li>
+        `;
+    }
+
+    /**
+     * Get maintenance summary for a vehicle
+     * @param {string} vehicleId - Vehicle ID
+     * @returns {Object} Summary with record count and total cost
+     */
+    getVehicleSummary(vehicleId) {
+        const [summary] = dataManager.aggregate({ where: { vehicleId } });
+
+        return {
+            recordCount: summary ? summary.count : 0,
+            totalCost: summary ? summary.sum : 0
+        };
+    }
+
+    /**
+     * Setup event listeners for the list
+     */
+    setupEventListeners() {
+        if (!this.container) {
+            console.error('Container not found');
+            return;
+        }
+
+        // Delegate card actions to the container so re-renders need no rebinding
+        this.container.addEventListener('click', this.handleClick);
+
+        this.unsubscribeData = dataManager.subscribe(['vehicle:*', 'record:*', 'data:*'], this.handleDataChanged);
+    }
+
+    /**
+     * Handle clicks on card action buttons
+     * @param {Event} event - Click event
+     */
+    handleClick(event) {
+        const button = event.target.closest('[data-action]');
+        if (!button || !this.container.contains(button)) {
+            return;
+        }
+
+        const vehicleId = button.dataset.vehicleId;
+
+        switch (button.dataset.action) {
+            case 'edit':
+                this.handleEdit(vehicleId);
+                break;
+            case 'delete':
+                this.handleDelete(vehicleId);
+                break;
+            case 'log-service':
+                this.handleLogService(vehicleId);
+                break;
+            default:
+                break;
+        }
+    }
+
+    /**
+     * Handle data change events by re-rendering the list
+     */
+    handleDataChanged() {
+        this.refresh();
+    }
+
+    /**
+     * Load a vehicle into the vehicle form for editing
+     * @param {string} vehicleId - Vehicle ID
+     */
+    handleEdit(vehicleId) {
+        if (!this.vehicleForm) {
+            console.warn('No vehicle form available for editing');
+            return;
+        }
+
+        if (this.vehicleForm.loadVehicle(vehicleId)) {
+            this.focusContainer(this.vehicleForm.container);
+
+            if (this.onEditCallback && typeof this.onEditCallback === 'function') {
+                this.onEditCallback(vehicleId);
+            }
+        }
+    }
+
+    /**
+     * Move a vehicle to the trash after confirming the cascade with the user
+     * @param {string} vehicleId - Vehicle ID
+     */
+    handleDelete(vehicleId) {
+        const vehicle = dataManager.getVehicleById(vehicleId);
+        if (!vehicle) {
+            console.error(`Vehicle with ID ${vehicleId} not found`);
+            this.refresh();
+            return;
+        }
+
+        const { recordCount } = this.getVehicleSummary(vehicleId);
+        const name = `${vehicle.year} ${vehicle.make} ${vehicle.model}`;
+        const cascadeMessage = recordCount > 0
+            ? ` Its ${recordCount} maintenance ${recordCount === 1 ? 'record goes' : 'records go'} with it.`
+            : '';
+
+        if (!window.confirm(`Move ${name} to the trash?${cascadeMessage} You can restore it from the Trash page.`)) {
+            return;
+        }
+
+        const result = dataManager.deleteVehicle(vehicleId);
+
+        if (result.success) {
+            this.refresh();
+
+            if (this.onDeleteCallback && typeof this.onDeleteCallback === 'function') {
+                this.onDeleteCallback(result.data);
+            }
+        } else {
+            console.error('Failed to delete vehicle:', result.message);
+            this.showError(result.message || 'Failed to delete vehicle. Please try again.');
+        }
+    }
+
+    /**
+     * Prepare the maintenance form to log service for a vehicle
+     * @param {string} vehicleId - Vehicle ID
+     */
+    handleLogService(vehicleId) {
+        if (!this.maintenanceForm) {
+            console.warn('No maintenance form available for logging service');
+            return;
+        }
+
+        this.maintenanceForm.setVehicleId(vehicleId);
+        this.focusContainer(this.maintenanceForm.container);
+
+        if (this.onLogServiceCallback && typeof this.onLogServiceCallback === 'function') {
+            this.onLogServiceCallback(vehicleId);
+        }
+    }
+
+    /**
+     * Scroll to a form container and focus its first field
+     * @param {HTMLElement} container - Form container element
+     */
+    focusContainer(container) {
+        if (!container) {
+            return;
+        }
+
+        container.scrollIntoView({ behavior: 'smooth', block: 'start' });
+
+        const firstField = container.querySelector('input, select, textarea');
+        if (firstField) {
+            firstField.focus({ preventScroll: true });
+        }
+    }
+
+    /**
+     * Show an error message above the list
+     * @param {string} message - Error message
+     */
+    showError(message) {
+        if (!this.container || !message) {
+            return;
+        }
+
+        const existingError = this.container.querySelector('.form-error-message');
+        if (existingError) {
+            existingError.remove();
+        }
+
+        const errorDiv = document.createElement('div');
+        errorDiv.className = 'form-error-message';
+        errorDiv.textContent = message;
+        errorDiv.setAttribute('role', 'alert');
+        errorDiv.setAttribute('aria-live', 'assertive');
+
+        this.container.insertBefore(errorDiv, this.container.firstChild);
+    }
+
+    /**
+     * Re-render the list from current data
+     */
+    refresh() {
+        if (!this.isInitialized) {
+            return;
+        }
+
+        this.render();
+    }
+
+    /**
+     * Set callback for edit actions
+     * @param {Function} callback - Callback function
+     */
+    onEdit(callback) {
+        this.onEditCallback = callback;
+    }
+
+    /**
+     * Set callback for completed deletions
+     * @param {Function} callback - Callback function
+     */
+    onDelete(callback) {
+        this.onDeleteCallback = callback;
+    }
+
+    /**
+     * Set callback for log service actions
+     * @param {Function} callback - Callback function
+     */
+    onLogService(callback) {
+        this.onLogServiceCallback = callback;
+    }
+
+    /**
+     * Destroy the list and cleanup
+     */
+    destroy() {
+        if (this.container) {
+            this.container.removeEventListener('click', this.handleClick);
+            this.container.innerHTML = '';
+        }
+
+        if (this.unsubscribeData) {
+            this.unsubscribeData();
+            this.unsubscribeData = null;
+        }
+
+        this.isInitialized = false;
+
+        console.log('Vehicle list destroyed');
+    }
+}
+
+/**
+ * Create and initialize a vehicle list
+ * @param {string} containerId - Container element ID
+ * @param {Object} options - List options
+ * @returns {VehicleList} Vehicle list instance
+ */
+export function createVehicleList(containerId, options = {}) {
+    const list = new VehicleList(containerId, options);
+    list.initialize();
+    return list;
+}
+
+export { VehicleList };
@@ -0,0 +1,200 @@
+/**
+ * Expense Model
+ *
+ * ES6 class representing a running cost of a vehicle other than maintenance,
+ * such as a fuel fill-up or an insurance payment, with validation and
+ * serialization/deserialization methods.
+ */
+
+/**
+ * Kinds of expense that can be logged
+ */
+const EXPENSE_CATEGORIES = {
+    FUEL: 'fuel',
+    INSURANCE: 'insurance'
+};
+
+/**
+ * Highest amount accepted, matching maintenance record costs
+ */
+const MAX_AMOUNT = 1000000;
+
+class Expense {
+    /**
+     * Create a new Expense instance
+     * @param {Object} data - Expense data
+     * @param {string} data.id - Unique identifier
+     * @param {string} data.vehicleId - Associated vehicle ID
+     * @param {string} data.date - Date the expense was paid
+     * @param {string} data.category - One of EXPENSE_CATEGORIES
+     * @param {number} data.amount - Amount paid
+     * @param {string} data.note - Optional note
+     */
+    constructor(data = {}) {
+        this.id = data.id || this.generateId();
+        this.vehicleId = data.vehicleId || '';
+        this.date = data.date || '';
+        this.category = data.category || EXPENSE_CATEGORIES.FUEL;
+        this.amount = data.amount ?? null;
+        this.note = data.note || '';
+        this.createdAt = data.createdAt || new Date().toISOString();
+    }
+
+    /**
+     * Generate a unique ID for the expense
+     * @returns {string} Unique identifier
+     */
+    generateId() {
+        return `expense_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+
+    /**
+     * Validate the vehicle ID
+     * @returns {Object} Validation result
+     */
+    validateVehicleId() {
+        if (!this.vehicleId || typeof this.vehicleId !== 'string' || this.vehicleId.trim() === '') {
+            return {
+                valid: false,
+                field: 'vehicleId',
+                message: 'Vehicle ID is required and must be a non-empty string'
+            };
+        }
+        return { valid: true };
+    }
+
+    /**
+     * Validate the expense date
+     * @returns {Object} Validation result
+     */
+    validateDate() {
+        const date = new Date(this.date);
+        if (!this.date || isNaN(date.getTime())) {
+            return {
+                valid: false,
+                field: 'date',
+                message: 'Expense date must be a valid date'
+            };
+        }
+
+        // Allow a day for time zone differences, as maintenance records do
+        const tomorrow = new Date();
+        tomorrow.setDate(tomorrow.getDate() + 1);
+        tomorrow.setHours(23, 59, 59, 999);
+
+        if (date > tomorrow) {
+            return {
+                valid: false,
+                field: 'date',
+                message: 'Expense date cannot be in the future'
+            };
+        }
+
+        return { valid: true };
+    }
+
+    /**
+     * Validate the expense category
+     * @returns {Object} Validation result
+     */
+    validateCategory() {
+        if (!Object.values(EXPENSE_CATEGORIES).includes(this.category)) {
+            return {
+                valid: false,
+                field: 'category',
+                message: 'Expense category must be fuel or insurance'
+            };
+        }
+        return { valid: true };
+    }
+
+    /**
+     * Validate the amount paid
+     * @returns {Object} Validation result
+     */
+    validateAmount() {
+        if (typeof this.amount !== 'number' || isNaN(this.amount)) {
+            return {
+                valid: false,
+                field: 'amount',
+                message: 'Amount must be a valid number'
+            };
+        }
+
+        if (this.amount < 0) {
+            return {
+                valid: false,
+                field: 'amount',
+                message: 'Amount cannot be negative'
+            };
+        }
+
+        if (this.amount > MAX_AMOUNT) {
+            return {
+                valid: false,
+                field: 'amount',
+                message: 'Amount exceeds maximum allowed value'
+            };
+        }
+
+        return { valid: true };
+    }
+
+    /**
+     * Validate all expense fields
+     * @returns {Object} Validation result with array of errors
+     */
+    validate() {
+        const errors = [
+            this.validateVehicleId(),
+            this.validateDate(),
+            this.validateCategory(),
+            this.validateAmount()
+        ].filter(result => !result.valid);
+
+        return {
+            valid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Serialize the expense to a plain object for storage
+     * @returns {Object} Serialized expense data
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            vehicleId: this.vehicleId,
+            date: this.date,
+            category: this.category,
+            amount: Math.round(Number(this.amount) * 100) / 100,
+            note: this.note,
+            createdAt: this.createdAt
+        };
+    }
+
+    /**
+     * Deserialize a plain object into an Expense instance
+     * @param {Object} data - Plain object data
+     * @returns {Expense} Expense instance
+     */
+    static fromJSON(data) {
+        if (!data || typeof data !== 'object') {
+            throw new Error('Invalid data provided for Expense deserialization');
+        }
+
+        return new Expense({
+            id: data.id,
+            vehicleId: data.vehicleId,
+            date: data.date,
+            category: data.category,
+            amount: data.amount,
+            note: data.note,
+            createdAt: data.createdAt
+        });
+    }
+}
+
+// Export the Expense class and categories
+export { Expense, EXPENSE_CATEGORIES };
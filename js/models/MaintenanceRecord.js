@@ -5,6 +5,22 @@
  * Provides date formatting utilities and serialization/deserialization methods.
  */
 
+/**
+ * Service types available for maintenance records
+ */
+const SERVICE_TYPES = [
+    'Oil Change',
+    'Tire Rotation',
+    'Brake Service',
+    'Engine Tune-up',
+    'Transmission Service',
+    'Battery Replacement',
+    'Air Filter Replacement',
+    'Inspection',
+    'Repair',
+    'Other'
+];
+
 class MaintenanceRecord {
     /**
      * Create a new MaintenanceRecord instance
@@ -15,6 +31,9 @@ class MaintenanceRecord {
      * @param {string} data.serviceType - Type of service performed
      * @param {string} data.description - Description of the service
      * @param {number} data.cost - Cost of the service
+     * @param {number|null} data.odometer - Odometer reading at the time of service (optional)
+     * @param {string|null} data.deletedAt - When the record was moved to the trash, or null
+     * @param {boolean} data.deletedWithVehicle - Whether the record went to the trash with its vehicle
      */
     constructor(data = {}) {
         this.id = data.id || this.generateId();
@@ -23,8 +42,11 @@ class MaintenanceRecord {
         this.serviceType = data.serviceType || '';
         this.description = data.description || '';
         this.cost = data.cost || 0;
+        this.odometer = data.odometer ?? null;
         this.createdAt = data.createdAt || new Date().toISOString();
         this.updatedAt = data.updatedAt || new Date().toISOString();
+        this.deletedAt = data.deletedAt || null;
+        this.deletedWithVehicle = Boolean(this.deletedAt && data.deletedWithVehicle);
     }
 
     /**
@@ -231,6 +253,84 @@ class MaintenanceRecord {
         return { valid: true };
     }
 
+    /**
+     * Validate the odometer reading
+     * @returns {Object} Validation result
+     */
+    validateOdometer() {
+        // Odometer is optional; older records were logged without one
+        if (this.odometer === null || this.odometer === undefined || this.odometer === '') {
+            return { valid: true };
+        }
+
+        const odometerNum = Number(this.odometer);
+        if (isNaN(odometerNum)) {
+            return {
+                valid: false,
+                field: 'odometer',
+                message: 'Odometer reading must be a valid number'
+            };
+        }
+
+        if (odometerNum < 0) {
+            return {
+                valid: false,
+                field: 'odometer',
+                message: 'Odometer reading cannot be negative'
+            };
+        }
+
+        if (odometerNum > 10000000) {
+            return {
+                valid: false,
+                field: 'odometer',
+                message: 'Odometer reading exceeds maximum allowed value'
+            };
+        }
+
+        return { valid: true };
+    }
+
+    /**
+     * Validate the odometer reading against the vehicle's other records
+     * @param {Array} otherRecords - Other maintenance records for the same vehicle
+     * @returns {Object} Validation result
+     */
+    validateOdometerSequence(otherRecords = []) {
+        if (this.odometer === null || this.odometer === undefined || this.odometer === '') {
+            return { valid: true };
+        }
+
+        const odometerNum = Number(this.odometer);
+        const dateObj = new Date(this.date);
+
+        for (const other of otherRecords) {
+            if (!other || other.id === this.id || typeof other.odometer !== 'number') {
+                continue;
+            }
+
+            const otherDate = new Date(other.date);
+
+            if (otherDate < dateObj && other.odometer > odometerNum) {
+                return {
+                    valid: false,
+                    field: 'odometer',
+                    message: `Odometer reading cannot be lower than ${other.odometer.toLocaleString('en-US')} recorded on an earlier service`
+                };
+            }
+
+            if (otherDate > dateObj && other.odometer < odometerNum) {
+                return {
+                    valid: false,
+                    field: 'odometer',
+                    message: `Odometer reading cannot be higher than ${other.odometer.toLocaleString('en-US')} recorded on a later service`
+                };
+            }
+        }
+
+        return { valid: true };
+    }
+
     /**
      * Validate all maintenance record fields
      * @returns {Object} Validation result with array of errors
@@ -268,6 +368,11 @@ class MaintenanceRecord {
             errors.push(costValidation);
         }
 
+        const odometerValidation = this.validateOdometer();
+        if (!odometerValidation.valid) {
+            errors.push(odometerValidation);
+        }
+
         return {
             valid: errors.length === 0,
             errors
@@ -363,6 +468,14 @@ class MaintenanceRecord {
         }
     }
 
+    /**
+     * Check whether the record is in the trash
+     * @returns {boolean} True if soft-deleted
+     */
+    isDeleted() {
+        return Boolean(this.deletedAt);
+    }
+
     /**
      * Serialize the maintenance record to a plain object for storage
      * @returns {Object} Serialized maintenance record data
@@ -375,8 +488,11 @@ class MaintenanceRecord {
             serviceType: this.serviceType,
             description: this.description,
             cost: this.cost,
+            odometer: this.odometer === null || this.odometer === '' ? null : Number(this.odometer),
             createdAt: this.createdAt,
-            updatedAt: new Date().toISOString()
+            updatedAt: new Date().toISOString(),
+            deletedAt: this.deletedAt,
+            deletedWithVehicle: this.deletedWithVehicle
         };
     }
 
@@ -397,8 +513,11 @@ class MaintenanceRecord {
             serviceType: data.serviceType,
             description: data.description,
             cost: data.cost,
+            odometer: data.odometer,
             createdAt: data.createdAt,
-            updatedAt: data.updatedAt
+            updatedAt: data.updatedAt,
+            deletedAt: data.deletedAt,
+            deletedWithVehicle: data.deletedWithVehicle
         });
     }
 
@@ -421,7 +540,8 @@ class MaintenanceRecord {
             date: this.date,
             serviceType: this.serviceType,
             description: this.description,
-            cost: this.cost
+            cost: this.cost,
+            odometer: this.odometer
         };
 
         try {
@@ -441,6 +561,9 @@ class MaintenanceRecord {
             if (updates.cost !== undefined) {
                 this.cost = updates.cost;
             }
+            if (updates.odometer !== undefined) {
+                this.odometer = updates.odometer;
+            }
 
             // Validate updated record
             const validation = this.validate();
@@ -451,6 +574,7 @@ class MaintenanceRecord {
                 this.serviceType = originalValues.serviceType;
                 this.description = originalValues.description;
                 this.cost = originalValues.cost;
+                this.odometer = originalValues.odometer;
 
                 return {
                     success: false,
@@ -473,6 +597,7 @@ class MaintenanceRecord {
             this.serviceType = originalValues.serviceType;
             this.description = originalValues.description;
             this.cost = originalValues.cost;
+            this.odometer = originalValues.odometer;
 
             return {
                 success: false,
@@ -491,5 +616,5 @@ class MaintenanceRecord {
     }
 }
 
-// Export the MaintenanceRecord class
-export { MaintenanceRecord };
+// Export the MaintenanceRecord class and service types
+export { MaintenanceRecord, SERVICE_TYPES };
@@ -0,0 +1,199 @@
+/**
+ * OdometerReading Model
+ *
+ * ES6 class representing a single timestamped odometer reading for a vehicle,
+ * with validation and serialization/deserialization methods.
+ */
+
+/**
+ * Where a reading came from
+ */
+const ODOMETER_SOURCES = {
+    MANUAL: 'manual',
+    VEHICLE: 'vehicle',
+    MAINTENANCE: 'maintenance'
+};
+
+/**
+ * Highest odometer value accepted, matching the vehicle and maintenance models
+ */
+const MAX_ODOMETER = 10000000;
+
+class OdometerReading {
+    /**
+     * Create a new OdometerReading instance
+     * @param {Object} data - Reading data
+     * @param {string} data.id - Unique identifier
+     * @param {string} data.vehicleId - Associated vehicle ID
+     * @param {string} data.date - Date the reading was taken
+     * @param {number} data.mileage - Odometer value
+     * @param {string} data.source - One of ODOMETER_SOURCES
+     * @param {string|null} data.recordId - Maintenance record the reading came from
+     * @param {string} data.note - Optional note
+     */
+    constructor(data = {}) {
+        this.id = data.id || this.generateId();
+        this.vehicleId = data.vehicleId || '';
+        this.date = data.date || new Date().toISOString();
+        this.mileage = data.mileage ?? null;
+        this.source = data.source || ODOMETER_SOURCES.MANUAL;
+        this.recordId = data.recordId || null;
+        this.note = data.note || '';
+        this.createdAt = data.createdAt || new Date().toISOString();
+    }
+
+    /**
+     * Generate a unique ID for the reading
+     * @returns {string} Unique identifier
+     */
+    generateId() {
+        return `reading_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+
+    /**
+     * Validate the vehicle ID
+     * @returns {Object} Validation result
+     */
+    validateVehicleId() {
+        if (!this.vehicleId || typeof this.vehicleId !== 'string' || this.vehicleId.trim() === '') {
+            return {
+                valid: false,
+                field: 'vehicleId',
+                message: 'Vehicle ID is required and must be a non-empty string'
+            };
+        }
+        return { valid: true };
+    }
+
+    /**
+     * Validate the reading date
+     * @returns {Object} Validation result
+     */
+    validateDate() {
+        const date = new Date(this.date);
+        if (isNaN(date.getTime())) {
+            return {
+                valid: false,
+                field: 'date',
+                message: 'Reading date must be a valid date'
+            };
+        }
+
+        if (date > new Date()) {
+            return {
+                valid: false,
+                field: 'date',
+                message: 'Reading date cannot be in the future'
+            };
+        }
+
+        return { valid: true };
+    }
+
+    /**
+     * Validate the odometer value
+     * @returns {Object} Validation result
+     */
+    validateMileage() {
+        if (typeof this.mileage !== 'number' || isNaN(this.mileage)) {
+            return {
+                valid: false,
+                field: 'mileage',
+                message: 'Odometer reading must be a valid number'
+            };
+        }
+
+        if (this.mileage < 0) {
+            return {
+                valid: false,
+                field: 'mileage',
+                message: 'Odometer reading cannot be negative'
+            };
+        }
+
+        if (this.mileage > MAX_ODOMETER) {
+            return {
+                valid: false,
+                field: 'mileage',
+                message: 'Odometer reading exceeds maximum allowed value'
+            };
+        }
+
+        return { valid: true };
+    }
+
+    /**
+     * Validate the reading source
+     * @returns {Object} Validation result
+     */
+    validateSource() {
+        if (!Object.values(ODOMETER_SOURCES).includes(this.source)) {
+            return {
+                valid: false,
+                field: 'source',
+                message: 'Reading source must be manual, vehicle or maintenance'
+            };
+        }
+        return { valid: true };
+    }
+
+    /**
+     * Validate all reading fields
+     * @returns {Object} Validation result with array of errors
+     */
+    validate() {
+        const errors = [
+            this.validateVehicleId(),
+            this.validateDate(),
+            this.validateMileage(),
+            this.validateSource()
+        ].filter(result => !result.valid);
+
+        return {
+            valid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Serialize the reading to a plain object for storage
+     * @returns {Object} Serialized reading data
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            vehicleId: this.vehicleId,
+            date: this.date,
+            mileage: Number(this.mileage),
+            source: this.source,
+            recordId: this.recordId,
+            note: this.note,
+            createdAt: this.createdAt
+        };
+    }
+
+    /**
+     * Deserialize a plain object into an OdometerReading instance
+     * @param {Object} data - Plain object data
+     * @returns {OdometerReading} OdometerReading instance
+     */
+    static fromJSON(data) {
+        if (!data || typeof data !== 'object') {
+            throw new Error('Invalid data provided for OdometerReading deserialization');
+        }
+
+        return new OdometerReading({
+            id: data.id,
+            vehicleId: data.vehicleId,
+            date: data.date,
+            mileage: data.mileage,
+            source: data.source,
+            recordId: data.recordId,
+            note: data.note,
+            createdAt: data.createdAt
+        });
+    }
+}
+
+// Export the OdometerReading class and source values
+export { OdometerReading, ODOMETER_SOURCES };
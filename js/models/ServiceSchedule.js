@@ -0,0 +1,256 @@
+/**
+ * ServiceSchedule Model
+ *
+ * ES6 class representing a recurring service interval for a vehicle
+ * (e.g. Oil Change every 5,000 miles or 6 months) with validation and
+ * serialization/deserialization methods.
+ */
+
+import { SERVICE_TYPES } from './MaintenanceRecord.js';
+
+/**
+ * Recommended intervals used when applying a default schedule to a vehicle
+ */
+const DEFAULT_SERVICE_INTERVALS = {
+    'Oil Change': { intervalMiles: 5000, intervalMonths: 6 },
+    'Tire Rotation': { intervalMiles: 7500, intervalMonths: null },
+    'Brake Service': { intervalMiles: 25000, intervalMonths: 24 },
+    'Engine Tune-up': { intervalMiles: 30000, intervalMonths: 36 },
+    'Transmission Service': { intervalMiles: 60000, intervalMonths: 48 },
+    'Battery Replacement': { intervalMiles: null, intervalMonths: 48 },
+    'Air Filter Replacement': { intervalMiles: 15000, intervalMonths: 12 },
+    'Inspection': { intervalMiles: null, intervalMonths: 12 }
+};
+
+class ServiceSchedule {
+    /**
+     * Create a new ServiceSchedule instance
+     * @param {Object} data - Schedule data
+     * @param {string} data.id - Unique identifier
+     * @param {string} data.vehicleId - Associated vehicle ID
+     * @param {string} data.serviceType - Service type from SERVICE_TYPES
+     * @param {number|null} data.intervalMiles - Miles between services
+     * @param {number|null} data.intervalMonths - Months between services
+     * @param {number} data.baselineMileage - Odometer reading the interval counts from until a service is logged
+     * @param {string} data.baselineDate - Date the interval counts from until a service is logged
+     */
+    constructor(data = {}) {
+        this.id = data.id || this.generateId();
+        this.vehicleId = data.vehicleId || '';
+        this.serviceType = data.serviceType || '';
+        this.intervalMiles = data.intervalMiles ?? null;
+        this.intervalMonths = data.intervalMonths ?? null;
+        this.baselineMileage = data.baselineMileage ?? 0;
+        this.baselineDate = data.baselineDate || new Date().toISOString();
+        this.createdAt = data.createdAt || new Date().toISOString();
+        this.updatedAt = data.updatedAt || new Date().toISOString();
+    }
+
+    /**
+     * Generate a unique ID for the schedule
+     * @returns {string} Unique identifier
+     */
+    generateId() {
+        return `schedule_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+
+    /**
+     * Validate the schedule ID
+     * @returns {Object} Validation result
+     */
+    validateId() {
+        if (!this.id || typeof this.id !== 'string' || this.id.trim() === '') {
+            return {
+                valid: false,
+                field: 'id',
+                message: 'Schedule ID is required and must be a non-empty string'
+            };
+        }
+        return { valid: true };
+    }
+
+    /**
+     * Validate the vehicle ID
+     * @returns {Object} Validation result
+     */
+    validateVehicleId() {
+        if (!this.vehicleId || typeof this.vehicleId !== 'string' || this.vehicleId.trim() === '') {
+            return {
+                valid: false,
+                field: 'vehicleId',
+                message: 'Vehicle ID is required and must be a non-empty string'
+            };
+        }
+        return { valid: true };
+    }
+
+    /**
+     * Validate the service type
+     * @returns {Object} Validation result
+     */
+    validateServiceType() {
+        if (!SERVICE_TYPES.includes(this.serviceType)) {
+            return {
+                valid: false,
+                field: 'serviceType',
+                message: 'Service type must be one of the available service types'
+            };
+        }
+        return { valid: true };
+    }
+
+    /**
+     * Validate the mileage and time intervals
+     * @returns {Object} Validation result
+     */
+    validateIntervals() {
+        const hasMiles = this.intervalMiles !== null && this.intervalMiles !== undefined;
+        const hasMonths = this.intervalMonths !== null && this.intervalMonths !== undefined;
+
+        if (!hasMiles && !hasMonths) {
+            return {
+                valid: false,
+                field: 'intervalMiles',
+                message: 'A mileage or time interval is required'
+            };
+        }
+
+        if (hasMiles) {
+            const miles = Number(this.intervalMiles);
+            if (!Number.isFinite(miles) || miles <= 0 || miles > 1000000) {
+                return {
+                    valid: false,
+                    field: 'intervalMiles',
+                    message: 'Mileage interval must be a positive number up to 1,000,000'
+                };
+            }
+        }
+
+        if (hasMonths) {
+            const months = Number(this.intervalMonths);
+            if (!Number.isInteger(months) || months <= 0 || months > 240) {
+                return {
+                    valid: false,
+                    field: 'intervalMonths',
+                    message: 'Time interval must be a whole number of months between 1 and 240'
+                };
+            }
+        }
+
+        return { valid: true };
+    }
+
+    /**
+     * Validate the baseline mileage and date
+     * @returns {Object} Validation result
+     */
+    validateBaseline() {
+        const mileage = Number(this.baselineMileage);
+        if (!Number.isFinite(mileage) || mileage < 0) {
+            return {
+                valid: false,
+                field: 'baselineMileage',
+                message: 'Baseline mileage must be a non-negative number'
+            };
+        }
+
+        if (!this.baselineDate || isNaN(new Date(this.baselineDate).getTime())) {
+            return {
+                valid: false,
+                field: 'baselineDate',
+                message: 'Baseline date must be a valid date'
+            };
+        }
+
+        return { valid: true };
+    }
+
+    /**
+     * Validate all schedule fields
+     * @returns {Object} Validation result with array of errors
+     */
+    validate() {
+        const errors = [
+            this.validateId(),
+            this.validateVehicleId(),
+            this.validateServiceType(),
+            this.validateIntervals(),
+            this.validateBaseline()
+        ].filter(result => !result.valid);
+
+        return {
+            valid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Serialize the schedule to a plain object for storage
+     * @returns {Object} Serialized schedule data
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            vehicleId: this.vehicleId,
+            serviceType: this.serviceType,
+            intervalMiles: this.intervalMiles === null ? null : Number(this.intervalMiles),
+            intervalMonths: this.intervalMonths === null ? null : Number(this.intervalMonths),
+            baselineMileage: Number(this.baselineMileage),
+            baselineDate: this.baselineDate,
+            createdAt: this.createdAt,
+            updatedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Deserialize a plain object into a ServiceSchedule instance
+     * @param {Object} data - Plain object data
+     * @returns {ServiceSchedule} ServiceSchedule instance
+     */
+    static fromJSON(data) {
+        if (!data || typeof data !== 'object') {
+            throw new Error('Invalid data provided for ServiceSchedule deserialization');
+        }
+
+        return new ServiceSchedule({
+            id: data.id,
+            vehicleId: data.vehicleId,
+            serviceType: data.serviceType,
+            intervalMiles: data.intervalMiles,
+            intervalMonths: data.intervalMonths,
+            baselineMileage: data.baselineMileage,
+            baselineDate: data.baselineDate,
+            createdAt: data.createdAt,
+            updatedAt: data.updatedAt
+        });
+    }
+
+    /**
+     * Get a display string for the interval
+     * @returns {string} Display string, e.g. "every 5,000 miles or 6 months"
+     */
+    describeInterval() {
+        const parts = [];
+
+        if (this.intervalMiles) {
+            parts.push(`${Number(this.intervalMiles).toLocaleString('en-US')} miles`);
+        }
+
+        if (this.intervalMonths) {
+            parts.push(Number(this.intervalMonths) === 1 ? '1 month' : `${this.intervalMonths} months`);
+        }
+
+        return `every ${parts.join(' or ')}`;
+    }
+
+    /**
+     * Get a display string for the schedule
+     * @returns {string} Display string
+     */
+    toString() {
+        return `${this.serviceType} ${this.describeInterval()}`;
+    }
+}
+
+// Export the ServiceSchedule class and default intervals
+export { ServiceSchedule, DEFAULT_SERVICE_INTERVALS };
@@ -14,6 +14,8 @@ class Vehicle {
      * @param {string} data.model - Vehicle model
      * @param {number} data.year - Manufacturing year
      * @param {number} data.mileage - Current mileage
+     * @param {number|null} data.purchasePrice - What the vehicle cost to buy, if known
+     * @param {string|null} data.deletedAt - When the vehicle was moved to the trash, or null
      */
     constructor(data = {}) {
         this.id = data.id || this.generateId();
@@ -21,8 +23,10 @@ class Vehicle {
         this.model = data.model || '';
         this.year = data.year || null;
         this.mileage = data.mileage || 0;
+        this.purchasePrice = data.purchasePrice ?? null;
         this.createdAt = data.createdAt || new Date().toISOString();
         this.updatedAt = data.updatedAt || new Date().toISOString();
+        this.deletedAt = data.deletedAt || null;
     }
 
     /**
@@ -191,6 +195,42 @@ class Vehicle {
         return { valid: true };
     }
 
+    /**
+     * Validate the purchase price, which is optional
+     * @returns {Object} Validation result
+     */
+    validatePurchasePrice() {
+        if (this.purchasePrice === null || this.purchasePrice === undefined) {
+            return { valid: true };
+        }
+
+        if (typeof this.purchasePrice !== 'number' || isNaN(this.purchasePrice)) {
+            return {
+                valid: false,
+                field: 'purchasePrice',
+                message: 'Purchase price must be a valid number'
+            };
+        }
+
+        if (this.purchasePrice < 0) {
+            return {
+                valid: false,
+                field: 'purchasePrice',
+                message: 'Purchase price cannot be negative'
+            };
+        }
+
+        if (this.purchasePrice > 10000000) {
+            return {
+                valid: false,
+                field: 'purchasePrice',
+                message: 'Purchase price exceeds maximum allowed value'
+            };
+        }
+
+        return { valid: true };
+    }
+
     /**
      * Validate all vehicle fields
      * @returns {Object} Validation result with array of errors
@@ -223,12 +263,25 @@ class Vehicle {
             errors.push(mileageValidation);
         }
 
+        const purchasePriceValidation = this.validatePurchasePrice();
+        if (!purchasePriceValidation.valid) {
+            errors.push(purchasePriceValidation);
+        }
+
         return {
             valid: errors.length === 0,
             errors
         };
     }
 
+    /**
+     * Check whether the vehicle is in the trash
+     * @returns {boolean} True if soft-deleted
+     */
+    isDeleted() {
+        return Boolean(this.deletedAt);
+    }
+
     /**
      * Serialize the vehicle to a plain object for storage
      * @returns {Object} Serialized vehicle data
@@ -240,8 +293,10 @@ class Vehicle {
             model: this.model,
             year: this.year,
             mileage: this.mileage,
+            purchasePrice: this.purchasePrice,
             createdAt: this.createdAt,
-            updatedAt: new Date().toISOString()
+            updatedAt: new Date().toISOString(),
+            deletedAt: this.deletedAt
         };
     }
 
@@ -261,8 +316,10 @@ class Vehicle {
             model: data.model,
             year: data.year,
             mileage: data.mileage,
+            purchasePrice: data.purchasePrice,
             createdAt: data.createdAt,
-            updatedAt: data.updatedAt
+            updatedAt: data.updatedAt,
+            deletedAt: data.deletedAt
         });
     }
 
@@ -284,7 +341,8 @@ class Vehicle {
             make: this.make,
             model: this.model,
             year: this.year,
-            mileage: this.mileage
+            mileage: this.mileage,
+            purchasePrice: this.purchasePrice
         };
 
         try {
@@ -301,6 +359,9 @@ class Vehicle {
             if (updates.mileage !== undefined) {
                 this.mileage = updates.mileage;
             }
+            if (updates.purchasePrice !== undefined) {
+                this.purchasePrice = updates.purchasePrice;
+            }
 
             // Validate updated vehicle
             const validation = this.validate();
@@ -310,6 +371,7 @@ class Vehicle {
                 this.model = originalValues.model;
                 this.year = originalValues.year;
                 this.mileage = originalValues.mileage;
+                this.purchasePrice = originalValues.purchasePrice;
 
                 return {
                     success: false,
@@ -331,6 +393,7 @@ class Vehicle {
             this.model = originalValues.model;
             this.year = originalValues.year;
             this.mileage = originalValues.mileage;
+            this.purchasePrice = originalValues.purchasePrice;
 
             return {
                 success: false,
@@ -0,0 +1,306 @@
+/**
+ * Audit Service
+ *
+ * Keeps a permanent, field-level log of changes to vehicles and maintenance
+ * records: what was created, edited, deleted or restored, each field's old
+ * and new value, when, and where the change came from (a form, an import, a
+ * migration, undo and so on). Unlike undo history, the log is stored with the
+ * data and kept across sessions, so it can show when a cost or date was edited.
+ * Imports and restores, which change many entities at once, are logged as a
+ * single summary entry, and only the most recent entries are kept.
+ */
+
+import { storageService } from './storageService.js';
+
+/**
+ * Storage key for the audit log
+ */
+const AUDIT_LOG_KEY = 'autocare_audit_log';
+
+/**
+ * Most entries the audit log keeps; the oldest are dropped beyond this
+ */
+const MAX_AUDIT_ENTRIES = 1000;
+
+/**
+ * Entity types by the storage key of their collection. These are fixed here
+ * rather than taken from dataManager, which imports this service.
+ */
+const AUDITED_COLLECTIONS = {
+    autocare_vehicles: 'vehicle',
+    autocare_maintenance_records: 'maintenanceRecord'
+};
+
+/**
+ * Where a change came from
+ */
+const AUDIT_SOURCES = {
+    USER: 'user',
+    FORM: 'form',
+    IMPORT: 'import',
+    RESTORE: 'restore',
+    MIGRATION: 'migration',
+    UNDO: 'undo',
+    REDO: 'redo',
+    SYSTEM: 'system',
+    SYNC: 'sync'
+};
+
+/**
+ * What happened to an entity
+ */
+const AUDIT_ACTIONS = {
+    CREATE: 'create',
+    UPDATE: 'update',
+    DELETE: 'delete',
+    RESTORE: 'restore',
+    PURGE: 'purge',
+    BULK: 'bulk',
+    CLEAR: 'clear'
+};
+
+/**
+ * Sources whose changes are logged as one summary entry rather than one per entity
+ */
+const SUMMARIZED_SOURCES = [AUDIT_SOURCES.IMPORT, AUDIT_SOURCES.RESTORE];
+
+/**
+ * Bookkeeping fields left out of field-level changes
+ */
+const IGNORED_FIELDS = ['id', 'createdAt', 'updatedAt', 'deletedAt', 'deletedWithVehicle'];
+
+/**
+ * Audit Service class
+ */
+class AuditService {
+    /**
+     * Record the changes found by comparing collections before and after a mutation
+     * @param {Object} changes - Storage key to an array of { id, before, after }
+     * @param {string} source - One of AUDIT_SOURCES
+     * @returns {number} Number of entries recorded
+     */
+    recordChanges(changes, source) {
+        if (SUMMARIZED_SOURCES.includes(source)) {
+            return this.recordSummary(changes, source);
+        }
+
+        const timestamp = new Date().toISOString();
+        const entries = this.buildEntries(changes, source, timestamp);
+
+        return this.appendEntries(entries);
+    }
+
+    /**
+     * Record a change to many entities as one entry counting what happened to them
+     * @param {Object} changes - Storage key to an array of { id, before, after }
+     * @param {string} source - One of AUDIT_SOURCES
+     * @param {string} action - One of AUDIT_ACTIONS describing the change as a whole
+     * @returns {number} Number of entries recorded: 1, or 0 if nothing audited changed
+     */
+    recordSummary(changes, source, action = AUDIT_ACTIONS.BULK) {
+        const timestamp = new Date().toISOString();
+        const entries = this.buildEntries(changes, source, timestamp);
+
+        if (entries.length === 0) {
+            return 0;
+        }
+
+        // e.g. { create: { vehicle: 2, maintenanceRecord: 14 } }
+        const counts = {};
+        entries.forEach(entry => {
+            counts[entry.action] = counts[entry.action] || {};
+            counts[entry.action][entry.entityType] = (counts[entry.action][entry.entityType] || 0) + 1;
+        });
+
+        return this.appendEntries([{
+            id: `audit_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            entityType: null,
+            entityId: null,
+            vehicleId: null,
+            // Lets each vehicle's history show the summary without listing every record
+            vehicleIds: [...new Set(entries.map(entry => entry.vehicleId).filter(Boolean))],
+            action,
+            source,
+            timestamp,
+            counts,
+            changes: []
+        }]);
+    }
+
+    /**
+     * Describe each audited entity's change as an audit entry
+     * @param {Object} changes - Storage key to an array of { id, before, after }
+     * @param {string} source - One of AUDIT_SOURCES
+     * @param {string} timestamp - When the change was made
+     * @returns {Array} Audit entries
+     */
+    buildEntries(changes, source, timestamp) {
+        const entries = [];
+
+        Object.entries(changes).forEach(([key, keyChanges]) => {
+            const entityType = AUDITED_COLLECTIONS[key];
+            if (!entityType) {
+                return;
+            }
+
+            keyChanges.forEach(change => {
+                const entry = this.buildEntry(entityType, change, source, timestamp);
+                if (entry) {
+                    entries.push(entry);
+                }
+            });
+        });
+
+        return entries;
+    }
+
+    /**
+     * Add entries to the log, dropping the oldest beyond MAX_AUDIT_ENTRIES
+     * @param {Array} entries - Audit entries, oldest first
+     * @returns {number} Number of entries recorded
+     */
+    appendEntries(entries) {
+        if (entries.length === 0) {
+            return 0;
+        }
+
+        try {
+            const log = [...this.getLog(), ...entries].slice(-MAX_AUDIT_ENTRIES);
+            storageService.set(AUDIT_LOG_KEY, log);
+            return entries.length;
+        } catch (error) {
+            // The change itself is already saved; a missing log entry must not undo it
+            console.error('Error recording change history:', error.message);
+            return 0;
+        }
+    }
+
+    /**
+     * Describe one entity's change as an audit entry
+     * @param {string} entityType - 'vehicle' or 'maintenanceRecord'
+     * @param {Object} change - { id, before, after }
+     * @param {string} source - One of AUDIT_SOURCES
+     * @param {string} timestamp - When the change was made
+     * @returns {Object|null} Audit entry, or null if only bookkeeping fields changed
+     */
+    buildEntry(entityType, { id, before, after }, source, timestamp) {
+        let action;
+        if (!before) {
+            action = AUDIT_ACTIONS.CREATE;
+        } else if (!after) {
+            action = AUDIT_ACTIONS.PURGE;
+        } else if (!before.deletedAt && after.deletedAt) {
+            action = AUDIT_ACTIONS.DELETE;
+        } else if (before.deletedAt && !after.deletedAt) {
+            action = AUDIT_ACTIONS.RESTORE;
+        } else {
+            action = AUDIT_ACTIONS.UPDATE;
+        }
+
+        const fields = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])]
+            .filter(field => !IGNORED_FIELDS.includes(field));
+
+        const fieldChanges = fields
+            .map(field => ({
+                field,
+                oldValue: before && before[field] !== undefined ? before[field] : null,
+                newValue: after && after[field] !== undefined ? after[field] : null
+            }))
+            .filter(fieldChange => JSON.stringify(fieldChange.oldValue) !== JSON.stringify(fieldChange.newValue));
+
+        if (action === AUDIT_ACTIONS.UPDATE && fieldChanges.length === 0) {
+            return null;
+        }
+
+        const entity = after || before;
+
+        return {
+            id: `audit_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            entityType,
+            entityId: id,
+            vehicleId: entityType === 'vehicle' ? id : entity.vehicleId,
+            action,
+            source,
+            timestamp,
+            // Deletes, restores and purges keep the fields unchanged; only what happened matters
+            changes: action === AUDIT_ACTIONS.UPDATE || action === AUDIT_ACTIONS.CREATE ? fieldChanges : []
+        };
+    }
+
+    /**
+     * Get the whole audit log, oldest first
+     * @returns {Array} Audit entries
+     */
+    getLog() {
+        const log = storageService.get(AUDIT_LOG_KEY, []);
+        return Array.isArray(log) ? log : [];
+    }
+
+    /**
+     * Get the history of one vehicle or maintenance record, newest first
+     * @param {string} entityType - 'vehicle' or 'maintenanceRecord'
+     * @param {string} entityId - Entity ID
+     * @returns {Array} Audit entries
+     */
+    getEntityHistory(entityType, entityId) {
+        return this.getLog()
+            .filter(entry => (entry.entityType === entityType && entry.entityId === entityId) ||
+                (entityType === 'vehicle' && this.coversVehicle(entry, entityId)))
+            .reverse();
+    }
+
+    /**
+     * Get the history of a vehicle and all of its maintenance records, newest first
+     * @param {string} vehicleId - Vehicle ID
+     * @returns {Array} Audit entries
+     */
+    getVehicleHistory(vehicleId) {
+        return this.getLog()
+            .filter(entry => entry.vehicleId === vehicleId || this.coversVehicle(entry, vehicleId))
+            .reverse();
+    }
+
+    /**
+     * Check if a summary entry includes changes to a vehicle or its records
+     * @param {Object} entry - Audit entry
+     * @param {string} vehicleId - Vehicle ID
+     * @returns {boolean} True for summary entries covering the vehicle
+     */
+    coversVehicle(entry, vehicleId) {
+        return Array.isArray(entry.vehicleIds) && entry.vehicleIds.includes(vehicleId);
+    }
+
+    /**
+     * Estimate how much space the audit log uses
+     * @returns {number} Size in bytes
+     */
+    getTotalSize() {
+        const log = this.getLog();
+        return log.length > 0 ? JSON.stringify(log).length * 2 : 0;
+    }
+
+    /**
+     * Delete the whole audit log
+     * @returns {Object} Result object
+     */
+    clear() {
+        const count = this.getLog().length;
+
+        try {
+            return storageService.set(AUDIT_LOG_KEY, [])
+                ? { success: true, message: `Removed ${count} change history ${count === 1 ? 'entry' : 'entries'}`, count }
+                : { success: false, message: 'Failed to save changes to storage' };
+        } catch (error) {
+            console.error('Error clearing change history:', error.message);
+            return {
+                success: false,
+                message: `Error clearing change history: ${error.message}`
+            };
+        }
+    }
+}
+
+// Create and export singleton instance
+const auditService = new AuditService();
+
+export { auditService, AuditService, AUDIT_SOURCES, AUDIT_ACTIONS, AUDIT_LOG_KEY };
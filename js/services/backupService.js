@@ -0,0 +1,399 @@
+/**
+ * Backup Service
+ *
+ * Creates versioned JSON backup files of all app data and restores them.
+ * Each backup carries the storage schema version it was made with and a
+ * checksum of its data, so a restore can reject damaged files and files made
+ * by a newer version of the app, and bring older backups up to date with the
+ * same migrations that run on stored data.
+ */
+
+import { dataManager, STORAGE_KEYS, IMPORT_POLICIES } from './dataManager.js';
+import { storageService, StorageQuotaError } from './storageService.js';
+import { AUDIT_SOURCES } from './auditService.js';
+import { CURRENT_SCHEMA_VERSION, compareVersions, runMigrations } from './migrations.js';
+import { downloadFile, datedFilename } from '../utils/fileUtils.js';
+
+/**
+ * Identifies AutoCare backup files
+ */
+const BACKUP_FORMAT = 'autocare-backup';
+
+/**
+ * Version of the backup file layout, separate from the data schema version
+ */
+const BACKUP_FORMAT_VERSION = 1;
+
+/**
+ * Storage key for how many days may pass before the user is reminded to back up
+ */
+const REMINDER_DAYS_KEY = 'autocare_backup_reminder_days';
+
+/**
+ * Default backup reminder age in days
+ */
+const DEFAULT_REMINDER_DAYS = 30;
+
+/**
+ * Milliseconds in one day
+ */
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Backup collections and the storage keys migrations know them by
+ */
+const BACKUP_COLLECTIONS = {
+    vehicles: STORAGE_KEYS.VEHICLES,
+    maintenanceRecords: STORAGE_KEYS.MAINTENANCE_RECORDS,
+    odometerReadings: STORAGE_KEYS.ODOMETER_READINGS,
+    serviceSchedules: STORAGE_KEYS.SERVICE_SCHEDULES,
+    expenses: STORAGE_KEYS.EXPENSES
+};
+
+/**
+ * Compute a checksum of a string (32-bit FNV-1a, as 8 hex digits).
+ * This detects damaged or hand-edited files; it is not a security measure.
+ * @param {string} text - Text to checksum
+ * @returns {string} Checksum
+ */
+function computeChecksum(text) {
+    let hash = 0x811c9dc5;
+
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Backup Service class
+ */
+class BackupService {
+    /**
+     * Build a backup of all data
+     * @returns {Object|null} Backup object, or null if data could not be read
+     */
+    createBackup() {
+        const exported = dataManager.exportAllData();
+        if (!exported) {
+            return null;
+        }
+
+        const data = {};
+        Object.keys(BACKUP_COLLECTIONS).forEach(name => {
+            data[name] = Array.isArray(exported[name]) ? exported[name] : [];
+        });
+
+        return {
+            format: BACKUP_FORMAT,
+            formatVersion: BACKUP_FORMAT_VERSION,
+            schemaVersion: storageService.getVersion(),
+            createdAt: exported.exportDate,
+            checksum: computeChecksum(JSON.stringify(data)),
+            data
+        };
+    }
+
+    /**
+     * Download a backup file and remember when it was made
+     * @returns {Object} Result object; recorded is false if the file was
+     *     downloaded but its details could not be saved
+     */
+    downloadBackup() {
+        let backup;
+        try {
+            backup = this.createBackup();
+            if (!backup) {
+                return {
+                    success: false,
+                    message: 'Unable to read your data for the backup'
+                };
+            }
+
+            downloadFile(datedFilename('autocare-backup', 'json'), JSON.stringify(backup, null, 2));
+        } catch (error) {
+            console.error('Error creating backup:', error.message);
+            return {
+                success: false,
+                message: `Error creating backup: ${error.message}`
+            };
+        }
+
+        const saved = this.saveLastBackup(backup);
+
+        window.dispatchEvent(new CustomEvent('backup:created', {
+            detail: { createdAt: backup.createdAt, checksum: backup.checksum }
+        }));
+
+        return {
+            success: true,
+            message: saved.success
+                ? 'Backup downloaded'
+                : `Backup downloaded, but the backup reminder could not be updated: ${saved.message}`,
+            recorded: saved.success,
+            data: backup
+        };
+    }
+
+    /**
+     * Remember when the last backup was made and what it held
+     * @param {Object} backup - Backup object from createBackup()
+     * @returns {Object} Result object
+     */
+    saveLastBackup(backup) {
+        const counts = Object.fromEntries(Object.entries(backup.data).map(([name, entries]) => [name, entries.length]));
+
+        try {
+            return storageService.set(STORAGE_KEYS.LAST_BACKUP, {
+                date: backup.createdAt,
+                schemaVersion: backup.schemaVersion,
+                checksum: backup.checksum,
+                counts
+            })
+                ? { success: true, message: 'Backup recorded' }
+                : { success: false, message: 'Failed to save changes to storage' };
+        } catch (error) {
+            return this.writeFailure(error, 'Error recording backup');
+        }
+    }
+
+    /**
+     * Get details of the last downloaded backup
+     * @returns {Object|null} Date, schema version, checksum and counts, or null if never backed up
+     */
+    getLastBackup() {
+        const lastBackup = storageService.get(STORAGE_KEYS.LAST_BACKUP, null);
+        return lastBackup && typeof lastBackup === 'object' && lastBackup.date ? lastBackup : null;
+    }
+
+    /**
+     * Get how many days may pass before the user is reminded to back up
+     * @returns {number} Days, or 0 if reminders are off
+     */
+    getReminderDays() {
+        const days = Number(storageService.get(REMINDER_DAYS_KEY, DEFAULT_REMINDER_DAYS));
+        return Number.isFinite(days) && days >= 0 ? days : DEFAULT_REMINDER_DAYS;
+    }
+
+    /**
+     * Set how many days may pass before the user is reminded to back up
+     * @param {number} days - Days, or 0 to turn reminders off
+     * @returns {Object} Result object
+     */
+    setReminderDays(days) {
+        const value = Number(days);
+        if (!Number.isInteger(value) || value < 0 || value > 365) {
+            return {
+                success: false,
+                message: 'Reminder age must be between 0 and 365 days'
+            };
+        }
+
+        try {
+            return storageService.set(REMINDER_DAYS_KEY, value)
+                ? { success: true, message: value === 0 ? 'Backup reminders turned off' : `Reminding after ${value} days` }
+                : { success: false, message: 'Failed to save changes to storage' };
+        } catch (error) {
+            return this.writeFailure(error, 'Error saving backup reminder');
+        }
+    }
+
+    /**
+     * Turn an error thrown by a storage write into a failed result
+     * @param {Error} error - Thrown error
+     * @param {string} context - What was being saved, for the message
+     * @returns {Object} Result object, with quotaExceeded set if storage is full
+     */
+    writeFailure(error, context) {
+        if (error instanceof StorageQuotaError) {
+            return {
+                success: false,
+                message: error.message,
+                quotaExceeded: true
+            };
+        }
+
+        console.error(`${context}:`, error.message);
+        return {
+            success: false,
+            message: `${context}: ${error.message}`
+        };
+    }
+
+    /**
+     * Check whether the user should be reminded to back up
+     * @param {Date} now - Current time (default: now)
+     * @returns {boolean} True if there is data and the last backup is too old or missing
+     */
+    isBackupOverdue(now = new Date()) {
+        const reminderDays = this.getReminderDays();
+        if (reminderDays === 0 || dataManager.getAllVehicles().length === 0) {
+            return false;
+        }
+
+        const lastBackup = this.getLastBackup();
+        if (!lastBackup) {
+            return true;
+        }
+
+        return now.getTime() - new Date(lastBackup.date).getTime() > reminderDays * MS_PER_DAY;
+    }
+
+    /**
+     * Read and check a backup file, migrating older backups to the current schema
+     * @param {string} text - File contents
+     * @returns {Object} Result object whose data holds the backup data, its details and any warnings
+     */
+    parseBackup(text) {
+        let backup;
+        try {
+            backup = JSON.parse(text);
+        } catch (error) {
+            return {
+                success: false,
+                message: 'This file is not a valid JSON backup'
+            };
+        }
+
+        if (!backup || typeof backup !== 'object') {
+            return {
+                success: false,
+                message: 'This file is not an AutoCare backup'
+            };
+        }
+
+        const warnings = [];
+        let data;
+        let schemaVersion;
+
+        if (backup.format === BACKUP_FORMAT) {
+            if (!Number.isInteger(backup.formatVersion) || backup.formatVersion > BACKUP_FORMAT_VERSION) {
+                return {
+                    success: false,
+                    message: 'This backup was made by a newer version of AutoCare. Update the app to restore it.'
+                };
+            }
+
+            if (!backup.data || typeof backup.data !== 'object') {
+                return {
+                    success: false,
+                    message: 'This backup has no data'
+                };
+            }
+
+            if (computeChecksum(JSON.stringify(backup.data)) !== backup.checksum) {
+                return {
+                    success: false,
+                    message: 'This backup is damaged or was edited: its checksum does not match'
+                };
+            }
+
+            data = backup.data;
+            schemaVersion = backup.schemaVersion;
+        } else if (Array.isArray(backup.vehicles)) {
+            // Plain exportAllData() output from before backup files existed
+            data = backup;
+            schemaVersion = backup.version;
+            warnings.push('This file has no checksum, so it could not be checked for damage.');
+        } else {
+            return {
+                success: false,
+                message: 'This file is not an AutoCare backup'
+            };
+        }
+
+        if (typeof schemaVersion !== 'string' || !/^\d+(\.\d+)*$/.test(schemaVersion)) {
+            return {
+                success: false,
+                message: 'This backup does not say which data version it uses'
+            };
+        }
+
+        if (compareVersions(schemaVersion, CURRENT_SCHEMA_VERSION) > 0) {
+            return {
+                success: false,
+                message: `This backup uses data version ${schemaVersion}, which is newer than this app supports (${CURRENT_SCHEMA_VERSION}). Update the app to restore it.`
+            };
+        }
+
+        try {
+            const migrated = this.migrateBackupData(data, schemaVersion);
+            if (migrated.applied.length > 0) {
+                warnings.push(`Upgraded from data version ${schemaVersion} to ${CURRENT_SCHEMA_VERSION}.`);
+            }
+
+            return {
+                success: true,
+                message: 'Backup is ready to restore',
+                data: {
+                    data: migrated.data,
+                    createdAt: backup.createdAt || backup.exportDate || null,
+                    schemaVersion,
+                    warnings
+                }
+            };
+        } catch (error) {
+            console.error('Error upgrading backup:', error.message);
+            return {
+                success: false,
+                message: `This backup could not be upgraded: ${error.message}`
+            };
+        }
+    }
+
+    /**
+     * Run storage migrations over backup data
+     * @param {Object} data - Backup collections by name
+     * @param {string} schemaVersion - Version the backup was made with
+     * @returns {Object} Migrated collections by name, and the steps applied
+     */
+    migrateBackupData(data, schemaVersion) {
+        const byKey = {};
+        Object.entries(BACKUP_COLLECTIONS).forEach(([name, key]) => {
+            if (Array.isArray(data[name])) {
+                byKey[key] = data[name];
+            }
+        });
+
+        const { data: migrated, applied } = runMigrations(byKey, schemaVersion, CURRENT_SCHEMA_VERSION);
+
+        const result = {};
+        Object.entries(BACKUP_COLLECTIONS).forEach(([name, key]) => {
+            if (Array.isArray(migrated[key])) {
+                result[name] = migrated[key];
+            }
+        });
+
+        return { data: result, applied };
+    }
+
+    /**
+     * Show what restoring a backup would change, without saving anything
+     * @param {Object} data - Backup data from parseBackup()
+     * @param {Object} options - Restore options
+     * @param {boolean} options.replace - Replace all current data instead of merging
+     * @param {string} options.policy - One of IMPORT_POLICIES when merging
+     * @returns {Object} Result object from importAllData with the report
+     */
+    previewRestore(data, { replace = false, policy = IMPORT_POLICIES.NEWEST } = {}) {
+        return dataManager.importAllData(data, { clearFirst: replace, policy, dryRun: true });
+    }
+
+    /**
+     * Restore a backup
+     * @param {Object} data - Backup data from parseBackup()
+     * @param {Object} options - Same options as previewRestore(), plus allowWithoutSnapshot
+     *     to restore even if no snapshot of the current data can be taken first
+     * @returns {Object} Result object from importAllData with the report
+     */
+    restoreBackup(data, { replace = false, policy = IMPORT_POLICIES.NEWEST, allowWithoutSnapshot = false } = {}) {
+        return dataManager.importAllData(data, { clearFirst: replace, policy, source: AUDIT_SOURCES.RESTORE, allowWithoutSnapshot });
+    }
+}
+
+// Create and export singleton instance
+const backupService = new BackupService();
+
+export { backupService, BackupService, BACKUP_FORMAT, BACKUP_FORMAT_VERSION };
@@ -0,0 +1,415 @@
+/**
+ * CSV Service
+ *
+ * Exports maintenance history and vehicles as CSV for spreadsheets and
+ * accountants, and turns a CSV file of maintenance history into data for
+ * dataManager.importAllData(), so an import can be previewed as a dry run
+ * before it is saved.
+ */
+
+import { dataManager, IMPORT_POLICIES } from './dataManager.js';
+import { Vehicle } from '../models/Vehicle.js';
+import { MaintenanceRecord, SERVICE_TYPES } from '../models/MaintenanceRecord.js';
+import { formatCurrencyValue, roundToCent } from '../utils/currencyFormatter.js';
+import {
+    toCSV,
+    parseCSV,
+    detectDelimiter,
+    detectDateFormat,
+    detectDecimalSeparator,
+    formatDecimal,
+    parseDecimal,
+    parseDateValue,
+    DATE_FORMATS
+} from '../utils/csvUtils.js';
+
+/**
+ * Columns of the maintenance export, which are also the fields the import can map
+ */
+const MAINTENANCE_FIELDS = [
+    { field: 'id', label: 'Record ID', aliases: ['id', 'record id'] },
+    { field: 'vehicleId', label: 'Vehicle ID', aliases: ['vehicle id', 'vehicleid'] },
+    { field: 'year', label: 'Year', aliases: ['year', 'model year'] },
+    { field: 'make', label: 'Make', aliases: ['make', 'manufacturer', 'brand'] },
+    { field: 'model', label: 'Model', aliases: ['model'] },
+    { field: 'date', label: 'Date', required: true, aliases: ['date', 'service date'] },
+    { field: 'serviceType', label: 'Service Type', required: true, aliases: ['service type', 'service', 'type'] },
+    { field: 'description', label: 'Description', aliases: ['description', 'notes', 'details'] },
+    { field: 'cost', label: 'Cost', required: true, aliases: ['cost', 'amount', 'price', 'total'] },
+    { field: 'odometer', label: 'Odometer', aliases: ['odometer', 'mileage', 'miles'] }
+];
+
+/**
+ * Columns of the vehicle export
+ */
+const VEHICLE_FIELDS = [
+    { field: 'id', label: 'Vehicle ID' },
+    { field: 'year', label: 'Year' },
+    { field: 'make', label: 'Make' },
+    { field: 'model', label: 'Model' },
+    { field: 'mileage', label: 'Mileage' }
+];
+
+/**
+ * Number of rows sampled when detecting formats
+ */
+const DETECTION_SAMPLE_SIZE = 50;
+
+/**
+ * Normalize a header or name for loose comparison
+ * @param {*} value - Text
+ * @returns {string} Lowercased text with collapsed whitespace
+ */
+function normalize(value) {
+    return String(value ?? '').trim().toLowerCase().replace(/[\s_]+/g, ' ');
+}
+
+/**
+ * CSV Service class
+ */
+class CsvService {
+    /**
+     * Build a maintenance history CSV
+     * @param {Array|null} records - Records to export (default: all records)
+     * @param {Object} options - Export options
+     * @param {string} options.decimalSeparator - '.' or ',' for costs
+     * @returns {string} CSV text
+     */
+    exportMaintenanceCSV(records = null, { decimalSeparator = '.' } = {}) {
+        const vehicles = new Map(dataManager.getAllVehicles().map(vehicle => [vehicle.id, vehicle]));
+        const source = Array.isArray(records) ? records : dataManager.getAllMaintenanceRecords();
+
+        const rows = [...source]
+            .sort((a, b) => new Date(a.date) - new Date(b.date))
+            .map(record => {
+                const vehicle = vehicles.get(record.vehicleId) || {};
+                return [
+                    record.id,
+                    record.vehicleId,
+                    vehicle.year ?? '',
+                    vehicle.make ?? '',
+                    vehicle.model ?? '',
+                    String(record.date || '').split('T')[0],
+                    record.serviceType,
+                    record.description,
+                    formatDecimal(formatCurrencyValue(record.cost), decimalSeparator),
+                    typeof record.odometer === 'number' ? record.odometer : ''
+                ];
+            });
+
+        return toCSV([MAINTENANCE_FIELDS.map(column => column.label), ...rows], this.getDelimiter(decimalSeparator));
+    }
+
+    /**
+     * Build a vehicles CSV
+     * @param {Object} options - Export options
+     * @param {string} options.decimalSeparator - Decimal separator in use, which picks the delimiter
+     * @returns {string} CSV text
+     */
+    exportVehiclesCSV({ decimalSeparator = '.' } = {}) {
+        const rows = dataManager.getAllVehicles().map(vehicle => VEHICLE_FIELDS.map(column => vehicle[column.field] ?? ''));
+        return toCSV([VEHICLE_FIELDS.map(column => column.label), ...rows], this.getDelimiter(decimalSeparator));
+    }
+
+    /**
+     * Spreadsheets that use a decimal comma expect semicolon-separated files
+     * @param {string} decimalSeparator - '.' or ','
+     * @returns {string} Delimiter
+     */
+    getDelimiter(decimalSeparator) {
+        return decimalSeparator === ',' ? ';' : ',';
+    }
+
+    /**
+     * Read a CSV file and guess how to import it
+     * @param {string} text - CSV text
+     * @returns {Object} Result object whose data holds headers, rows, and the guessed mapping and formats
+     */
+    analyzeCSV(text) {
+        try {
+            const delimiter = detectDelimiter(String(text || '').replace(/^\uFEFF/, ''));
+            const [headers = [], ...rows] = parseCSV(text, delimiter);
+
+            if (headers.length === 0 || rows.length === 0) {
+                return {
+                    success: false,
+                    message: 'The file has no rows to import'
+                };
+            }
+
+            const mapping = this.guessMapping(headers);
+            const sample = column => (column === null ? [] : rows.slice(0, DETECTION_SAMPLE_SIZE).map(row => row[column]));
+
+            return {
+                success: true,
+                message: `Read ${rows.length} row${rows.length === 1 ? '' : 's'}`,
+                data: {
+                    headers,
+                    rows,
+                    delimiter,
+                    mapping,
+                    dateFormat: detectDateFormat(sample(mapping.date)) || DATE_FORMATS.ISO,
+                    decimalSeparator: detectDecimalSeparator([...sample(mapping.cost), ...sample(mapping.odometer)])
+                }
+            };
+        } catch (error) {
+            console.error('Error reading CSV:', error.message);
+            return {
+                success: false,
+                message: `Error reading CSV: ${error.message}`
+            };
+        }
+    }
+
+    /**
+     * Match CSV headers to record fields by name
+     * @param {string[]} headers - Header row
+     * @returns {Object} Field name to column index, or null when unmapped
+     */
+    guessMapping(headers) {
+        const normalized = headers.map(normalize);
+        const used = new Set();
+        const mapping = {};
+
+        MAINTENANCE_FIELDS.forEach(({ field, label, aliases }) => {
+            const candidates = [normalize(label), ...aliases];
+            const index = normalized.findIndex((header, i) => !used.has(i) && candidates.includes(header));
+            mapping[field] = index === -1 ? null : index;
+
+            if (index !== -1) {
+                used.add(index);
+            }
+        });
+
+        return mapping;
+    }
+
+    /**
+     * Convert CSV rows into vehicles and maintenance records ready for importAllData()
+     * @param {Object} analysis - Data returned by analyzeCSV()
+     * @param {Object} options - Import options
+     * @param {Object} options.mapping - Field name to column index
+     * @param {string} options.dateFormat - One of DATE_FORMATS
+     * @param {string} options.decimalSeparator - '.' or ','
+     * @param {string|null} options.vehicleId - Assign every row to this vehicle instead of matching
+     * @returns {Object} Import data, the CSV line of each record, and rows that could not be read
+     */
+    buildImportData(analysis, { mapping, dateFormat, decimalSeparator, vehicleId = null }) {
+        const existingVehicles = dataManager.getAllVehicles();
+        const existingRecords = dataManager.getAllMaintenanceRecords();
+        const newVehicles = [];
+        const maintenanceRecords = [];
+        const recordLines = [];
+        const rowErrors = [];
+
+        const cell = (row, field) => {
+            const column = mapping[field];
+            return column === null || column === undefined ? '' : String(row[column] ?? '').trim();
+        };
+
+        analysis.rows.forEach((row, index) => {
+            // Line 1 is the header
+            const line = index + 2;
+            const reject = reason => rowErrors.push({ line, reason });
+
+            const date = parseDateValue(cell(row, 'date'), dateFormat);
+            if (!date) {
+                reject(`Date "${cell(row, 'date')}" is not in ${dateFormat} format`);
+                return;
+            }
+
+            const cost = parseDecimal(cell(row, 'cost'), decimalSeparator);
+            if (cost === null) {
+                reject(`Cost "${cell(row, 'cost')}" is not a number`);
+                return;
+            }
+
+            const odometerText = cell(row, 'odometer');
+            const odometer = odometerText === '' ? null : parseDecimal(odometerText, decimalSeparator);
+            if (odometerText !== '' && odometer === null) {
+                reject(`Odometer "${odometerText}" is not a number`);
+                return;
+            }
+
+            const vehicle = vehicleId
+                ? { id: vehicleId }
+                : this.resolveVehicle(row, cell, existingVehicles, newVehicles, odometer);
+            if (vehicle.error) {
+                reject(vehicle.error);
+                return;
+            }
+
+            const serviceTypeText = cell(row, 'serviceType');
+            const serviceType = SERVICE_TYPES.find(type => normalize(type) === normalize(serviceTypeText)) || serviceTypeText;
+
+            const record = {
+                vehicleId: vehicle.id,
+                date,
+                serviceType,
+                description: mapping.description === null || mapping.description === undefined
+                    ? ''
+                    : String(row[mapping.description] ?? ''),
+                cost: roundToCent(cost),
+                odometer: odometer === null ? null : Math.round(odometer)
+            };
+
+            record.id = cell(row, 'id') || this.findMatchingRecordId(record, existingRecords) || new MaintenanceRecord().generateId();
+
+            maintenanceRecords.push(record);
+            recordLines.push(line);
+        });
+
+        return {
+            data: {
+                vehicles: newVehicles,
+                maintenanceRecords
+            },
+            recordLines,
+            rowErrors
+        };
+    }
+
+    /**
+     * Find the vehicle a CSV row belongs to, creating one if it isn't known yet
+     * @param {Array} row - CSV row
+     * @param {Function} cell - Reads a mapped field from a row
+     * @param {Array} existingVehicles - Vehicles already saved
+     * @param {Array} newVehicles - Vehicles created by this import so far; appended to
+     * @param {number|null} odometer - Row odometer, used as the new vehicle's mileage
+     * @returns {Object} Vehicle with an id, or an object with an error message
+     */
+    resolveVehicle(row, cell, existingVehicles, newVehicles, odometer) {
+        const known = [...existingVehicles, ...newVehicles];
+        const id = cell(row, 'vehicleId');
+        const year = parseInt(cell(row, 'year'), 10) || null;
+        const make = cell(row, 'make');
+        const model = cell(row, 'model');
+
+        const byId = id && known.find(vehicle => vehicle.id === id);
+        if (byId) {
+            this.raiseMileage(byId, odometer, newVehicles);
+            return byId;
+        }
+
+        const byName = make && model && known.find(vehicle =>
+            normalize(vehicle.make) === normalize(make) &&
+            normalize(vehicle.model) === normalize(model) &&
+            (!year || Number(vehicle.year) === year)
+        );
+        if (byName) {
+            this.raiseMileage(byName, odometer, newVehicles);
+            return byName;
+        }
+
+        if (!make || !model || !year) {
+            return { error: id ? `Vehicle ${id} does not exist` : 'Row needs a vehicle year, make and model' };
+        }
+
+        const vehicle = new Vehicle({ id: id || undefined, year, make, model, mileage: odometer ?? 0 });
+        const validation = vehicle.validate();
+        if (!validation.valid) {
+            return { error: validation.errors.map(error => error.message).join('; ') };
+        }
+
+        const vehicleData = vehicle.toJSON();
+        newVehicles.push(vehicleData);
+        return vehicleData;
+    }
+
+    /**
+     * Keep a vehicle created by this import at its highest imported odometer reading
+     * @param {Object} vehicle - Vehicle matched for a row
+     * @param {number|null} odometer - Row odometer
+     * @param {Array} newVehicles - Vehicles created by this import
+     */
+    raiseMileage(vehicle, odometer, newVehicles) {
+        if (odometer !== null && newVehicles.includes(vehicle) && odometer > vehicle.mileage) {
+            vehicle.mileage = Math.round(odometer);
+        }
+    }
+
+    /**
+     * Find a saved record for the same service, so re-importing a file without
+     * record IDs updates rows instead of duplicating them
+     * @param {Object} record - Imported record
+     * @param {Array} existingRecords - Saved records
+     * @returns {string|null} Matching record ID
+     */
+    findMatchingRecordId(record, existingRecords) {
+        const match = existingRecords.find(existing =>
+            existing.vehicleId === record.vehicleId &&
+            String(existing.date).split('T')[0] === record.date &&
+            normalize(existing.serviceType) === normalize(record.serviceType) &&
+            roundToCent(existing.cost) === record.cost
+        );
+        return match ? match.id : null;
+    }
+
+    /**
+     * Preview a CSV import without saving anything
+     * @param {Object} analysis - Data returned by analyzeCSV()
+     * @param {Object} options - buildImportData() options plus policy
+     * @returns {Object} Result object with the import data, row errors and dry-run report
+     */
+    previewImport(analysis, options) {
+        return this.runImport(analysis, options, true);
+    }
+
+    /**
+     * Save a CSV import
+     * @param {Object} analysis - Data returned by analyzeCSV()
+     * @param {Object} options - buildImportData() options plus policy, and allowWithoutSnapshot
+     *     to import even if no snapshot can be taken first
+     * @returns {Object} Result object from importAllData with row errors
+     */
+    importCSV(analysis, options) {
+        return this.runImport(analysis, options, false);
+    }
+
+    /**
+     * Build import data from CSV rows and pass it to importAllData
+     * @param {Object} analysis - Data returned by analyzeCSV()
+     * @param {Object} options - buildImportData() options plus policy
+     * @param {boolean} dryRun - Only build the report
+     * @returns {Object} Result object
+     */
+    runImport(analysis, options, dryRun) {
+        const missing = MAINTENANCE_FIELDS
+            .filter(column => column.required && (options.mapping[column.field] === null || options.mapping[column.field] === undefined))
+            .map(column => column.label);
+
+        if (missing.length > 0) {
+            return {
+                success: false,
+                message: `Choose a column for: ${missing.join(', ')}`
+            };
+        }
+
+        try {
+            const built = this.buildImportData(analysis, options);
+            const result = dataManager.importAllData(built.data, {
+                policy: options.policy || IMPORT_POLICIES.NEWEST,
+                dryRun,
+                allowWithoutSnapshot: Boolean(options.allowWithoutSnapshot)
+            });
+
+            return {
+                ...result,
+                data: built.data,
+                recordLines: built.recordLines,
+                rowErrors: built.rowErrors
+            };
+        } catch (error) {
+            console.error('Error importing CSV:', error.message);
+            return {
+                success: false,
+                message: `Error importing CSV: ${error.message}`
+            };
+        }
+    }
+}
+
+// Create and export singleton instance
+const csvService = new CsvService();
+
+export { csvService, CsvService, MAINTENANCE_FIELDS, VEHICLE_FIELDS };
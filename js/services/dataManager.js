@@ -2,10 +2,22 @@
  * Data Manager Service
  *
  * Main data management service providing CRUD operations for vehicles and maintenance records.
- * Uses storageService for persistence with proper error handling.
+ * Uses storageService for persistence with proper error handling, and notifies
+ * subscribers of every change so views can stay in sync.
  */
 
-import { storageService } from './storageService.js';
+import { storageService, StorageQuotaError } from './storageService.js';
+import { snapshotService, SNAPSHOT_REASONS } from './snapshotService.js';
+import { historyService } from './historyService.js';
+import { auditService, AUDIT_SOURCES, AUDIT_ACTIONS } from './auditService.js';
+import { Vehicle } from '../models/Vehicle.js';
+import { MaintenanceRecord } from '../models/MaintenanceRecord.js';
+import { OdometerReading, ODOMETER_SOURCES } from '../models/OdometerReading.js';
+import { ServiceSchedule } from '../models/ServiceSchedule.js';
+import { Expense, EXPENSE_CATEGORIES } from '../models/Expense.js';
+import { RecordIndex, AGGREGATE_GROUPS } from './recordIndex.js';
+import { SearchIndex, SEARCH_RESULT_TYPES } from './searchIndex.js';
+import { resolveDateRange } from '../utils/dateRanges.js';
 
 /**
  * Storage keys for different data types
@@ -13,7 +25,107 @@ import { storageService } from './storageService.js';
 const STORAGE_KEYS = {
     VEHICLES: 'autocare_vehicles',
     MAINTENANCE_RECORDS: 'autocare_maintenance_records',
-    LAST_BACKUP: 'autocare_last_backup'
+    SERVICE_SCHEDULES: 'autocare_service_schedules',
+    ODOMETER_READINGS: 'autocare_odometer_readings',
+    LAST_BACKUP: 'autocare_last_backup',
+    TRASH_RETENTION_DAYS: 'autocare_trash_retention_days',
+    QUARANTINE: 'autocare_quarantine',
+    SAVED_SEARCHES: 'autocare_saved_searches',
+    EXPENSES: 'autocare_expenses'
+};
+
+/**
+ * Default number of days deleted items stay in the trash
+ */
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+/**
+ * Milliseconds in one day
+ */
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Kilometers in one mile, for costs per kilometer
+ */
+const KM_PER_MILE = 1.609344;
+
+/**
+ * Collections whose changes can be undone
+ */
+const HISTORY_KEYS = [
+    STORAGE_KEYS.VEHICLES,
+    STORAGE_KEYS.MAINTENANCE_RECORDS,
+    STORAGE_KEYS.ODOMETER_READINGS,
+    STORAGE_KEYS.EXPENSES
+];
+
+/**
+ * Change event type prefix for each collection, e.g. "vehicle:updated"
+ */
+const CHANGE_EVENT_PREFIXES = {
+    [STORAGE_KEYS.VEHICLES]: 'vehicle',
+    [STORAGE_KEYS.MAINTENANCE_RECORDS]: 'record',
+    [STORAGE_KEYS.ODOMETER_READINGS]: 'odometer',
+    [STORAGE_KEYS.EXPENSES]: 'expense'
+};
+
+/**
+ * Change events that are not about a single entity
+ */
+const DATA_EVENTS = {
+    IMPORTED: 'data:imported',
+    CLEARED: 'data:cleared',
+    SYNCED: 'data:synced'
+};
+
+/**
+ * How importAllData resolves an incoming entry whose id already exists locally
+ */
+const IMPORT_POLICIES = {
+    KEEP_LOCAL: 'keep-local',
+    KEEP_INCOMING: 'keep-incoming',
+    NEWEST: 'newest'
+};
+
+/**
+ * Kinds of problem found by a data health check
+ */
+const HEALTH_ISSUES = {
+    MALFORMED: 'malformed',
+    DUPLICATE: 'duplicate',
+    ORPHAN: 'orphan',
+    INVALID: 'invalid',
+    FUTURE_DATE: 'future-date'
+};
+
+/**
+ * Repairs offered for data health problems
+ */
+const HEALTH_REPAIRS = {
+    REASSIGN: 'reassign',
+    DEDUPE: 'dedupe',
+    QUARANTINE: 'quarantine'
+};
+
+/**
+ * Collections covered by the data health check, with the model that validates their entries
+ */
+const HEALTH_COLLECTIONS = [
+    { key: STORAGE_KEYS.VEHICLES, name: 'Vehicle', Model: Vehicle },
+    { key: STORAGE_KEYS.MAINTENANCE_RECORDS, name: 'Maintenance record', Model: MaintenanceRecord },
+    { key: STORAGE_KEYS.ODOMETER_READINGS, name: 'Odometer reading', Model: OdometerReading },
+    { key: STORAGE_KEYS.SERVICE_SCHEDULES, name: 'Service schedule', Model: ServiceSchedule },
+    { key: STORAGE_KEYS.EXPENSES, name: 'Expense', Model: Expense }
+];
+
+/**
+ * Outcome of each entry in an import report
+ */
+const IMPORT_STATUS = {
+    ADDED: 'added',
+    UPDATED: 'updated',
+    SKIPPED: 'skipped',
+    INVALID: 'invalid'
 };
 
 /**
@@ -26,6 +138,13 @@ class DataManager {
         this.cacheExpiry = 5 * 60 * 1000; // 5 minutes
         this.lastVehiclesCacheTime = 0;
         this.lastMaintenanceCacheTime = 0;
+        this.changeDepth = 0;
+        // Entries the running tracked mutation has reported, with their previous values
+        this.markedChanges = null;
+        this.subscribers = new Set();
+        // Built on first query or search, then kept current from published changes
+        this.recordIndex = null;
+        this.searchIndex = null;
     }
 
     /**
@@ -48,6 +167,14 @@ class DataManager {
                 storageService.set(STORAGE_KEYS.MAINTENANCE_RECORDS, []);
             }
 
+            if (!storageService.has(STORAGE_KEYS.ODOMETER_READINGS)) {
+                storageService.set(STORAGE_KEYS.ODOMETER_READINGS, []);
+            }
+
+            if (!storageService.has(STORAGE_KEYS.EXPENSES)) {
+                storageService.set(STORAGE_KEYS.EXPENSES, []);
+            }
+
             console.log('DataManager initialized successfully');
             return true;
         } catch (error) {
@@ -61,25 +188,27 @@ class DataManager {
     /**
      * Get all vehicles
      * @param {boolean} useCache - Whether to use cached data
+     * @param {Object} options - Read options
+     * @param {boolean} options.includeDeleted - Include vehicles in the trash
      * @returns {Array} Array of vehicles
      */
-    getAllVehicles(useCache = true) {
+    getAllVehicles(useCache = true, { includeDeleted = false } = {}) {
         try {
             const now = Date.now();
 
             // Use cache if valid
-            if (useCache && this.vehiclesCache &&
-                (now - this.lastVehiclesCacheTime) < this.cacheExpiry) {
-                return [...this.vehiclesCache];
-            }
+            if (!(useCache && this.vehiclesCache &&
+                (now - this.lastVehiclesCacheTime) < this.cacheExpiry)) {
+                const vehicles = storageService.get(STORAGE_KEYS.VEHICLES, []);
 
-            const vehicles = storageService.get(STORAGE_KEYS.VEHICLES, []);
-
-            // Update cache
-            this.vehiclesCache = vehicles;
-            this.lastVehiclesCacheTime = now;
+                // Update cache
+                this.vehiclesCache = Array.isArray(vehicles) ? vehicles : [];
+                this.lastVehiclesCacheTime = now;
+            }
 
-            return Array.isArray(vehicles) ? [...vehicles] : [];
+            return includeDeleted
+                ? [...this.vehiclesCache]
+                : this.vehiclesCache.filter(vehicle => !vehicle.deletedAt);
         } catch (error) {
             console.error('Error getting all vehicles:', error.message);
             return [];
@@ -109,184 +238,243 @@ class DataManager {
     /**
      * Add a new vehicle
      * @param {Object} vehicleData - Vehicle data
+     * @param {Object} options - Options
+     * @param {string} options.source - Where the change came from, one of AUDIT_SOURCES
      * @returns {Object} Result object with success status and data
      */
-    addVehicle(vehicleData) {
-        if (!vehicleData || typeof vehicleData !== 'object') {
-            return {
-                success: false,
-                message: 'Invalid vehicle data provided'
-            };
-        }
-
-        try {
-            const vehicles = this.getAllVehicles(false);
-
-            // Check for duplicate ID
-            if (vehicleData.id && vehicles.some(v => v.id === vehicleData.id)) {
+    addVehicle(vehicleData, { source = AUDIT_SOURCES.USER } = {}) {
+        return this.trackChanges(result => `Add ${this.describeVehicle(result.data)}`, () => {
+            if (!vehicleData || typeof vehicleData !== 'object') {
                 return {
                     success: false,
-                    message: `Vehicle with ID ${vehicleData.id} already exists`
+                    message: 'Invalid vehicle data provided'
                 };
             }
 
-            // Generate ID if not provided
-            if (!vehicleData.id) {
-                vehicleData.id = this.generateVehicleId();
-            }
+            try {
+                const vehicles = this.getAllVehicles(false, { includeDeleted: true });
 
-            // Add timestamps
-            const now = new Date().toISOString();
-            vehicleData.createdAt = vehicleData.createdAt || now;
-            vehicleData.updatedAt = now;
+                // Check for duplicate ID
+                if (vehicleData.id && vehicles.some(v => v.id === vehicleData.id)) {
+                    return {
+                        success: false,
+                        message: `Vehicle with ID ${vehicleData.id} already exists`
+                    };
+                }
 
-            // Add vehicle
-            vehicles.push(vehicleData);
+                // Generate ID if not provided
+                if (!vehicleData.id) {
+                    vehicleData.id = this.generateVehicleId();
+                }
 
-            // Save to storage
-            if (storageService.set(STORAGE_KEYS.VEHICLES, vehicles)) {
-                this.invalidateVehiclesCache();
-                console.log(`Vehicle added successfully: ${vehicleData.id}`);
-                return {
-                    success: true,
-                    message: 'Vehicle added successfully',
-                    data: vehicleData
-                };
-            } else {
+                // Add timestamps
+                const now = new Date().toISOString();
+                vehicleData.createdAt = vehicleData.createdAt || now;
+                vehicleData.updatedAt = now;
+
+                // Add vehicle
+                this.markChanged(STORAGE_KEYS.VEHICLES, [vehicleData.id]);
+                vehicles.push(vehicleData);
+
+                // Save to storage
+                if (storageService.set(STORAGE_KEYS.VEHICLES, vehicles)) {
+                    this.invalidateVehiclesCache();
+                    this.logVehicleMileage(vehicleData);
+                    console.log(`Vehicle added successfully: ${vehicleData.id}`);
+                    return {
+                        success: true,
+                        message: 'Vehicle added successfully',
+                        data: vehicleData
+                    };
+                } else {
+                    return {
+                        success: false,
+                        message: 'Failed to save vehicle to storage'
+                    };
+                }
+            } catch (error) {
+                console.error('Error adding vehicle:', error.message);
                 return {
                     success: false,
-                    message: 'Failed to save vehicle to storage'
+                    message: `Error adding vehicle: ${error.message}`
                 };
             }
-        } catch (error) {
-            console.error('Error adding vehicle:', error.message);
-            return {
-                success: false,
-                message: `Error adding vehicle: ${error.message}`
-            };
-        }
+        }, source);
     }
 
     /**
      * Update an existing vehicle
      * @param {string} id - Vehicle ID
      * @param {Object} updates - Fields to update
+     * @param {Object} options - Update options
+     * @param {boolean} options.logOdometer - Whether a mileage change is added to the odometer log
+     * @param {string} options.source - Where the change came from, one of AUDIT_SOURCES
+     * @param {string} options.expectedUpdatedAt - updatedAt of the copy being edited; the update
+     *     is refused with conflict set if the stored vehicle has changed since
      * @returns {Object} Result object
      */
-    updateVehicle(id, updates) {
-        if (!id || typeof id !== 'string') {
-            return {
-                success: false,
-                message: 'Invalid vehicle ID provided'
-            };
-        }
-
-        if (!updates || typeof updates !== 'object') {
-            return {
-                success: false,
-                message: 'Invalid updates provided'
-            };
-        }
-
-        try {
-            const vehicles = this.getAllVehicles(false);
-            const index = vehicles.findIndex(v => v.id === id);
+    updateVehicle(id, updates, { logOdometer = true, source = AUDIT_SOURCES.USER, expectedUpdatedAt = null } = {}) {
+        return this.trackChanges(result => `Edit ${this.describeVehicle(result.data)}`, () => {
+            if (!id || typeof id !== 'string') {
+                return {
+                    success: false,
+                    message: 'Invalid vehicle ID provided'
+                };
+            }
 
-            if (index === -1) {
+            if (!updates || typeof updates !== 'object') {
                 return {
                     success: false,
-                    message: `Vehicle with ID ${id} not found`
+                    message: 'Invalid updates provided'
                 };
             }
 
-            // Update vehicle (preserve id and createdAt)
-            const updatedVehicle = {
-                ...vehicles[index],
-                ...updates,
-                id: vehicles[index].id,
-                createdAt: vehicles[index].createdAt,
-                updatedAt: new Date().toISOString()
-            };
+            try {
+                const vehicles = this.getAllVehicles(false, { includeDeleted: true });
+                const index = vehicles.findIndex(v => v.id === id && !v.deletedAt);
+
+                if (index === -1) {
+                    return {
+                        success: false,
+                        message: `Vehicle with ID ${id} not found`
+                    };
+                }
+
+                if (expectedUpdatedAt && vehicles[index].updatedAt !== expectedUpdatedAt) {
+                    return {
+                        success: false,
+                        conflict: true,
+                        message: 'This vehicle was changed in another tab or window while you were editing it. ' +
+                            'Your changes were not saved; reopen it to see the latest version.',
+                        data: vehicles[index]
+                    };
+                }
 
-            vehicles[index] = updatedVehicle;
+                const previousMileage = vehicles[index].mileage;
 
-            // Save to storage
-            if (storageService.set(STORAGE_KEYS.VEHICLES, vehicles)) {
-                this.invalidateVehiclesCache();
-                console.log(`Vehicle updated successfully: ${id}`);
-                return {
-                    success: true,
-                    message: 'Vehicle updated successfully',
-                    data: updatedVehicle
+                // Update vehicle (preserve id and createdAt)
+                const updatedVehicle = {
+                    ...vehicles[index],
+                    ...updates,
+                    id: vehicles[index].id,
+                    createdAt: vehicles[index].createdAt,
+                    updatedAt: new Date().toISOString()
                 };
-            } else {
+
+                this.markChanged(STORAGE_KEYS.VEHICLES, [id]);
+                vehicles[index] = updatedVehicle;
+
+                // Save to storage
+                if (storageService.set(STORAGE_KEYS.VEHICLES, vehicles)) {
+                    this.invalidateVehiclesCache();
+
+                    if (logOdometer && Number(updatedVehicle.mileage) !== Number(previousMileage)) {
+                        this.logVehicleMileage(updatedVehicle);
+                    }
+
+                    console.log(`Vehicle updated successfully: ${id}`);
+                    return {
+                        success: true,
+                        message: 'Vehicle updated successfully',
+                        data: updatedVehicle
+                    };
+                } else {
+                    return {
+                        success: false,
+                        message: 'Failed to save updated vehicle to storage'
+                    };
+                }
+            } catch (error) {
+                console.error(`Error updating vehicle ${id}:`, error.message);
                 return {
                     success: false,
-                    message: 'Failed to save updated vehicle to storage'
+                    message: `Error updating vehicle: ${error.message}`
                 };
             }
-        } catch (error) {
-            console.error(`Error updating vehicle ${id}:`, error.message);
-            return {
-                success: false,
-                message: `Error updating vehicle: ${error.message}`
-            };
-        }
+        }, source);
     }
 
     /**
-     * Delete a vehicle
+     * Move a vehicle and its maintenance records to the trash.
+     * The records are flagged deletedWithVehicle so restoreVehicle() brings
+     * back only those, not records that were deleted on their own.
      * @param {string} id - Vehicle ID
+     * @param {Object} options - Options
+     * @param {string} options.source - Where the change came from, one of AUDIT_SOURCES
      * @returns {Object} Result object
      */
-    deleteVehicle(id) {
-        if (!id || typeof id !== 'string') {
-            return {
-                success: false,
-                message: 'Invalid vehicle ID provided'
-            };
-        }
-
-        try {
-            const vehicles = this.getAllVehicles(false);
-            const index = vehicles.findIndex(v => v.id === id);
-
-            if (index === -1) {
+    deleteVehicle(id, { source = AUDIT_SOURCES.USER } = {}) {
+        return this.trackChanges(result => `Delete ${this.describeVehicle(result.data)}`, () => {
+            if (!id || typeof id !== 'string') {
                 return {
                     success: false,
-                    message: `Vehicle with ID ${id} not found`
+                    message: 'Invalid vehicle ID provided'
                 };
             }
 
-            // Remove vehicle
-            const deletedVehicle = vehicles.splice(index, 1)[0];
+            try {
+                const vehicles = this.getAllVehicles(false, { includeDeleted: true });
+                const index = vehicles.findIndex(v => v.id === id && !v.deletedAt);
+
+                if (index === -1) {
+                    return {
+                        success: false,
+                        message: `Vehicle with ID ${id} not found`
+                    };
+                }
+
+                const deletedAt = new Date().toISOString();
+                const deletedVehicle = { ...vehicles[index], deletedAt };
+                vehicles[index] = deletedVehicle;
+
+                const records = this.getAllMaintenanceRecords(false, { includeDeleted: true });
+                let recordCount = 0;
+                const updatedRecords = records.map(record => {
+                    if (record.vehicleId !== id || record.deletedAt) {
+                        return record;
+                    }
+                    recordCount++;
+                    return { ...record, deletedAt, deletedWithVehicle: true };
+                });
+
+                this.markChanged(STORAGE_KEYS.VEHICLES, [id]);
+                this.markChanged(
+                    STORAGE_KEYS.MAINTENANCE_RECORDS,
+                    updatedRecords.filter((record, i) => record !== records[i]).map(record => record.id)
+                );
+
+                if (!storageService.set(STORAGE_KEYS.VEHICLES, vehicles)) {
+                    return {
+                        success: false,
+                        message: 'Failed to save changes to storage'
+                    };
+                }
 
-            // Save to storage
-            if (storageService.set(STORAGE_KEYS.VEHICLES, vehicles)) {
-                this.invalidateVehiclesCache();
+                // Failing here rolls back the vehicle write, so it isn't left in the trash without its records
+                if (!storageService.set(STORAGE_KEYS.MAINTENANCE_RECORDS, updatedRecords)) {
+                    return {
+                        success: false,
+                        message: 'Failed to save changes to storage'
+                    };
+                }
 
-                // Also delete associated maintenance records
-                this.deleteMaintenanceRecordsByVehicleId(id);
+                this.clearAllCaches();
 
-                console.log(`Vehicle deleted successfully: ${id}`);
+                console.log(`Vehicle moved to trash: ${id}`);
                 return {
                     success: true,
-                    message: 'Vehicle deleted successfully',
-                    data: deletedVehicle
+                    message: 'Vehicle moved to the trash',
+                    data: deletedVehicle,
+                    count: recordCount
                 };
-            } else {
+            } catch (error) {
+                console.error(`Error deleting vehicle ${id}:`, error.message);
                 return {
                     success: false,
-                    message: 'Failed to save changes to storage'
+                    message: `Error deleting vehicle: ${error.message}`
                 };
             }
-        } catch (error) {
-            console.error(`Error deleting vehicle ${id}:`, error.message);
-            return {
-                success: false,
-                message: `Error deleting vehicle: ${error.message}`
-            };
-        }
+        }, source);
     }
 
     // ==================== Maintenance Record Operations ====================
@@ -294,25 +482,27 @@ class DataManager {
     /**
      * Get all maintenance records
      * @param {boolean} useCache - Whether to use cached data
+     * @param {Object} options - Read options
+     * @param {boolean} options.includeDeleted - Include records in the trash
      * @returns {Array} Array of maintenance records
      */
-    getAllMaintenanceRecords(useCache = true) {
+    getAllMaintenanceRecords(useCache = true, { includeDeleted = false } = {}) {
         try {
             const now = Date.now();
 
             // Use cache if valid
-            if (useCache && this.maintenanceRecordsCache &&
-                (now - this.lastMaintenanceCacheTime) < this.cacheExpiry) {
-                return [...this.maintenanceRecordsCache];
-            }
+            if (!(useCache && this.maintenanceRecordsCache &&
+                (now - this.lastMaintenanceCacheTime) < this.cacheExpiry)) {
+                const records = storageService.get(STORAGE_KEYS.MAINTENANCE_RECORDS, []);
 
-            const records = storageService.get(STORAGE_KEYS.MAINTENANCE_RECORDS, []);
-
-            // Update cache
-            this.maintenanceRecordsCache = records;
-            this.lastMaintenanceCacheTime = now;
+                // Update cache
+                this.maintenanceRecordsCache = Array.isArray(records) ? records : [];
+                this.lastMaintenanceCacheTime = now;
+            }
 
-            return Array.isArray(records) ? [...records] : [];
+            return includeDeleted
+                ? [...this.maintenanceRecordsCache]
+                : this.maintenanceRecordsCache.filter(record => !record.deletedAt);
         } catch (error) {
             console.error('Error getting all maintenance records:', error.message);
             return [];
@@ -351,8 +541,7 @@ class DataManager {
         }
 
         try {
-            const records = this.getAllMaintenanceRecords();
-            return records.filter(record => record.vehicleId === vehicleId);
+            return this.query({ where: { vehicleId } }).records;
         } catch (error) {
             console.error(`Error getting maintenance records for vehicle ${vehicleId}:`, error.message);
             return [];
@@ -362,327 +551,2428 @@ class DataManager {
     /**
      * Add a new maintenance record
      * @param {Object} recordData - Maintenance record data
+     * @param {Object} options - Options
+     * @param {string} options.source - Where the change came from, one of AUDIT_SOURCES
      * @returns {Object} Result object
      */
-    addMaintenanceRecord(recordData) {
-        if (!recordData || typeof recordData !== 'object') {
-            return {
-                success: false,
-                message: 'Invalid maintenance record data provided'
-            };
-        }
-
-        try {
-            const records = this.getAllMaintenanceRecords(false);
-
-            // Check for duplicate ID
-            if (recordData.id && records.some(r => r.id === recordData.id)) {
+    addMaintenanceRecord(recordData, { source = AUDIT_SOURCES.USER } = {}) {
+        return this.trackChanges(result => `Add ${result.data.serviceType} record`, () => {
+            if (!recordData || typeof recordData !== 'object') {
                 return {
                     success: false,
-                    message: `Maintenance record with ID ${recordData.id} already exists`
+                    message: 'Invalid maintenance record data provided'
                 };
             }
 
-            // Validate vehicle exists
-            if (recordData.vehicleId) {
-                const vehicle = this.getVehicleById(recordData.vehicleId);
-                if (!vehicle) {
+            try {
+                const records = this.getAllMaintenanceRecords(false, { includeDeleted: true });
+
+                // Check for duplicate ID
+                if (recordData.id && records.some(r => r.id === recordData.id)) {
                     return {
                         success: false,
-                        message: `Vehicle with ID ${recordData.vehicleId} not found`
+                        message: `Maintenance record with ID ${recordData.id} already exists`
                     };
                 }
-            }
 
-            // Generate ID if not provided
-            if (!recordData.id) {
-                recordData.id = this.generateMaintenanceRecordId();
-            }
+                // Validate vehicle exists
+                if (recordData.vehicleId) {
+                    const vehicle = this.getVehicleById(recordData.vehicleId);
+                    if (!vehicle) {
+                        return {
+                            success: false,
+                            message: `Vehicle with ID ${recordData.vehicleId} not found`
+                        };
+                    }
+                }
 
-            // Add timestamps
-            const now = new Date().toISOString();
-            recordData.createdAt = recordData.createdAt || now;
-            recordData.updatedAt = now;
+                // Odometer readings must not run backwards against the vehicle's other records
+                const odometerCheck = this.checkOdometerSequence(recordData);
+                if (!odometerCheck.valid) {
+                    return {
+                        success: false,
+                        message: odometerCheck.message
+                    };
+                }
 
-            // Add record
-            records.push(recordData);
+                // Generate ID if not provided
+                if (!recordData.id) {
+                    recordData.id = this.generateMaintenanceRecordId();
+                }
 
-            // Save to storage
-            if (storageService.set(STORAGE_KEYS.MAINTENANCE_RECORDS, records)) {
-                this.invalidateMaintenanceCache();
-                console.log(`Maintenance record added successfully: ${recordData.id}`);
-                return {
-                    success: true,
-                    message: 'Maintenance record added successfully',
-                    data: recordData
-                };
-            } else {
+                // Add timestamps
+                const now = new Date().toISOString();
+                recordData.createdAt = recordData.createdAt || now;
+                recordData.updatedAt = now;
+
+                // Add record
+                this.markChanged(STORAGE_KEYS.MAINTENANCE_RECORDS, [recordData.id]);
+                records.push(recordData);
+
+                // Save to storage
+                if (storageService.set(STORAGE_KEYS.MAINTENANCE_RECORDS, records)) {
+                    this.invalidateMaintenanceCache();
+                    console.log(`Maintenance record added successfully: ${recordData.id}`);
+                    return {
+                        success: true,
+                        message: 'Maintenance record added successfully',
+                        data: recordData,
+                        vehicleMileageUpdated: this.syncVehicleMileage(recordData.vehicleId, recordData.odometer)
+                    };
+                } else {
+                    return {
+                        success: false,
+                        message: 'Failed to save maintenance record to storage'
+                    };
+                }
+            } catch (error) {
+                console.error('Error adding maintenance record:', error.message);
                 return {
                     success: false,
-                    message: 'Failed to save maintenance record to storage'
+                    message: `Error adding maintenance record: ${error.message}`
                 };
             }
-        } catch (error) {
-            console.error('Error adding maintenance record:', error.message);
-            return {
-                success: false,
-                message: `Error adding maintenance record: ${error.message}`
-            };
-        }
+        }, source);
     }
 
     /**
      * Update an existing maintenance record
      * @param {string} id - Maintenance record ID
      * @param {Object} updates - Fields to update
+     * @param {Object} options - Options
+     * @param {string} options.source - Where the change came from, one of AUDIT_SOURCES
+     * @param {string} options.expectedUpdatedAt - updatedAt of the copy being edited; the update
+     *     is refused with conflict set if the stored record has changed since
      * @returns {Object} Result object
      */
-    updateMaintenanceRecord(id, updates) {
-        if (!id || typeof id !== 'string') {
-            return {
-                success: false,
-                message: 'Invalid maintenance record ID provided'
-            };
-        }
-
-        if (!updates || typeof updates !== 'object') {
-            return {
-                success: false,
-                message: 'Invalid updates provided'
-            };
-        }
-
-        try {
-            const records = this.getAllMaintenanceRecords(false);
-            const index = records.findIndex(r => r.id === id);
+    updateMaintenanceRecord(id, updates, { source = AUDIT_SOURCES.USER, expectedUpdatedAt = null } = {}) {
+        return this.trackChanges(result => `Edit ${result.data.serviceType} record`, () => {
+            if (!id || typeof id !== 'string') {
+                return {
+                    success: false,
+                    message: 'Invalid maintenance record ID provided'
+                };
+            }
 
-            if (index === -1) {
+            if (!updates || typeof updates !== 'object') {
                 return {
                     success: false,
-                    message: `Maintenance record with ID ${id} not found`
+                    message: 'Invalid updates provided'
                 };
             }
 
-            // Update record (preserve id and createdAt)
-            const updatedRecord = {
-                ...records[index],
-                ...updates,
-                id: records[index].id,
-                createdAt: records[index].createdAt,
-                updatedAt: new Date().toISOString()
-            };
+            try {
+                const records = this.getAllMaintenanceRecords(false, { includeDeleted: true });
+                const index = records.findIndex(r => r.id === id && !r.deletedAt);
 
-            records[index] = updatedRecord;
+                if (index === -1) {
+                    return {
+                        success: false,
+                        message: `Maintenance record with ID ${id} not found`
+                    };
+                }
 
-            // Save to storage
-            if (storageService.set(STORAGE_KEYS.MAINTENANCE_RECORDS, records)) {
-                this.invalidateMaintenanceCache();
-                console.log(`Maintenance record updated successfully: ${id}`);
-                return {
-                    success: true,
-                    message: 'Maintenance record updated successfully',
-                    data: updatedRecord
+                if (expectedUpdatedAt && records[index].updatedAt !== expectedUpdatedAt) {
+                    return {
+                        success: false,
+                        conflict: true,
+                        message: 'This record was changed in another tab or window while you were editing it. ' +
+                            'Your changes were not saved; reopen it to see the latest version.',
+                        data: records[index]
+                    };
+                }
+
+                // Update record (preserve id and createdAt)
+                const updatedRecord = {
+                    ...records[index],
+                    ...updates,
+                    id: records[index].id,
+                    createdAt: records[index].createdAt,
+                    updatedAt: new Date().toISOString()
                 };
-            } else {
+
+                const odometerCheck = this.checkOdometerSequence(updatedRecord);
+                if (!odometerCheck.valid) {
+                    return {
+                        success: false,
+                        message: odometerCheck.message
+                    };
+                }
+
+                this.markChanged(STORAGE_KEYS.MAINTENANCE_RECORDS, [id]);
+                records[index] = updatedRecord;
+
+                // Save to storage
+                if (storageService.set(STORAGE_KEYS.MAINTENANCE_RECORDS, records)) {
+                    this.invalidateMaintenanceCache();
+                    console.log(`Maintenance record updated successfully: ${id}`);
+                    return {
+                        success: true,
+                        message: 'Maintenance record updated successfully',
+                        data: updatedRecord,
+                        vehicleMileageUpdated: this.syncVehicleMileage(updatedRecord.vehicleId, updatedRecord.odometer)
+                    };
+                } else {
+                    return {
+                        success: false,
+                        message: 'Failed to save updated maintenance record to storage'
+                    };
+                }
+            } catch (error) {
+                console.error(`Error updating maintenance record ${id}:`, error.message);
                 return {
                     success: false,
-                    message: 'Failed to save updated maintenance record to storage'
+                    message: `Error updating maintenance record: ${error.message}`
                 };
             }
-        } catch (error) {
-            console.error(`Error updating maintenance record ${id}:`, error.message);
-            return {
-                success: false,
-                message: `Error updating maintenance record: ${error.message}`
-            };
-        }
+        }, source);
     }
 
     /**
-     * Delete a maintenance record
+     * Move a maintenance record to the trash
      * @param {string} id - Maintenance record ID
+     * @param {Object} options - Options
+     * @param {string} options.source - Where the change came from, one of AUDIT_SOURCES
      * @returns {Object} Result object
      */
-    deleteMaintenanceRecord(id) {
-        if (!id || typeof id !== 'string') {
-            return {
-                success: false,
-                message: 'Invalid maintenance record ID provided'
-            };
-        }
-
-        try {
-            const records = this.getAllMaintenanceRecords(false);
-            const index = records.findIndex(r => r.id === id);
-
-            if (index === -1) {
+    deleteMaintenanceRecord(id, { source = AUDIT_SOURCES.USER } = {}) {
+        return this.trackChanges(result => `Delete ${result.data.serviceType} record`, () => {
+            if (!id || typeof id !== 'string') {
                 return {
                     success: false,
-                    message: `Maintenance record with ID ${id} not found`
+                    message: 'Invalid maintenance record ID provided'
                 };
             }
 
-            // Remove record
-            const deletedRecord = records.splice(index, 1)[0];
+            try {
+                const records = this.getAllMaintenanceRecords(false, { includeDeleted: true });
+                const index = records.findIndex(r => r.id === id && !r.deletedAt);
 
-            // Save to storage
-            if (storageService.set(STORAGE_KEYS.MAINTENANCE_RECORDS, records)) {
-                this.invalidateMaintenanceCache();
-                console.log(`Maintenance record deleted successfully: ${id}`);
-                return {
-                    success: true,
-                    message: 'Maintenance record deleted successfully',
-                    data: deletedRecord
-                };
-            } else {
-                return {
-                    success: false,
-                    message: 'Failed to save changes to storage'
-                };
+                if (index === -1) {
+                    return {
+                        success: false,
+                        message: `Maintenance record with ID ${id} not found`
+                    };
+                }
+
+                const deletedRecord = { ...records[index], deletedAt: new Date().toISOString(), deletedWithVehicle: false };
+                this.markChanged(STORAGE_KEYS.MAINTENANCE_RECORDS, [id]);
+                records[index] = deletedRecord;
+
+                // Save to storage
+                if (storageService.set(STORAGE_KEYS.MAINTENANCE_RECORDS, records)) {
+                    this.invalidateMaintenanceCache();
+                    console.log(`Maintenance record moved to trash: ${id}`);
+                    return {
+                        success: true,
+                        message: 'Maintenance record moved to the trash',
+                        data: deletedRecord
+                    };
+                } else {
+                    return {
+                        success: false,
+                        message: 'Failed to save changes to storage'
+                    };
+                }
+            } catch (error) {
+                console.error(`Error deleting maintenance record ${id}:`, error.message);
+                return {
+                    success: false,
+                    message: `Error deleting maintenance record: ${error.message}`
+                };
+            }
+        }, source);
+    }
+
+    /**
+     * Delete all maintenance records for a vehicle
+     * @param {string} vehicleId - Vehicle ID
+     * @returns {Object} Result object
+     */
+    deleteMaintenanceRecordsByVehicleId(vehicleId) {
+        return this.trackChanges(result => `Delete ${result.count} maintenance records`, () => {
+            if (!vehicleId || typeof vehicleId !== 'string') {
+                return {
+                    success: false,
+                    message: 'Invalid vehicle ID provided'
+                };
+            }
+
+            try {
+                const records = this.getAllMaintenanceRecords(false, { includeDeleted: true });
+                const filteredRecords = records.filter(r => r.vehicleId !== vehicleId);
+                const deletedCount = records.length - filteredRecords.length;
+                this.markChanged(
+                    STORAGE_KEYS.MAINTENANCE_RECORDS,
+                    records.filter(r => r.vehicleId === vehicleId).map(r => r.id)
+                );
+
+                // Save to storage
+                if (storageService.set(STORAGE_KEYS.MAINTENANCE_RECORDS, filteredRecords)) {
+                    this.invalidateMaintenanceCache();
+                    console.log(`Deleted ${deletedCount} maintenance records for vehicle ${vehicleId}`);
+                    return {
+                        success: true,
+                        message: `Deleted ${deletedCount} maintenance records`,
+                        count: deletedCount
+                    };
+                } else {
+                    return {
+                        success: false,
+                        message: 'Failed to save changes to storage'
+                    };
+                }
+            } catch (error) {
+                console.error(`Error deleting maintenance records for vehicle ${vehicleId}:`, error.message);
+                return {
+                    success: false,
+                    message: `Error deleting maintenance records: ${error.message}`
+                };
+            }
+        });
+    }
+
+    /**
+     * Check a record's odometer reading against the vehicle's other records
+     * @param {Object} recordData - Maintenance record data
+     * @returns {Object} Validation result
+     */
+    checkOdometerSequence(recordData) {
+        if (!recordData.vehicleId) {
+            return { valid: true };
+        }
+
+        const otherRecords = this.getMaintenanceRecordsByVehicleId(recordData.vehicleId);
+        return MaintenanceRecord.fromJSON(recordData).validateOdometerSequence(otherRecords);
+    }
+
+    /**
+     * Raise a vehicle's mileage to a newly logged odometer reading if it is higher
+     * @param {string} vehicleId - Vehicle ID
+     * @param {number|null} odometer - Odometer reading
+     * @returns {boolean} True if the vehicle's mileage was updated
+     */
+    syncVehicleMileage(vehicleId, odometer) {
+        if (!vehicleId || typeof odometer !== 'number' || isNaN(odometer)) {
+            return false;
+        }
+
+        const vehicle = this.getVehicleById(vehicleId);
+        if (!vehicle || odometer <= (Number(vehicle.mileage) || 0)) {
+            return false;
+        }
+
+        // The maintenance record itself is the odometer log entry for this reading
+        const result = this.updateVehicle(vehicleId, { mileage: odometer }, { logOdometer: false });
+        if (!result.success) {
+            console.warn(`Failed to update mileage for vehicle ${vehicleId}:`, result.message);
+        }
+
+        return result.success;
+    }
+
+    // ==================== Odometer Log Operations ====================
+
+    /**
+     * Get all stored odometer readings
+     * @returns {Array} Array of readings
+     */
+    getAllOdometerReadings() {
+        try {
+            const readings = storageService.get(STORAGE_KEYS.ODOMETER_READINGS, []);
+            return Array.isArray(readings) ? [...readings] : [];
+        } catch (error) {
+            console.error('Error getting odometer readings:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Get stored odometer readings for a vehicle
+     * @param {string} vehicleId - Vehicle ID
+     * @returns {Array} Array of readings
+     */
+    getOdometerReadingsByVehicleId(vehicleId) {
+        if (!vehicleId || typeof vehicleId !== 'string') {
+            console.error('Invalid vehicle ID provided');
+            return [];
+        }
+
+        return this.getAllOdometerReadings().filter(reading => reading.vehicleId === vehicleId);
+    }
+
+    /**
+     * Get a vehicle's full odometer history, oldest first, from its logged
+     * readings, its maintenance records and its current mileage
+     * @param {string} vehicleId - Vehicle ID
+     * @returns {Array} Readings, each with a `suspicious` flag if it runs backwards;
+     *     `derived` readings are not stored in the log
+     */
+    getOdometerHistory(vehicleId) {
+        const vehicle = this.getVehicleById(vehicleId);
+        if (!vehicle) {
+            return [];
+        }
+
+        const readings = this.getOdometerReadingsByVehicleId(vehicleId);
+
+        // Maintenance records carry their own readings so edits and deletes stay in step
+        this.getMaintenanceRecordsByVehicleId(vehicleId)
+            .filter(record => typeof record.odometer === 'number')
+            .forEach(record => {
+                readings.push({
+                    id: `record_${record.id}`,
+                    vehicleId,
+                    date: record.date,
+                    mileage: record.odometer,
+                    source: ODOMETER_SOURCES.MAINTENANCE,
+                    recordId: record.id,
+                    note: record.serviceType,
+                    derived: true
+                });
+            });
+
+        // Vehicles saved before the log existed still have their current mileage
+        if (!readings.some(reading => reading.source === ODOMETER_SOURCES.VEHICLE)) {
+            readings.push({
+                id: `vehicle_${vehicle.id}`,
+                vehicleId,
+                date: vehicle.updatedAt || vehicle.createdAt,
+                mileage: Number(vehicle.mileage) || 0,
+                source: ODOMETER_SOURCES.VEHICLE,
+                recordId: null,
+                note: '',
+                derived: true
+            });
+        }
+
+        readings.sort((a, b) => new Date(a.date) - new Date(b.date) || a.mileage - b.mileage);
+
+        let highest = 0;
+        return readings.map(reading => {
+            const suspicious = reading.mileage < highest;
+            highest = Math.max(highest, reading.mileage);
+            return { ...reading, suspicious };
+        });
+    }
+
+    /**
+     * Add an odometer reading to a vehicle's log
+     * @param {Object} readingData - Reading data
+     * @returns {Object} Result object
+     */
+    addOdometerReading(readingData) {
+        return this.trackChanges(() => 'Log odometer reading', () => {
+            if (!readingData || typeof readingData !== 'object') {
+                return {
+                    success: false,
+                    message: 'Invalid odometer reading provided'
+                };
+            }
+
+            try {
+                if (!this.getVehicleById(readingData.vehicleId)) {
+                    return {
+                        success: false,
+                        message: `Vehicle with ID ${readingData.vehicleId} not found`
+                    };
+                }
+
+                const reading = new OdometerReading(readingData);
+                const validation = reading.validate();
+                if (!validation.valid) {
+                    return {
+                        success: false,
+                        message: validation.errors[0].message,
+                        errors: validation.errors
+                    };
+                }
+
+                const readings = this.getAllOdometerReadings();
+                const readingJSON = reading.toJSON();
+                this.markChanged(STORAGE_KEYS.ODOMETER_READINGS, [readingJSON.id]);
+                readings.push(readingJSON);
+
+                if (storageService.set(STORAGE_KEYS.ODOMETER_READINGS, readings)) {
+                    console.log(`Odometer reading added successfully: ${readingJSON.id}`);
+                    return {
+                        success: true,
+                        message: 'Odometer reading added successfully',
+                        data: readingJSON
+                    };
+                }
+
+                return {
+                    success: false,
+                    message: 'Failed to save odometer reading to storage'
+                };
+            } catch (error) {
+                console.error('Error adding odometer reading:', error.message);
+                return {
+                    success: false,
+                    message: `Error adding odometer reading: ${error.message}`
+                };
+            }
+        });
+    }
+
+    /**
+     * Delete an odometer reading
+     * @param {string} id - Reading ID
+     * @returns {Object} Result object
+     */
+    deleteOdometerReading(id) {
+        return this.trackChanges(() => 'Delete odometer reading', () => {
+            if (!id || typeof id !== 'string') {
+                return {
+                    success: false,
+                    message: 'Invalid odometer reading ID provided'
+                };
+            }
+
+            try {
+                const readings = this.getAllOdometerReadings();
+                const index = readings.findIndex(reading => reading.id === id);
+
+                if (index === -1) {
+                    return {
+                        success: false,
+                        message: `Odometer reading with ID ${id} not found`
+                    };
+                }
+
+                this.markChanged(STORAGE_KEYS.ODOMETER_READINGS, [id]);
+                const deletedReading = readings.splice(index, 1)[0];
+
+                if (storageService.set(STORAGE_KEYS.ODOMETER_READINGS, readings)) {
+                    console.log(`Odometer reading deleted successfully: ${id}`);
+                    return {
+                        success: true,
+                        message: 'Odometer reading deleted successfully',
+                        data: deletedReading
+                    };
+                }
+
+                return {
+                    success: false,
+                    message: 'Failed to save changes to storage'
+                };
+            } catch (error) {
+                console.error(`Error deleting odometer reading ${id}:`, error.message);
+                return {
+                    success: false,
+                    message: `Error deleting odometer reading: ${error.message}`
+                };
+            }
+        });
+    }
+
+    /**
+     * Delete all odometer readings for a vehicle
+     * @param {string} vehicleId - Vehicle ID
+     * @returns {Object} Result object
+     */
+    deleteOdometerReadingsByVehicleId(vehicleId) {
+        return this.trackChanges(() => 'Delete odometer history', () => {
+            if (!vehicleId || typeof vehicleId !== 'string') {
+                return {
+                    success: false,
+                    message: 'Invalid vehicle ID provided'
+                };
+            }
+
+            try {
+                const readings = this.getAllOdometerReadings();
+                const remaining = readings.filter(reading => reading.vehicleId !== vehicleId);
+                const deletedCount = readings.length - remaining.length;
+                this.markChanged(
+                    STORAGE_KEYS.ODOMETER_READINGS,
+                    readings.filter(reading => reading.vehicleId === vehicleId).map(reading => reading.id)
+                );
+
+                if (storageService.set(STORAGE_KEYS.ODOMETER_READINGS, remaining)) {
+                    console.log(`Deleted ${deletedCount} odometer readings for vehicle ${vehicleId}`);
+                    return {
+                        success: true,
+                        message: `Deleted ${deletedCount} odometer readings`,
+                        count: deletedCount
+                    };
+                }
+
+                return {
+                    success: false,
+                    message: 'Failed to save changes to storage'
+                };
+            } catch (error) {
+                console.error(`Error deleting odometer readings for vehicle ${vehicleId}:`, error.message);
+                return {
+                    success: false,
+                    message: `Error deleting odometer readings: ${error.message}`
+                };
+            }
+        });
+    }
+
+    /**
+     * Record a vehicle's current mileage in its odometer log
+     * @param {Object} vehicle - Vehicle data
+     */
+    logVehicleMileage(vehicle) {
+        const result = this.addOdometerReading({
+            vehicleId: vehicle.id,
+            date: vehicle.updatedAt,
+            mileage: Number(vehicle.mileage) || 0,
+            source: ODOMETER_SOURCES.VEHICLE
+        });
+
+        if (!result.success) {
+            console.warn(`Failed to log mileage for vehicle ${vehicle.id}:`, result.message);
+        }
+    }
+
+    // ==================== Expense Operations ====================
+
+    /**
+     * Get all fuel and insurance expenses
+     * @returns {Array} Array of expenses
+     */
+    getAllExpenses() {
+        try {
+            const expenses = storageService.get(STORAGE_KEYS.EXPENSES, []);
+            return Array.isArray(expenses) ? [...expenses] : [];
+        } catch (error) {
+            console.error('Error getting expenses:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Get a vehicle's expenses, newest first
+     * @param {string} vehicleId - Vehicle ID
+     * @returns {Array} Array of expenses
+     */
+    getExpensesByVehicleId(vehicleId) {
+        if (!vehicleId || typeof vehicleId !== 'string') {
+            console.error('Invalid vehicle ID provided');
+            return [];
+        }
+
+        return this.getAllExpenses()
+            .filter(expense => expense.vehicleId === vehicleId)
+            .sort((a, b) => new Date(b.date) - new Date(a.date));
+    }
+
+    /**
+     * Log a fuel or insurance expense for a vehicle
+     * @param {Object} expenseData - Expense data
+     * @returns {Object} Result object
+     */
+    addExpense(expenseData) {
+        return this.trackChanges(result => `Log ${result.data.category} expense`, () => {
+            if (!expenseData || typeof expenseData !== 'object') {
+                return {
+                    success: false,
+                    message: 'Invalid expense provided'
+                };
+            }
+
+            try {
+                if (!this.getVehicleById(expenseData.vehicleId)) {
+                    return {
+                        success: false,
+                        message: `Vehicle with ID ${expenseData.vehicleId} not found`
+                    };
+                }
+
+                const expense = new Expense(expenseData);
+                const validation = expense.validate();
+                if (!validation.valid) {
+                    return {
+                        success: false,
+                        message: validation.errors[0].message,
+                        errors: validation.errors
+                    };
+                }
+
+                const expenses = this.getAllExpenses();
+                const expenseJSON = expense.toJSON();
+                this.markChanged(STORAGE_KEYS.EXPENSES, [expenseJSON.id]);
+                expenses.push(expenseJSON);
+
+                if (storageService.set(STORAGE_KEYS.EXPENSES, expenses)) {
+                    console.log(`Expense added successfully: ${expenseJSON.id}`);
+                    return {
+                        success: true,
+                        message: 'Expense added successfully',
+                        data: expenseJSON
+                    };
+                }
+
+                return {
+                    success: false,
+                    message: 'Failed to save expense to storage'
+                };
+            } catch (error) {
+                console.error('Error adding expense:', error.message);
+                return {
+                    success: false,
+                    message: `Error adding expense: ${error.message}`
+                };
+            }
+        });
+    }
+
+    /**
+     * Delete an expense
+     * @param {string} id - Expense ID
+     * @returns {Object} Result object
+     */
+    deleteExpense(id) {
+        return this.trackChanges(result => `Delete ${result.data.category} expense`, () => {
+            if (!id || typeof id !== 'string') {
+                return {
+                    success: false,
+                    message: 'Invalid expense ID provided'
+                };
+            }
+
+            try {
+                const expenses = this.getAllExpenses();
+                const index = expenses.findIndex(expense => expense.id === id);
+
+                if (index === -1) {
+                    return {
+                        success: false,
+                        message: `Expense with ID ${id} not found`
+                    };
+                }
+
+                this.markChanged(STORAGE_KEYS.EXPENSES, [id]);
+                const deletedExpense = expenses.splice(index, 1)[0];
+
+                if (storageService.set(STORAGE_KEYS.EXPENSES, expenses)) {
+                    console.log(`Expense deleted successfully: ${id}`);
+                    return {
+                        success: true,
+                        message: 'Expense deleted successfully',
+                        data: deletedExpense
+                    };
+                }
+
+                return {
+                    success: false,
+                    message: 'Failed to save changes to storage'
+                };
+            } catch (error) {
+                console.error(`Error deleting expense ${id}:`, error.message);
+                return {
+                    success: false,
+                    message: `Error deleting expense: ${error.message}`
+                };
+            }
+        });
+    }
+
+    // ==================== Trash Operations ====================
+
+    /**
+     * Get everything in the trash, most recently deleted first.
+     * Records moved to the trash with their vehicle are counted on the vehicle
+     * rather than listed separately, since they come back with it.
+     * @returns {Object} Trashed vehicles (with recordCount) and maintenanceRecords
+     */
+    getTrash() {
+        const trashedRecords = this.getAllMaintenanceRecords(false, { includeDeleted: true })
+            .filter(record => record.deletedAt);
+        const newestFirst = (a, b) => new Date(b.deletedAt) - new Date(a.deletedAt);
+
+        return {
+            vehicles: this.getAllVehicles(false, { includeDeleted: true })
+                .filter(vehicle => vehicle.deletedAt)
+                .map(vehicle => ({
+                    ...vehicle,
+                    recordCount: trashedRecords.filter(record =>
+                        record.vehicleId === vehicle.id && record.deletedWithVehicle
+                    ).length
+                }))
+                .sort(newestFirst),
+            maintenanceRecords: trashedRecords
+                .filter(record => !record.deletedWithVehicle)
+                .sort(newestFirst)
+        };
+    }
+
+    /**
+     * Restore a vehicle from the trash along with the records deleted with it
+     * @param {string} id - Vehicle ID
+     * @returns {Object} Result object
+     */
+    restoreVehicle(id) {
+        return this.trackChanges(result => `Restore ${this.describeVehicle(result.data)}`, () => {
+            if (!id || typeof id !== 'string') {
+                return {
+                    success: false,
+                    message: 'Invalid vehicle ID provided'
+                };
+            }
+
+            try {
+                const vehicles = this.getAllVehicles(false, { includeDeleted: true });
+                const index = vehicles.findIndex(v => v.id === id && v.deletedAt);
+
+                if (index === -1) {
+                    return {
+                        success: false,
+                        message: `Vehicle with ID ${id} is not in the trash`
+                    };
+                }
+
+                const restoredVehicle = { ...vehicles[index], deletedAt: null };
+                vehicles[index] = restoredVehicle;
+
+                const records = this.getAllMaintenanceRecords(false, { includeDeleted: true });
+                let recordCount = 0;
+                const updatedRecords = records.map(record => {
+                    if (record.vehicleId !== id || !record.deletedAt || !record.deletedWithVehicle) {
+                        return record;
+                    }
+                    recordCount++;
+                    return { ...record, deletedAt: null, deletedWithVehicle: false };
+                });
+
+                // Records imported while the vehicle was in the trash may disagree with the restored ones
+                const activeRecords = updatedRecords.filter(record => record.vehicleId === id && !record.deletedAt);
+                for (const record of activeRecords) {
+                    const odometerCheck = MaintenanceRecord.fromJSON(record).validateOdometerSequence(activeRecords);
+                    if (!odometerCheck.valid) {
+                        return {
+                            success: false,
+                            message: `Can't restore the ${record.serviceType} record: ${odometerCheck.message}`
+                        };
+                    }
+                }
+
+                this.markChanged(STORAGE_KEYS.VEHICLES, [id]);
+                this.markChanged(
+                    STORAGE_KEYS.MAINTENANCE_RECORDS,
+                    updatedRecords.filter((record, i) => record !== records[i]).map(record => record.id)
+                );
+
+                if (!storageService.set(STORAGE_KEYS.VEHICLES, vehicles)) {
+                    return {
+                        success: false,
+                        message: 'Failed to save changes to storage'
+                    };
+                }
+
+                if (!storageService.set(STORAGE_KEYS.MAINTENANCE_RECORDS, updatedRecords)) {
+                    return {
+                        success: false,
+                        message: 'Failed to save changes to storage'
+                    };
+                }
+
+                this.clearAllCaches();
+
+                const name = `${restoredVehicle.year} ${restoredVehicle.make} ${restoredVehicle.model}`;
+                console.log(`Vehicle restored from trash: ${id}`);
+                return {
+                    success: true,
+                    message: recordCount > 0
+                        ? `Restored the ${name} and ${recordCount} maintenance ${recordCount === 1 ? 'record' : 'records'}`
+                        : `Restored the ${name}`,
+                    data: restoredVehicle,
+                    count: recordCount
+                };
+            } catch (error) {
+                console.error(`Error restoring vehicle ${id}:`, error.message);
+                return {
+                    success: false,
+                    message: `Error restoring vehicle: ${error.message}`
+                };
+            }
+        });
+    }
+
+    /**
+     * Restore a maintenance record from the trash
+     * @param {string} id - Maintenance record ID
+     * @returns {Object} Result object
+     */
+    restoreMaintenanceRecord(id) {
+        return this.trackChanges(result => `Restore ${result.data.serviceType} record`, () => {
+            if (!id || typeof id !== 'string') {
+                return {
+                    success: false,
+                    message: 'Invalid maintenance record ID provided'
+                };
+            }
+
+            try {
+                const records = this.getAllMaintenanceRecords(false, { includeDeleted: true });
+                const index = records.findIndex(r => r.id === id && r.deletedAt);
+
+                if (index === -1) {
+                    return {
+                        success: false,
+                        message: `Maintenance record with ID ${id} is not in the trash`
+                    };
+                }
+
+                if (!this.getVehicleById(records[index].vehicleId)) {
+                    return {
+                        success: false,
+                        message: 'This record\'s vehicle is in the trash. Restore the vehicle first.'
+                    };
+                }
+
+                const restoredRecord = { ...records[index], deletedAt: null, deletedWithVehicle: false };
+
+                // Records added since it was deleted may leave no room for its odometer reading
+                const odometerCheck = this.checkOdometerSequence(restoredRecord);
+                if (!odometerCheck.valid) {
+                    return {
+                        success: false,
+                        message: `Can't restore this record: ${odometerCheck.message}`
+                    };
+                }
+
+                this.markChanged(STORAGE_KEYS.MAINTENANCE_RECORDS, [id]);
+                records[index] = restoredRecord;
+
+                if (storageService.set(STORAGE_KEYS.MAINTENANCE_RECORDS, records)) {
+                    this.invalidateMaintenanceCache();
+                    console.log(`Maintenance record restored from trash: ${id}`);
+                    return {
+                        success: true,
+                        message: `Restored the ${restoredRecord.serviceType} record`,
+                        data: restoredRecord
+                    };
+                }
+
+                return {
+                    success: false,
+                    message: 'Failed to save changes to storage'
+                };
+            } catch (error) {
+                console.error(`Error restoring maintenance record ${id}:`, error.message);
+                return {
+                    success: false,
+                    message: `Error restoring maintenance record: ${error.message}`
+                };
+            }
+        });
+    }
+
+    /**
+     * Permanently delete a vehicle in the trash with all of its records,
+     * odometer history and service schedules
+     * @param {string} id - Vehicle ID
+     * @returns {Object} Result object
+     */
+    purgeVehicle(id, options = {}) {
+        const vehicle = this.getTrash().vehicles.find(v => v.id === id);
+        if (!vehicle) {
+            return {
+                success: false,
+                message: `Vehicle with ID ${id} is not in the trash`
+            };
+        }
+
+        return this.purgeFromTrash(
+            [id],
+            [],
+            `Before permanently deleting the ${vehicle.year} ${vehicle.make} ${vehicle.model}`,
+            AUDIT_SOURCES.USER,
+            options
+        );
+    }
+
+    /**
+     * Permanently delete a maintenance record in the trash
+     * @param {string} id - Maintenance record ID
+     * @param {Object} options - allowWithoutSnapshot, as for purgeFromTrash
+     * @returns {Object} Result object
+     */
+    purgeMaintenanceRecord(id, options = {}) {
+        const record = this.getAllMaintenanceRecords(false, { includeDeleted: true })
+            .find(r => r.id === id && r.deletedAt);
+        if (!record) {
+            return {
+                success: false,
+                message: `Maintenance record with ID ${id} is not in the trash`
+            };
+        }
+
+        return this.purgeFromTrash([], [id], `Before permanently deleting a ${record.serviceType} record`, AUDIT_SOURCES.USER, options);
+    }
+
+    /**
+     * Permanently delete everything in the trash
+     * @param {Object} options - allowWithoutSnapshot, as for purgeFromTrash
+     * @returns {Object} Result object
+     */
+    emptyTrash(options = {}) {
+        const trash = this.getTrash();
+        return this.purgeFromTrash(
+            trash.vehicles.map(vehicle => vehicle.id),
+            trash.maintenanceRecords.map(record => record.id),
+            'Before emptying the trash',
+            AUDIT_SOURCES.USER,
+            options
+        );
+    }
+
+    /**
+     * Permanently delete items that have been in the trash longer than the retention period
+     * @param {Date} now - Current time (default: now)
+     * @returns {Object} Result object
+     */
+    purgeExpiredTrash(now = new Date()) {
+        const retentionDays = this.getTrashRetentionDays();
+        if (retentionDays === 0) {
+            return {
+                success: true,
+                message: 'Items stay in the trash until it is emptied',
+                count: 0
+            };
+        }
+
+        const cutoff = now.getTime() - retentionDays * MS_PER_DAY;
+        const isExpired = item => new Date(item.deletedAt).getTime() < cutoff;
+        const trash = this.getTrash();
+
+        return this.purgeFromTrash(
+            trash.vehicles.filter(isExpired).map(vehicle => vehicle.id),
+            trash.maintenanceRecords.filter(isExpired).map(record => record.id),
+            `Before removing items in the trash for over ${retentionDays} days`,
+            AUDIT_SOURCES.SYSTEM
+        );
+    }
+
+    /**
+     * Remove vehicles and records from storage for good, taking a snapshot first.
+     * Removing a vehicle also removes everything that belongs to it.
+     * @param {string[]} vehicleIds - Vehicle IDs
+     * @param {string[]} recordIds - Maintenance record IDs
+     * @param {string} label - Snapshot label
+     * @param {string} source - Who removed them, one of AUDIT_SOURCES
+     * @param {Object} options - Purge options
+     * @param {boolean} options.allowWithoutSnapshot - Go ahead even if no snapshot can be taken
+     * @returns {Object} Result object with the number of items removed; snapshotFailed is
+     *     true if nothing was removed because no snapshot could be taken
+     */
+    purgeFromTrash(vehicleIds, recordIds, label, source, { allowWithoutSnapshot = false } = {}) {
+        const count = vehicleIds.length + recordIds.length;
+        if (count === 0) {
+            return {
+                success: true,
+                message: 'Nothing to delete',
+                count: 0
+            };
+        }
+
+        try {
+            const snapshotProblem = this.takeRestorePoint(SNAPSHOT_REASONS.BULK_DELETE, label, allowWithoutSnapshot);
+            if (snapshotProblem) {
+                return snapshotProblem;
+            }
+
+            const before = this.readHistoryCollections();
+
+            const removedVehicles = new Set(vehicleIds);
+            const removedRecords = new Set(recordIds);
+            const keep = entry => !removedVehicles.has(entry.vehicleId);
+            const schedules = storageService.get(STORAGE_KEYS.SERVICE_SCHEDULES, []);
+
+            const writes = [
+                [STORAGE_KEYS.VEHICLES, this.getAllVehicles(false, { includeDeleted: true })
+                    .filter(vehicle => !removedVehicles.has(vehicle.id))],
+                [STORAGE_KEYS.MAINTENANCE_RECORDS, this.getAllMaintenanceRecords(false, { includeDeleted: true })
+                    .filter(record => keep(record) && !removedRecords.has(record.id))],
+                [STORAGE_KEYS.ODOMETER_READINGS, this.getAllOdometerReadings().filter(keep)],
+                [STORAGE_KEYS.SERVICE_SCHEDULES, Array.isArray(schedules) ? schedules.filter(keep) : []],
+                [STORAGE_KEYS.EXPENSES, this.getAllExpenses().filter(keep)]
+            ];
+            const saved = this.runInTransaction(() => writes.every(([key, value]) => storageService.set(key, value)));
+
+            this.clearAllCaches();
+
+            if (!saved) {
+                return {
+                    success: false,
+                    message: 'Failed to save changes to storage'
+                };
+            }
+
+            // Undoing a change to a purged item would bring back part of it
+            historyService.clear();
+            this.publishChanges(this.diffCollections(before, this.readHistoryCollections()), source);
+
+            console.log(`Permanently deleted ${count} items from the trash`);
+            return {
+                success: true,
+                message: `Permanently deleted ${count} ${count === 1 ? 'item' : 'items'}`,
+                count
+            };
+        } catch (error) {
+            console.error('Error deleting from trash:', error.message);
+            return {
+                success: false,
+                message: `Error deleting from trash: ${error.message}`
+            };
+        }
+    }
+
+    /**
+     * Get how many days deleted items stay in the trash
+     * @returns {number} Days, or 0 if items stay until the trash is emptied
+     */
+    getTrashRetentionDays() {
+        const days = Number(storageService.get(STORAGE_KEYS.TRASH_RETENTION_DAYS, DEFAULT_TRASH_RETENTION_DAYS));
+        return Number.isInteger(days) && days >= 0 ? days : DEFAULT_TRASH_RETENTION_DAYS;
+    }
+
+    /**
+     * Set how many days deleted items stay in the trash
+     * @param {number} days - Days, or 0 to keep items until the trash is emptied
+     * @returns {Object} Result object
+     */
+    setTrashRetentionDays(days) {
+        const value = Number(days);
+        if (!Number.isInteger(value) || value < 0 || value > 365) {
+            return {
+                success: false,
+                message: 'Trash retention must be between 0 and 365 days'
+            };
+        }
+
+        try {
+            return storageService.set(STORAGE_KEYS.TRASH_RETENTION_DAYS, value)
+                ? { success: true, message: value === 0 ? 'Items stay in the trash until it is emptied' : `Deleting items from the trash after ${value} days` }
+                : { success: false, message: 'Failed to save changes to storage' };
+        } catch (error) {
+            if (error instanceof StorageQuotaError) {
+                return {
+                    success: false,
+                    message: error.message,
+                    quotaExceeded: true
+                };
+            }
+
+            console.error('Error saving trash retention:', error.message);
+            return {
+                success: false,
+                message: `Error saving trash retention: ${error.message}`
+            };
+        }
+    }
+
+    // ==================== Optional Data ====================
+
+    /**
+     * List data that can be removed to free up space without losing vehicles,
+     * service records or schedules
+     * @returns {Array} Entries with id, label, description and estimated size in bytes
+     */
+    getOptionalDataUsage() {
+        const oldReadings = this.getOldVehicleEditReadings();
+
+        return [
+            {
+                id: 'vehicleEditReadings',
+                label: 'Older odometer entries from vehicle edits',
+                description: 'Keeps the latest entry for each vehicle, plus all manual readings and service record readings.',
+                size: oldReadings.length > 0 ? JSON.stringify(oldReadings).length * 2 : 0
+            },
+            {
+                id: 'auditLog',
+                label: 'Change history',
+                description: 'The record of every edit to your vehicles and service records, with old and new values.',
+                size: auditService.getTotalSize()
+            },
+            {
+                id: 'quarantine',
+                label: 'Quarantined items',
+                description: 'Damaged or invalid entries set aside by data health repairs.',
+                size: this.getQuarantinedItems().length > 0 ? JSON.stringify(this.getQuarantinedItems()).length * 2 : 0
+            },
+            {
+                id: 'snapshots',
+                label: 'Automatic snapshots',
+                description: 'Copies of your data taken before imports, deletions and once a day, for undoing mistakes.',
+                size: snapshotService.getTotalSize()
+            }
+        ];
+    }
+
+    /**
+     * Remove one kind of optional data
+     * @param {string} id - Entry ID from getOptionalDataUsage()
+     * @returns {Object} Result object
+     */
+    purgeOptionalData(id) {
+        try {
+            if (id === 'snapshots') {
+                return snapshotService.deleteAllSnapshots();
+            }
+
+            if (id === 'auditLog') {
+                return auditService.clear();
+            }
+
+            if (id === 'quarantine') {
+                const count = this.getQuarantinedItems().length;
+                return storageService.set(STORAGE_KEYS.QUARANTINE, [])
+                    ? { success: true, message: `Removed ${count} quarantined ${count === 1 ? 'item' : 'items'}`, count }
+                    : { success: false, message: 'Failed to save changes to storage' };
+            }
+
+            if (id === 'vehicleEditReadings') {
+                const oldReadings = this.getOldVehicleEditReadings();
+                const oldIds = new Set(oldReadings.map(reading => reading.id));
+                const remaining = this.getAllOdometerReadings().filter(reading => !oldIds.has(reading.id));
+
+                if (storageService.set(STORAGE_KEYS.ODOMETER_READINGS, remaining)) {
+                    historyService.clear();
+                    this.emitChanges({
+                        [STORAGE_KEYS.ODOMETER_READINGS]: oldReadings.map(reading => ({ id: reading.id, before: reading, after: null }))
+                    }, AUDIT_SOURCES.USER);
+                    return {
+                        success: true,
+                        message: `Removed ${oldIds.size} odometer entries`,
+                        count: oldIds.size
+                    };
+                }
+
+                return {
+                    success: false,
+                    message: 'Failed to save changes to storage'
+                };
+            }
+
+            return {
+                success: false,
+                message: `Unknown optional data: ${id}`
+            };
+        } catch (error) {
+            console.error(`Error purging optional data ${id}:`, error.message);
+            return {
+                success: false,
+                message: `Error freeing up space: ${error.message}`
+            };
+        }
+    }
+
+    /**
+     * Get odometer readings logged by vehicle edits, except each vehicle's latest
+     * @returns {Array} Readings that can be purged
+     */
+    getOldVehicleEditReadings() {
+        const latestByVehicle = new Map();
+        const editReadings = this.getAllOdometerReadings()
+            .filter(reading => reading.source === ODOMETER_SOURCES.VEHICLE);
+
+        editReadings.forEach(reading => {
+            const latest = latestByVehicle.get(reading.vehicleId);
+            if (!latest || new Date(reading.date) > new Date(latest.date)) {
+                latestByVehicle.set(reading.vehicleId, reading);
+            }
+        });
+
+        return editReadings.filter(reading => latestByVehicle.get(reading.vehicleId) !== reading);
+    }
+
+    // ==================== Data Health ====================
+
+    /**
+     * Scan stored data for problems: collections or entries that can't be
+     * read, ids used more than once, entries that fail validation or are dated
+     * in the future, and entries belonging to a vehicle that doesn't exist
+     * @returns {Object} Result object with the issues found
+     */
+    checkDataHealth() {
+        try {
+            const collections = HEALTH_COLLECTIONS.map(collection => ({
+                ...collection,
+                value: storageService.get(collection.key, [])
+            }));
+
+            const [vehicles] = collections;
+            const vehicleIds = new Set(Array.isArray(vehicles.value)
+                ? vehicles.value.filter(vehicle => vehicle && typeof vehicle.id === 'string').map(vehicle => vehicle.id)
+                : []);
+
+            const issues = collections.flatMap(collection => this.checkCollectionHealth(collection, vehicleIds));
+
+            return {
+                success: true,
+                message: issues.length === 0
+                    ? 'No problems found'
+                    : `Found ${issues.length} ${issues.length === 1 ? 'problem' : 'problems'}`,
+                data: {
+                    issues,
+                    checkedAt: new Date().toISOString()
+                }
+            };
+        } catch (error) {
+            console.error('Error checking data health:', error.message);
+            return {
+                success: false,
+                message: `Error checking data: ${error.message}`
+            };
+        }
+    }
+
+    /**
+     * Find the problems in one collection
+     * @param {Object} collection - key, name, Model and the stored value
+     * @param {Set} vehicleIds - IDs of all stored vehicles, including those in the trash
+     * @returns {Array} Issues with id, type, key, index, entryId, message, description and repairs
+     */
+    checkCollectionHealth({ key, name, Model, value }, vehicleIds) {
+        const issue = (type, { index = null, entryId = null, entry = null, message, repairs }) => ({
+            id: [type, key, index === null ? '' : index, entryId || ''].join(':'),
+            type,
+            key,
+            index,
+            entryId,
+            message,
+            description: entry ? this.describeHealthEntry(key, entry) : '',
+            repairs
+        });
+
+        if (!Array.isArray(value)) {
+            return [issue(HEALTH_ISSUES.MALFORMED, {
+                message: `${name} data is damaged and can't be read`,
+                repairs: [HEALTH_REPAIRS.QUARANTINE]
+            })];
+        }
+
+        const idCounts = new Map();
+        value.forEach(entry => {
+            if (entry && typeof entry.id === 'string') {
+                idCounts.set(entry.id, (idCounts.get(entry.id) || 0) + 1);
+            }
+        });
+
+        const reportedIds = new Set();
+        const issues = [];
+
+        value.forEach((entry, index) => {
+            if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+                issues.push(issue(HEALTH_ISSUES.MALFORMED, {
+                    index,
+                    message: `${name} #${index + 1} is damaged and can't be read`,
+                    repairs: [HEALTH_REPAIRS.QUARANTINE]
+                }));
+                return;
+            }
+
+            const entryId = typeof entry.id === 'string' && entry.id.trim() !== '' ? entry.id : null;
+            const details = { index, entryId, entry };
+
+            if (entryId && idCounts.get(entryId) > 1 && !reportedIds.has(entryId)) {
+                reportedIds.add(entryId);
+                issues.push(issue(HEALTH_ISSUES.DUPLICATE, {
+                    ...details,
+                    message: `${idCounts.get(entryId)} entries share the ${name.toLowerCase()} ID ${entryId}`,
+                    repairs: [HEALTH_REPAIRS.DEDUPE]
+                }));
+            }
+
+            const isOrphan = key !== STORAGE_KEYS.VEHICLES && !vehicleIds.has(entry.vehicleId);
+            const isFuture = typeof entry.date === 'string' && this.isFutureDate(entry.date);
+
+            // Missing vehicles and future dates are reported as their own problems
+            const errors = Model.fromJSON(entry).validate().errors
+                .filter(error => !(isOrphan && error.field === 'vehicleId') && !(isFuture && error.field === 'date'))
+                .map(error => error.message);
+            if (!entryId) {
+                errors.unshift('Missing id');
+            }
+
+            if (errors.length > 0) {
+                issues.push(issue(HEALTH_ISSUES.INVALID, {
+                    ...details,
+                    message: `${name} is invalid: ${errors.join('; ')}`,
+                    repairs: [HEALTH_REPAIRS.QUARANTINE]
+                }));
+            }
+
+            if (isFuture) {
+                issues.push(issue(HEALTH_ISSUES.FUTURE_DATE, {
+                    ...details,
+                    message: `${name} is dated ${entry.date.split('T')[0]}, which is in the future`,
+                    repairs: [HEALTH_REPAIRS.QUARANTINE]
+                }));
+            }
+
+            if (isOrphan) {
+                issues.push(issue(HEALTH_ISSUES.ORPHAN, {
+                    ...details,
+                    message: entry.vehicleId
+                        ? `${name} belongs to vehicle ${entry.vehicleId}, which doesn't exist`
+                        : `${name} doesn't belong to any vehicle`,
+                    repairs: [HEALTH_REPAIRS.REASSIGN, HEALTH_REPAIRS.QUARANTINE]
+                }));
+            }
+        });
+
+        return issues;
+    }
+
+    /**
+     * Check whether a date is later than tomorrow, allowing for time zones
+     * as MaintenanceRecord.validateDate() does
+     * @param {string} value - Date string
+     * @returns {boolean} True if in the future
+     */
+    isFutureDate(value) {
+        const date = new Date(value);
+        const tomorrow = new Date();
+        tomorrow.setDate(tomorrow.getDate() + 1);
+        tomorrow.setHours(23, 59, 59, 999);
+        return !Number.isNaN(date.getTime()) && date > tomorrow;
+    }
+
+    /**
+     * Name an entry for display next to a data health problem
+     * @param {string} key - Storage key of the entry's collection
+     * @param {Object} entry - Entry
+     * @returns {string} Short description
+     */
+    describeHealthEntry(key, entry) {
+        switch (key) {
+            case STORAGE_KEYS.VEHICLES:
+                return this.describeVehicle(entry);
+            case STORAGE_KEYS.MAINTENANCE_RECORDS:
+                return `${entry.serviceType || 'Service'} on ${String(entry.date || '').split('T')[0] || 'an unknown date'}`;
+            case STORAGE_KEYS.ODOMETER_READINGS:
+                return `${Number(entry.mileage).toLocaleString('en-US')} miles on ${String(entry.date || '').split('T')[0] || 'an unknown date'}`;
+            case STORAGE_KEYS.EXPENSES:
+                return `${entry.category || 'Unknown'} expense on ${String(entry.date || '').split('T')[0] || 'an unknown date'}`;
+            default:
+                return entry.serviceType || entry.id || '';
+        }
+    }
+
+    /**
+     * Repair a problem found by checkDataHealth(). A snapshot is taken first,
+     * and entries that are removed are kept in quarantine rather than deleted.
+     * @param {string} issueId - Issue ID from checkDataHealth()
+     * @param {Object} options - Repair options
+     * @param {string} options.action - One of the issue's HEALTH_REPAIRS
+     * @param {string} options.vehicleId - Vehicle to move an orphaned entry to, for REASSIGN
+     * @param {boolean} options.allowWithoutSnapshot - Go ahead even if no snapshot can be taken
+     * @returns {Object} Result object; snapshotFailed is true if nothing was
+     *     repaired because no snapshot could be taken
+     */
+    repairDataIssue(issueId, { action, vehicleId = null, allowWithoutSnapshot = false } = {}) {
+        const check = this.checkDataHealth();
+        if (!check.success) {
+            return check;
+        }
+
+        const issue = check.data.issues.find(item => item.id === issueId);
+        if (!issue) {
+            return {
+                success: false,
+                message: 'This problem was not found; it may already have been repaired'
+            };
+        }
+
+        if (!issue.repairs.includes(action)) {
+            return {
+                success: false,
+                message: 'That repair is not available for this problem'
+            };
+        }
+
+        if (action === HEALTH_REPAIRS.REASSIGN &&
+            !this.getAllVehicles(false, { includeDeleted: true }).some(vehicle => vehicle.id === vehicleId)) {
+            return {
+                success: false,
+                message: 'Choose a vehicle to move this entry to'
+            };
+        }
+
+        try {
+            const snapshotProblem = this.takeRestorePoint(SNAPSHOT_REASONS.REPAIR, `Before repairing: ${issue.message}`, allowWithoutSnapshot);
+            if (snapshotProblem) {
+                return snapshotProblem;
+            }
+
+            const before = this.readHistoryCollections();
+
+            const { entries, quarantined, message } = this.planRepair(issue, action, vehicleId);
+            const now = new Date().toISOString();
+            const quarantine = [
+                ...this.getQuarantinedItems(),
+                ...quarantined.map(entry => ({
+                    id: `quarantine_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+                    key: issue.key,
+                    reason: issue.message,
+                    quarantinedAt: now,
+                    entry
+                }))
+            ];
+
+            const saved = this.runInTransaction(() => storageService.set(issue.key, entries) &&
+                (quarantined.length === 0 || storageService.set(STORAGE_KEYS.QUARANTINE, quarantine)));
+
+            this.clearAllCaches();
+
+            if (!saved) {
+                return {
+                    success: false,
+                    message: 'Failed to save changes to storage'
+                };
+            }
+
+            // Undo entries recorded against the damaged data can't be trusted
+            historyService.clear();
+            this.publishChanges(this.diffCollections(before, this.readHistoryCollections()), AUDIT_SOURCES.USER);
+
+            console.log(`Repaired data issue ${issueId} (${action})`);
+            return {
+                success: true,
+                message,
+                data: issue
+            };
+        } catch (error) {
+            console.error(`Error repairing data issue ${issueId}:`, error.message);
+            return {
+                success: false,
+                message: `Error repairing data: ${error.message}`
+            };
+        }
+    }
+
+    /**
+     * Work out a collection's entries after a repair
+     * @param {Object} issue - Issue from checkDataHealth()
+     * @param {string} action - One of HEALTH_REPAIRS
+     * @param {string|null} vehicleId - Vehicle to move an orphaned entry to
+     * @returns {Object} The collection's new entries, the entries to quarantine and a result message
+     */
+    planRepair(issue, action, vehicleId) {
+        const value = storageService.get(issue.key, []);
+
+        if (!Array.isArray(value)) {
+            return {
+                entries: [],
+                quarantined: [value],
+                message: 'Moved the damaged data to quarantine'
+            };
+        }
+
+        if (action === HEALTH_REPAIRS.REASSIGN) {
+            const now = new Date().toISOString();
+            return {
+                entries: value.map((entry, index) => index === issue.index ? { ...entry, vehicleId, updatedAt: now } : entry),
+                quarantined: [],
+                message: 'Moved the entry to the chosen vehicle'
+            };
+        }
+
+        if (action === HEALTH_REPAIRS.DEDUPE) {
+            // Keep the most recently updated copy
+            const copies = value.filter(entry => entry && entry.id === issue.entryId);
+            const keep = copies.reduce((newest, entry) =>
+                (new Date(entry.updatedAt).getTime() || 0) > (new Date(newest.updatedAt).getTime() || 0) ? entry : newest
+            );
+            return {
+                entries: value.filter(entry => !entry || entry.id !== issue.entryId || entry === keep),
+                quarantined: copies.filter(entry => entry !== keep),
+                message: `Kept the newest copy and moved ${copies.length - 1} to quarantine`
+            };
+        }
+
+        return {
+            entries: value.filter((entry, index) => index !== issue.index),
+            quarantined: [value[issue.index]],
+            message: 'Moved the entry to quarantine'
+        };
+    }
+
+    /**
+     * Get the entries data health repairs have set aside
+     * @returns {Array} Items with id, key, reason, quarantinedAt and the original entry
+     */
+    getQuarantinedItems() {
+        const items = storageService.get(STORAGE_KEYS.QUARANTINE, []);
+        return Array.isArray(items) ? items : [];
+    }
+
+    // ==================== Query Operations ====================
+
+    /**
+     * Search vehicles by criteria
+     * @param {Object} criteria - Search criteria; includeDeleted also searches the trash
+     * @returns {Array} Matching vehicles
+     */
+    searchVehicles(criteria) {
+        if (!criteria || typeof criteria !== 'object') {
+            return this.getAllVehicles();
+        }
+
+        try {
+            const vehicles = this.getAllVehicles(true, { includeDeleted: Boolean(criteria.includeDeleted) });
+
+            return vehicles.filter(vehicle => {
+                let matches = true;
+
+                if (criteria.make && matches) {
+                    matches = vehicle.make.toLowerCase().includes(criteria.make.toLowerCase());
+                }
+
+                if (criteria.model && matches) {
+                    matches = vehicle.model.toLowerCase().includes(criteria.model.toLowerCase());
+                }
+
+                if (criteria.year && matches) {
+                    matches = vehicle.year === criteria.year;
+                }
+
+                if (criteria.minMileage !== undefined && matches) {
+                    matches = vehicle.mileage >= criteria.minMileage;
+                }
+
+                if (criteria.maxMileage !== undefined && matches) {
+                    matches = vehicle.mileage <= criteria.maxMileage;
+                }
+
+                return matches;
+            });
+        } catch (error) {
+            console.error('Error searching vehicles:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Search maintenance records by criteria
+     * @param {Object} criteria - vehicleId, serviceType (matched in part), startDate, endDate,
+     *     minCost, maxCost, minOdometer and maxOdometer; dateRange (see utils/dateRanges.js)
+     *     replaces startDate and endDate; includeDeleted also searches the trash
+     * @returns {Array} Matching maintenance records
+     */
+    searchMaintenanceRecords(criteria) {
+        if (!criteria || typeof criteria !== 'object') {
+            return this.getAllMaintenanceRecords();
+        }
+
+        return this.query({
+            where: this.buildMaintenanceWhere(criteria),
+            includeDeleted: Boolean(criteria.includeDeleted)
+        }).records;
+    }
+
+    /**
+     * Turn searchMaintenanceRecords criteria into a where clause for query().
+     * A relative date range is resolved now, so a saved filter keeps moving with time.
+     * @param {Object} criteria - Search criteria
+     * @param {Date} now - When to resolve a relative date range from (default: now)
+     * @returns {Object} Where clause
+     */
+    buildMaintenanceWhere(criteria, now = new Date()) {
+        const where = {};
+        const range = (field, min, max) => {
+            if (min !== undefined && min !== null && min !== '') {
+                where[field] = { ...where[field], gte: min };
+            }
+            if (max !== undefined && max !== null && max !== '') {
+                where[field] = { ...where[field], lte: max };
+            }
+        };
+
+        if (criteria.vehicleId) {
+            where.vehicleId = criteria.vehicleId;
+        }
+        if (criteria.serviceType) {
+            where.serviceType = { contains: criteria.serviceType };
+        }
+
+        const dates = (criteria.dateRange && resolveDateRange(criteria.dateRange, now)) || criteria;
+        // A plain end date covers the whole of that day
+        const endDate = /^\d{4}-\d{2}-\d{2}$/.test(dates.endDate || '') ? `${dates.endDate}T23:59:59.999Z` : dates.endDate;
+
+        range('date', dates.startDate, endDate);
+        range('cost', criteria.minCost, criteria.maxCost);
+        range('odometer', criteria.minOdometer, criteria.maxOdometer);
+
+        return where;
+    }
+
+    /**
+     * Find maintenance records using the record index
+     * @param {Object} options - Query options
+     * @param {Object} options.where - Conditions, e.g. { vehicleId: 'v1', date: { gte: '2024-01-01' } };
+     *     and, or, not and text are also supported (see recordIndex.js)
+     * @param {string|Object|Array} options.orderBy - Field, { field, direction }, or an array of them
+     * @param {number} options.limit - Most records to return
+     * @param {number} options.offset - Matching records to skip
+     * @param {boolean} options.includeDeleted - Include records in the trash
+     * @returns {Object} The page of records and the total number that matched
+     */
+    query(options = {}) {
+        try {
+            return this.getRecordIndex().query(options);
+        } catch (error) {
+            console.error('Error querying maintenance records:', error.message);
+            return { records: [], total: 0 };
+        }
+    }
+
+    /**
+     * Count, total and average a field of matching maintenance records
+     * @param {Object} options - Aggregation options
+     * @param {Object} options.where - Conditions, as for query()
+     * @param {string|null} options.groupBy - One of AGGREGATE_GROUPS, or null for one overall group
+     * @param {string} options.field - Numeric field to total (default: cost)
+     * @param {boolean} options.includeDeleted - Include records in the trash
+     * @returns {Array} { key, count, sum, avg } per group, ordered by key
+     */
+    aggregate(options = {}) {
+        try {
+            return this.getRecordIndex().aggregate(options);
+        } catch (error) {
+            console.error('Error aggregating maintenance records:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Get the record index, building it from storage if needed
+     * @returns {RecordIndex} Record index
+     */
+    getRecordIndex() {
+        if (!this.recordIndex) {
+            this.recordIndex = new RecordIndex(this.getAllMaintenanceRecords(true, { includeDeleted: true }));
+        }
+        return this.recordIndex;
+    }
+
+    /**
+     * Search vehicles and maintenance records by words in their service type,
+     * description, vehicle name and odometer notes
+     * @param {string} text - What to look for; words may be partial or slightly misspelled
+     * @param {Object} options - Search options
+     * @param {number} options.limit - Most results to return (default: 20)
+     * @returns {Object} The best results, ranked, and the total number that matched
+     */
+    search(text, options = {}) {
+        try {
+            return this.getSearchIndex().search(text, options);
+        } catch (error) {
+            console.error('Error searching:', error.message);
+            return { results: [], total: 0 };
+        }
+    }
+
+    /**
+     * Get the full-text search index, building it from storage if needed
+     * @returns {SearchIndex} Search index
+     */
+    getSearchIndex() {
+        if (!this.searchIndex) {
+            this.searchIndex = new SearchIndex({
+                vehicles: this.getAllVehicles(true),
+                records: this.getAllMaintenanceRecords(true),
+                readings: this.getAllOdometerReadings()
+            });
+        }
+        return this.searchIndex;
+    }
+
+    /**
+     * Drop the record and search indexes, so they are rebuilt from storage when next used
+     */
+    invalidateIndexes() {
+        this.recordIndex = null;
+        this.searchIndex = null;
+    }
+
+    // ==================== Cost Analytics ====================
+
+    /**
+     * Resolve the period cost analytics cover
+     * @param {Object} options - dateRange (see utils/dateRanges.js), or startDate and endDate as YYYY-MM-DD
+     * @param {Date} now - When to resolve a relative date range from
+     * @returns {Object|null} { dateRange, startDate, endDate }, or null for the whole time the vehicle was owned
+     */
+    resolveCostPeriod({ dateRange = null, startDate = null, endDate = null } = {}, now = new Date()) {
+        const resolved = dateRange ? resolveDateRange(dateRange, now) : null;
+
+        if (resolved) {
+            return { dateRange, ...resolved };
+        }
+
+        if (!startDate && !endDate) {
+            return null;
+        }
+
+        return { dateRange: null, startDate: startDate || null, endDate: endDate || null };
+    }
+
+    /**
+     * Work out how far a vehicle was driven, from its trusted odometer history.
+     * Mileage between two readings is interpolated; a period reaching past the
+     * history only counts the part the readings cover. Without a history, the
+     * lifetime distance runs from the earliest mileage known for the vehicle.
+     * @param {string} vehicleId - Vehicle ID
+     * @param {Object} period - startDate and endDate as YYYY-MM-DD; both empty for the whole history
+     * @returns {Object|null} Miles and kilometers driven with the dates and readings they run between,
+     *     or null if the history doesn't cover the period
+     */
+    getDistanceDriven(vehicleId, { startDate = null, endDate = null } = {}) {
+        const vehicle = this.getVehicleById(vehicleId);
+        if (!vehicle) {
+            return null;
+        }
+
+        const readings = this.getOdometerHistory(vehicleId)
+            .filter(reading => !reading.suspicious)
+            .map(reading => ({ time: new Date(reading.date).getTime(), mileage: reading.mileage }))
+            .filter(reading => !isNaN(reading.time));
+
+        const toDistance = (fromTime, toTime, startMileage, endMileage, source) => {
+            const miles = Math.max(0, endMileage - startMileage);
+            return {
+                miles,
+                kilometers: Math.round(miles * KM_PER_MILE),
+                fromDate: fromTime === null ? null : new Date(fromTime).toISOString(),
+                toDate: new Date(toTime).toISOString(),
+                startMileage,
+                endMileage,
+                source
+            };
+        };
+
+        const isLifetime = !startDate && !endDate;
+        const first = readings[0];
+        const last = readings[readings.length - 1];
+
+        if (readings.length < 2 || last.mileage <= first.mileage) {
+            if (!isLifetime) {
+                return null;
+            }
+
+            // Measure from the earliest reading, or failing that the mileage the vehicle was added with
+            const mileage = Number(vehicle.mileage) || 0;
+            const toTime = last ? last.time : Date.now();
+
+            if (first && first.mileage < mileage) {
+                return toDistance(first.time, toTime, first.mileage, mileage, 'odometer');
+            }
+
+            const addedMileage = this.getMileageWhenAdded(vehicle);
+            const addedTime = new Date(vehicle.createdAt).getTime();
+
+            return addedMileage !== null && addedMileage < mileage
+                ? toDistance(isNaN(addedTime) ? null : addedTime, toTime, addedMileage, mileage, 'odometer')
+                : null;
+        }
+
+        const mileageAt = time => {
+            if (time <= first.time) {
+                return first.mileage;
+            }
+            if (time >= last.time) {
+                return last.mileage;
+            }
+
+            const nextIndex = readings.findIndex(reading => reading.time > time);
+            const prev = readings[nextIndex - 1];
+            const next = readings[nextIndex];
+            const fraction = next.time === prev.time ? 1 : (time - prev.time) / (next.time - prev.time);
+            return Math.round(prev.mileage + (next.mileage - prev.mileage) * fraction);
+        };
+
+        // A plain end date covers the whole of that day, as in buildMaintenanceWhere
+        const start = startDate ? new Date(startDate).getTime() : first.time;
+        const end = endDate
+            ? new Date(/^\d{4}-\d{2}-\d{2}$/.test(endDate) ? `${endDate}T23:59:59.999Z` : endDate).getTime()
+            : last.time;
+        const fromTime = Math.max(start, first.time);
+        const toTime = Math.min(end, last.time);
+
+        if (isNaN(fromTime) || isNaN(toTime) || fromTime >= toTime) {
+            return null;
+        }
+
+        return toDistance(fromTime, toTime, mileageAt(fromTime), mileageAt(toTime), 'history');
+    }
+
+    /**
+     * Find the mileage a vehicle was added with, from its change history
+     * @param {Object} vehicle - Vehicle data
+     * @returns {number|null} Mileage when the vehicle was added, or null if it wasn't recorded
+     */
+    getMileageWhenAdded(vehicle) {
+        const created = auditService.getEntityHistory('vehicle', vehicle.id)
+            .find(entry => entry.action === AUDIT_ACTIONS.CREATE);
+        const change = created && created.changes.find(fieldChange => fieldChange.field === 'mileage');
+        const mileage = change ? Number(change.newValue) : NaN;
+
+        return Number.isFinite(mileage) ? mileage : null;
+    }
+
+    /**
+     * Total a vehicle's costs over a period and work out its cost per mile and kilometer
+     * @param {string} vehicleId - Vehicle ID
+     * @param {Object} options - Analytics options
+     * @param {string} options.dateRange - Relative date range (see utils/dateRanges.js)
+     * @param {string} options.startDate - First day, YYYY-MM-DD, when no dateRange is given
+     * @param {string} options.endDate - Last day, YYYY-MM-DD, when no dateRange is given
+     * @param {boolean} options.includePurchasePrice - Add the purchase price; only counted over the
+     *     whole time the vehicle was owned, when no period is given
+     * @param {boolean} options.includeInsurance - Add logged insurance payments
+     * @param {boolean} options.includeFuel - Add logged fuel fill-ups
+     * @param {Date} options.now - When to resolve a relative date range from (default: now)
+     * @returns {Object|null} Costs by kind, distance driven, and cost per mile and kilometer,
+     *     or null if the vehicle doesn't exist
+     */
+    getVehicleCostAnalytics(vehicleId, options = {}) {
+        const vehicle = this.getVehicleById(vehicleId);
+        if (!vehicle) {
+            return null;
+        }
+
+        const { includePurchasePrice = false, includeInsurance = false, includeFuel = false, now = new Date() } = options;
+        const period = this.resolveCostPeriod(options, now);
+        const roundCents = value => Math.round(value * 100) / 100;
+
+        const where = this.buildMaintenanceWhere({
+            vehicleId,
+            startDate: period ? period.startDate : null,
+            endDate: period ? period.endDate : null
+        });
+        const [maintenance] = this.aggregate({ where });
+
+        // Expenses are picked by the same dates as maintenance records
+        const dates = where.date;
+        const inPeriod = expense => {
+            if (!dates) {
+                return true;
+            }
+            const time = new Date(expense.date).getTime();
+            return (!dates.gte || time >= new Date(dates.gte).getTime()) &&
+                (!dates.lte || time <= new Date(dates.lte).getTime());
+        };
+        const sumExpenses = category => roundCents(this.getExpensesByVehicleId(vehicleId)
+            .filter(expense => expense.category === category && inPeriod(expense))
+            .reduce((total, expense) => total + (Number(expense.amount) || 0), 0));
+
+        const costs = {
+            maintenance: roundCents(maintenance ? maintenance.sum : 0),
+            fuel: includeFuel ? sumExpenses(EXPENSE_CATEGORIES.FUEL) : 0,
+            insurance: includeInsurance ? sumExpenses(EXPENSE_CATEGORIES.INSURANCE) : 0,
+            // An invalid price is left to the data health check rather than skewing totals
+            purchase: includePurchasePrice && !period && Number.isFinite(vehicle.purchasePrice) && vehicle.purchasePrice > 0
+                ? vehicle.purchasePrice
+                : 0
+        };
+        costs.total = roundCents(costs.maintenance + costs.fuel + costs.insurance + costs.purchase);
+
+        const distance = this.getDistanceDriven(vehicleId, period || {});
+        const hasDistance = Boolean(distance) && distance.miles > 0;
+
+        return {
+            vehicleId,
+            period,
+            costs,
+            serviceCount: maintenance ? maintenance.count : 0,
+            distance,
+            costPerMile: hasDistance ? costs.total / distance.miles : null,
+            costPerKilometer: hasDistance ? costs.total / (distance.miles * KM_PER_MILE) : null
+        };
+    }
+
+    /**
+     * Compare costs across the fleet over a period
+     * @param {Object} options - As for getVehicleCostAnalytics
+     * @returns {Object} Each vehicle's analytics with its share of the fleet's costs, most expensive
+     *     first, and fleet totals; the fleet's cost per mile only counts vehicles with a known distance
+     */
+    getFleetCostAnalytics(options = {}) {
+        const vehicles = this.getAllVehicles()
+            .map(vehicle => this.getVehicleCostAnalytics(vehicle.id, options))
+            .filter(Boolean);
+
+        const sum = select => vehicles.reduce((total, item) => total + select(item), 0);
+        const roundCents = value => Math.round(value * 100) / 100;
+
+        const costs = {};
+        ['maintenance', 'fuel', 'insurance', 'purchase', 'total'].forEach(kind => {
+            costs[kind] = roundCents(sum(item => item.costs[kind]));
+        });
+
+        const measured = vehicles.filter(item => item.costPerMile !== null);
+        const miles = measured.reduce((total, item) => total + item.distance.miles, 0);
+        const measuredCost = measured.reduce((total, item) => total + item.costs.total, 0);
+
+        return {
+            period: this.resolveCostPeriod(options, options.now || new Date()),
+            vehicles: vehicles
+                .map(item => ({ ...item, share: costs.total > 0 ? item.costs.total / costs.total : 0 }))
+                .sort((a, b) => b.costs.total - a.costs.total),
+            totals: {
+                costs,
+                serviceCount: sum(item => item.serviceCount),
+                miles,
+                kilometers: Math.round(miles * KM_PER_MILE),
+                costPerMile: miles > 0 ? measuredCost / miles : null,
+                costPerKilometer: miles > 0 ? measuredCost / (miles * KM_PER_MILE) : null
+            }
+        };
+    }
+
+    // ==================== Undo History ====================
+
+    /**
+     * Run a mutation and record what it changed in the undo history and the audit log.
+     * Mutations called from inside another one (such as the odometer entry
+     * logged when a vehicle is added) are recorded as part of the outer change.
+     * Each mutation runs in a storage transaction, so one that fails part way
+     * leaves none of its writes behind. The mutation reports the entries it
+     * writes with markChanged(), and only those are compared afterwards.
+     * @param {Function} describe - Builds the history label from the mutation's result
+     * @param {Function} mutate - The mutation; returns a result object
+     * @param {string} source - Where the change came from, one of AUDIT_SOURCES
+     * @returns {Object} The mutation's result
+     */
+    trackChanges(describe, mutate, source = AUDIT_SOURCES.USER) {
+        if (this.changeDepth > 0) {
+            return this.runInTransaction(mutate);
+        }
+
+        const marked = new Map();
+        let result;
+
+        this.changeDepth++;
+        this.markedChanges = marked;
+        try {
+            result = this.runInTransaction(mutate);
+        } finally {
+            this.changeDepth--;
+            this.markedChanges = null;
+        }
+
+        if (result && result.success) {
+            const changes = this.diffMarkedChanges(marked);
+            if (Object.keys(changes).length > 0) {
+                historyService.push(describe(result), changes);
+                this.publishChanges(changes, source);
             }
+        }
+
+        return result;
+    }
+
+    /**
+     * Run writes in a storage transaction, rolling them back if they fail or throw
+     * @param {Function} work - Makes the writes; returns a result object, or a boolean
+     * @returns {*} Whatever work returned
+     */
+    runInTransaction(work) {
+        let result;
+
+        try {
+            result = storageService.runTransaction(work);
         } catch (error) {
-            console.error(`Error deleting maintenance record ${id}:`, error.message);
-            return {
-                success: false,
-                message: `Error deleting maintenance record: ${error.message}`
-            };
+            // The caches may hold values that were just rolled back
+            this.clearAllCaches();
+            this.invalidateIndexes();
+            throw error;
+        }
+
+        if (result === false || (result && result.success === false)) {
+            this.clearAllCaches();
+            this.invalidateIndexes();
         }
+
+        return result;
     }
 
     /**
-     * Delete all maintenance records for a vehicle
-     * @param {string} vehicleId - Vehicle ID
-     * @returns {Object} Result object
+     * Note entries the running tracked mutation is about to write, keeping
+     * their stored values for the history entry. Call it before the write;
+     * outside a tracked mutation it does nothing.
+     * @param {string} key - Storage key, one of HISTORY_KEYS
+     * @param {string[]} ids - IDs of the entries being added, changed or removed
      */
-    deleteMaintenanceRecordsByVehicleId(vehicleId) {
-        if (!vehicleId || typeof vehicleId !== 'string') {
+    markChanged(key, ids) {
+        if (!this.markedChanges) {
+            return;
+        }
+
+        const marked = this.markedChanges.get(key) || new Map();
+        const unmarked = ids.filter(id => !marked.has(id));
+
+        if (unmarked.length > 0) {
+            const entries = storageService.get(key, []);
+            const byId = new Map((Array.isArray(entries) ? entries : []).map(entry => [entry.id, entry]));
+            // An entry marked twice keeps the value it had before the first write
+            unmarked.forEach(id => marked.set(id, byId.get(id) || null));
+        }
+
+        this.markedChanges.set(key, marked);
+    }
+
+    /**
+     * Compare the entries a tracked mutation marked with their stored values now
+     * @param {Map} marked - Storage key to a Map of ID to the entry before the change
+     * @returns {Object} Storage key to an array of { id, before, after }, for keys that changed
+     */
+    diffMarkedChanges(marked) {
+        const changes = {};
+
+        HISTORY_KEYS.filter(key => marked.has(key)).forEach(key => {
+            const entries = storageService.get(key, []);
+            const afterById = new Map((Array.isArray(entries) ? entries : []).map(entry => [entry.id, entry]));
+            const keyChanges = [];
+
+            marked.get(key).forEach((previous, id) => {
+                const next = afterById.get(id) || null;
+                if (JSON.stringify(previous) !== JSON.stringify(next)) {
+                    keyChanges.push({ id, before: previous, after: next });
+                }
+            });
+
+            if (keyChanges.length > 0) {
+                changes[key] = keyChanges;
+            }
+        });
+
+        return changes;
+    }
+
+    /**
+     * Read the collections covered by undo history
+     * @returns {Object} Storage key to array of entries
+     */
+    readHistoryCollections() {
+        return Object.fromEntries(HISTORY_KEYS.map(key => {
+            const entries = storageService.get(key, []);
+            return [key, Array.isArray(entries) ? entries : []];
+        }));
+    }
+
+    /**
+     * Find the entries that differ between two reads of the collections
+     * @param {Object} before - Collections before a change
+     * @param {Object} after - Collections after it
+     * @returns {Object} Storage key to an array of { id, before, after }, for keys that changed
+     */
+    diffCollections(before, after) {
+        const changes = {};
+
+        HISTORY_KEYS.forEach(key => {
+            const beforeById = new Map(before[key].map(entry => [entry.id, entry]));
+            const afterById = new Map(after[key].map(entry => [entry.id, entry]));
+            const ids = new Set([...beforeById.keys(), ...afterById.keys()]);
+            const keyChanges = [];
+
+            ids.forEach(id => {
+                const previous = beforeById.get(id) || null;
+                const next = afterById.get(id) || null;
+                if (JSON.stringify(previous) !== JSON.stringify(next)) {
+                    keyChanges.push({ id, before: previous, after: next });
+                }
+            });
+
+            if (keyChanges.length > 0) {
+                changes[key] = keyChanges;
+            }
+        });
+
+        return changes;
+    }
+
+    /**
+     * Write one side of a history entry's changes back to storage
+     * @param {Object} changes - Storage key to an array of { id, before, after }
+     * @param {string} side - 'before' to undo or 'after' to redo
+     * @returns {Object} Result object; conflict is set if the data no longer matches the entry
+     */
+    applyHistoryChanges(changes, side) {
+        const otherSide = side === 'before' ? 'after' : 'before';
+        const current = this.readHistoryCollections();
+
+        const unchanged = Object.entries(changes).every(([key, keyChanges]) => {
+            const byId = new Map((current[key] || []).map(entry => [entry.id, entry]));
+            return keyChanges.every(change =>
+                JSON.stringify(byId.get(change.id) || null) === JSON.stringify(change[otherSide])
+            );
+        });
+
+        if (!unchanged) {
             return {
                 success: false,
-                message: 'Invalid vehicle ID provided'
+                conflict: true,
+                message: 'Your data has changed since'
             };
         }
 
         try {
-            const records = this.getAllMaintenanceRecords(false);
-            const filteredRecords = records.filter(r => r.vehicleId !== vehicleId);
-            const deletedCount = records.length - filteredRecords.length;
+            const writes = Object.entries(changes).map(([key, keyChanges]) => {
+                const entries = [...current[key]];
+
+                keyChanges.forEach(change => {
+                    const index = entries.findIndex(entry => entry.id === change.id);
+                    const target = change[side];
+
+                    if (!target) {
+                        entries.splice(index, 1);
+                    } else if (index === -1) {
+                        entries.push(target);
+                    } else {
+                        entries[index] = target;
+                    }
+                });
+
+                return [key, entries];
+            });
 
-            // Save to storage
-            if (storageService.set(STORAGE_KEYS.MAINTENANCE_RECORDS, filteredRecords)) {
-                this.invalidateMaintenanceCache();
-                console.log(`Deleted ${deletedCount} maintenance records for vehicle ${vehicleId}`);
-                return {
-                    success: true,
-                    message: `Deleted ${deletedCount} maintenance records`,
-                    count: deletedCount
-                };
-            } else {
-                return {
-                    success: false,
-                    message: 'Failed to save changes to storage'
-                };
+            const saved = this.runInTransaction(() => writes.every(([key, value]) => storageService.set(key, value)));
+
+            this.clearAllCaches();
+
+            if (!saved) {
+                return { success: false, message: 'Failed to save changes to storage' };
             }
+
+            const applied = Object.fromEntries(Object.entries(changes).map(([key, keyChanges]) => [
+                key,
+                keyChanges.map(change => ({ id: change.id, before: change[otherSide], after: change[side] }))
+            ]));
+            this.publishChanges(applied, side === 'before' ? AUDIT_SOURCES.UNDO : AUDIT_SOURCES.REDO);
+
+            return { success: true, message: 'Changes applied' };
         } catch (error) {
-            console.error(`Error deleting maintenance records for vehicle ${vehicleId}:`, error.message);
+            console.error('Error applying undo history:', error.message);
+            this.clearAllCaches();
             return {
                 success: false,
-                message: `Error deleting maintenance records: ${error.message}`
+                message: `Error applying changes: ${error.message}`
             };
         }
     }
 
-    // ==================== Query Operations ====================
-
     /**
-     * Search vehicles by criteria
-     * @param {Object} criteria - Search criteria
-     * @returns {Array} Matching vehicles
+     * Add the field changes made by a storage migration to the audit log and notify subscribers
+     * @param {Object|null} migration - Completed migration from storageService, with the pre-migration data
+     * @returns {number} Number of audit entries recorded
      */
-    searchVehicles(criteria) {
-        if (!criteria || typeof criteria !== 'object') {
-            return this.getAllVehicles();
+    recordMigration(migration) {
+        if (!migration || !migration.data) {
+            return 0;
         }
 
-        try {
-            const vehicles = this.getAllVehicles();
-
-            return vehicles.filter(vehicle => {
-                let matches = true;
+        const before = Object.fromEntries(HISTORY_KEYS.map(key => [
+            key,
+            Array.isArray(migration.data[key]) ? migration.data[key] : []
+        ]));
 
-                if (criteria.make && matches) {
-                    matches = vehicle.make.toLowerCase().includes(criteria.make.toLowerCase());
-                }
+        return this.publishChanges(
+            this.diffCollections(before, this.readHistoryCollections()),
+            AUDIT_SOURCES.MIGRATION
+        );
+    }
 
-                if (criteria.model && matches) {
-                    matches = vehicle.model.toLowerCase().includes(criteria.model.toLowerCase());
-                }
+    /**
+     * Undo the latest change
+     * @returns {Object} Result object
+     */
+    undo() {
+        return historyService.undo((changes, side) => this.applyHistoryChanges(changes, side));
+    }
 
-                if (criteria.year && matches) {
-                    matches = vehicle.year === criteria.year;
-                }
+    /**
+     * Redo the latest undone change
+     * @returns {Object} Result object
+     */
+    redo() {
+        return historyService.redo((changes, side) => this.applyHistoryChanges(changes, side));
+    }
 
-                if (criteria.minMileage !== undefined && matches) {
-                    matches = vehicle.mileage >= criteria.minMileage;
-                }
+    /**
+     * Name a vehicle for history labels
+     * @param {Object} vehicle - Vehicle data
+     * @returns {string} e.g. "2015 Ford Focus"
+     */
+    describeVehicle(vehicle) {
+        return `${vehicle.year} ${vehicle.make} ${vehicle.model}`;
+    }
 
-                if (criteria.maxMileage !== undefined && matches) {
-                    matches = vehicle.mileage <= criteria.maxMileage;
-                }
+    // ==================== Change Subscriptions ====================
 
-                return matches;
-            });
-        } catch (error) {
-            console.error('Error searching vehicles:', error.message);
-            return [];
+    /**
+     * Subscribe to data changes
+     *
+     * Entity events are named "<entity>:<change>", where entity is vehicle,
+     * record or odometer and change is created, updated or deleted, and carry
+     * the entity's stored data before and after the change. Moving an item to
+     * the trash is a delete whose "after" has deletedAt set; purging it is a
+     * delete with "after" null; restoring it is a create. Bulk operations add
+     * data:imported or data:cleared after the entity events, and changes made
+     * in another tab add data:synced with the storage keys that changed.
+     *
+     * @param {string|Array|Function} selector - Event type such as 'vehicle:updated',
+     *     a wildcard such as 'record:*' or '*', an array of these, or a predicate on the event
+     * @param {Function} callback - Called once per change with the array of matching
+     *     events ({ type, id, before, after, source }), so a bulk import notifies once
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(selector, callback) {
+        if (typeof callback !== 'function') {
+            throw new Error('Subscriber callback must be a function');
         }
+
+        const subscriber = { selector, callback };
+        this.subscribers.add(subscriber);
+
+        return () => {
+            this.subscribers.delete(subscriber);
+        };
     }
 
     /**
-     * Search maintenance records by criteria
-     * @param {Object} criteria - Search criteria
-     * @returns {Array} Matching maintenance records
+     * Check whether an event matches a subscription selector
+     * @param {string|Array|Function} selector - Subscription selector
+     * @param {Object} event - Change event
+     * @returns {boolean} True if the event matches
      */
-    searchMaintenanceRecords(criteria) {
-        if (!criteria || typeof criteria !== 'object') {
-            return this.getAllMaintenanceRecords();
+    matchesSelector(selector, event) {
+        if (typeof selector === 'function') {
+            return Boolean(selector(event));
         }
 
-        try {
-            const records = this.getAllMaintenanceRecords();
+        if (Array.isArray(selector)) {
+            return selector.some(item => this.matchesSelector(item, event));
+        }
 
-            return records.filter(record => {
-                let matches = true;
+        if (selector === '*') {
+            return true;
+        }
 
-                if (criteria.vehicleId && matches) {
-                    matches = record.vehicleId === criteria.vehicleId;
-                }
+        if (typeof selector === 'string' && selector.endsWith(':*')) {
+            return event.type.startsWith(selector.slice(0, -1));
+        }
 
-                if (criteria.serviceType && matches) {
-                    matches = record.serviceType.toLowerCase().includes(criteria.serviceType.toLowerCase());
-                }
+        return selector === event.type;
+    }
 
-                if (criteria.startDate && matches) {
-                    matches = new Date(record.date) >= new Date(criteria.startDate);
-                }
+    /**
+     * Turn collection changes into change events
+     * @param {Object} changes - Storage key to an array of { id, before, after }
+     * @param {string} source - Where the changes came from, one of AUDIT_SOURCES
+     * @returns {Array} Change events
+     */
+    toChangeEvents(changes, source) {
+        return Object.entries(changes).flatMap(([key, keyChanges]) => {
+            const prefix = CHANGE_EVENT_PREFIXES[key];
+            if (!prefix) {
+                return [];
+            }
 
-                if (criteria.endDate && matches) {
-                    matches = new Date(record.date) <= new Date(criteria.endDate);
-                }
+            return keyChanges.map(({ id, before, after }) => {
+                const wasLive = Boolean(before && !before.deletedAt);
+                const isLive = Boolean(after && !after.deletedAt);
+                let change = 'updated';
 
-                if (criteria.minCost !== undefined && matches) {
-                    matches = record.cost >= criteria.minCost;
+                if (!wasLive && isLive) {
+                    change = 'created';
+                } else if (!isLive && (wasLive || !after)) {
+                    change = 'deleted';
                 }
 
-                if (criteria.maxCost !== undefined && matches) {
-                    matches = record.cost <= criteria.maxCost;
-                }
+                return { type: `${prefix}:${change}`, id, before, after, source };
+            });
+        });
+    }
 
-                return matches;
+    /**
+     * Notify subscribers of a change, once the record and search indexes reflect it
+     * @param {Object} changes - Storage key to an array of { id, before, after }
+     * @param {string} source - Where the changes came from, one of AUDIT_SOURCES
+     * @param {Array} extraEvents - Events to send after the entity events
+     */
+    emitChanges(changes, source, extraEvents = []) {
+        if (this.recordIndex && changes[STORAGE_KEYS.MAINTENANCE_RECORDS]) {
+            this.recordIndex.applyChanges(changes[STORAGE_KEYS.MAINTENANCE_RECORDS]);
+        }
+
+        if (this.searchIndex) {
+            this.searchIndex.applyChanges({
+                vehicles: changes[STORAGE_KEYS.VEHICLES],
+                records: changes[STORAGE_KEYS.MAINTENANCE_RECORDS],
+                readings: changes[STORAGE_KEYS.ODOMETER_READINGS]
             });
-        } catch (error) {
-            console.error('Error searching maintenance records:', error.message);
-            return [];
         }
+
+        const events = [...this.toChangeEvents(changes, source), ...extraEvents];
+        if (events.length === 0) {
+            return;
+        }
+
+        // Copied so a callback can unsubscribe while we iterate
+        [...this.subscribers].forEach(({ selector, callback }) => {
+            const matching = events.filter(event => this.matchesSelector(selector, event));
+            if (matching.length === 0) {
+                return;
+            }
+
+            try {
+                callback(matching);
+            } catch (error) {
+                // One broken view must not stop the others from updating
+                console.error('Error in data change subscriber:', error.message);
+            }
+        });
+    }
+
+    /**
+     * Pick up data another tab has written: drop cached reads and notify
+     * subscribers of what changed. The other tab already logged the change.
+     * @param {Object} previous - Storage key to its value before the other tab's write
+     */
+    handleExternalChanges(previous) {
+        this.clearAllCaches();
+        // Another tab's clear leaves no previous values to diff, so rebuild rather than patch
+        this.invalidateIndexes();
+
+        const current = this.readHistoryCollections();
+        const before = { ...current };
+        Object.entries(previous).forEach(([key, value]) => {
+            if (HISTORY_KEYS.includes(key)) {
+                before[key] = Array.isArray(value) ? value : [];
+            }
+        });
+
+        this.emitChanges(this.diffCollections(before, current), AUDIT_SOURCES.SYNC, [{
+            type: DATA_EVENTS.SYNCED,
+            id: null,
+            source: AUDIT_SOURCES.SYNC,
+            before: null,
+            after: null,
+            keys: Object.keys(previous)
+        }]);
+    }
+
+    /**
+     * Record a change in the audit log and notify subscribers
+     * @param {Object} changes - Storage key to an array of { id, before, after }
+     * @param {string} source - Where the changes came from, one of AUDIT_SOURCES
+     * @param {Array} extraEvents - Events to send after the entity events
+     * @returns {number} Number of audit entries recorded
+     */
+    publishChanges(changes, source, extraEvents = []) {
+        const count = auditService.recordChanges(changes, source);
+        this.emitChanges(changes, source, extraEvents);
+        return count;
     }
 
     // ==================== Utility Methods ====================
@@ -727,6 +3017,27 @@ class DataManager {
         this.invalidateMaintenanceCache();
     }
 
+    /**
+     * Take a snapshot before a change that can't otherwise be undone
+     * @param {string} reason - One of SNAPSHOT_REASONS
+     * @param {string} label - Snapshot label
+     * @param {boolean} allowWithoutSnapshot - Let the change go ahead if the snapshot fails
+     * @returns {Object|null} A failed result to return instead of making the change, or null to go ahead
+     */
+    takeRestorePoint(reason, label, allowWithoutSnapshot) {
+        const snapshot = snapshotService.takeSnapshot(reason, label);
+        if (snapshot.success || allowWithoutSnapshot) {
+            return null;
+        }
+
+        console.warn(`No snapshot could be taken "${label}", so the change was stopped:`, snapshot.message);
+        return {
+            success: false,
+            message: `No restore point could be saved (${snapshot.message}), so nothing was changed.`,
+            snapshotFailed: true
+        };
+    }
+
     /**
      * Export all data
      * @returns {Object} All data
@@ -734,8 +3045,11 @@ class DataManager {
     exportAllData() {
         try {
             return {
-                vehicles: this.getAllVehicles(false),
-                maintenanceRecords: this.getAllMaintenanceRecords(false),
+                vehicles: this.getAllVehicles(false, { includeDeleted: true }),
+                maintenanceRecords: this.getAllMaintenanceRecords(false, { includeDeleted: true }),
+                odometerReadings: this.getAllOdometerReadings(),
+                serviceSchedules: storageService.get(STORAGE_KEYS.SERVICE_SCHEDULES, []),
+                expenses: this.getAllExpenses(),
                 exportDate: new Date().toISOString(),
                 version: storageService.getVersion()
             };
@@ -746,12 +3060,21 @@ class DataManager {
     }
 
     /**
-     * Import all data
-     * @param {Object} data - Data to import
-     * @param {boolean} clearFirst - Whether to clear existing data
-     * @returns {Object} Result object
+     * Import data, validating every entry and merging it with existing data by id.
+     *
+     * Nothing is written when any option is invalid or in dry-run mode, so the
+     * report can be shown to the user before committing.
+     * @param {Object} data - Data to import, as produced by exportAllData()
+     * @param {Object|boolean} options - Import options, or clearFirst for older callers
+     * @param {boolean} options.clearFirst - Replace existing data instead of merging
+     * @param {string} options.policy - One of IMPORT_POLICIES (default: newest wins)
+     * @param {boolean} options.dryRun - Only build the report
+     * @param {string} options.source - Where the data came from, one of AUDIT_SOURCES (default: import)
+     * @param {boolean} options.allowWithoutSnapshot - Go ahead even if no snapshot can be taken first
+     * @returns {Object} Result object with a per-entry report; snapshotFailed is true if nothing
+     *     was imported because no snapshot could be taken
      */
-    importAllData(data, clearFirst = false) {
+    importAllData(data, options = {}) {
         if (!data || typeof data !== 'object') {
             return {
                 success: false,
@@ -759,41 +3082,86 @@ class DataManager {
             };
         }
 
+        const {
+            clearFirst = false,
+            policy = IMPORT_POLICIES.NEWEST,
+            dryRun = false,
+            source = AUDIT_SOURCES.IMPORT,
+            allowWithoutSnapshot = false
+        } = typeof options === 'boolean' ? { clearFirst: options } : (options || {});
+
+        if (!Object.values(IMPORT_POLICIES).includes(policy)) {
+            return {
+                success: false,
+                message: `Unknown import policy: ${policy}`
+            };
+        }
+
         try {
-            if (clearFirst) {
-                storageService.set(STORAGE_KEYS.VEHICLES, []);
-                storageService.set(STORAGE_KEYS.MAINTENANCE_RECORDS, []);
-            }
+            const plan = this.buildImportPlan(data, { clearFirst, policy });
+            const report = plan.report;
 
             const results = {
-                vehiclesImported: 0,
-                maintenanceRecordsImported: 0,
+                vehiclesImported: this.countImported(report.vehicles),
+                maintenanceRecordsImported: this.countImported(report.maintenanceRecords),
+                odometerReadingsImported: this.countImported(report.odometerReadings),
+                serviceSchedulesImported: this.countImported(report.serviceSchedules),
+                expensesImported: this.countImported(report.expenses),
                 errors: []
             };
 
-            // Import vehicles
-            if (Array.isArray(data.vehicles)) {
-                if (storageService.set(STORAGE_KEYS.VEHICLES, data.vehicles)) {
-                    results.vehiclesImported = data.vehicles.length;
-                } else {
-                    results.errors.push('Failed to import vehicles');
-                }
+            if (dryRun) {
+                return {
+                    success: true,
+                    message: 'Import preview ready; nothing has been saved',
+                    dryRun: true,
+                    report,
+                    results
+                };
             }
 
-            // Import maintenance records
-            if (Array.isArray(data.maintenanceRecords)) {
-                if (storageService.set(STORAGE_KEYS.MAINTENANCE_RECORDS, data.maintenanceRecords)) {
-                    results.maintenanceRecordsImported = data.maintenanceRecords.length;
-                } else {
-                    results.errors.push('Failed to import maintenance records');
-                }
+            const snapshotProblem = this.takeRestorePoint(SNAPSHOT_REASONS.IMPORT, 'Before importing data', allowWithoutSnapshot);
+            if (snapshotProblem) {
+                return { ...snapshotProblem, report, results };
             }
 
+            const before = this.readHistoryCollections();
+
+            const writes = [
+                [STORAGE_KEYS.VEHICLES, plan.vehicles, 'vehicles'],
+                [STORAGE_KEYS.MAINTENANCE_RECORDS, plan.maintenanceRecords, 'maintenance records'],
+                [STORAGE_KEYS.ODOMETER_READINGS, plan.odometerReadings, 'odometer readings'],
+                [STORAGE_KEYS.SERVICE_SCHEDULES, plan.serviceSchedules, 'service schedules'],
+                [STORAGE_KEYS.EXPENSES, plan.expenses, 'expenses']
+            ];
+
+            // All or nothing, so vehicles are never left imported without their records
+            this.runInTransaction(() => writes.every(([key, value, label]) => {
+                if (storageService.set(key, value)) {
+                    return true;
+                }
+                results.errors.push(`Failed to import ${label}`);
+                return false;
+            }));
+
             this.clearAllCaches();
 
+            if (results.errors.length === 0) {
+                historyService.clear();
+                this.publishChanges(this.diffCollections(before, this.readHistoryCollections()), source, [{
+                    type: DATA_EVENTS.IMPORTED,
+                    id: null,
+                    source,
+                    before: null,
+                    after: null,
+                    results
+                }]);
+            }
+
             return {
                 success: results.errors.length === 0,
-                message: results.errors.length === 0 ? 'Data imported successfully' : 'Data import completed with errors',
+                message: results.errors.length === 0 ? 'Data imported successfully' : 'Data import failed; no changes were saved',
+                report,
                 results
             };
         } catch (error) {
@@ -806,14 +3174,274 @@ class DataManager {
     }
 
     /**
-     * Clear all data
+     * Work out the merged collections and the per-entry report for an import
+     * @param {Object} data - Data to import
+     * @param {Object} options - clearFirst and policy
+     * @returns {Object} Merged vehicles, maintenanceRecords, odometerReadings, serviceSchedules and expenses, plus the report
+     */
+    buildImportPlan(data, { clearFirst, policy }) {
+        const vehicles = this.mergeImportedEntries(
+            clearFirst ? [] : this.getAllVehicles(false, { includeDeleted: true }),
+            data.vehicles,
+            Vehicle,
+            policy
+        );
+
+        const vehicleIds = new Set(vehicles.entries.map(vehicle => vehicle.id));
+        const belongsToKnownVehicle = entry => vehicleIds.has(entry.vehicleId)
+            ? null
+            : `Vehicle ${entry.vehicleId || '(none)'} does not exist`;
+
+        // Odometer readings must not run backwards against the records merged so far
+        const fitsOdometerSequence = (record, merged) => {
+            if (record.deletedAt) {
+                return null;
+            }
+
+            const others = [];
+            merged.forEach(other => {
+                if (other.vehicleId === record.vehicleId && !other.deletedAt) {
+                    others.push(other);
+                }
+            });
+
+            const odometerCheck = record.validateOdometerSequence(others);
+            return odometerCheck.valid ? null : odometerCheck.message;
+        };
+
+        const maintenanceRecords = this.mergeImportedEntries(
+            clearFirst ? [] : this.getAllMaintenanceRecords(false, { includeDeleted: true }),
+            data.maintenanceRecords,
+            MaintenanceRecord,
+            policy,
+            (record, merged) => belongsToKnownVehicle(record) || fitsOdometerSequence(record, merged)
+        );
+
+        const odometerReadings = this.mergeImportedEntries(
+            clearFirst ? [] : this.getAllOdometerReadings(),
+            data.odometerReadings,
+            OdometerReading,
+            policy,
+            belongsToKnownVehicle
+        );
+
+        const localSchedules = storageService.get(STORAGE_KEYS.SERVICE_SCHEDULES, []);
+        const serviceSchedules = this.mergeImportedEntries(
+            clearFirst || !Array.isArray(localSchedules) ? [] : localSchedules,
+            data.serviceSchedules,
+            ServiceSchedule,
+            policy,
+            belongsToKnownVehicle
+        );
+
+        const expenses = this.mergeImportedEntries(
+            clearFirst ? [] : this.getAllExpenses(),
+            data.expenses,
+            Expense,
+            policy,
+            belongsToKnownVehicle
+        );
+
+        return {
+            vehicles: vehicles.entries,
+            maintenanceRecords: maintenanceRecords.entries,
+            odometerReadings: odometerReadings.entries,
+            serviceSchedules: serviceSchedules.entries,
+            expenses: expenses.entries,
+            report: {
+                policy,
+                clearFirst,
+                vehicles: vehicles.report,
+                maintenanceRecords: maintenanceRecords.report,
+                odometerReadings: odometerReadings.report,
+                serviceSchedules: serviceSchedules.report,
+                expenses: expenses.report
+            }
+        };
+    }
+
+    /**
+     * Validate incoming entries of one collection and merge them into the local ones
+     * @param {Array} localEntries - Existing entries
+     * @param {Array} incomingEntries - Entries being imported
+     * @param {Function} Model - Model class with fromJSON() and validate()
+     * @param {string} policy - One of IMPORT_POLICIES
+     * @param {Function} checkReferences - Given the entry and the entries merged so far, returns a reason
+     *     string if the entry references missing data or conflicts with them
+     * @returns {Object} Merged entries and a report of what happened to each incoming entry
+     */
+    mergeImportedEntries(localEntries, incomingEntries, Model, policy, checkReferences = () => null) {
+        const merged = new Map(localEntries.map(entry => [entry.id, entry]));
+        const seenIds = new Set();
+        const report = [];
+
+        if (!Array.isArray(incomingEntries)) {
+            return { entries: [...merged.values()], report };
+        }
+
+        incomingEntries.forEach((incoming, index) => {
+            const id = incoming && typeof incoming === 'object' ? incoming.id : undefined;
+            const reject = reason => report.push({ index, id: id ?? null, status: IMPORT_STATUS.INVALID, reason });
+
+            if (!id || typeof id !== 'string') {
+                reject('Missing id');
+                return;
+            }
+
+            if (seenIds.has(id)) {
+                reject('Duplicate id in the imported data');
+                return;
+            }
+            seenIds.add(id);
+
+            let instance;
+            try {
+                instance = Model.fromJSON(incoming);
+            } catch (error) {
+                reject(error.message);
+                return;
+            }
+
+            const validation = instance.validate();
+            if (!validation.valid) {
+                reject(validation.errors.map(error => error.message).join('; '));
+                return;
+            }
+
+            const referenceProblem = checkReferences(instance, merged);
+            if (referenceProblem) {
+                reject(referenceProblem);
+                return;
+            }
+
+            const local = merged.get(id);
+
+            // Keep the incoming timestamps; toJSON() and the model would stamp the time of import
+            const entry = {
+                ...instance.toJSON(),
+                createdAt: incoming.createdAt || (local && local.createdAt) || instance.createdAt,
+                updatedAt: instance.updatedAt
+            };
+
+            if (!local) {
+                merged.set(id, entry);
+                report.push({ index, id, status: IMPORT_STATUS.ADDED });
+                return;
+            }
+
+            const resolution = this.resolveImportConflict(local, entry, policy);
+            if (resolution.useIncoming) {
+                merged.set(id, entry);
+                report.push({ index, id, status: IMPORT_STATUS.UPDATED, reason: resolution.reason });
+            } else {
+                report.push({ index, id, status: IMPORT_STATUS.SKIPPED, reason: resolution.reason });
+            }
+        });
+
+        return { entries: [...merged.values()], report };
+    }
+
+    /**
+     * Decide whether an incoming entry replaces the local entry with the same id
+     * @param {Object} local - Existing entry
+     * @param {Object} incoming - Incoming entry
+     * @param {string} policy - One of IMPORT_POLICIES
+     * @returns {Object} Whether to use the incoming entry, and why
+     */
+    resolveImportConflict(local, incoming, policy) {
+        const { updatedAt: localUpdatedAt, ...localFields } = local;
+        const { updatedAt: incomingUpdatedAt, ...incomingFields } = incoming;
+
+        if (JSON.stringify(localFields) === JSON.stringify({ ...localFields, ...incomingFields })) {
+            return { useIncoming: false, reason: 'Already up to date' };
+        }
+
+        if (policy === IMPORT_POLICIES.KEEP_LOCAL) {
+            return { useIncoming: false, reason: 'Kept the existing copy' };
+        }
+
+        if (policy === IMPORT_POLICIES.KEEP_INCOMING) {
+            return { useIncoming: true, reason: 'Replaced with the imported copy' };
+        }
+
+        const localTime = new Date(localUpdatedAt).getTime() || 0;
+        const incomingTime = new Date(incomingUpdatedAt).getTime() || 0;
+
+        return incomingTime > localTime
+            ? { useIncoming: true, reason: 'Imported copy is newer' }
+            : { useIncoming: false, reason: 'Existing copy is newer' };
+    }
+
+    /**
+     * Count entries an import adds or updates
+     * @param {Array} report - Report for one collection
+     * @returns {number} Count
+     */
+    countImported(report) {
+        return report.filter(item => item.status === IMPORT_STATUS.ADDED || item.status === IMPORT_STATUS.UPDATED).length;
+    }
+
+    /**
+     * Replace all data with a snapshot taken earlier
+     * @param {string} id - Snapshot ID
+     * @param {Object} options - allowWithoutSnapshot, as for snapshotService.restoreSnapshot
      * @returns {Object} Result object
      */
-    clearAllData() {
+    restoreSnapshot(id, options = {}) {
+        const before = this.readHistoryCollections();
+        const result = snapshotService.restoreSnapshot(id, options);
+        this.clearAllCaches();
+        if (result.success) {
+            historyService.clear();
+            this.publishChanges(this.diffCollections(before, this.readHistoryCollections()), AUDIT_SOURCES.RESTORE);
+        }
+        return result;
+    }
+
+    /**
+     * Clear all data
+     * @param {Object} options - Clear options
+     * @param {boolean} options.allowWithoutSnapshot - Go ahead even if no snapshot can be taken first
+     * @returns {Object} Result object; snapshotFailed is true if nothing was cleared because
+     *     no snapshot could be taken
+     */
+    clearAllData({ allowWithoutSnapshot = false } = {}) {
         try {
-            storageService.set(STORAGE_KEYS.VEHICLES, []);
-            storageService.set(STORAGE_KEYS.MAINTENANCE_RECORDS, []);
+            const snapshotProblem = this.takeRestorePoint(SNAPSHOT_REASONS.CLEAR, 'Before clearing all data', allowWithoutSnapshot);
+            if (snapshotProblem) {
+                return snapshotProblem;
+            }
+
+            const before = this.readHistoryCollections();
+
+            const cleared = this.runInTransaction(() => [
+                STORAGE_KEYS.VEHICLES,
+                STORAGE_KEYS.MAINTENANCE_RECORDS,
+                STORAGE_KEYS.ODOMETER_READINGS,
+                STORAGE_KEYS.SERVICE_SCHEDULES,
+                STORAGE_KEYS.EXPENSES
+            ].every(key => storageService.set(key, [])));
+
+            if (!cleared) {
+                return {
+                    success: false,
+                    message: 'Failed to save changes to storage'
+                };
+            }
+
             this.clearAllCaches();
+            historyService.clear();
+
+            // The audit log is kept, so a restored snapshot still has its history
+            const changes = this.diffCollections(before, this.readHistoryCollections());
+            auditService.recordSummary(changes, AUDIT_SOURCES.USER, AUDIT_ACTIONS.CLEAR);
+            this.emitChanges(changes, AUDIT_SOURCES.USER, [{
+                type: DATA_EVENTS.CLEARED,
+                id: null,
+                source: AUDIT_SOURCES.USER,
+                before: null,
+                after: null
+            }]);
 
             console.log('All data cleared successfully');
             return {
@@ -836,4 +3464,4 @@ const dataManager = new DataManager();
 // Initialize on creation
 dataManager.initialize();
 
-export { dataManager, DataManager, STORAGE_KEYS };
+export { dataManager, DataManager, STORAGE_KEYS, IMPORT_POLICIES, IMPORT_STATUS, DATA_EVENTS, HEALTH_ISSUES, HEALTH_REPAIRS, AGGREGATE_GROUPS, SEARCH_RESULT_TYPES, KM_PER_MILE };
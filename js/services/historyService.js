@@ -0,0 +1,194 @@
+/**
+ * History Service
+ *
+ * Bounded undo and redo stacks for data changes. Each history entry lists,
+ * per storage key, the entries a change added, edited or removed as
+ * { id, before, after }, so undoing writes the "before" side back and redoing
+ * writes the "after" side. The stacks are kept in sessionStorage, so they
+ * survive reloading the tab but start empty in a new session.
+ */
+
+/**
+ * Session storage key for the undo and redo stacks
+ */
+const HISTORY_KEY = 'autocare_undo_history';
+
+/**
+ * Most changes that can be undone
+ */
+const MAX_HISTORY = 50;
+
+/**
+ * History Service class
+ */
+class HistoryService {
+    constructor() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.load();
+    }
+
+    /**
+     * Load the stacks saved earlier in this session
+     */
+    load() {
+        try {
+            const saved = JSON.parse(window.sessionStorage.getItem(HISTORY_KEY) || 'null');
+            if (saved && Array.isArray(saved.undo) && Array.isArray(saved.redo)) {
+                this.undoStack = saved.undo.slice(-MAX_HISTORY);
+                this.redoStack = saved.redo.slice(-MAX_HISTORY);
+            }
+        } catch (error) {
+            console.warn('Unable to load undo history:', error.message);
+        }
+    }
+
+    /**
+     * Save the stacks for this session
+     */
+    save() {
+        try {
+            window.sessionStorage.setItem(HISTORY_KEY, JSON.stringify({
+                undo: this.undoStack,
+                redo: this.redoStack
+            }));
+        } catch (error) {
+            // History still works until the tab is reloaded
+            console.warn('Unable to save undo history:', error.message);
+        }
+    }
+
+    /**
+     * Announce that what can be undone or redone has changed
+     */
+    notify() {
+        window.dispatchEvent(new CustomEvent('history:changed', {
+            detail: {
+                undoLabel: this.getUndoLabel(),
+                redoLabel: this.getRedoLabel()
+            }
+        }));
+    }
+
+    /**
+     * Record a change that can be undone. Anything that could be redone is dropped.
+     * @param {string} label - What the change did, e.g. "Delete 2015 Ford Focus"
+     * @param {Object} changes - Storage key to an array of { id, before, after }
+     */
+    push(label, changes) {
+        this.undoStack.push({
+            label,
+            changes,
+            createdAt: new Date().toISOString()
+        });
+
+        if (this.undoStack.length > MAX_HISTORY) {
+            this.undoStack.shift();
+        }
+
+        this.redoStack = [];
+        this.save();
+        this.notify();
+    }
+
+    /**
+     * Get what the next undo would undo
+     * @returns {string|null} Label, or null if there is nothing to undo
+     */
+    getUndoLabel() {
+        const entry = this.undoStack[this.undoStack.length - 1];
+        return entry ? entry.label : null;
+    }
+
+    /**
+     * Get what the next redo would redo
+     * @returns {string|null} Label, or null if there is nothing to redo
+     */
+    getRedoLabel() {
+        const entry = this.redoStack[this.redoStack.length - 1];
+        return entry ? entry.label : null;
+    }
+
+    /**
+     * Undo the latest change
+     * @param {Function} apply - Writes one side of an entry's changes; called with
+     *     (changes, 'before') and returns a result object with conflict set if the
+     *     data no longer matches the entry
+     * @returns {Object} Result object
+     */
+    undo(apply) {
+        return this.step(this.undoStack, this.redoStack, apply, 'before', 'Undone');
+    }
+
+    /**
+     * Redo the latest undone change
+     * @param {Function} apply - As for undo(), called with (changes, 'after')
+     * @returns {Object} Result object
+     */
+    redo(apply) {
+        return this.step(this.redoStack, this.undoStack, apply, 'after', 'Redone');
+    }
+
+    /**
+     * Move the top entry of one stack to the other, applying its changes
+     * @param {Array} from - Stack to take the entry from
+     * @param {Array} to - Stack to put the entry on
+     * @param {Function} apply - Writes the changes
+     * @param {string} side - 'before' or 'after'
+     * @param {string} verb - Past tense for the result message
+     * @returns {Object} Result object
+     */
+    step(from, to, apply, side, verb) {
+        const entry = from[from.length - 1];
+        if (!entry) {
+            return {
+                success: false,
+                message: `Nothing to ${verb === 'Undone' ? 'undo' : 'redo'}`
+            };
+        }
+
+        const result = apply(entry.changes, side);
+
+        if (result.success) {
+            from.pop();
+            to.push(entry);
+            this.save();
+            this.notify();
+            return {
+                success: true,
+                message: `${verb}: ${entry.label}`,
+                data: entry
+            };
+        }
+
+        // The data was changed some other way, so older entries can't be trusted either
+        if (result.conflict) {
+            this.clear();
+            return {
+                success: false,
+                message: `"${entry.label}" can't be ${verb.toLowerCase()} because your data has changed since. Undo history was cleared.`
+            };
+        }
+
+        return result;
+    }
+
+    /**
+     * Forget all changes, e.g. after an import replaces data wholesale
+     */
+    clear() {
+        if (this.undoStack.length === 0 && this.redoStack.length === 0) {
+            return;
+        }
+
+        this.undoStack = [];
+        this.redoStack = [];
+        this.save();
+        this.notify();
+    }
+}
+
+// Create and export singleton instance
+const historyService = new HistoryService();
+
+export { historyService, HistoryService, MAX_HISTORY };
@@ -0,0 +1,447 @@
+/**
+ * IndexedDB Adapter
+ *
+ * Storage adapter that keeps each collection (vehicles, maintenance records,
+ * schedules, odometer readings) in its own object store, one row per record,
+ * with indexes on `vehicleId` and `date`. Every other key is kept in a
+ * key/value store.
+ *
+ * IndexedDB is asynchronous but StorageService is not, so the adapter loads
+ * everything into memory once in open() and serves reads from there. Writes
+ * update memory immediately and are persisted in the background, touching
+ * only the records that actually changed.
+ *
+ * When another tab opens a newer version of the database, the connection is
+ * closed so that tab's upgrade can go ahead, and onVersionChange is called so
+ * the user can be told to reload.
+ */
+
+const DB_NAME = 'autocare';
+const DB_VERSION = 2;
+const KEY_VALUE_STORE = 'keyValue';
+
+/**
+ * Suffix of the key/value entry marking that a collection has been written,
+ * so an empty collection still exists after a reload
+ */
+const PRESENT_SUFFIX = '__present';
+
+/**
+ * Storage keys that hold arrays of records, mapped to their object stores.
+ * Keys match STORAGE_KEYS in dataManager.
+ */
+const COLLECTION_STORES = {
+    autocare_vehicles: { store: 'vehicles', indexes: [] },
+    autocare_maintenance_records: { store: 'maintenanceRecords', indexes: ['vehicleId', 'date'] },
+    autocare_service_schedules: { store: 'serviceSchedules', indexes: ['vehicleId'] },
+    autocare_odometer_readings: { store: 'odometerReadings', indexes: ['vehicleId', 'date'] },
+    autocare_expenses: { store: 'expenses', indexes: ['vehicleId', 'date'] }
+};
+
+/**
+ * Error thrown by open() when another tab keeps an older version of the
+ * database open, so it can't be upgraded
+ */
+class DatabaseBlockedError extends Error {
+    constructor() {
+        super('AutoCare is open in another tab that is using an older version of its database');
+        this.name = 'DatabaseBlockedError';
+    }
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise} Resolves with the request result
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Wait for a transaction to finish
+ * @param {IDBTransaction} transaction - IndexedDB transaction
+ * @returns {Promise} Resolves when the transaction completes
+ */
+function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+}
+
+/**
+ * IndexedDB adapter class
+ */
+class IndexedDBAdapter {
+    /**
+     * @param {string} dbName - Database name
+     */
+    constructor(dbName = DB_NAME) {
+        this.name = 'indexedDB';
+        this.dbName = dbName;
+        this.db = null;
+        this.cache = new Map();
+        this.recordSnapshots = new Map();
+        this.pendingWrites = Promise.resolve();
+        this.lastWriteError = null;
+        this.onWriteError = null;
+        this.onVersionChange = null;
+    }
+
+    /**
+     * Check if IndexedDB is available
+     * @returns {boolean} True if IndexedDB is available
+     */
+    isAvailable() {
+        return typeof indexedDB !== 'undefined' && indexedDB !== null;
+    }
+
+    /**
+     * Open the database and load all data into memory
+     * @returns {Promise<void>}
+     * @throws {DatabaseBlockedError} If another tab has an older version open and doesn't close it
+     */
+    async open() {
+        const request = indexedDB.open(this.dbName, DB_VERSION);
+        let blocked = false;
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+
+            if (!db.objectStoreNames.contains(KEY_VALUE_STORE)) {
+                db.createObjectStore(KEY_VALUE_STORE);
+            }
+
+            Object.values(COLLECTION_STORES).forEach(({ store, indexes }) => {
+                if (!db.objectStoreNames.contains(store)) {
+                    const objectStore = db.createObjectStore(store, { keyPath: 'id' });
+                    indexes.forEach(index => objectStore.createIndex(index, index, { unique: false }));
+                }
+            });
+        };
+
+        this.db = await new Promise((resolve, reject) => {
+            request.onsuccess = () => {
+                if (blocked) {
+                    // open() has already failed, so don't hold on to the connection
+                    request.result.close();
+                    return;
+                }
+                resolve(request.result);
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => {
+                blocked = true;
+                reject(new DatabaseBlockedError());
+            };
+        });
+
+        this.db.onversionchange = () => {
+            // Let queued writes finish, then step aside for the other tab's upgrade
+            this.flush().then(() => this.close());
+
+            if (typeof this.onVersionChange === 'function') {
+                this.onVersionChange();
+            }
+        };
+
+        await this.load();
+    }
+
+    /**
+     * Load every store into the in-memory cache
+     * @returns {Promise<void>}
+     */
+    async load() {
+        const storeNames = [KEY_VALUE_STORE, ...Object.values(COLLECTION_STORES).map(c => c.store)];
+        const transaction = this.db.transaction(storeNames, 'readonly');
+
+        const keyValueStore = transaction.objectStore(KEY_VALUE_STORE);
+        const [keys, values] = await Promise.all([
+            promisifyRequest(keyValueStore.getAllKeys()),
+            promisifyRequest(keyValueStore.getAll())
+        ]);
+
+        this.cache.clear();
+        this.recordSnapshots.clear();
+
+        const presentCollections = new Set();
+        keys.forEach((key, i) => {
+            if (key.endsWith(PRESENT_SUFFIX)) {
+                presentCollections.add(key.slice(0, -PRESENT_SUFFIX.length));
+            } else {
+                this.cache.set(key, values[i]);
+            }
+        });
+
+        const collections = await Promise.all(Object.entries(COLLECTION_STORES).map(async ([key, { store }]) => {
+            const records = await promisifyRequest(transaction.objectStore(store).getAll());
+            return [key, records];
+        }));
+
+        collections.forEach(([key, records]) => {
+            // Collections only exist once something has been written to them
+            if (records.length > 0 || presentCollections.has(key)) {
+                this.cache.set(key, records);
+                this.recordSnapshots.set(key, this.snapshot(records));
+            }
+        });
+    }
+
+    /**
+     * Re-read keys from the database, picking up writes made by another tab
+     * @param {string[]|null} keys - Storage keys, or null for everything
+     * @returns {Promise<void>}
+     */
+    async reload(keys = null) {
+        await this.flush();
+
+        if (keys === null) {
+            await this.load();
+            return;
+        }
+
+        const collectionKeys = keys.filter(key => COLLECTION_STORES[key]);
+        const otherKeys = keys.filter(key => !COLLECTION_STORES[key]);
+        const storeNames = [KEY_VALUE_STORE, ...collectionKeys.map(key => COLLECTION_STORES[key].store)];
+        const transaction = this.db.transaction(storeNames, 'readonly');
+        const keyValueStore = transaction.objectStore(KEY_VALUE_STORE);
+
+        const otherValues = await Promise.all(otherKeys.map(key => promisifyRequest(keyValueStore.get(key))));
+        const collections = await Promise.all(collectionKeys.map(key => Promise.all([
+            promisifyRequest(transaction.objectStore(COLLECTION_STORES[key].store).getAll()),
+            promisifyRequest(keyValueStore.get(`${key}${PRESENT_SUFFIX}`)),
+            promisifyRequest(keyValueStore.get(key))
+        ])));
+
+        otherKeys.forEach((key, i) => {
+            if (otherValues[i] === undefined) {
+                this.cache.delete(key);
+            } else {
+                this.cache.set(key, otherValues[i]);
+            }
+        });
+
+        // Same rules as load(): per-record rows win, then a collection stored whole
+        collectionKeys.forEach((key, i) => {
+            const [records, present, whole] = collections[i];
+
+            if (records.length > 0 || present) {
+                this.cache.set(key, records);
+                this.recordSnapshots.set(key, this.snapshot(records));
+            } else if (whole !== undefined) {
+                this.cache.set(key, whole);
+                this.recordSnapshots.delete(key);
+            } else {
+                this.cache.delete(key);
+                this.recordSnapshots.delete(key);
+            }
+        });
+    }
+
+    /**
+     * Map record IDs to their serialized form for change detection
+     * @param {Array} records - Records
+     * @returns {Map} ID to JSON string
+     */
+    snapshot(records) {
+        return new Map(records.map(record => [record.id, JSON.stringify(record)]));
+    }
+
+    /**
+     * Read a value
+     * @param {string} key - Storage key
+     * @returns {*} A copy of the value, or undefined if the key doesn't exist
+     */
+    read(key) {
+        if (!this.cache.has(key)) {
+            return undefined;
+        }
+        return structuredClone(this.cache.get(key));
+    }
+
+    /**
+     * Write a value and persist it in the background
+     * @param {string} key - Storage key
+     * @param {*} value - Value to store
+     */
+    write(key, value) {
+        const copy = structuredClone(value);
+        const collection = COLLECTION_STORES[key];
+
+        if (collection && Array.isArray(copy) && copy.every(record => record && record.id)) {
+            this.writeCollection(key, collection.store, copy);
+            return;
+        }
+
+        // Anything else, including a collection that can't be keyed by id, is stored whole
+        this.cache.set(key, copy);
+        this.recordSnapshots.delete(key);
+
+        const storeNames = collection ? [collection.store, KEY_VALUE_STORE] : [KEY_VALUE_STORE];
+        this.enqueue(storeNames, transaction => {
+            if (collection) {
+                transaction.objectStore(collection.store).clear();
+                transaction.objectStore(KEY_VALUE_STORE).delete(`${key}${PRESENT_SUFFIX}`);
+            }
+            transaction.objectStore(KEY_VALUE_STORE).put(copy, key);
+        });
+    }
+
+    /**
+     * Persist only the records of a collection that were added, changed or removed
+     * @param {string} key - Storage key
+     * @param {string} store - Object store name
+     * @param {Array} records - New records
+     */
+    writeCollection(key, store, records) {
+        const previous = this.recordSnapshots.get(key) || new Map();
+        const next = this.snapshot(records);
+        const changed = records.filter(record => previous.get(record.id) !== next.get(record.id));
+        const removed = [...previous.keys()].filter(id => !next.has(id));
+        const wasPresent = this.recordSnapshots.has(key);
+
+        this.cache.set(key, records);
+        this.recordSnapshots.set(key, next);
+
+        this.enqueue([store, KEY_VALUE_STORE], transaction => {
+            const objectStore = transaction.objectStore(store);
+            changed.forEach(record => objectStore.put(record));
+            removed.forEach(id => objectStore.delete(id));
+
+            // Remember that an empty collection exists, as localStorage would
+            if (!wasPresent) {
+                transaction.objectStore(KEY_VALUE_STORE).put(true, `${key}${PRESENT_SUFFIX}`);
+                transaction.objectStore(KEY_VALUE_STORE).delete(key);
+            }
+        });
+    }
+
+    /**
+     * Remove a value
+     * @param {string} key - Storage key
+     */
+    remove(key) {
+        const collection = COLLECTION_STORES[key];
+
+        this.cache.delete(key);
+        this.recordSnapshots.delete(key);
+
+        if (collection) {
+            this.enqueue([collection.store, KEY_VALUE_STORE], transaction => {
+                transaction.objectStore(collection.store).clear();
+                transaction.objectStore(KEY_VALUE_STORE).delete(`${key}${PRESENT_SUFFIX}`);
+            });
+        } else {
+            this.enqueue([KEY_VALUE_STORE], transaction => {
+                transaction.objectStore(KEY_VALUE_STORE).delete(key);
+            });
+        }
+    }
+
+    /**
+     * Check if a key exists
+     * @param {string} key - Storage key
+     * @returns {boolean} True if key exists
+     */
+    has(key) {
+        return this.cache.has(key);
+    }
+
+    /**
+     * Get all keys
+     * @returns {string[]} Array of keys
+     */
+    keys() {
+        return [...this.cache.keys()];
+    }
+
+    /**
+     * Remove every key
+     */
+    clear() {
+        this.cache.clear();
+        this.recordSnapshots.clear();
+
+        const storeNames = [KEY_VALUE_STORE, ...Object.values(COLLECTION_STORES).map(c => c.store)];
+        this.enqueue(storeNames, transaction => {
+            storeNames.forEach(store => transaction.objectStore(store).clear());
+        });
+    }
+
+    /**
+     * Estimate the stored size of a key in bytes
+     * @param {string} key - Storage key
+     * @returns {number} Estimated size
+     */
+    estimateSize(key) {
+        if (!this.cache.has(key)) {
+            return 0;
+        }
+        return (key.length + JSON.stringify(this.cache.get(key)).length) * 2;
+    }
+
+    /**
+     * Queue a write transaction behind any pending ones
+     * @param {string[]} storeNames - Object stores the transaction touches
+     * @param {Function} work - Receives the transaction and issues requests on it
+     */
+    enqueue(storeNames, work) {
+        this.pendingWrites = this.pendingWrites.then(() => {
+            const transaction = this.db.transaction(storeNames, 'readwrite');
+            work(transaction);
+            return transactionDone(transaction);
+        }).catch(error => {
+            // The in-memory copy is still correct; report so the user can export a backup
+            this.lastWriteError = error;
+            console.error('Error writing to IndexedDB:', error && error.message);
+
+            if (typeof this.onWriteError === 'function') {
+                this.onWriteError(error);
+            }
+        });
+    }
+
+    /**
+     * Wait for all queued writes to reach the database
+     * @returns {Promise<void>}
+     */
+    flush() {
+        return this.pendingWrites;
+    }
+
+    /**
+     * Query a collection by one of its indexes
+     * @param {string} key - Collection storage key
+     * @param {string} indexName - Index name ('vehicleId' or 'date')
+     * @param {IDBKeyRange|*} query - Key or key range to match
+     * @returns {Promise<Array>} Matching records
+     */
+    async queryIndex(key, indexName, query) {
+        const collection = COLLECTION_STORES[key];
+        if (!collection || !collection.indexes.includes(indexName)) {
+            throw new Error(`No index "${indexName}" for "${key}"`);
+        }
+
+        await this.flush();
+        const transaction = this.db.transaction(collection.store, 'readonly');
+        return promisifyRequest(transaction.objectStore(collection.store).index(indexName).getAll(query));
+    }
+
+    /**
+     * Close the database connection
+     */
+    close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+}
+
+export { IndexedDBAdapter, DatabaseBlockedError, COLLECTION_STORES };
@@ -0,0 +1,115 @@
+/**
+ * localStorage Adapter
+ *
+ * Storage adapter that keeps each key as a JSON string in localStorage.
+ * This is the original AutoCare storage backend and the fallback whenever
+ * IndexedDB is unavailable.
+ */
+
+/**
+ * localStorage adapter class
+ */
+class LocalStorageAdapter {
+    constructor() {
+        this.name = 'localStorage';
+    }
+
+    /**
+     * Check if localStorage is available
+     * @returns {boolean} True if localStorage is available
+     */
+    isAvailable() {
+        try {
+            const testKey = '__storage_test__';
+            localStorage.setItem(testKey, 'test');
+            localStorage.removeItem(testKey);
+            return true;
+        } catch (error) {
+            console.error('localStorage is not available:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Read a value
+     * @param {string} key - Storage key
+     * @returns {*} Parsed value, or undefined if the key doesn't exist
+     */
+    read(key) {
+        const item = localStorage.getItem(key);
+
+        if (item === null) {
+            return undefined;
+        }
+
+        // Try to parse as JSON
+        try {
+            return JSON.parse(item);
+        } catch (parseError) {
+            // If parsing fails, return the raw string
+            console.warn(`Failed to parse JSON for key "${key}", returning raw value`);
+            return item;
+        }
+    }
+
+    /**
+     * Write a value, throwing if the browser rejects it (e.g. QuotaExceededError)
+     * @param {string} key - Storage key
+     * @param {*} value - Value to store
+     */
+    write(key, value) {
+        localStorage.setItem(key, JSON.stringify(value));
+    }
+
+    /**
+     * Remove a value
+     * @param {string} key - Storage key
+     */
+    remove(key) {
+        localStorage.removeItem(key);
+    }
+
+    /**
+     * Check if a key exists
+     * @param {string} key - Storage key
+     * @returns {boolean} True if key exists
+     */
+    has(key) {
+        return localStorage.getItem(key) !== null;
+    }
+
+    /**
+     * Get all keys
+     * @returns {string[]} Array of keys
+     */
+    keys() {
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key) {
+                keys.push(key);
+            }
+        }
+        return keys;
+    }
+
+    /**
+     * Remove every key
+     */
+    clear() {
+        localStorage.clear();
+    }
+
+    /**
+     * Estimate the stored size of a key in bytes
+     * @param {string} key - Storage key
+     * @returns {number} Estimated size
+     */
+    estimateSize(key) {
+        const value = localStorage.getItem(key);
+        // Rough estimate: each character is 2 bytes in UTF-16
+        return value ? (key.length + value.length) * 2 : 0;
+    }
+}
+
+export { LocalStorageAdapter };
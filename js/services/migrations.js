@@ -0,0 +1,229 @@
+/**
+ * Storage Migrations
+ *
+ * Ordered registry of schema migrations applied by StorageService when the
+ * stored data version is older than the current one. Each step is a pure
+ * function from one version's data to the next, where data is a plain object
+ * of storage key to value, so steps can be run against fixture data without
+ * touching storage.
+ */
+
+import { Vehicle } from '../models/Vehicle.js';
+import { MaintenanceRecord } from '../models/MaintenanceRecord.js';
+import { ServiceSchedule } from '../models/ServiceSchedule.js';
+import { OdometerReading } from '../models/OdometerReading.js';
+import { Expense } from '../models/Expense.js';
+
+/**
+ * Storage keys the migrations operate on. These are fixed here rather than
+ * taken from dataManager so that a migration keeps working if keys are renamed later.
+ */
+const KEYS = {
+    VEHICLES: 'autocare_vehicles',
+    MAINTENANCE_RECORDS: 'autocare_maintenance_records',
+    SERVICE_SCHEDULES: 'autocare_service_schedules',
+    ODOMETER_READINGS: 'autocare_odometer_readings',
+    EXPENSES: 'autocare_expenses'
+};
+
+/**
+ * Model used to validate each collection after a migration
+ */
+const COLLECTION_MODELS = {
+    [KEYS.VEHICLES]: Vehicle,
+    [KEYS.MAINTENANCE_RECORDS]: MaintenanceRecord,
+    [KEYS.SERVICE_SCHEDULES]: ServiceSchedule,
+    [KEYS.ODOMETER_READINGS]: OdometerReading,
+    [KEYS.EXPENSES]: Expense
+};
+
+/**
+ * Migration steps, oldest first. Each step moves data from `from` to `to`.
+ */
+const MIGRATIONS = [
+    {
+        from: '1.0.0',
+        to: '1.1.0',
+        description: 'Add odometer to maintenance records and round costs to whole cents',
+        /**
+         * Costs stay decimal amounts in dollars, which is what every reader,
+         * the CSV format and the currency formatter expect. Only their
+         * precision is normalised: strings become numbers and fractions of a
+         * cent are rounded away, so totals add up to what is displayed.
+         */
+        migrate(data) {
+            const records = data[KEYS.MAINTENANCE_RECORDS];
+            if (!Array.isArray(records)) {
+                return data;
+            }
+
+            return {
+                ...data,
+                [KEYS.MAINTENANCE_RECORDS]: records.map(record => ({
+                    ...record,
+                    odometer: typeof record.odometer === 'number' ? record.odometer : null,
+                    cost: Math.round((Number(record.cost) || 0) * 100) / 100
+                }))
+            };
+        }
+    },
+    {
+        from: '1.1.0',
+        to: '1.2.0',
+        description: 'Add deletedAt tombstones to vehicles and maintenance records for the trash',
+        migrate(data) {
+            const vehicles = data[KEYS.VEHICLES];
+            const records = data[KEYS.MAINTENANCE_RECORDS];
+            const result = { ...data };
+
+            if (Array.isArray(vehicles)) {
+                result[KEYS.VEHICLES] = vehicles.map(vehicle => ({
+                    ...vehicle,
+                    deletedAt: vehicle.deletedAt || null
+                }));
+            }
+
+            if (Array.isArray(records)) {
+                result[KEYS.MAINTENANCE_RECORDS] = records.map(record => ({
+                    ...record,
+                    deletedAt: record.deletedAt || null,
+                    deletedWithVehicle: Boolean(record.deletedWithVehicle)
+                }));
+            }
+
+            return result;
+        }
+    }
+];
+
+/**
+ * Current schema version, the target of the last migration
+ */
+const CURRENT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].to;
+
+/**
+ * Compare two dotted version strings
+ * @param {string} a - First version
+ * @param {string} b - Second version
+ * @returns {number} Negative if a < b, positive if a > b, 0 if equal
+ */
+function compareVersions(a, b) {
+    const partsA = String(a).split('.').map(Number);
+    const partsB = String(b).split('.').map(Number);
+    const length = Math.max(partsA.length, partsB.length);
+
+    for (let i = 0; i < length; i++) {
+        const diff = (partsA[i] || 0) - (partsB[i] || 0);
+        if (diff !== 0) {
+            return diff;
+        }
+    }
+
+    return 0;
+}
+
+/**
+ * Find the chain of steps leading from one version to another
+ * @param {string} fromVersion - Stored version
+ * @param {string} toVersion - Target version
+ * @param {Array} migrations - Migration registry
+ * @returns {Array} Steps in the order they must run
+ */
+function getMigrationPath(fromVersion, toVersion, migrations = MIGRATIONS) {
+    const path = [];
+    let version = fromVersion;
+
+    while (compareVersions(version, toVersion) < 0) {
+        const step = migrations.find(migration => migration.from === version);
+        if (!step) {
+            throw new Error(`No migration registered from version ${version}`);
+        }
+
+        path.push(step);
+        version = step.to;
+    }
+
+    if (version !== toVersion) {
+        throw new Error(`Migrations from ${fromVersion} overshoot version ${toVersion}`);
+    }
+
+    return path;
+}
+
+/**
+ * Check that a migration did not break any record that was valid before it
+ * @param {Object} before - Data before the step
+ * @param {Object} after - Data after the step
+ * @returns {Object} Validation result with array of errors
+ */
+function validateMigratedData(before, after) {
+    const errors = [];
+
+    Object.entries(COLLECTION_MODELS).forEach(([key, Model]) => {
+        if (!Array.isArray(before[key])) {
+            return;
+        }
+
+        if (!Array.isArray(after[key])) {
+            errors.push(`${key} is no longer a list`);
+            return;
+        }
+
+        const isValid = record => {
+            try {
+                return Model.fromJSON(record).validate().valid;
+            } catch (error) {
+                return false;
+            }
+        };
+
+        const validBefore = new Set(before[key].filter(isValid).map(record => record.id));
+        after[key].forEach(record => {
+            if (validBefore.has(record.id) && !isValid(record)) {
+                errors.push(`${key} record ${record.id} is invalid after migration`);
+            }
+        });
+    });
+
+    return {
+        valid: errors.length === 0,
+        errors
+    };
+}
+
+/**
+ * Run every migration step between two versions against a copy of the data
+ * @param {Object} data - Storage key to value, as stored at fromVersion
+ * @param {string} fromVersion - Stored version
+ * @param {string} toVersion - Target version
+ * @param {Array} migrations - Migration registry
+ * @returns {Object} Migrated data and the list of steps applied
+ * @throws {Error} If a step is missing, throws, or fails validation
+ */
+function runMigrations(data, fromVersion, toVersion = CURRENT_SCHEMA_VERSION, migrations = MIGRATIONS) {
+    let current = structuredClone(data);
+    const applied = [];
+
+    getMigrationPath(fromVersion, toVersion, migrations).forEach(step => {
+        const next = step.migrate(structuredClone(current));
+        const validation = validateMigratedData(current, next);
+
+        if (!validation.valid) {
+            throw new Error(`Migration ${step.from} → ${step.to} failed validation: ${validation.errors[0]}`);
+        }
+
+        current = next;
+        applied.push(`${step.from} → ${step.to}`);
+    });
+
+    return { data: current, applied };
+}
+
+export {
+    MIGRATIONS,
+    CURRENT_SCHEMA_VERSION,
+    compareVersions,
+    getMigrationPath,
+    validateMigratedData,
+    runMigrations
+};
@@ -0,0 +1,194 @@
+/**
+ * Odometer Service
+ *
+ * Builds each vehicle's odometer history from manual readings, vehicle edits
+ * and maintenance records, and derives mileage rates and mileage estimates
+ * for any date from it. Readings that run backwards are flagged as
+ * suspected rollbacks and left out of the calculations.
+ */
+
+import { dataManager } from './dataManager.js';
+import { ODOMETER_SOURCES } from '../models/OdometerReading.js';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const DAYS_PER_YEAR = 365.25;
+
+/**
+ * Odometer Service class for odometer history and mileage rates
+ */
+class OdometerService {
+    /**
+     * Get the full odometer history for a vehicle, oldest first
+     * @param {string} vehicleId - Vehicle ID
+     * @returns {Array} Readings, each with a `suspicious` flag; `derived` readings are not stored in the log
+     */
+    getHistory(vehicleId) {
+        // Built by dataManager, whose cost analytics measure distance from it too
+        return dataManager.getOdometerHistory(vehicleId);
+    }
+
+    /**
+     * Get the readings used for calculations, dropping suspected rollbacks
+     * @param {string} vehicleId - Vehicle ID
+     * @returns {Array} Trusted readings, oldest first
+     */
+    getTrustedReadings(vehicleId) {
+        return this.getHistory(vehicleId).filter(reading => !reading.suspicious);
+    }
+
+    /**
+     * Get readings that ran backwards against an earlier reading
+     * @param {string} vehicleId - Vehicle ID
+     * @returns {Array} Suspected rollback readings
+     */
+    getSuspiciousReadings(vehicleId) {
+        return this.getHistory(vehicleId).filter(reading => reading.suspicious);
+    }
+
+    /**
+     * Compute the average rate a vehicle accumulates miles
+     * @param {string} vehicleId - Vehicle ID
+     * @returns {Object|null} Rate with milesPerDay and milesPerYear, or null without enough history
+     */
+    getMileageRate(vehicleId) {
+        const readings = this.getTrustedReadings(vehicleId);
+        if (readings.length < 2) {
+            return null;
+        }
+
+        const first = readings[0];
+        const last = readings[readings.length - 1];
+        const days = (new Date(last.date) - new Date(first.date)) / MS_PER_DAY;
+
+        // Less than a day of history says nothing useful about how the vehicle is driven
+        if (days < 1) {
+            return null;
+        }
+
+        const milesPerDay = (last.mileage - first.mileage) / days;
+
+        return {
+            milesPerDay,
+            milesPerYear: milesPerDay * DAYS_PER_YEAR,
+            fromDate: first.date,
+            toDate: last.date,
+            readingCount: readings.length
+        };
+    }
+
+    /**
+     * Estimate a vehicle's odometer on a date
+     * @param {string} vehicleId - Vehicle ID
+     * @param {Date|string} date - Date to estimate for
+     * @returns {Object|null} Estimate with mileage and whether it was estimated, or null without history
+     */
+    estimateMileage(vehicleId, date = new Date()) {
+        const readings = this.getTrustedReadings(vehicleId);
+        const target = new Date(date).getTime();
+
+        if (readings.length === 0 || isNaN(target)) {
+            return null;
+        }
+
+        const times = readings.map(reading => new Date(reading.date).getTime());
+        const exact = readings.findIndex((reading, i) => times[i] === target);
+        if (exact !== -1) {
+            return { mileage: readings[exact].mileage, estimated: false, method: 'reading' };
+        }
+
+        // Between two readings, interpolate along the line joining them
+        const nextIndex = times.findIndex(time => time > target);
+        if (nextIndex > 0) {
+            const prev = readings[nextIndex - 1];
+            const next = readings[nextIndex];
+            const fraction = (target - times[nextIndex - 1]) / (times[nextIndex] - times[nextIndex - 1]);
+            return {
+                mileage: Math.round(prev.mileage + (next.mileage - prev.mileage) * fraction),
+                estimated: true,
+                method: 'interpolated'
+            };
+        }
+
+        // Outside the recorded history, project from the average rate
+        const rate = this.getMileageRate(vehicleId);
+        const anchorIndex = nextIndex === 0 ? 0 : readings.length - 1;
+        const anchor = readings[anchorIndex];
+
+        if (!rate) {
+            return { mileage: anchor.mileage, estimated: true, method: 'latest' };
+        }
+
+        const days = (target - times[anchorIndex]) / MS_PER_DAY;
+        return {
+            mileage: Math.max(0, Math.round(anchor.mileage + rate.milesPerDay * days)),
+            estimated: true,
+            method: 'projected'
+        };
+    }
+
+    /**
+     * Project the date a vehicle will reach an odometer value
+     * @param {string} vehicleId - Vehicle ID
+     * @param {number} mileage - Target odometer value
+     * @returns {string|null} ISO date, or null if it cannot be projected
+     */
+    projectDateForMileage(vehicleId, mileage) {
+        const rate = this.getMileageRate(vehicleId);
+        const readings = this.getTrustedReadings(vehicleId);
+
+        if (!rate || rate.milesPerDay <= 0 || readings.length === 0) {
+            return null;
+        }
+
+        const latest = readings[readings.length - 1];
+        const days = (mileage - latest.mileage) / rate.milesPerDay;
+        return new Date(new Date(latest.date).getTime() + days * MS_PER_DAY).toISOString();
+    }
+
+    /**
+     * Log a manually entered odometer reading
+     * @param {Object} readingData - Reading data with vehicleId, date, mileage and optional note
+     * @returns {Object} Result object; `suspicious` is true if the reading runs backwards
+     */
+    addManualReading(readingData) {
+        const result = dataManager.addOdometerReading({
+            ...readingData,
+            source: ODOMETER_SOURCES.MANUAL
+        });
+
+        if (!result.success) {
+            return result;
+        }
+
+        const { vehicleId, mileage } = result.data;
+        const vehicle = dataManager.getVehicleById(vehicleId);
+        const history = this.getHistory(vehicleId);
+        const entry = history.find(reading => reading.id === result.data.id);
+
+        const isLatest = history[history.length - 1].id === entry.id;
+
+        // A newer, higher reading becomes the vehicle's current mileage
+        if (vehicle && isLatest && !entry.suspicious && mileage > (Number(vehicle.mileage) || 0)) {
+            dataManager.updateVehicle(vehicleId, { mileage }, { logOdometer: false });
+        }
+
+        return {
+            ...result,
+            suspicious: entry.suspicious
+        };
+    }
+
+    /**
+     * Delete a stored odometer reading
+     * @param {string} id - Reading ID
+     * @returns {Object} Result object
+     */
+    deleteReading(id) {
+        return dataManager.deleteOdometerReading(id);
+    }
+}
+
+// Create and export a singleton instance
+const odometerService = new OdometerService();
+
+export { odometerService, OdometerService };
@@ -0,0 +1,617 @@
+/**
+ * Record Index
+ *
+ * In-memory indexes over maintenance records behind dataManager.query() and
+ * dataManager.aggregate(): records by ID, record IDs by vehicle and by service
+ * type, and records sorted by date with each date parsed once. dataManager
+ * applies the changes it publishes to the index, so a mutation only touches
+ * the records it changed instead of rebuilding everything.
+ *
+ * A where clause maps fields to conditions, all of which must hold:
+ *   { vehicleId: 'v1', date: { gte: '2024-01-01' }, cost: { gt: 100 } }
+ * A condition is a value (equality), an array (any of), or an object of
+ * operators. The keys and, or and not combine clauses, and text matches
+ * words in the service type and description:
+ *   { or: [{ serviceType: 'Oil Change' }, { text: 'synthetic' }] }
+ */
+
+/**
+ * Record fields that can be used in where clauses and orderBy
+ */
+const QUERY_FIELDS = ['id', 'vehicleId', 'serviceType', 'description', 'date', 'cost', 'odometer', 'createdAt', 'updatedAt', 'deletedAt'];
+
+/**
+ * Fields holding dates, compared as points in time
+ */
+const DATE_FIELDS = ['date', 'createdAt', 'updatedAt', 'deletedAt'];
+
+/**
+ * Operators allowed in a field condition, e.g. { cost: { gte: 100 } }
+ */
+const QUERY_OPERATORS = ['eq', 'ne', 'in', 'gt', 'gte', 'lt', 'lte', 'contains', 'exists'];
+
+/**
+ * How aggregate() can group records
+ */
+const AGGREGATE_GROUPS = {
+    VEHICLE: 'vehicle',
+    SERVICE_TYPE: 'serviceType',
+    MONTH: 'month',
+    YEAR: 'year'
+};
+
+/**
+ * Parse a date value to milliseconds
+ * @param {*} value - Date string, Date or timestamp
+ * @returns {number} Milliseconds, or NaN if it isn't a date
+ */
+function toTime(value) {
+    if (value === null || value === undefined || value === '') {
+        return NaN;
+    }
+    return value instanceof Date ? value.getTime() : new Date(value).getTime();
+}
+
+/**
+ * Check for a plain object of operators rather than a value
+ * @param {*} value - Condition
+ * @returns {boolean} True for { gte: ..., ... }
+ */
+function isOperatorObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+}
+
+/**
+ * Record Index class
+ */
+class RecordIndex {
+    /**
+     * @param {Array} records - Maintenance records, including those in the trash
+     */
+    constructor(records = []) {
+        // Record ID to { record, time }, where time is the parsed service date
+        this.entries = new Map();
+        this.byVehicle = new Map();
+        this.byServiceType = new Map();
+        // Entries ordered by time, then ID; undated records first
+        this.byDate = [];
+
+        records.forEach(record => this.add(record));
+    }
+
+    /**
+     * Number of indexed records
+     * @returns {number} Count
+     */
+    get size() {
+        return this.entries.size;
+    }
+
+    /**
+     * Add a record, replacing any with the same ID
+     * @param {Object} record - Maintenance record
+     */
+    add(record) {
+        if (!record || typeof record.id !== 'string') {
+            return;
+        }
+
+        this.remove(record.id);
+
+        const time = toTime(record.date);
+        const entry = { record, time: Number.isNaN(time) ? -Infinity : time };
+
+        this.entries.set(record.id, entry);
+        this.addToGroup(this.byVehicle, record.vehicleId, record.id);
+        this.addToGroup(this.byServiceType, record.serviceType, record.id);
+        this.byDate.splice(this.findDatePosition(entry), 0, entry);
+    }
+
+    /**
+     * Remove a record
+     * @param {string} id - Record ID
+     */
+    remove(id) {
+        const entry = this.entries.get(id);
+        if (!entry) {
+            return;
+        }
+
+        this.entries.delete(id);
+        this.removeFromGroup(this.byVehicle, entry.record.vehicleId, id);
+        this.removeFromGroup(this.byServiceType, entry.record.serviceType, id);
+
+        const position = this.findDatePosition(entry);
+        if (this.byDate[position] === entry) {
+            this.byDate.splice(position, 1);
+        }
+    }
+
+    /**
+     * Apply changes published by dataManager
+     * @param {Array} changes - { id, before, after } for each changed record
+     */
+    applyChanges(changes) {
+        changes.forEach(({ id, after }) => {
+            if (after) {
+                this.add(after);
+            } else {
+                this.remove(id);
+            }
+        });
+    }
+
+    /**
+     * Add an ID to a group
+     * @param {Map} groups - Group value to Set of IDs
+     * @param {*} value - Group value
+     * @param {string} id - Record ID
+     */
+    addToGroup(groups, value, id) {
+        if (!groups.has(value)) {
+            groups.set(value, new Set());
+        }
+        groups.get(value).add(id);
+    }
+
+    /**
+     * Remove an ID from a group, dropping the group once empty
+     * @param {Map} groups - Group value to Set of IDs
+     * @param {*} value - Group value
+     * @param {string} id - Record ID
+     */
+    removeFromGroup(groups, value, id) {
+        const ids = groups.get(value);
+        if (!ids) {
+            return;
+        }
+
+        ids.delete(id);
+        if (ids.size === 0) {
+            groups.delete(value);
+        }
+    }
+
+    /**
+     * Find where an entry is, or belongs, in the date order
+     * @param {Object} entry - Index entry
+     * @returns {number} Position
+     */
+    findDatePosition(entry) {
+        let low = 0;
+        let high = this.byDate.length;
+
+        while (low < high) {
+            const middle = (low + high) >>> 1;
+            const other = this.byDate[middle];
+            const before = other.time < entry.time ||
+                (other.time === entry.time && other.record.id < entry.record.id);
+
+            if (before) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+
+        return low;
+    }
+
+    /**
+     * Find the first position in the date order at or after a time
+     * @param {number} time - Milliseconds
+     * @param {boolean} exclusive - Skip entries exactly at the time
+     * @returns {number} Position
+     */
+    findTimePosition(time, exclusive = false) {
+        let low = 0;
+        let high = this.byDate.length;
+
+        while (low < high) {
+            const middle = (low + high) >>> 1;
+            const other = this.byDate[middle].time;
+
+            if (other < time || (exclusive && other === time)) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+
+        return low;
+    }
+
+    /**
+     * Find matching records
+     * @param {Object} options - Query options
+     * @param {Object} options.where - Conditions; see the module description
+     * @param {string|Object|Array} options.orderBy - Field, { field, direction }, or an array of them
+     * @param {number} options.limit - Most records to return
+     * @param {number} options.offset - Matching records to skip
+     * @param {boolean} options.includeDeleted - Include records in the trash
+     * @returns {Object} The page of records and the total number that matched
+     * @throws {Error} If the where clause or orderBy names an unknown field or operator
+     */
+    query({ where = {}, orderBy = null, limit = null, offset = 0, includeDeleted = false } = {}) {
+        const matches = this.find(where, includeDeleted);
+        const order = this.normalizeOrder(orderBy);
+
+        if (order.length > 0 && !(order.length === 1 && order[0].field === 'date' && matches.sortedByDate)) {
+            matches.entries.sort((a, b) => this.compareEntries(a, b, order));
+        } else if (order.length === 1 && order[0].direction === 'desc') {
+            matches.entries.reverse();
+        }
+
+        const start = Math.max(0, Number(offset) || 0);
+        const end = limit === null || limit === undefined ? undefined : start + Math.max(0, Number(limit) || 0);
+
+        return {
+            records: matches.entries.slice(start, end).map(entry => entry.record),
+            total: matches.entries.length
+        };
+    }
+
+    /**
+     * Count, total and average a numeric field of matching records, optionally in groups
+     * @param {Object} options - Aggregation options
+     * @param {Object} options.where - Conditions; see the module description
+     * @param {string|null} options.groupBy - One of AGGREGATE_GROUPS, or null for one overall group
+     * @param {string} options.field - Numeric field to total (default: cost)
+     * @param {boolean} options.includeDeleted - Include records in the trash
+     * @returns {Array} { key, count, sum, avg } per group, ordered by key
+     * @throws {Error} If the where clause, groupBy or field is unknown
+     */
+    aggregate({ where = {}, groupBy = null, field = 'cost', includeDeleted = false } = {}) {
+        if (groupBy !== null && !Object.values(AGGREGATE_GROUPS).includes(groupBy)) {
+            throw new Error(`Unknown aggregate group: ${groupBy}`);
+        }
+
+        if (!QUERY_FIELDS.includes(field)) {
+            throw new Error(`Unknown query field: ${field}`);
+        }
+
+        const groups = new Map();
+
+        this.find(where, includeDeleted).entries.forEach(entry => {
+            const key = this.getGroupKey(entry, groupBy);
+            if (!groups.has(key)) {
+                groups.set(key, { key, count: 0, sum: 0, valued: 0 });
+            }
+
+            const group = groups.get(key);
+            const value = Number(entry.record[field]);
+            group.count++;
+
+            // Records without a value count, but don't drag the average down
+            if (entry.record[field] !== null && entry.record[field] !== undefined && Number.isFinite(value)) {
+                group.sum += value;
+                group.valued++;
+            }
+        });
+
+        return [...groups.values()]
+            .sort((a, b) => String(a.key).localeCompare(String(b.key)))
+            .map(({ key, count, sum, valued }) => ({
+                key,
+                count,
+                sum: Math.round(sum * 100) / 100,
+                avg: valued > 0 ? Math.round((sum / valued) * 100) / 100 : 0
+            }));
+    }
+
+    /**
+     * Get the group an entry falls in
+     * @param {Object} entry - Index entry
+     * @param {string|null} groupBy - One of AGGREGATE_GROUPS, or null
+     * @returns {string} Group key; months are "YYYY-MM" and years "YYYY"
+     */
+    getGroupKey(entry, groupBy) {
+        const { record, time } = entry;
+
+        switch (groupBy) {
+            case AGGREGATE_GROUPS.VEHICLE:
+                return record.vehicleId;
+            case AGGREGATE_GROUPS.SERVICE_TYPE:
+                return record.serviceType;
+            case AGGREGATE_GROUPS.MONTH:
+            case AGGREGATE_GROUPS.YEAR: {
+                // Use the stored date text where possible, so time zones can't shift a record into another month
+                const match = /^(\d{4})-(\d{2})/.exec(String(record.date || ''));
+                const [year, month] = match
+                    ? [match[1], match[2]]
+                    : Number.isFinite(time)
+                        ? new Date(time).toISOString().slice(0, 7).split('-')
+                        : ['unknown', 'unknown'];
+                return groupBy === AGGREGATE_GROUPS.YEAR ? year : `${year}-${month}`;
+            }
+            default:
+                return 'all';
+        }
+    }
+
+    /**
+     * Find the entries matching a where clause, using the indexes to narrow the search
+     * @param {Object} where - Conditions
+     * @param {boolean} includeDeleted - Include records in the trash
+     * @returns {Object} Matching entries, and whether they are in date order
+     */
+    find(where, includeDeleted) {
+        const predicate = this.compileWhere(where || {});
+        const candidates = this.getCandidates(where || {});
+        const source = candidates ? candidates.entries : this.byDate;
+
+        return {
+            entries: source.filter(entry => (includeDeleted || !entry.record.deletedAt) && predicate(entry)),
+            sortedByDate: candidates ? candidates.sortedByDate : true
+        };
+    }
+
+    /**
+     * Narrow the entries that can match a where clause using the indexes
+     * @param {Object} where - Conditions
+     * @returns {Object|null} Candidate entries and whether they are in date order,
+     *     or null if no index applies
+     */
+    getCandidates(where) {
+        const options = [];
+
+        Object.entries(where).forEach(([key, condition]) => {
+            if (key === 'vehicleId' || key === 'serviceType') {
+                const values = this.getEqualValues(condition);
+                if (values) {
+                    const groups = key === 'vehicleId' ? this.byVehicle : this.byServiceType;
+                    const ids = new Set(values.flatMap(value => [...(groups.get(value) || [])]));
+                    options.push({ entries: [...ids].map(id => this.entries.get(id)), sortedByDate: false });
+                }
+            } else if (key === 'date' && isOperatorObject(condition)) {
+                const range = this.getDateRange(condition);
+                if (range) {
+                    options.push({ entries: this.byDate.slice(range.start, range.end), sortedByDate: true });
+                }
+            } else if (key === 'or' && Array.isArray(condition) && condition.length > 0) {
+                const branches = condition.map(branch => this.getCandidates(branch || {}));
+                if (branches.every(Boolean)) {
+                    const entries = new Set(branches.flatMap(branch => branch.entries));
+                    options.push({ entries: [...entries], sortedByDate: false });
+                }
+            }
+        });
+
+        if (options.length === 0) {
+            return null;
+        }
+
+        return options.reduce((smallest, option) => option.entries.length < smallest.entries.length ? option : smallest);
+    }
+
+    /**
+     * Get the values an equality condition accepts
+     * @param {*} condition - Field condition
+     * @returns {Array|null} Accepted values, or null if the condition isn't an equality
+     */
+    getEqualValues(condition) {
+        if (Array.isArray(condition)) {
+            return condition;
+        }
+
+        if (!isOperatorObject(condition)) {
+            return [condition];
+        }
+
+        const keys = Object.keys(condition);
+        if (keys.length === 1 && keys[0] === 'eq') {
+            return [condition.eq];
+        }
+        if (keys.length === 1 && keys[0] === 'in' && Array.isArray(condition.in)) {
+            return condition.in;
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the slice of the date order a date condition covers
+     * @param {Object} condition - Operators on the date field
+     * @returns {Object|null} start and end positions, or null if the condition isn't a range
+     */
+    getDateRange(condition) {
+        const keys = Object.keys(condition);
+        if (keys.length === 0 || !keys.every(key => ['eq', 'gt', 'gte', 'lt', 'lte'].includes(key))) {
+            return null;
+        }
+
+        let start = 0;
+        let end = this.byDate.length;
+
+        keys.forEach(key => {
+            const time = toTime(condition[key]);
+            if (Number.isNaN(time)) {
+                return;
+            }
+
+            if (key === 'gt' || key === 'gte' || key === 'eq') {
+                start = Math.max(start, this.findTimePosition(time, key === 'gt'));
+            }
+            if (key === 'lt' || key === 'lte' || key === 'eq') {
+                end = Math.min(end, this.findTimePosition(time, key !== 'lt'));
+            }
+        });
+
+        return { start, end: Math.max(start, end) };
+    }
+
+    /**
+     * Turn a where clause into a test for index entries
+     * @param {Object} where - Conditions
+     * @returns {Function} Returns true for matching entries
+     * @throws {Error} If a field or operator is unknown
+     */
+    compileWhere(where) {
+        const tests = Object.entries(where).map(([key, condition]) => {
+            switch (key) {
+                case 'and': {
+                    const clauses = (Array.isArray(condition) ? condition : [condition]).map(clause => this.compileWhere(clause || {}));
+                    return entry => clauses.every(test => test(entry));
+                }
+                case 'or': {
+                    const clauses = (Array.isArray(condition) ? condition : [condition]).map(clause => this.compileWhere(clause || {}));
+                    return entry => clauses.length === 0 || clauses.some(test => test(entry));
+                }
+                case 'not': {
+                    const test = this.compileWhere(condition || {});
+                    return entry => !test(entry);
+                }
+                case 'text': {
+                    const words = String(condition || '').toLowerCase().split(/\s+/).filter(Boolean);
+                    return entry => {
+                        const text = `${entry.record.serviceType || ''} ${entry.record.description || ''}`.toLowerCase();
+                        return words.every(word => text.includes(word));
+                    };
+                }
+                default:
+                    return this.compileCondition(key, condition);
+            }
+        });
+
+        return entry => tests.every(test => test(entry));
+    }
+
+    /**
+     * Turn one field's condition into a test for index entries
+     * @param {string} field - Record field
+     * @param {*} condition - Value, array of values, or object of operators
+     * @returns {Function} Returns true for matching entries
+     * @throws {Error} If the field or an operator is unknown
+     */
+    compileCondition(field, condition) {
+        if (!QUERY_FIELDS.includes(field)) {
+            throw new Error(`Unknown query field: ${field}`);
+        }
+
+        const operators = isOperatorObject(condition)
+            ? condition
+            : Array.isArray(condition) ? { in: condition } : { eq: condition };
+
+        const unknown = Object.keys(operators).find(operator => !QUERY_OPERATORS.includes(operator));
+        if (unknown) {
+            throw new Error(`Unknown query operator: ${unknown}`);
+        }
+
+        const isDate = DATE_FIELDS.includes(field);
+        // Parse comparison values once rather than for every record
+        const normalize = value => isDate ? toTime(value) : value;
+        const targets = Object.entries(operators).map(([operator, value]) => [
+            operator,
+            operator === 'in' ? (Array.isArray(value) ? value : [value]).map(normalize) : operator === 'contains' ? String(value).toLowerCase() : normalize(value)
+        ]);
+
+        return entry => {
+            const raw = entry.record[field];
+            const value = field === 'date'
+                ? (entry.time === -Infinity ? NaN : entry.time)
+                : isDate ? toTime(raw) : raw;
+
+            return targets.every(([operator, target]) => {
+                switch (operator) {
+                    case 'eq':
+                        return isDate ? value === target : raw === target;
+                    case 'ne':
+                        return isDate ? value !== target : raw !== target;
+                    case 'in':
+                        return target.includes(isDate ? value : raw);
+                    case 'contains':
+                        return raw !== null && raw !== undefined && String(raw).toLowerCase().includes(target);
+                    case 'exists':
+                        return (raw !== null && raw !== undefined && raw !== '') === Boolean(target);
+                    default:
+                        return this.compareValues(value, target, operator);
+                }
+            });
+        };
+    }
+
+    /**
+     * Apply a range operator
+     * @param {*} value - Record value
+     * @param {*} target - Value from the condition
+     * @param {string} operator - gt, gte, lt or lte
+     * @returns {boolean} True if the value is in range
+     */
+    compareValues(value, target, operator) {
+        if (value === null || value === undefined || (typeof value === 'number' && Number.isNaN(value))) {
+            return false;
+        }
+
+        const difference = typeof value === 'number' && typeof target === 'number'
+            ? value - target
+            : String(value).localeCompare(String(target));
+
+        switch (operator) {
+            case 'gt':
+                return difference > 0;
+            case 'gte':
+                return difference >= 0;
+            case 'lt':
+                return difference < 0;
+            case 'lte':
+                return difference <= 0;
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Normalize an orderBy option
+     * @param {string|Object|Array|null} orderBy - Field, { field, direction }, or an array of them
+     * @returns {Array} { field, direction } items
+     * @throws {Error} If a field is unknown
+     */
+    normalizeOrder(orderBy) {
+        if (!orderBy) {
+            return [];
+        }
+
+        return (Array.isArray(orderBy) ? orderBy : [orderBy]).map(item => {
+            const { field, direction = 'asc' } = typeof item === 'string' ? { field: item } : item;
+            if (!QUERY_FIELDS.includes(field)) {
+                throw new Error(`Unknown query field: ${field}`);
+            }
+            return { field, direction: direction === 'desc' ? 'desc' : 'asc' };
+        });
+    }
+
+    /**
+     * Compare two entries by the order fields; missing values sort last
+     * @param {Object} a - First entry
+     * @param {Object} b - Second entry
+     * @param {Array} order - { field, direction } items
+     * @returns {number} Comparison result
+     */
+    compareEntries(a, b, order) {
+        for (const { field, direction } of order) {
+            const valueA = field === 'date' ? a.time : a.record[field];
+            const valueB = field === 'date' ? b.time : b.record[field];
+            const missingA = valueA === null || valueA === undefined || valueA === -Infinity;
+            const missingB = valueB === null || valueB === undefined || valueB === -Infinity;
+
+            if (missingA || missingB) {
+                if (missingA !== missingB) {
+                    return missingA ? 1 : -1;
+                }
+                continue;
+            }
+
+            const difference = typeof valueA === 'number' && typeof valueB === 'number'
+                ? valueA - valueB
+                : String(valueA).localeCompare(String(valueB));
+
+            if (difference !== 0) {
+                return direction === 'desc' ? -difference : difference;
+            }
+        }
+
+        return 0;
+    }
+}
+
+export { RecordIndex, QUERY_FIELDS, QUERY_OPERATORS, AGGREGATE_GROUPS };
@@ -0,0 +1,497 @@
+/**
+ * Reminder Service
+ *
+ * Manages per-vehicle service schedules and computes when each scheduled
+ * service is next due from the latest matching maintenance record and the
+ * vehicle's current mileage.
+ */
+
+import { storageService } from './storageService.js';
+import { dataManager, STORAGE_KEYS } from './dataManager.js';
+import { odometerService } from './odometerService.js';
+import { ServiceSchedule, DEFAULT_SERVICE_INTERVALS } from '../models/ServiceSchedule.js';
+
+/**
+ * Reminder status values, from least to most urgent
+ */
+const REMINDER_STATUS = {
+    UPCOMING: 'upcoming',
+    DUE: 'due',
+    OVERDUE: 'overdue'
+};
+
+/**
+ * How close to the next due point a service counts as "due"
+ */
+const DUE_SOON_MILES = 500;
+const DUE_SOON_DAYS = 30;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Reminder Service class for managing service schedules
+ */
+class ReminderService {
+    /**
+     * Initialize the reminder service
+     * @returns {boolean} True if successful
+     */
+    initialize() {
+        try {
+            if (!storageService.isAvailable()) {
+                console.error('Storage service is not available');
+                return false;
+            }
+
+            if (!storageService.has(STORAGE_KEYS.SERVICE_SCHEDULES)) {
+                storageService.set(STORAGE_KEYS.SERVICE_SCHEDULES, []);
+            }
+
+            console.log('ReminderService initialized successfully');
+            return true;
+        } catch (error) {
+            console.error('Error initializing ReminderService:', error.message);
+            return false;
+        }
+    }
+
+    // ==================== Schedule Operations ====================
+
+    /**
+     * Get all service schedules
+     * @returns {Array} Array of schedules
+     */
+    getAllSchedules() {
+        try {
+            const schedules = storageService.get(STORAGE_KEYS.SERVICE_SCHEDULES, []);
+            return Array.isArray(schedules) ? [...schedules] : [];
+        } catch (error) {
+            console.error('Error getting all schedules:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Get schedules for a vehicle
+     * @param {string} vehicleId - Vehicle ID
+     * @returns {Array} Array of schedules
+     */
+    getSchedulesByVehicleId(vehicleId) {
+        if (!vehicleId || typeof vehicleId !== 'string') {
+            console.error('Invalid vehicle ID provided');
+            return [];
+        }
+
+        return this.getAllSchedules().filter(schedule => schedule.vehicleId === vehicleId);
+    }
+
+    /**
+     * Add a service schedule to a vehicle
+     * @param {Object} scheduleData - Schedule data
+     * @returns {Object} Result object with success status and data
+     */
+    addSchedule(scheduleData) {
+        if (!scheduleData || typeof scheduleData !== 'object') {
+            return {
+                success: false,
+                message: 'Invalid schedule data provided'
+            };
+        }
+
+        try {
+            const vehicle = dataManager.getVehicleById(scheduleData.vehicleId);
+            if (!vehicle) {
+                return {
+                    success: false,
+                    message: `Vehicle with ID ${scheduleData.vehicleId} not found`
+                };
+            }
+
+            const schedules = this.getAllSchedules();
+
+            if (schedules.some(s => s.vehicleId === vehicle.id && s.serviceType === scheduleData.serviceType)) {
+                return {
+                    success: false,
+                    message: `${scheduleData.serviceType} is already scheduled for this vehicle`
+                };
+            }
+
+            // Count intervals from the vehicle's current state unless told otherwise
+            const schedule = new ServiceSchedule({
+                baselineMileage: Number(vehicle.mileage) || 0,
+                ...scheduleData
+            });
+
+            const validation = schedule.validate();
+            if (!validation.valid) {
+                return {
+                    success: false,
+                    message: validation.errors[0].message,
+                    errors: validation.errors
+                };
+            }
+
+            const scheduleJSON = schedule.toJSON();
+            schedules.push(scheduleJSON);
+
+            if (storageService.set(STORAGE_KEYS.SERVICE_SCHEDULES, schedules)) {
+                console.log(`Schedule added successfully: ${scheduleJSON.id}`);
+                return {
+                    success: true,
+                    message: 'Schedule added successfully',
+                    data: scheduleJSON
+                };
+            }
+
+            return {
+                success: false,
+                message: 'Failed to save schedule to storage'
+            };
+        } catch (error) {
+            console.error('Error adding schedule:', error.message);
+            return {
+                success: false,
+                message: `Error adding schedule: ${error.message}`
+            };
+        }
+    }
+
+    /**
+     * Update a service schedule
+     * @param {string} id - Schedule ID
+     * @param {Object} updates - Fields to update
+     * @returns {Object} Result object
+     */
+    updateSchedule(id, updates) {
+        if (!id || typeof id !== 'string') {
+            return {
+                success: false,
+                message: 'Invalid schedule ID provided'
+            };
+        }
+
+        if (!updates || typeof updates !== 'object') {
+            return {
+                success: false,
+                message: 'Invalid updates provided'
+            };
+        }
+
+        try {
+            const schedules = this.getAllSchedules();
+            const index = schedules.findIndex(s => s.id === id);
+
+            if (index === -1) {
+                return {
+                    success: false,
+                    message: `Schedule with ID ${id} not found`
+                };
+            }
+
+            // Preserve id, vehicle and createdAt
+            const schedule = ServiceSchedule.fromJSON({
+                ...schedules[index],
+                ...updates,
+                id: schedules[index].id,
+                vehicleId: schedules[index].vehicleId,
+                createdAt: schedules[index].createdAt
+            });
+
+            const validation = schedule.validate();
+            if (!validation.valid) {
+                return {
+                    success: false,
+                    message: validation.errors[0].message,
+                    errors: validation.errors
+                };
+            }
+
+            schedules[index] = schedule.toJSON();
+
+            if (storageService.set(STORAGE_KEYS.SERVICE_SCHEDULES, schedules)) {
+                console.log(`Schedule updated successfully: ${id}`);
+                return {
+                    success: true,
+                    message: 'Schedule updated successfully',
+                    data: schedules[index]
+                };
+            }
+
+            return {
+                success: false,
+                message: 'Failed to save updated schedule to storage'
+            };
+        } catch (error) {
+            console.error(`Error updating schedule ${id}:`, error.message);
+            return {
+                success: false,
+                message: `Error updating schedule: ${error.message}`
+            };
+        }
+    }
+
+    /**
+     * Delete a service schedule
+     * @param {string} id - Schedule ID
+     * @returns {Object} Result object
+     */
+    deleteSchedule(id) {
+        if (!id || typeof id !== 'string') {
+            return {
+                success: false,
+                message: 'Invalid schedule ID provided'
+            };
+        }
+
+        try {
+            const schedules = this.getAllSchedules();
+            const index = schedules.findIndex(s => s.id === id);
+
+            if (index === -1) {
+                return {
+                    success: false,
+                    message: `Schedule with ID ${id} not found`
+                };
+            }
+
+            const deletedSchedule = schedules.splice(index, 1)[0];
+
+            if (storageService.set(STORAGE_KEYS.SERVICE_SCHEDULES, schedules)) {
+                console.log(`Schedule deleted successfully: ${id}`);
+                return {
+                    success: true,
+                    message: 'Schedule deleted successfully',
+                    data: deletedSchedule
+                };
+            }
+
+            return {
+                success: false,
+                message: 'Failed to save changes to storage'
+            };
+        } catch (error) {
+            console.error(`Error deleting schedule ${id}:`, error.message);
+            return {
+                success: false,
+                message: `Error deleting schedule: ${error.message}`
+            };
+        }
+    }
+
+    /**
+     * Delete all schedules for a vehicle
+     * @param {string} vehicleId - Vehicle ID
+     * @returns {Object} Result object
+     */
+    deleteSchedulesByVehicleId(vehicleId) {
+        if (!vehicleId || typeof vehicleId !== 'string') {
+            return {
+                success: false,
+                message: 'Invalid vehicle ID provided'
+            };
+        }
+
+        try {
+            const schedules = this.getAllSchedules();
+            const remaining = schedules.filter(s => s.vehicleId !== vehicleId);
+            const deletedCount = schedules.length - remaining.length;
+
+            if (storageService.set(STORAGE_KEYS.SERVICE_SCHEDULES, remaining)) {
+                console.log(`Deleted ${deletedCount} schedules for vehicle ${vehicleId}`);
+                return {
+                    success: true,
+                    message: `Deleted ${deletedCount} schedules`,
+                    count: deletedCount
+                };
+            }
+
+            return {
+                success: false,
+                message: 'Failed to save changes to storage'
+            };
+        } catch (error) {
+            console.error(`Error deleting schedules for vehicle ${vehicleId}:`, error.message);
+            return {
+                success: false,
+                message: `Error deleting schedules: ${error.message}`
+            };
+        }
+    }
+
+    /**
+     * Add the recommended schedule for every service type not yet scheduled on a vehicle
+     * @param {string} vehicleId - Vehicle ID
+     * @returns {Object} Result object with the number of schedules added
+     */
+    applyDefaultSchedules(vehicleId) {
+        const existingTypes = new Set(this.getSchedulesByVehicleId(vehicleId).map(s => s.serviceType));
+        const added = [];
+        const errors = [];
+
+        Object.entries(DEFAULT_SERVICE_INTERVALS).forEach(([serviceType, intervals]) => {
+            if (existingTypes.has(serviceType)) {
+                return;
+            }
+
+            const result = this.addSchedule({ vehicleId, serviceType, ...intervals });
+            if (result.success) {
+                added.push(result.data);
+            } else {
+                errors.push(result.message);
+            }
+        });
+
+        return {
+            success: errors.length === 0,
+            message: errors.length === 0 ? `Added ${added.length} schedules` : errors[0],
+            count: added.length,
+            data: added
+        };
+    }
+
+    // ==================== Reminder Calculations ====================
+
+    /**
+     * Compute the reminder for a single schedule
+     * @param {Object} schedule - Schedule data
+     * @param {Object} vehicle - Vehicle the schedule belongs to
+     * @param {Date} now - Reference date
+     * @returns {Object} Reminder with next due date/mileage and status
+     */
+    getReminder(schedule, vehicle, now = new Date()) {
+        const lastService = this.getLastService(schedule.vehicleId, schedule.serviceType);
+        const currentMileage = Number(vehicle.mileage) || 0;
+
+        // A logged service resets the clock; its odometer reading, when recorded, resets the mileage
+        const baseDate = lastService ? new Date(lastService.date) : new Date(schedule.baselineDate);
+        const baseMileage = lastService && typeof lastService.odometer === 'number'
+            ? lastService.odometer
+            : Number(schedule.baselineMileage) || 0;
+
+        let nextDueDate = null;
+        let daysRemaining = null;
+        if (schedule.intervalMonths) {
+            nextDueDate = new Date(baseDate);
+            nextDueDate.setMonth(nextDueDate.getMonth() + Number(schedule.intervalMonths));
+            daysRemaining = Math.ceil((nextDueDate - now) / MS_PER_DAY);
+        }
+
+        let nextDueMileage = null;
+        let milesRemaining = null;
+        let projectedDueDate = null;
+        if (schedule.intervalMiles) {
+            nextDueMileage = baseMileage + Number(schedule.intervalMiles);
+            milesRemaining = nextDueMileage - currentMileage;
+
+            // Forecast when the mileage will be reached from how the vehicle is driven
+            projectedDueDate = odometerService.projectDateForMileage(vehicle.id, nextDueMileage);
+        }
+
+        return {
+            schedule,
+            vehicle,
+            lastService,
+            nextDueDate: nextDueDate ? nextDueDate.toISOString() : null,
+            nextDueMileage,
+            projectedDueDate,
+            daysRemaining,
+            milesRemaining,
+            status: this.classify(daysRemaining, milesRemaining)
+        };
+    }
+
+    /**
+     * Classify a reminder by whichever interval is closest to due
+     * @param {number|null} daysRemaining - Days until due (negative when past)
+     * @param {number|null} milesRemaining - Miles until due (negative when past)
+     * @returns {string} One of REMINDER_STATUS
+     */
+    classify(daysRemaining, milesRemaining) {
+        if ((daysRemaining !== null && daysRemaining < 0) ||
+            (milesRemaining !== null && milesRemaining < 0)) {
+            return REMINDER_STATUS.OVERDUE;
+        }
+
+        if ((daysRemaining !== null && daysRemaining <= DUE_SOON_DAYS) ||
+            (milesRemaining !== null && milesRemaining <= DUE_SOON_MILES)) {
+            return REMINDER_STATUS.DUE;
+        }
+
+        return REMINDER_STATUS.UPCOMING;
+    }
+
+    /**
+     * Get the most recent maintenance record of a service type for a vehicle
+     * @param {string} vehicleId - Vehicle ID
+     * @param {string} serviceType - Service type
+     * @returns {Object|null} Latest matching record or null
+     */
+    getLastService(vehicleId, serviceType) {
+        const { records } = dataManager.query({
+            where: { vehicleId, serviceType },
+            orderBy: { field: 'date', direction: 'desc' },
+            limit: 1
+        });
+
+        return records[0] || null;
+    }
+
+    /**
+     * Get reminders for all scheduled services, most urgent first
+     * @param {Object} options - Filter options
+     * @param {string} options.vehicleId - Only include this vehicle
+     * @param {string[]} options.statuses - Only include these statuses
+     * @returns {Array} Array of reminders
+     */
+    getReminders(options = {}) {
+        try {
+            const now = new Date();
+            const vehicles = new Map(dataManager.getAllVehicles().map(vehicle => [vehicle.id, vehicle]));
+            const statusRank = {
+                [REMINDER_STATUS.OVERDUE]: 0,
+                [REMINDER_STATUS.DUE]: 1,
+                [REMINDER_STATUS.UPCOMING]: 2
+            };
+
+            return this.getAllSchedules()
+                .filter(schedule => vehicles.has(schedule.vehicleId))
+                .filter(schedule => !options.vehicleId || schedule.vehicleId === options.vehicleId)
+                .map(schedule => this.getReminder(schedule, vehicles.get(schedule.vehicleId), now))
+                .filter(reminder => !options.statuses || options.statuses.includes(reminder.status))
+                .sort((a, b) => {
+                    if (statusRank[a.status] !== statusRank[b.status]) {
+                        return statusRank[a.status] - statusRank[b.status];
+                    }
+                    return this.getUrgency(a) - this.getUrgency(b);
+                });
+        } catch (error) {
+            console.error('Error getting reminders:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Get a comparable urgency score (lower is more urgent) for sorting
+     * @param {Object} reminder - Reminder
+     * @returns {number} Urgency score
+     */
+    getUrgency(reminder) {
+        // Compare miles and days on roughly the same scale (about 35 miles per day)
+        const scores = [];
+        if (reminder.daysRemaining !== null) {
+            scores.push(reminder.daysRemaining);
+        }
+        if (reminder.milesRemaining !== null) {
+            scores.push(reminder.milesRemaining / 35);
+        }
+        return scores.length > 0 ? Math.min(...scores) : Infinity;
+    }
+}
+
+// Create and export a singleton instance
+const reminderService = new ReminderService();
+
+// Initialize on creation
+reminderService.initialize();
+
+export { reminderService, ReminderService, REMINDER_STATUS };
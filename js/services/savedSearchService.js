@@ -0,0 +1,366 @@
+/**
+ * Saved Search Service
+ *
+ * Stores named maintenance record filters, built from the criteria taken by
+ * dataManager.searchMaintenanceRecords, so common searches don't have to be
+ * set up again each time. Filters may use relative date ranges, which are
+ * resolved whenever the search runs, and can be pinned for quick access or
+ * shared as a link that carries the whole filter in the URL fragment.
+ */
+
+import { storageService } from './storageService.js';
+import { dataManager, STORAGE_KEYS } from './dataManager.js';
+import { getDateRangeLabel } from '../utils/dateRanges.js';
+import { formatCurrency } from '../utils/currencyFormatter.js';
+
+/**
+ * Criteria fields a saved search keeps, in the order they are described
+ */
+const SEARCH_CRITERIA_FIELDS = [
+    'vehicleId',
+    'serviceType',
+    'dateRange',
+    'startDate',
+    'endDate',
+    'minCost',
+    'maxCost',
+    'minOdometer',
+    'maxOdometer'
+];
+
+/**
+ * Criteria fields holding numbers
+ */
+const NUMERIC_FIELDS = ['minCost', 'maxCost', 'minOdometer', 'maxOdometer'];
+
+/**
+ * Longest name a saved search may have
+ */
+const MAX_NAME_LENGTH = 60;
+
+/**
+ * Route that opens a shared search; the encoded filter follows it
+ */
+const SHARED_SEARCH_ROUTE = '/maintenance/search/';
+
+/**
+ * Saved Search Service class
+ */
+class SavedSearchService {
+    /**
+     * Get all saved searches, in the order they were saved
+     * @returns {Array} Saved searches
+     */
+    getAll() {
+        try {
+            const searches = storageService.get(STORAGE_KEYS.SAVED_SEARCHES, []);
+            return Array.isArray(searches) ? [...searches] : [];
+        } catch (error) {
+            console.error('Error getting saved searches:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Get a saved search by ID
+     * @param {string} id - Saved search ID
+     * @returns {Object|null} Saved search or null
+     */
+    getById(id) {
+        return this.getAll().find(search => search.id === id) || null;
+    }
+
+    /**
+     * Get the pinned saved searches
+     * @returns {Array} Pinned searches
+     */
+    getPinned() {
+        return this.getAll().filter(search => search.pinned);
+    }
+
+    /**
+     * Keep only the criteria fields a saved search uses, dropping empty ones
+     * @param {Object} criteria - Search criteria
+     * @returns {Object} Cleaned criteria
+     */
+    normalizeCriteria(criteria) {
+        const normalized = {};
+
+        if (!criteria || typeof criteria !== 'object') {
+            return normalized;
+        }
+
+        SEARCH_CRITERIA_FIELDS.forEach(field => {
+            const value = criteria[field];
+            if (value === undefined || value === null || value === '') {
+                return;
+            }
+
+            if (NUMERIC_FIELDS.includes(field)) {
+                const number = Number(value);
+                if (Number.isFinite(number)) {
+                    normalized[field] = number;
+                }
+                return;
+            }
+
+            normalized[field] = String(value);
+        });
+
+        // A relative range replaces fixed dates
+        if (normalized.dateRange) {
+            if (!getDateRangeLabel(normalized.dateRange)) {
+                delete normalized.dateRange;
+            } else {
+                delete normalized.startDate;
+                delete normalized.endDate;
+            }
+        }
+
+        return normalized;
+    }
+
+    /**
+     * Check a saved search name
+     * @param {string} name - Name
+     * @param {string|null} exceptId - Saved search allowed to have this name already
+     * @returns {string|null} Error message, or null if the name is fine
+     */
+    validateName(name, exceptId = null) {
+        if (typeof name !== 'string' || name.trim() === '') {
+            return 'Give the search a name';
+        }
+
+        if (name.trim().length > MAX_NAME_LENGTH) {
+            return `Search names can be at most ${MAX_NAME_LENGTH} characters`;
+        }
+
+        const taken = this.getAll().some(search =>
+            search.id !== exceptId && search.name.toLowerCase() === name.trim().toLowerCase()
+        );
+
+        return taken ? `A search named "${name.trim()}" already exists` : null;
+    }
+
+    /**
+     * Save a search
+     * @param {Object} searchData - Search data
+     * @param {string} searchData.name - Name
+     * @param {Object} searchData.criteria - searchMaintenanceRecords criteria
+     * @param {boolean} searchData.pinned - Pin the search
+     * @returns {Object} Result object with success status and data
+     */
+    save({ name, criteria, pinned = false } = {}) {
+        const nameError = this.validateName(name);
+        if (nameError) {
+            return { success: false, message: nameError };
+        }
+
+        const normalized = this.normalizeCriteria(criteria);
+        if (Object.keys(normalized).length === 0) {
+            return { success: false, message: 'Set at least one filter before saving the search' };
+        }
+
+        const now = new Date().toISOString();
+        const search = {
+            id: `search_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            name: name.trim(),
+            criteria: normalized,
+            pinned: Boolean(pinned),
+            createdAt: now,
+            updatedAt: now
+        };
+
+        return this.persist([...this.getAll(), search], `Saved "${search.name}"`, search);
+    }
+
+    /**
+     * Update a saved search
+     * @param {string} id - Saved search ID
+     * @param {Object} updates - New name, criteria or pinned state
+     * @returns {Object} Result object with success status and data
+     */
+    update(id, updates = {}) {
+        const searches = this.getAll();
+        const index = searches.findIndex(search => search.id === id);
+
+        if (index === -1) {
+            return { success: false, message: 'Saved search not found' };
+        }
+
+        const search = { ...searches[index] };
+
+        if (updates.name !== undefined) {
+            const nameError = this.validateName(updates.name, id);
+            if (nameError) {
+                return { success: false, message: nameError };
+            }
+            search.name = updates.name.trim();
+        }
+
+        if (updates.criteria !== undefined) {
+            search.criteria = this.normalizeCriteria(updates.criteria);
+        }
+
+        if (updates.pinned !== undefined) {
+            search.pinned = Boolean(updates.pinned);
+        }
+
+        search.updatedAt = new Date().toISOString();
+        searches[index] = search;
+
+        return this.persist(searches, `Updated "${search.name}"`, search);
+    }
+
+    /**
+     * Pin or unpin a saved search
+     * @param {string} id - Saved search ID
+     * @param {boolean} pinned - Whether to pin it
+     * @returns {Object} Result object with success status and data
+     */
+    setPinned(id, pinned) {
+        const result = this.update(id, { pinned });
+
+        if (result.success) {
+            result.message = pinned ? `Pinned "${result.data.name}"` : `Unpinned "${result.data.name}"`;
+        }
+
+        return result;
+    }
+
+    /**
+     * Delete a saved search
+     * @param {string} id - Saved search ID
+     * @returns {Object} Result object with success status and data
+     */
+    remove(id) {
+        const searches = this.getAll();
+        const search = searches.find(item => item.id === id);
+
+        if (!search) {
+            return { success: false, message: 'Saved search not found' };
+        }
+
+        return this.persist(searches.filter(item => item.id !== id), `Deleted "${search.name}"`, search);
+    }
+
+    /**
+     * Store saved searches and tell views about the change
+     * @param {Array} searches - All saved searches
+     * @param {string} message - Message for a successful save
+     * @param {Object} data - Saved search to return
+     * @returns {Object} Result object
+     */
+    persist(searches, message, data) {
+        try {
+            if (!storageService.set(STORAGE_KEYS.SAVED_SEARCHES, searches)) {
+                return { success: false, message: 'Failed to save searches to storage' };
+            }
+
+            window.dispatchEvent(new CustomEvent('saved-searches:changed', {
+                detail: { searches }
+            }));
+
+            return { success: true, message, data };
+        } catch (error) {
+            console.error('Error saving searches:', error.message);
+            return { success: false, message: `Error saving searches: ${error.message}` };
+        }
+    }
+
+    /**
+     * Encode a search for a URL fragment
+     * @param {Object} criteria - Search criteria
+     * @param {string} name - Name to suggest when the link is opened
+     * @returns {string} Encoded search, e.g. "serviceType=Brakes&minCost=300&dateRange=last-2-years"
+     */
+    encode(criteria, name = '') {
+        const params = new URLSearchParams();
+
+        Object.entries(this.normalizeCriteria(criteria)).forEach(([field, value]) => {
+            params.set(field, String(value));
+        });
+
+        if (name) {
+            params.set('name', name);
+        }
+
+        return params.toString();
+    }
+
+    /**
+     * Decode a search from a URL fragment
+     * @param {string} encoded - Encoded search from encode()
+     * @returns {Object} { name, criteria }
+     */
+    decode(encoded) {
+        const params = new URLSearchParams(typeof encoded === 'string' ? encoded : '');
+
+        return {
+            name: (params.get('name') || '').slice(0, MAX_NAME_LENGTH),
+            criteria: this.normalizeCriteria(Object.fromEntries(params))
+        };
+    }
+
+    /**
+     * Get the location hash that opens a search
+     * @param {Object} criteria - Search criteria
+     * @param {string} name - Search name
+     * @returns {string} Location hash
+     */
+    getLink(criteria, name = '') {
+        return `#${SHARED_SEARCH_ROUTE}${encodeURIComponent(this.encode(criteria, name))}`;
+    }
+
+    /**
+     * Describe a search's criteria in words
+     * @param {Object} criteria - Search criteria
+     * @returns {string} e.g. "Brake Service · $300.00 or more · Last 2 years"
+     */
+    describe(criteria) {
+        const { vehicleId, serviceType, dateRange, startDate, endDate, minCost, maxCost, minOdometer, maxOdometer } =
+            this.normalizeCriteria(criteria);
+        const parts = [];
+
+        if (vehicleId) {
+            const vehicle = dataManager.getVehicleById(vehicleId);
+            parts.push(vehicle ? `${vehicle.year} ${vehicle.make} ${vehicle.model}` : 'Unknown vehicle');
+        }
+
+        if (serviceType) {
+            parts.push(serviceType);
+        }
+
+        if (dateRange) {
+            parts.push(getDateRangeLabel(dateRange));
+        } else if (startDate && endDate) {
+            parts.push(`${startDate} to ${endDate}`);
+        } else if (startDate) {
+            parts.push(`From ${startDate}`);
+        } else if (endDate) {
+            parts.push(`Until ${endDate}`);
+        }
+
+        const describeRange = (min, max, format) => {
+            if (min !== undefined && max !== undefined) {
+                return `${format(min)}–${format(max)}`;
+            }
+            return min !== undefined ? `${format(min)} or more` : `Up to ${format(max)}`;
+        };
+
+        if (minCost !== undefined || maxCost !== undefined) {
+            parts.push(describeRange(minCost, maxCost, formatCurrency));
+        }
+
+        if (minOdometer !== undefined || maxOdometer !== undefined) {
+            parts.push(describeRange(minOdometer, maxOdometer, value => `${value.toLocaleString('en-US')} miles`));
+        }
+
+        return parts.length > 0 ? parts.join(' · ') : 'All records';
+    }
+}
+
+// Create and export singleton instance
+const savedSearchService = new SavedSearchService();
+
+export { savedSearchService, SavedSearchService, SHARED_SEARCH_ROUTE };
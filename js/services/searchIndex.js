@@ -0,0 +1,524 @@
+/**
+ * Search Index
+ *
+ * Full-text index behind dataManager.search(): an inverted index from words
+ * to the vehicles and maintenance records they appear in. Records are found
+ * by service type, description and their vehicle's year, make and model, and
+ * vehicles by name and the notes on their odometer readings. Query words
+ * match whole words, the start of longer words, or words a typo or two away;
+ * every query word must match. Results are ranked by how closely and in
+ * which field the words matched, and carry the matched words marked in each
+ * field for highlighting. Like the record index, dataManager applies the
+ * changes it publishes, so an edit only re-indexes the entries it touched.
+ */
+
+/**
+ * Kinds of search result
+ */
+const SEARCH_RESULT_TYPES = {
+    VEHICLE: 'vehicle',
+    RECORD: 'record'
+};
+
+/**
+ * How much a match in each field counts towards a result's rank
+ */
+const FIELD_WEIGHTS = {
+    serviceType: 3,
+    vehicle: 2,
+    description: 1,
+    notes: 1
+};
+
+/**
+ * How much each kind of word match counts, relative to an exact one
+ */
+const MATCH_WEIGHTS = {
+    exact: 1,
+    prefix: 0.6,
+    fuzzy: 0.4
+};
+
+/**
+ * Shortest query word matched despite typos; shorter words have too many neighbours
+ */
+const MIN_FUZZY_LENGTH = 4;
+
+/**
+ * Query words at least this long may be two typos away rather than one
+ */
+const TWO_TYPO_LENGTH = 8;
+
+/**
+ * Longest highlighted text returned for a field before it is cut to the first match
+ */
+const SNIPPET_LENGTH = 160;
+
+/**
+ * Split text into lowercase words, ignoring accents, with their positions in the text
+ * @param {*} text - Text to split
+ * @returns {Array} { term, start, end } for each word
+ */
+function tokenize(text) {
+    if (text === null || text === undefined) {
+        return [];
+    }
+
+    return [...String(text).matchAll(/[\p{L}\p{N}]+/gu)].map(match => ({
+        term: match[0].normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase(),
+        start: match.index,
+        end: match.index + match[0].length
+    }));
+}
+
+/**
+ * Check whether two words are at most a number of edits apart, counting a
+ * swap of neighbouring letters as one edit
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @param {number} maxEdits - Most edits allowed
+ * @returns {boolean} True if the words are close enough
+ */
+function isWithinEdits(a, b, maxEdits) {
+    if (Math.abs(a.length - b.length) > maxEdits) {
+        return false;
+    }
+
+    let previousRow = null;
+    let row = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+    for (let i = 1; i <= a.length; i++) {
+        const nextRow = [i];
+        let rowMinimum = i;
+
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let distance = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+
+            if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                distance = Math.min(distance, previousRow[j - 2] + 1);
+            }
+
+            nextRow[j] = distance;
+            rowMinimum = Math.min(rowMinimum, distance);
+        }
+
+        // Every path through this row is already too far
+        if (rowMinimum > maxEdits) {
+            return false;
+        }
+
+        previousRow = row;
+        row = nextRow;
+    }
+
+    return row[b.length] <= maxEdits;
+}
+
+/**
+ * Search Index class
+ */
+class SearchIndex {
+    /**
+     * @param {Object} data - Data to index
+     * @param {Array} data.vehicles - Vehicles
+     * @param {Array} data.records - Maintenance records
+     * @param {Array} data.readings - Odometer readings, for their notes
+     */
+    constructor({ vehicles = [], records = [], readings = [] } = {}) {
+        this.vehicles = new Map();
+        this.records = new Map();
+        // Reading ID to { vehicleId, note }
+        this.notes = new Map();
+        // Document key ("record:<id>" or "vehicle:<id>") to { key, type, id, fields, terms }
+        this.documents = new Map();
+        // Word to a Map of document key to the fields the word appears in
+        this.postings = new Map();
+        // Every indexed word, sorted, for prefix lookups
+        this.terms = [];
+
+        vehicles.forEach(vehicle => this.setEntity(this.vehicles, vehicle.id, vehicle));
+        records.forEach(record => this.setEntity(this.records, record.id, record));
+        readings.forEach(reading => this.setNote(reading.id, reading));
+
+        this.vehicles.forEach((vehicle, id) => this.indexVehicle(id));
+        this.records.forEach((record, id) => this.indexRecord(id));
+    }
+
+    /**
+     * Number of indexed vehicles and records
+     * @returns {number} Count
+     */
+    get size() {
+        return this.documents.size;
+    }
+
+    /**
+     * Apply changes published by dataManager
+     * @param {Object} changes - Arrays of { id, before, after } under vehicles, records and readings
+     */
+    applyChanges({ vehicles = [], records = [], readings = [] } = {}) {
+        const vehicleIds = new Set();
+        const recordIds = new Set();
+
+        vehicles.forEach(({ id, after }) => {
+            this.setEntity(this.vehicles, id, after);
+            vehicleIds.add(id);
+            // Records are found by their vehicle's name, so they follow a rename
+            this.records.forEach((record, recordId) => {
+                if (record.vehicleId === id) {
+                    recordIds.add(recordId);
+                }
+            });
+        });
+
+        records.forEach(({ id, after }) => {
+            this.setEntity(this.records, id, after);
+            recordIds.add(id);
+        });
+
+        readings.forEach(({ id, before, after }) => {
+            this.setNote(id, after);
+            [before, after].forEach(reading => {
+                if (reading && reading.vehicleId) {
+                    vehicleIds.add(reading.vehicleId);
+                }
+            });
+        });
+
+        vehicleIds.forEach(id => this.indexVehicle(id));
+        recordIds.forEach(id => this.indexRecord(id));
+    }
+
+    /**
+     * Keep an entity that is not in the trash, or forget it
+     * @param {Map} map - vehicles or records
+     * @param {string} id - Entity ID
+     * @param {Object|null} entity - Stored data, or null once purged
+     */
+    setEntity(map, id, entity) {
+        if (entity && !entity.deletedAt && typeof id === 'string') {
+            map.set(id, entity);
+        } else {
+            map.delete(id);
+        }
+    }
+
+    /**
+     * Keep the note on an odometer reading, or forget it
+     * @param {string} id - Reading ID
+     * @param {Object|null} reading - Stored reading, or null once deleted
+     */
+    setNote(id, reading) {
+        if (reading && !reading.deletedAt && typeof reading.note === 'string' && reading.note.trim() !== '') {
+            this.notes.set(id, { vehicleId: reading.vehicleId, note: reading.note.trim() });
+        } else {
+            this.notes.delete(id);
+        }
+    }
+
+    /**
+     * Name a vehicle the way it is searched and shown
+     * @param {Object|undefined} vehicle - Vehicle data
+     * @returns {string} e.g. "2015 Ford Focus", or an empty string
+     */
+    describeVehicle(vehicle) {
+        return vehicle ? [vehicle.year, vehicle.make, vehicle.model].filter(Boolean).join(' ') : '';
+    }
+
+    /**
+     * (Re-)index a vehicle from the data held for it
+     * @param {string} id - Vehicle ID
+     */
+    indexVehicle(id) {
+        const vehicle = this.vehicles.get(id);
+        const notes = [...this.notes.values()]
+            .filter(note => note.vehicleId === id)
+            .map(note => note.note);
+
+        this.setDocument(SEARCH_RESULT_TYPES.VEHICLE, id, vehicle && {
+            vehicle: this.describeVehicle(vehicle),
+            notes: notes.join(' · ')
+        });
+    }
+
+    /**
+     * (Re-)index a maintenance record from the data held for it
+     * @param {string} id - Record ID
+     */
+    indexRecord(id) {
+        const record = this.records.get(id);
+
+        this.setDocument(SEARCH_RESULT_TYPES.RECORD, id, record && {
+            serviceType: record.serviceType || '',
+            description: record.description || '',
+            vehicle: this.describeVehicle(this.vehicles.get(record.vehicleId))
+        });
+    }
+
+    /**
+     * Replace a document's words in the index
+     * @param {string} type - One of SEARCH_RESULT_TYPES
+     * @param {string} id - Vehicle or record ID
+     * @param {Object|null} fields - Field name to text, or null to drop the document
+     */
+    setDocument(type, id, fields) {
+        const key = `${type}:${id}`;
+        const existing = this.documents.get(key);
+
+        if (existing) {
+            existing.terms.forEach(term => {
+                const postings = this.postings.get(term);
+                postings.delete(key);
+                if (postings.size === 0) {
+                    this.postings.delete(term);
+                    this.terms.splice(this.findTermPosition(term), 1);
+                }
+            });
+            this.documents.delete(key);
+        }
+
+        if (!fields) {
+            return;
+        }
+
+        const terms = new Set();
+
+        Object.entries(fields).forEach(([field, text]) => {
+            tokenize(text).forEach(({ term }) => {
+                terms.add(term);
+
+                if (!this.postings.has(term)) {
+                    this.postings.set(term, new Map());
+                    this.terms.splice(this.findTermPosition(term), 0, term);
+                }
+
+                const postings = this.postings.get(term);
+                const termFields = postings.get(key) || [];
+                if (!termFields.includes(field)) {
+                    postings.set(key, [...termFields, field]);
+                }
+            });
+        });
+
+        this.documents.set(key, { key, type, id, fields, terms });
+    }
+
+    /**
+     * Find where a word is, or would go, in the sorted word list
+     * @param {string} term - Word
+     * @returns {number} Position
+     */
+    findTermPosition(term) {
+        let low = 0;
+        let high = this.terms.length;
+
+        while (low < high) {
+            const middle = (low + high) >>> 1;
+            if (this.terms[middle] < term) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+
+        return low;
+    }
+
+    /**
+     * Find the indexed words a query word matches, and how closely
+     * @param {string} queryTerm - Query word
+     * @returns {Map} Indexed word to its match weight
+     */
+    expandTerm(queryTerm) {
+        const matches = new Map();
+
+        if (this.postings.has(queryTerm)) {
+            matches.set(queryTerm, MATCH_WEIGHTS.exact);
+        }
+
+        for (let i = this.findTermPosition(queryTerm); i < this.terms.length && this.terms[i].startsWith(queryTerm); i++) {
+            if (!matches.has(this.terms[i])) {
+                matches.set(this.terms[i], MATCH_WEIGHTS.prefix);
+            }
+        }
+
+        if (queryTerm.length >= MIN_FUZZY_LENGTH) {
+            const maxEdits = queryTerm.length >= TWO_TYPO_LENGTH ? 2 : 1;
+
+            this.terms.forEach(term => {
+                // A typo in a word still being typed: compare against the same number of letters
+                const candidate = term.length > queryTerm.length + maxEdits ? term.slice(0, queryTerm.length) : term;
+                if (!matches.has(term) && isWithinEdits(queryTerm, candidate, maxEdits)) {
+                    matches.set(term, MATCH_WEIGHTS.fuzzy);
+                }
+            });
+        }
+
+        return matches;
+    }
+
+    /**
+     * Search vehicles and maintenance records
+     * @param {string} text - What to look for
+     * @param {Object} options - Search options
+     * @param {number} options.limit - Most results to return
+     * @returns {Object} { results, total }; each result has type, id, score, the
+     *     vehicle or record, and highlights: field name to { text, match } segments
+     */
+    search(text, { limit = 20 } = {}) {
+        const queryTerms = [...new Set(tokenize(text).map(token => token.term))];
+        if (queryTerms.length === 0) {
+            return { results: [], total: 0 };
+        }
+
+        // Document key to { score, matched }, narrowed by each query word in turn
+        let hits = null;
+
+        for (const queryTerm of queryTerms) {
+            const termHits = new Map();
+
+            this.expandTerm(queryTerm).forEach((weight, term) => {
+                const postings = this.postings.get(term);
+                // Rarer words say more about a document
+                const rarity = Math.log(1 + this.documents.size / postings.size);
+
+                postings.forEach((fields, key) => {
+                    if (hits && !hits.has(key)) {
+                        return;
+                    }
+
+                    const fieldWeight = Math.max(...fields.map(field => FIELD_WEIGHTS[field] || 1));
+                    const score = weight * fieldWeight * rarity;
+                    const hit = termHits.get(key) || { score: 0, matched: new Set() };
+                    hit.score = Math.max(hit.score, score);
+                    hit.matched.add(term);
+                    termHits.set(key, hit);
+                });
+            });
+
+            if (hits) {
+                termHits.forEach((hit, key) => {
+                    hit.score += hits.get(key).score;
+                    hits.get(key).matched.forEach(term => hit.matched.add(term));
+                });
+            }
+
+            hits = termHits;
+            if (hits.size === 0) {
+                break;
+            }
+        }
+
+        const ranked = [...hits.entries()]
+            .map(([key, hit]) => ({ document: this.documents.get(key), ...hit }))
+            .sort((a, b) => b.score - a.score || this.compareDocuments(a.document, b.document));
+
+        const end = limit === null || limit === undefined ? undefined : Math.max(0, Number(limit) || 0);
+
+        return {
+            results: ranked.slice(0, end).map(({ document, score, matched }) => this.toResult(document, score, matched)),
+            total: ranked.length
+        };
+    }
+
+    /**
+     * Order equally ranked documents: vehicles first, then the latest service
+     * @param {Object} a - First document
+     * @param {Object} b - Second document
+     * @returns {number} Sort order
+     */
+    compareDocuments(a, b) {
+        if (a.type !== b.type) {
+            return a.type === SEARCH_RESULT_TYPES.VEHICLE ? -1 : 1;
+        }
+
+        if (a.type === SEARCH_RESULT_TYPES.RECORD) {
+            return String(this.records.get(b.id).date || '').localeCompare(String(this.records.get(a.id).date || ''));
+        }
+
+        return a.fields.vehicle.localeCompare(b.fields.vehicle);
+    }
+
+    /**
+     * Build a search result
+     * @param {Object} document - Indexed document
+     * @param {number} score - Rank score
+     * @param {Set} matched - Indexed words that matched
+     * @returns {Object} Search result
+     */
+    toResult(document, score, matched) {
+        const highlights = {};
+        Object.entries(document.fields).forEach(([field, text]) => {
+            highlights[field] = this.highlight(text, matched);
+        });
+
+        const isRecord = document.type === SEARCH_RESULT_TYPES.RECORD;
+        const record = isRecord ? this.records.get(document.id) : null;
+
+        return {
+            type: document.type,
+            id: document.id,
+            vehicleId: isRecord ? record.vehicleId : document.id,
+            score: Math.round(score * 100) / 100,
+            record,
+            vehicle: this.vehicles.get(isRecord ? record.vehicleId : document.id) || null,
+            highlights
+        };
+    }
+
+    /**
+     * Split a field into plain and matched segments, cutting long text to the
+     * part around the first match
+     * @param {string} text - Field text
+     * @param {Set} matched - Indexed words that matched
+     * @returns {Array} { text, match } segments
+     */
+    highlight(text, matched) {
+        const value = String(text || '');
+        const tokens = tokenize(value).filter(token => matched.has(token.term));
+        let start = 0;
+        let end = value.length;
+
+        if (value.length > SNIPPET_LENGTH) {
+            // Show some words before the first match, starting at a word boundary
+            const anchor = tokens.length > 0 ? tokens[0].start : 0;
+            start = Math.max(0, anchor - Math.floor(SNIPPET_LENGTH / 4));
+            if (start > 0) {
+                const space = value.indexOf(' ', start);
+                start = space !== -1 && space < anchor ? space + 1 : anchor;
+            }
+            end = Math.min(value.length, start + SNIPPET_LENGTH);
+            const space = value.lastIndexOf(' ', end);
+            if (end < value.length && space > start) {
+                end = space;
+            }
+        }
+
+        const segments = [];
+        let position = start;
+
+        tokens.filter(token => token.start >= start && token.end <= end).forEach(token => {
+            if (token.start > position) {
+                segments.push({ text: value.slice(position, token.start), match: false });
+            }
+            segments.push({ text: value.slice(token.start, token.end), match: true });
+            position = token.end;
+        });
+
+        if (position < end) {
+            segments.push({ text: value.slice(position, end), match: false });
+        }
+
+        if (start > 0) {
+            segments.unshift({ text: '…', match: false });
+        }
+        if (end < value.length) {
+            segments.push({ text: '…', match: false });
+        }
+
+        return segments;
+    }
+}
+
+export { SearchIndex, SEARCH_RESULT_TYPES };
@@ -0,0 +1,569 @@
+/**
+ * Snapshot Service
+ *
+ * Keeps a bounded set of point-in-time copies of all vehicles, maintenance
+ * records, odometer readings and service schedules. dataManager takes one
+ * before every import, clear and bulk delete, and one is taken after each
+ * storage migration and once a day. Any snapshot can be compared with the
+ * current data and restored in one step.
+ *
+ * Each snapshot is stored under its own key so the oldest can be dropped to
+ * stay within the configured retention and the storage quota.
+ */
+
+import { storageService, StorageQuotaError, SNAPSHOT_KEY_PREFIX } from './storageService.js';
+import { CURRENT_SCHEMA_VERSION, compareVersions, runMigrations } from './migrations.js';
+
+/**
+ * Collections included in a snapshot, mapped to their storage keys.
+ * Keys match STORAGE_KEYS in dataManager.
+ */
+const SNAPSHOT_COLLECTIONS = {
+    vehicles: 'autocare_vehicles',
+    maintenanceRecords: 'autocare_maintenance_records',
+    odometerReadings: 'autocare_odometer_readings',
+    serviceSchedules: 'autocare_service_schedules',
+    expenses: 'autocare_expenses'
+};
+
+/**
+ * Why a snapshot was taken
+ */
+const SNAPSHOT_REASONS = {
+    IMPORT: 'import',
+    CLEAR: 'clear',
+    BULK_DELETE: 'bulk-delete',
+    MIGRATION: 'migration',
+    RESTORE: 'restore',
+    REPAIR: 'repair',
+    DAILY: 'daily',
+    MANUAL: 'manual'
+};
+
+/**
+ * Key listing every snapshot's details, newest first
+ */
+const INDEX_KEY = `${SNAPSHOT_KEY_PREFIX}index`;
+
+/**
+ * Key holding retention settings
+ */
+const SETTINGS_KEY = `${SNAPSHOT_KEY_PREFIX}settings`;
+
+/**
+ * Default retention settings
+ */
+const DEFAULT_SETTINGS = {
+    maxSnapshots: 10,
+    maxBytes: 2 * 1024 * 1024
+};
+
+/**
+ * Largest share of the storage quota snapshots may use
+ */
+const MAX_QUOTA_SHARE = 0.25;
+
+/**
+ * Milliseconds in one day
+ */
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Snapshot Service class
+ */
+class SnapshotService {
+    constructor() {
+        this.quota = null;
+    }
+
+    /**
+     * Record any migration that just ran and take the daily snapshot if due.
+     * Call once storage is ready.
+     * @returns {Promise<void>}
+     */
+    async initialize() {
+        try {
+            const estimate = await storageService.getQuotaEstimate();
+            this.quota = estimate.quota;
+
+            const migration = storageService.takeCompletedMigration();
+            if (migration) {
+                this.saveSnapshot(
+                    this.pickCollections(migration.data),
+                    SNAPSHOT_REASONS.MIGRATION,
+                    `Before upgrading data from version ${migration.fromVersion} to ${migration.toVersion}`,
+                    migration.fromVersion
+                );
+            }
+
+            this.takeDailySnapshot();
+        } catch (error) {
+            console.error('Error initializing snapshots:', error.message);
+        }
+    }
+
+    // ==================== Settings ====================
+
+    /**
+     * Get retention settings
+     * @returns {Object} maxSnapshots and maxBytes
+     */
+    getSettings() {
+        const stored = storageService.get(SETTINGS_KEY, null);
+        return { ...DEFAULT_SETTINGS, ...(stored && typeof stored === 'object' ? stored : {}) };
+    }
+
+    /**
+     * Change retention settings and drop snapshots that no longer fit
+     * @param {Object} updates - maxSnapshots (1-100) and/or maxBytes (at least 100 KB)
+     * @returns {Object} Result object
+     */
+    updateSettings(updates) {
+        const settings = { ...this.getSettings(), ...updates };
+
+        if (!Number.isInteger(settings.maxSnapshots) || settings.maxSnapshots < 1 || settings.maxSnapshots > 100) {
+            return {
+                success: false,
+                message: 'Number of snapshots must be between 1 and 100'
+            };
+        }
+
+        if (!Number.isFinite(settings.maxBytes) || settings.maxBytes < 100 * 1024) {
+            return {
+                success: false,
+                message: 'Snapshot space must be at least 100 KB'
+            };
+        }
+
+        try {
+            storageService.set(SETTINGS_KEY, settings);
+            const removed = this.enforceRetention();
+
+            return {
+                success: true,
+                message: removed > 0 ? `Settings saved; removed ${removed} older snapshot${removed === 1 ? '' : 's'}` : 'Settings saved',
+                data: settings
+            };
+        } catch (error) {
+            console.error('Error saving snapshot settings:', error.message);
+            return {
+                success: false,
+                message: `Error saving snapshot settings: ${error.message}`
+            };
+        }
+    }
+
+    /**
+     * Get the most space snapshots may use, allowing for the storage quota
+     * @returns {number} Bytes
+     */
+    getByteBudget() {
+        const { maxBytes } = this.getSettings();
+        return this.quota ? Math.min(maxBytes, this.quota * MAX_QUOTA_SHARE) : maxBytes;
+    }
+
+    // ==================== Taking Snapshots ====================
+
+    /**
+     * Take a snapshot of the current data
+     * @param {string} reason - One of SNAPSHOT_REASONS
+     * @param {string} label - Description shown to the user
+     * @returns {Object} Result object with the snapshot details
+     */
+    takeSnapshot(reason, label) {
+        return this.saveSnapshot(this.readCurrentData(), reason, label);
+    }
+
+    /**
+     * Take a snapshot if none was taken in the last day and there is data to keep
+     * @param {Date} now - Current time (default: now)
+     * @returns {Object|null} Result object, or null if no snapshot was needed
+     */
+    takeDailySnapshot(now = new Date()) {
+        const latest = this.listSnapshots()[0];
+        if (latest && now.getTime() - new Date(latest.createdAt).getTime() < MS_PER_DAY) {
+            return null;
+        }
+
+        const collections = this.readCurrentData();
+        if (Object.values(collections).every(entries => entries.length === 0)) {
+            return null;
+        }
+
+        return this.saveSnapshot(collections, SNAPSHOT_REASONS.DAILY, 'Daily snapshot');
+    }
+
+    /**
+     * Read the current collections
+     * @returns {Object} Collection name to entries
+     */
+    readCurrentData() {
+        const collections = {};
+        Object.entries(SNAPSHOT_COLLECTIONS).forEach(([name, key]) => {
+            const entries = storageService.get(key, []);
+            collections[name] = Array.isArray(entries) ? entries : [];
+        });
+        return collections;
+    }
+
+    /**
+     * Pick the snapshot collections out of raw storage data
+     * @param {Object} data - Storage key to value
+     * @returns {Object} Collection name to entries
+     */
+    pickCollections(data) {
+        const collections = {};
+        Object.entries(SNAPSHOT_COLLECTIONS).forEach(([name, key]) => {
+            collections[name] = Array.isArray(data[key]) ? data[key] : [];
+        });
+        return collections;
+    }
+
+    /**
+     * Store a snapshot, first dropping the oldest ones to stay within retention.
+     * If storage is still full, older snapshots are dropped until it fits; a
+     * snapshot never displaces vehicles or records.
+     * @param {Object} collections - Collection name to entries
+     * @param {string} reason - One of SNAPSHOT_REASONS
+     * @param {string} label - Description shown to the user
+     * @param {string} schemaVersion - Schema version of the data
+     * @returns {Object} Result object with the snapshot details
+     */
+    saveSnapshot(collections, reason, label, schemaVersion = storageService.getVersion()) {
+        try {
+            const payload = { collections };
+            const counts = {};
+            Object.entries(collections).forEach(([name, entries]) => {
+                counts[name] = entries.length;
+            });
+
+            const details = {
+                id: `snapshot_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+                reason,
+                label,
+                createdAt: new Date().toISOString(),
+                schemaVersion,
+                counts,
+                size: JSON.stringify(payload).length * 2
+            };
+
+            const { keep, drop } = this.planRetention([details, ...this.listSnapshots()]);
+            if (!keep.includes(details)) {
+                return {
+                    success: false,
+                    message: 'Your data is larger than the space allowed for snapshots'
+                };
+            }
+
+            // The index never lists a snapshot whose data is missing
+            const older = keep.filter(snapshot => snapshot !== details);
+            this.writeIndex(older);
+            drop.forEach(snapshot => storageService.remove(this.getKey(snapshot.id)));
+
+            while (!this.tryWrite(this.getKey(details.id), payload)) {
+                const oldest = older.pop();
+                if (!oldest) {
+                    return {
+                        success: false,
+                        message: 'Not enough storage space for a snapshot'
+                    };
+                }
+
+                this.writeIndex(older);
+                storageService.remove(this.getKey(oldest.id));
+            }
+
+            this.writeIndex([details, ...older]);
+
+            return {
+                success: true,
+                message: 'Snapshot saved',
+                data: details
+            };
+        } catch (error) {
+            console.error('Error saving snapshot:', error.message);
+            return {
+                success: false,
+                message: `Error saving snapshot: ${error.message}`
+            };
+        }
+    }
+
+    /**
+     * Write a snapshot without raising the storage-full alert
+     * @param {string} key - Storage key
+     * @param {Object} payload - Snapshot data
+     * @returns {boolean} False if there was not enough space
+     */
+    tryWrite(key, payload) {
+        try {
+            return storageService.set(key, payload, { reportQuota: false });
+        } catch (error) {
+            if (error instanceof StorageQuotaError) {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Split snapshots, newest first, into those within retention and those to drop
+     * @param {Array} snapshots - Snapshot details, newest first
+     * @returns {Object} keep and drop lists
+     */
+    planRetention(snapshots) {
+        const { maxSnapshots } = this.getSettings();
+        const budget = this.getByteBudget();
+        const keep = [];
+        const drop = [];
+        let total = 0;
+
+        snapshots.forEach(snapshot => {
+            if (keep.length < maxSnapshots && total + snapshot.size <= budget) {
+                keep.push(snapshot);
+                total += snapshot.size;
+            } else {
+                drop.push(snapshot);
+            }
+        });
+
+        return { keep, drop };
+    }
+
+    /**
+     * Drop snapshots outside the current retention settings
+     * @returns {number} Number of snapshots removed
+     */
+    enforceRetention() {
+        const { keep, drop } = this.planRetention(this.listSnapshots());
+
+        if (drop.length > 0) {
+            this.writeIndex(keep);
+            drop.forEach(snapshot => storageService.remove(this.getKey(snapshot.id)));
+        }
+
+        return drop.length;
+    }
+
+    // ==================== Listing and Comparing ====================
+
+    /**
+     * List snapshots, newest first
+     * @returns {Array} Snapshot details with id, reason, label, createdAt, schemaVersion, counts and size
+     */
+    listSnapshots() {
+        const index = storageService.get(INDEX_KEY, []);
+        return Array.isArray(index) ? index : [];
+    }
+
+    /**
+     * Get the total space used by snapshots
+     * @returns {number} Estimated bytes
+     */
+    getTotalSize() {
+        return this.listSnapshots().reduce((total, snapshot) => total + (snapshot.size || 0), 0);
+    }
+
+    /**
+     * Read a snapshot's data, migrated to the current schema
+     * @param {string} id - Snapshot ID
+     * @returns {Object} Result object whose data holds the details and collections
+     */
+    getSnapshot(id) {
+        const details = this.listSnapshots().find(snapshot => snapshot.id === id);
+        const payload = details ? storageService.get(this.getKey(id), null) : null;
+
+        if (!details || !payload || !payload.collections) {
+            return {
+                success: false,
+                message: 'Snapshot not found'
+            };
+        }
+
+        if (compareVersions(details.schemaVersion, CURRENT_SCHEMA_VERSION) > 0) {
+            return {
+                success: false,
+                message: `This snapshot uses data version ${details.schemaVersion}, which is newer than this app supports`
+            };
+        }
+
+        try {
+            const byKey = {};
+            Object.entries(SNAPSHOT_COLLECTIONS).forEach(([name, key]) => {
+                byKey[key] = payload.collections[name] || [];
+            });
+
+            const { data } = runMigrations(byKey, details.schemaVersion, CURRENT_SCHEMA_VERSION);
+
+            return {
+                success: true,
+                message: 'Snapshot loaded',
+                data: {
+                    details,
+                    collections: this.pickCollections(data)
+                }
+            };
+        } catch (error) {
+            console.error(`Error loading snapshot ${id}:`, error.message);
+            return {
+                success: false,
+                message: `This snapshot could not be upgraded: ${error.message}`
+            };
+        }
+    }
+
+    /**
+     * Compare a snapshot with the current data
+     * @param {string} id - Snapshot ID
+     * @returns {Object} Result object whose data holds, per collection, the entries
+     *     added, removed and changed since the snapshot
+     */
+    diffSnapshot(id) {
+        const snapshot = this.getSnapshot(id);
+        if (!snapshot.success) {
+            return snapshot;
+        }
+
+        const current = this.readCurrentData();
+        const diff = {};
+
+        Object.keys(SNAPSHOT_COLLECTIONS).forEach(name => {
+            const before = new Map(snapshot.data.collections[name].map(entry => [entry.id, entry]));
+            const after = new Map(current[name].map(entry => [entry.id, entry]));
+
+            diff[name] = {
+                added: [...after.values()].filter(entry => !before.has(entry.id)),
+                removed: [...before.values()].filter(entry => !after.has(entry.id)),
+                changed: [...after.values()].filter(entry =>
+                    before.has(entry.id) && JSON.stringify(before.get(entry.id)) !== JSON.stringify(entry)
+                )
+            };
+        });
+
+        return {
+            success: true,
+            message: 'Comparison ready',
+            data: {
+                details: snapshot.data.details,
+                diff
+            }
+        };
+    }
+
+    // ==================== Restoring and Deleting ====================
+
+    /**
+     * Replace all current data with a snapshot. A snapshot of the current data
+     * is taken first, and if any write fails everything is put back.
+     * Callers holding cached data must refresh it afterwards.
+     * @param {string} id - Snapshot ID
+     * @param {Object} options - Restore options
+     * @param {boolean} options.allowWithoutSnapshot - Restore even if the current data can't be snapshotted first
+     * @returns {Object} Result object; snapshotFailed is true if nothing was restored because
+     *     the current data couldn't be snapshotted
+     */
+    restoreSnapshot(id, { allowWithoutSnapshot = false } = {}) {
+        const snapshot = this.getSnapshot(id);
+        if (!snapshot.success) {
+            return snapshot;
+        }
+
+        const { details, collections } = snapshot.data;
+        const when = new Date(details.createdAt).toLocaleString('en-US');
+        const current = this.takeSnapshot(SNAPSHOT_REASONS.RESTORE, `Before restoring the snapshot from ${when}`);
+
+        if (!current.success && !allowWithoutSnapshot) {
+            return {
+                success: false,
+                message: `Your current data could not be saved as a snapshot first (${current.message}), so nothing was restored.`,
+                snapshotFailed: true
+            };
+        }
+
+        try {
+            // Throwing rolls back the collections already written
+            storageService.runTransaction(() => {
+                Object.entries(SNAPSHOT_COLLECTIONS).forEach(([name, key]) => {
+                    if (!storageService.set(key, collections[name])) {
+                        throw new Error(`Failed to restore ${name}`);
+                    }
+                });
+            });
+
+            return {
+                success: true,
+                message: `Restored the snapshot from ${when}`,
+                data: details
+            };
+        } catch (error) {
+            console.error('Error restoring snapshot:', error.message);
+
+            return {
+                success: false,
+                message: `Snapshot could not be restored; no changes were made (${error.message})`
+            };
+        }
+    }
+
+    /**
+     * Delete a snapshot
+     * @param {string} id - Snapshot ID
+     * @returns {Object} Result object
+     */
+    deleteSnapshot(id) {
+        const snapshots = this.listSnapshots();
+        if (!snapshots.some(snapshot => snapshot.id === id)) {
+            return {
+                success: false,
+                message: 'Snapshot not found'
+            };
+        }
+
+        this.writeIndex(snapshots.filter(snapshot => snapshot.id !== id));
+        storageService.remove(this.getKey(id));
+
+        return {
+            success: true,
+            message: 'Snapshot deleted'
+        };
+    }
+
+    /**
+     * Delete every snapshot
+     * @returns {Object} Result object with the number removed
+     */
+    deleteAllSnapshots() {
+        const snapshots = this.listSnapshots();
+
+        this.writeIndex([]);
+        snapshots.forEach(snapshot => storageService.remove(this.getKey(snapshot.id)));
+
+        return {
+            success: true,
+            message: `Removed ${snapshots.length} snapshot${snapshots.length === 1 ? '' : 's'}`,
+            count: snapshots.length
+        };
+    }
+
+    /**
+     * Save the snapshot list
+     * @param {Array} snapshots - Snapshot details, newest first
+     */
+    writeIndex(snapshots) {
+        storageService.set(INDEX_KEY, snapshots, { reportQuota: false });
+    }
+
+    /**
+     * Get the storage key of a snapshot's data
+     * @param {string} id - Snapshot ID
+     * @returns {string} Storage key
+     */
+    getKey(id) {
+        return `${SNAPSHOT_KEY_PREFIX}${id}`;
+    }
+}
+
+// Create and export singleton instance
+const snapshotService = new SnapshotService();
+
+export { snapshotService, SnapshotService, SNAPSHOT_REASONS, SNAPSHOT_COLLECTIONS };
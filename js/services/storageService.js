@@ -1,34 +1,273 @@
 /**
  * Storage Service
  *
- * Wrapper service for localStorage operations with error handling,
+ * Wrapper service for storage operations with error handling,
  * availability checks, JSON serialization/deserialization, and data versioning.
+ *
+ * The actual reads and writes are delegated to a storage adapter. An adapter
+ * provides synchronous isAvailable(), read(key), write(key, value),
+ * remove(key), has(key), keys(), clear() and estimateSize(key) methods.
+ * The service starts on localStorage and switches to IndexedDB once
+ * initializeBackend() has opened it.
+ *
+ * Writes that must succeed or fail together can run in a transaction
+ * (beginTransaction/commitTransaction/rollbackTransaction, or runTransaction).
+ */
+
+import { LocalStorageAdapter } from './localStorageAdapter.js';
+import { IndexedDBAdapter, DatabaseBlockedError } from './indexedDBAdapter.js';
+import { MIGRATIONS, CURRENT_SCHEMA_VERSION, compareVersions, runMigrations } from './migrations.js';
+
+/**
+ * localStorage key recording which backend holds the data. It always stays in
+ * localStorage so the choice is known before IndexedDB is opened.
  */
+const BACKEND_KEY = 'autocare_storage_backend';
 
 /**
- * Storage service class for managing localStorage operations
+ * Prefix shared by every key the application stores
+ */
+const KEY_PREFIX = 'autocare_';
+
+/**
+ * Key holding the copy of all data taken before a migration. It only exists
+ * while a migration is running, so finding it at startup means one was interrupted.
+ */
+const MIGRATION_SNAPSHOT_KEY = 'autocare_migration_snapshot';
+
+/**
+ * Write-ahead journal of the transaction in progress: what every key it has
+ * written held before. For collections of entries with IDs only the entries
+ * the transaction changed are kept, so the journal stays small next to the
+ * data. It is saved before each write and removed on commit, so finding it
+ * at startup means a transaction was interrupted.
+ */
+const TRANSACTION_JOURNAL_KEY = 'autocare_transaction_journal';
+
+/**
+ * Prefix of the keys holding point-in-time snapshots. Snapshots record the
+ * schema version they were taken at and are migrated when restored, so
+ * storage migrations leave them alone.
+ */
+const SNAPSHOT_KEY_PREFIX = 'autocare_snapshot_';
+
+/**
+ * Typical localStorage limit per origin of about 5 million UTF-16 characters,
+ * in bytes; browsers don't report the real figure
+ */
+const LOCAL_STORAGE_QUOTA = 5 * 1024 * 1024 * 2;
+
+/**
+ * Error thrown by StorageService.set() when the backend is out of space
+ */
+class StorageQuotaError extends Error {
+    /**
+     * @param {string|null} key - Key that could not be written
+     * @param {Error} cause - Original browser error
+     */
+    constructor(key, cause) {
+        super('Storage is full, so your changes could not be saved');
+        this.name = 'StorageQuotaError';
+        this.key = key;
+        this.cause = cause;
+    }
+}
+
+/**
+ * Check if a browser storage error means the quota was exceeded
+ * @param {Error} error - Error thrown by the backend
+ * @returns {boolean} True for quota errors
+ */
+function isQuotaError(error) {
+    return Boolean(error) && (
+        error.name === 'QuotaExceededError' ||
+        error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+        error.code === 22 ||
+        error.code === 1014
+    );
+}
+
+/**
+ * Check if a value is a collection of entries with unique IDs, which the
+ * transaction journal can save entry by entry
+ * @param {*} value - Stored value
+ * @returns {boolean} True for arrays of objects with unique IDs
+ */
+function isEntityCollection(value) {
+    if (!Array.isArray(value) || !value.every(entry => entry && typeof entry === 'object' &&
+        (typeof entry.id === 'string' || typeof entry.id === 'number'))) {
+        return false;
+    }
+
+    return new Set(value.map(entry => String(entry.id))).size === value.length;
+}
+
+/**
+ * Put the entries saved in a journal back into a collection
+ * @param {*} current - Collection as it is now
+ * @param {Object} entries - ID to { index, value } from before the transaction,
+ *     or null for entries that did not exist
+ * @returns {Array} Collection as it was before the transaction
+ */
+function restoreCollectionEntries(current, entries) {
+    const restored = (Array.isArray(current) ? current : [])
+        .filter(entry => !(entry && typeof entry === 'object' &&
+            Object.prototype.hasOwnProperty.call(entries, String(entry.id))));
+
+    Object.values(entries)
+        .filter(Boolean)
+        .sort((a, b) => a.index - b.index)
+        .forEach(({ index, value }) => restored.splice(Math.min(index, restored.length), 0, value));
+
+    return restored;
+}
+
+/**
+ * Storage service class for managing storage operations
  */
 class StorageService {
-    constructor() {
+    constructor(adapter = new LocalStorageAdapter(), migrations = MIGRATIONS) {
+        this.adapter = adapter;
+        this.migrations = migrations;
+        this.lastQuotaError = null;
+        // Set when storage can't be used again until the page is reloaded
+        this.backendProblem = null;
+        this.completedMigration = null;
+        this.onWrite = null;
+        // Open transaction and its savepoints, outermost first
+        this.transactionFrames = [];
         this.storageAvailable = this.checkStorageAvailability();
-        this.version = '1.0.0';
+        this.version = CURRENT_SCHEMA_VERSION;
         this.versionKey = 'autocare_storage_version';
         this.initializeStorage();
     }
 
     /**
-     * Check if localStorage is available
-     * @returns {boolean} True if localStorage is available
+     * Check if the current adapter's storage is available
+     * @returns {boolean} True if storage is available
      */
     checkStorageAvailability() {
+        return this.adapter.isAvailable();
+    }
+
+    /**
+     * Switch to IndexedDB when the browser supports it, moving any existing
+     * localStorage data across the first time
+     * @returns {Promise<string>} Name of the backend in use
+     */
+    async initializeBackend() {
+        const localAdapter = this.adapter instanceof LocalStorageAdapter ? this.adapter : new LocalStorageAdapter();
+        const indexedDBAdapter = new IndexedDBAdapter();
+
+        // IndexedDB writes finish in the background, so quota failures arrive here
+        indexedDBAdapter.onWriteError = error => {
+            if (isQuotaError(error)) {
+                this.reportQuotaExceeded(new StorageQuotaError(null, error));
+            }
+        };
+
+        // The adapter has closed its connection, so nothing more can be saved in this tab
+        indexedDBAdapter.onVersionChange = () => {
+            this.storageAvailable = false;
+            this.reportBackendProblem('AutoCare was updated in another tab. Reload this page to keep saving your changes.');
+        };
+
+        if (!indexedDBAdapter.isAvailable() || !localAdapter.isAvailable()) {
+            console.warn('IndexedDB is not available, using localStorage');
+            return this.adapter.name;
+        }
+
         try {
-            const testKey = '__storage_test__';
-            localStorage.setItem(testKey, 'test');
-            localStorage.removeItem(testKey);
-            return true;
+            await indexedDBAdapter.open();
+
+            if (localAdapter.read(BACKEND_KEY) === indexedDBAdapter.name) {
+                this.removeStartupDefaults(localAdapter);
+            } else {
+                await this.migrateToAdapter(localAdapter, indexedDBAdapter);
+                localAdapter.write(BACKEND_KEY, indexedDBAdapter.name);
+            }
+
+            this.adapter = indexedDBAdapter;
+            this.storageAvailable = true;
+            this.initializeStorage();
+
+            console.log('Storage backend: IndexedDB');
         } catch (error) {
-            console.error('localStorage is not available:', error.message);
-            return false;
+            indexedDBAdapter.close();
+
+            // The data is in IndexedDB, so carrying on with localStorage would show none of it
+            if (error instanceof DatabaseBlockedError && localAdapter.read(BACKEND_KEY) === indexedDBAdapter.name) {
+                this.storageAvailable = false;
+                this.reportBackendProblem('AutoCare is open in another tab that is still using an older version. ' +
+                    'Close your other AutoCare tabs, then reload this page.');
+                return this.adapter.name;
+            }
+
+            console.error('Error opening IndexedDB, using localStorage:', error && error.message);
+        }
+
+        return this.adapter.name;
+    }
+
+    /**
+     * Copy every application key from one adapter to another, then remove it from the source
+     * @param {Object} fromAdapter - Adapter holding the existing data
+     * @param {Object} toAdapter - Adapter to move the data into
+     * @returns {Promise<void>}
+     */
+    async migrateToAdapter(fromAdapter, toAdapter) {
+        const keys = fromAdapter.keys().filter(key => key.startsWith(KEY_PREFIX) && key !== BACKEND_KEY);
+
+        keys.forEach(key => toAdapter.write(key, fromAdapter.read(key)));
+
+        if (typeof toAdapter.flush === 'function') {
+            await toAdapter.flush();
+        }
+
+        if (toAdapter.lastWriteError) {
+            throw toAdapter.lastWriteError;
+        }
+
+        // Only drop the originals once the copy is safely stored
+        keys.forEach(key => fromAdapter.remove(key));
+        console.log(`Moved ${keys.length} keys from ${fromAdapter.name} to ${toAdapter.name}`);
+    }
+
+    /**
+     * Remove the empty defaults written to localStorage during startup, before
+     * the IndexedDB backend was opened. Anything with real data is left alone.
+     * @param {Object} localAdapter - localStorage adapter
+     */
+    removeStartupDefaults(localAdapter) {
+        localAdapter.keys()
+            .filter(key => key.startsWith(KEY_PREFIX) && key !== BACKEND_KEY)
+            .forEach(key => {
+                const value = localAdapter.read(key);
+                const isDefault = key === this.versionKey || (Array.isArray(value) && value.length === 0);
+
+                if (isDefault) {
+                    localAdapter.remove(key);
+                } else {
+                    console.warn(`Key "${key}" is still in localStorage and is not used by the IndexedDB backend`);
+                }
+            });
+    }
+
+    /**
+     * Get the name of the storage backend in use
+     * @returns {string} 'localStorage' or 'indexedDB'
+     */
+    getBackendName() {
+        return this.adapter.name;
+    }
+
+    /**
+     * Wait until all writes have reached the backend
+     * @returns {Promise<void>}
+     */
+    async flush() {
+        if (typeof this.adapter.flush === 'function') {
+            await this.adapter.flush();
         }
     }
 
@@ -42,12 +281,25 @@ class StorageService {
         }
 
         try {
-            const storedVersion = localStorage.getItem(this.versionKey);
+            if (this.adapter.has(MIGRATION_SNAPSHOT_KEY)) {
+                console.warn('Found an interrupted migration, restoring pre-migration data');
+                this.restoreMigrationSnapshot();
+            }
+
+            if (this.adapter.has(TRANSACTION_JOURNAL_KEY)) {
+                console.warn('Found an interrupted transaction, undoing its writes');
+                this.recoverTransaction();
+            }
+
+            const storedVersion = this.adapter.read(this.versionKey);
 
             if (!storedVersion) {
                 // First time initialization
-                localStorage.setItem(this.versionKey, this.version);
+                this.adapter.write(this.versionKey, this.version);
                 console.log(`Storage initialized with version ${this.version}`);
+            } else if (compareVersions(storedVersion, this.version) > 0) {
+                // Data written by a newer version of the app - leave it untouched
+                console.warn(`Stored data version ${storedVersion} is newer than ${this.version}`);
             } else if (storedVersion !== this.version) {
                 // Version mismatch - migration needed
                 console.log(`Storage version mismatch. Stored: ${storedVersion}, Current: ${this.version}`);
@@ -59,27 +311,371 @@ class StorageService {
     }
 
     /**
-     * Migrate storage data between versions
+     * Migrate storage data between versions.
+     *
+     * All steps run in memory against a snapshot and are validated before
+     * anything is written; if writing the result fails part way, the snapshot
+     * is written back so data is never left half-migrated.
      * @param {string} fromVersion - Current stored version
      * @param {string} toVersion - Target version
      */
     migrateStorage(fromVersion, toVersion) {
+        let snapshotSaved = false;
+
         try {
             console.log(`Migrating storage from ${fromVersion} to ${toVersion}`);
 
-            // Future migration logic will be added here as versions evolve
-            // For now, just update the version
+            const data = this.readApplicationData();
+            const { data: migrated, applied } = runMigrations(data, fromVersion, toVersion, this.migrations);
+
+            this.adapter.write(MIGRATION_SNAPSHOT_KEY, {
+                version: fromVersion,
+                createdAt: new Date().toISOString(),
+                data
+            });
+            snapshotSaved = true;
+
+            Object.keys(migrated).forEach(key => {
+                if (JSON.stringify(migrated[key]) !== JSON.stringify(data[key])) {
+                    this.adapter.write(key, migrated[key]);
+                }
+            });
+            Object.keys(data)
+                .filter(key => !(key in migrated))
+                .forEach(key => this.adapter.remove(key));
+
+            this.adapter.write(this.versionKey, toVersion);
+            this.adapter.remove(MIGRATION_SNAPSHOT_KEY);
 
-            localStorage.setItem(this.versionKey, toVersion);
-            console.log('Storage migration completed successfully');
+            // Kept in memory so a point-in-time snapshot can be taken once the app has started
+            this.completedMigration = {
+                fromVersion,
+                toVersion,
+                createdAt: new Date().toISOString(),
+                data
+            };
+
+            console.log(`Storage migration completed successfully (${applied.join(', ') || 'no steps'})`);
         } catch (error) {
             console.error('Error during storage migration:', error.message);
+
+            if (snapshotSaved) {
+                this.restoreMigrationSnapshot();
+            }
+
             throw new Error(`Storage migration failed: ${error.message}`);
         }
     }
 
     /**
-     * Get data from localStorage
+     * Read every application key except storage bookkeeping
+     * @returns {Object} Storage key to value
+     */
+    readApplicationData() {
+        const data = {};
+
+        this.adapter.keys()
+            .filter(key => key.startsWith(KEY_PREFIX) &&
+                !key.startsWith(SNAPSHOT_KEY_PREFIX) &&
+                ![this.versionKey, BACKEND_KEY, MIGRATION_SNAPSHOT_KEY, TRANSACTION_JOURNAL_KEY].includes(key))
+            .forEach(key => {
+                data[key] = this.adapter.read(key);
+            });
+
+        return data;
+    }
+
+    /**
+     * Look at the last migration without handing it over
+     * @returns {Object|null} fromVersion, toVersion, createdAt and the pre-migration data
+     */
+    getCompletedMigration() {
+        return this.completedMigration;
+    }
+
+    /**
+     * Hand over the data saved before the last migration, once
+     * @returns {Object|null} fromVersion, toVersion, createdAt and the pre-migration data
+     */
+    takeCompletedMigration() {
+        const migration = this.completedMigration;
+        this.completedMigration = null;
+        return migration;
+    }
+
+    /**
+     * Put back the data and version saved before a migration
+     */
+    restoreMigrationSnapshot() {
+        try {
+            const snapshot = this.adapter.read(MIGRATION_SNAPSHOT_KEY);
+            if (!snapshot || typeof snapshot !== 'object' || !snapshot.data) {
+                this.adapter.remove(MIGRATION_SNAPSHOT_KEY);
+                return;
+            }
+
+            Object.keys(this.readApplicationData())
+                .filter(key => !(key in snapshot.data))
+                .forEach(key => this.adapter.remove(key));
+            Object.entries(snapshot.data).forEach(([key, value]) => this.adapter.write(key, value));
+
+            this.adapter.write(this.versionKey, snapshot.version);
+            this.adapter.remove(MIGRATION_SNAPSHOT_KEY);
+
+            console.log(`Restored data from before the migration of version ${snapshot.version}`);
+        } catch (error) {
+            // Keep the snapshot so the restore is retried on the next start
+            console.error('Error restoring pre-migration data:', error.message);
+        }
+    }
+
+    /**
+     * Put back the values saved in the journal of an interrupted transaction
+     */
+    recoverTransaction() {
+        try {
+            const journal = this.adapter.read(TRANSACTION_JOURNAL_KEY);
+            if (journal && typeof journal === 'object' && journal.previous) {
+                this.restoreJournalEntries(journal.previous);
+                console.log(`Undid ${Object.keys(journal.previous).length} writes of a transaction started ${journal.startedAt}`);
+            }
+
+            this.adapter.remove(TRANSACTION_JOURNAL_KEY);
+        } catch (error) {
+            // Keep the journal so recovery is retried on the next start
+            console.error('Error recovering interrupted transaction:', error.message);
+        }
+    }
+
+    /**
+     * Start a transaction. Until it is committed or rolled back, each key's
+     * value is saved to the journal before the key is first written, so all
+     * of the transaction's writes can be undone together. A transaction begun
+     * inside another one is a savepoint: rolling it back only undoes its own
+     * writes, and its writes are only kept if the outer transaction commits.
+     */
+    beginTransaction() {
+        this.transactionFrames.push({
+            startedAt: new Date().toISOString(),
+            // Full previous values, kept in memory for rollback
+            previous: {},
+            // What the stored journal holds for each key; only used on the outermost frame
+            journal: {}
+        });
+    }
+
+    /**
+     * Check whether a transaction is open
+     * @returns {boolean} True between beginTransaction() and its commit or rollback
+     */
+    isInTransaction() {
+        return this.transactionFrames.length > 0;
+    }
+
+    /**
+     * Keep the writes of the innermost transaction. Committing the outermost
+     * one removes the journal.
+     * @returns {boolean} True if successful
+     */
+    commitTransaction() {
+        if (!this.isInTransaction()) {
+            console.warn('commitTransaction() called without an open transaction');
+            return false;
+        }
+
+        this.transactionFrames.pop();
+
+        if (this.isInTransaction()) {
+            return true;
+        }
+
+        try {
+            this.adapter.remove(TRANSACTION_JOURNAL_KEY);
+            return true;
+        } catch (error) {
+            // The writes are in place; the journal would undo them on the next start
+            console.error('Error committing transaction:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Undo every write made since the innermost transaction began
+     * @returns {boolean} True if successful
+     */
+    rollbackTransaction() {
+        if (!this.isInTransaction()) {
+            console.warn('rollbackTransaction() called without an open transaction');
+            return false;
+        }
+
+        const frame = this.transactionFrames.pop();
+
+        try {
+            this.restoreJournalEntries(frame.previous);
+            Object.keys(frame.previous).forEach(key => this.notifyWrite(key));
+
+            if (!this.isInTransaction()) {
+                this.adapter.remove(TRANSACTION_JOURNAL_KEY);
+            }
+            return true;
+        } catch (error) {
+            // The journal is left in place, so the writes are undone on the next start
+            console.error('Error rolling back transaction:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Run work in a transaction, committing if it succeeds and rolling back
+     * if it returns false or a result object with success false, or throws
+     * @param {Function} work - Makes the writes; its return value is passed on
+     * @returns {*} Whatever work returned
+     * @throws {Error} Whatever work threw, after rolling back
+     */
+    runTransaction(work) {
+        this.beginTransaction();
+
+        let result;
+        try {
+            result = work();
+        } catch (error) {
+            this.rollbackTransaction();
+            throw error;
+        }
+
+        if (result === false || (result && typeof result === 'object' && result.success === false)) {
+            this.rollbackTransaction();
+        } else {
+            this.commitTransaction();
+        }
+
+        return result;
+    }
+
+    /**
+     * Save a key's current value to every open transaction that hasn't
+     * written it yet, and persist the journal before the key is overwritten
+     * @param {string} key - Storage key about to be written
+     * @param {*} value - Value about to be written; undefined when the key is being removed
+     */
+    journalWrite(key, value) {
+        if (!this.isInTransaction()) {
+            return;
+        }
+
+        if (this.transactionFrames.some(frame => !(key in frame.previous))) {
+            const entry = this.adapter.has(key)
+                ? { existed: true, value: this.adapter.read(key) }
+                : { existed: false };
+
+            this.transactionFrames.forEach(frame => {
+                if (!(key in frame.previous)) {
+                    frame.previous[key] = entry;
+                }
+            });
+        }
+
+        const [outermost] = this.transactionFrames;
+        const journaled = outermost.journal[key];
+        const journalEntry = this.buildJournalEntry(outermost.previous[key], value, journaled);
+
+        if (journalEntry !== journaled) {
+            outermost.journal[key] = journalEntry;
+            this.adapter.write(TRANSACTION_JOURNAL_KEY, { startedAt: outermost.startedAt, previous: outermost.journal });
+        }
+    }
+
+    /**
+     * Describe how to put a key back for the stored journal. A collection of
+     * entries with IDs is journaled as the entries that differ from before the
+     * transaction, with their positions; anything else as its whole value.
+     * Entries journaled by earlier writes stay journaled, in case a later write
+     * is interrupted after changing them back.
+     * @param {Object} previous - { existed, value } from before the transaction
+     * @param {*} value - Value about to be written; undefined when the key is being removed
+     * @param {Object|undefined} journaled - What the journal holds for the key so far
+     * @returns {Object} Journal entry; journaled itself if nothing new needs saving
+     */
+    buildJournalEntry(previous, value, journaled) {
+        if (!previous.existed) {
+            return journaled || { existed: false };
+        }
+
+        if (!isEntityCollection(previous.value) || !isEntityCollection(value) || (journaled && !journaled.entries)) {
+            return journaled && !journaled.entries ? journaled : { existed: true, value: previous.value };
+        }
+
+        const entries = journaled ? { ...journaled.entries } : {};
+        const indexById = new Map(previous.value.map((entry, index) => [String(entry.id), index]));
+        const written = new Set();
+        let added = 0;
+
+        const isJournaled = id => Object.prototype.hasOwnProperty.call(entries, id);
+
+        // Entries are keyed by ID; null marks one that did not exist before
+        const keep = id => {
+            if (!isJournaled(id)) {
+                const index = indexById.get(id);
+                entries[id] = index === undefined ? null : { index, value: previous.value[index] };
+                added++;
+            }
+        };
+
+        value.forEach(entry => {
+            const id = String(entry.id);
+            written.add(id);
+
+            if (isJournaled(id)) {
+                return;
+            }
+
+            const index = indexById.get(id);
+            if (index === undefined || JSON.stringify(previous.value[index]) !== JSON.stringify(entry)) {
+                keep(id);
+            }
+        });
+
+        indexById.forEach((index, id) => {
+            if (!written.has(id)) {
+                keep(id);
+            }
+        });
+
+        return journaled && added === 0 ? journaled : { existed: true, entries };
+    }
+
+    /**
+     * Write back values saved in a journal. Every key is attempted even if
+     * one fails, so as much as possible is put back.
+     * @param {Object} previous - Storage key to { existed, value }, or for a
+     *     collection { existed, entries } with the changed entries by ID
+     * @throws {Error} If any key could not be written back
+     */
+    restoreJournalEntries(previous) {
+        const failed = Object.entries(previous).filter(([key, entry]) => {
+            try {
+                if (entry.existed && entry.entries) {
+                    this.adapter.write(key, restoreCollectionEntries(this.adapter.read(key), entry.entries));
+                } else if (entry.existed) {
+                    this.adapter.write(key, entry.value);
+                } else {
+                    this.adapter.remove(key);
+                }
+                return false;
+            } catch (error) {
+                console.error(`Error restoring key "${key}":`, error.message);
+                return true;
+            }
+        });
+
+        if (failed.length > 0) {
+            throw new Error(`Could not restore ${failed.map(([key]) => key).join(', ')}`);
+        }
+    }
+
+    /**
+     * Get data from storage
      * @param {string} key - Storage key
      * @param {*} defaultValue - Default value if key doesn't exist
      * @returns {*} Retrieved data or default value
@@ -96,20 +692,8 @@ class StorageService {
         }
 
         try {
-            const item = localStorage.getItem(key);
-
-            if (item === null) {
-                return defaultValue;
-            }
-
-            // Try to parse as JSON
-            try {
-                return JSON.parse(item);
-            } catch (parseError) {
-                // If parsing fails, return the raw string
-                console.warn(`Failed to parse JSON for key "${key}", returning raw value`);
-                return item;
-            }
+            const item = this.adapter.read(key);
+            return item === undefined ? defaultValue : item;
         } catch (error) {
             console.error(`Error getting item with key "${key}":`, error.message);
             return defaultValue;
@@ -117,12 +701,15 @@ class StorageService {
     }
 
     /**
-     * Set data in localStorage
+     * Set data in storage
      * @param {string} key - Storage key
      * @param {*} value - Value to store
+     * @param {Object} options - Options
+     * @param {boolean} options.reportQuota - Announce quota errors to the user (default: true)
      * @returns {boolean} True if successful
+     * @throws {StorageQuotaError} If there is not enough space to store the value
      */
-    set(key, value) {
+    set(key, value, { reportQuota = true } = {}) {
         if (!this.storageAvailable) {
             console.warn('Storage not available, unable to set value');
             return false;
@@ -134,70 +721,123 @@ class StorageService {
         }
 
         try {
-            // Serialize value to JSON
-            const serialized = JSON.stringify(value);
-
-            // Check if we're about to exceed quota
-            try {
-                localStorage.setItem(key, serialized);
-                return true;
-            } catch (quotaError) {
-                if (quotaError.name === 'QuotaExceededError' ||
-                    quotaError.name === 'NS_ERROR_DOM_QUOTA_REACHED') {
-                    console.error('Storage quota exceeded');
-
-                    // Attempt to free up space by removing old data
-                    this.handleQuotaExceeded(key, serialized);
-                    return false;
-                } else {
-                    throw quotaError;
+            this.journalWrite(key, value);
+            this.adapter.write(key, value);
+            this.notifyWrite(key);
+            return true;
+        } catch (error) {
+            if (isQuotaError(error)) {
+                // Never make room by deleting data; let the caller and the user decide
+                const quotaError = new StorageQuotaError(key, error);
+                if (reportQuota) {
+                    this.reportQuotaExceeded(quotaError);
                 }
+                throw quotaError;
             }
-        } catch (error) {
+
             console.error(`Error setting item with key "${key}":`, error.message);
             return false;
         }
     }
 
     /**
-     * Handle quota exceeded error
-     * @param {string} key - Key that failed to be set
-     * @param {string} value - Value that failed to be set
+     * Tell the onWrite listener that a key was written, e.g. so other tabs can be told
+     * @param {string|null} key - Storage key, or null when everything was cleared
      */
-    handleQuotaExceeded(key, value) {
-        console.warn('Attempting to free up storage space');
+    notifyWrite(key) {
+        if (typeof this.onWrite === 'function') {
+            this.onWrite(key);
+        }
+    }
 
-        try {
-            // Get all keys
-            const allKeys = [];
-            for (let i = 0; i < localStorage.length; i++) {
-                const storageKey = localStorage.key(i);
-                if (storageKey && storageKey !== this.versionKey && storageKey !== key) {
-                    allKeys.push(storageKey);
-                }
-            }
+    /**
+     * Re-read keys another tab has written. Only needed for backends that keep
+     * data in memory; localStorage reads are always current.
+     * @param {string[]|null} keys - Storage keys, or null for everything
+     * @returns {Promise<void>}
+     */
+    async reload(keys = null) {
+        if (typeof this.adapter.reload === 'function') {
+            await this.adapter.reload(keys);
+        }
+    }
 
-            // Remove oldest entries (simple strategy - can be improved)
-            if (allKeys.length > 0) {
-                const keyToRemove = allKeys[0];
-                console.log(`Removing oldest key: ${keyToRemove}`);
-                localStorage.removeItem(keyToRemove);
-
-                // Try setting again
-                try {
-                    localStorage.setItem(key, value);
-                    console.log('Successfully set value after freeing space');
-                } catch (retryError) {
-                    console.error('Failed to set value even after freeing space');
-                }
+    /**
+     * Record a quota failure and announce it so the UI can offer a way out
+     * @param {StorageQuotaError} error - Quota error
+     */
+    reportQuotaExceeded(error) {
+        this.lastQuotaError = error;
+        console.error(error.message);
+
+        if (typeof window !== 'undefined') {
+            window.dispatchEvent(new CustomEvent('storage:quota-exceeded', {
+                detail: { key: error.key, backend: this.adapter.name }
+            }));
+        }
+    }
+
+    /**
+     * Record that storage can't be used until the page is reloaded, and announce it
+     * @param {string} message - What happened and what to do about it, for the user
+     */
+    reportBackendProblem(message) {
+        this.backendProblem = message;
+        console.error(message);
+
+        if (typeof window !== 'undefined') {
+            window.dispatchEvent(new CustomEvent('storage:unavailable', {
+                detail: { message, backend: this.adapter.name }
+            }));
+        }
+    }
+
+    /**
+     * Estimate how much space is used and available
+     * @returns {Promise<Object>} Usage and quota in bytes, and the percentage used
+     */
+    async getQuotaEstimate() {
+        const info = this.getStorageInfo();
+        let usage = info.estimatedSize || 0;
+        let quota = LOCAL_STORAGE_QUOTA;
+
+        // localStorage has its own fixed limit; the browser estimate covers IndexedDB
+        if (this.adapter.name !== 'localStorage' &&
+            typeof navigator !== 'undefined' && navigator.storage && typeof navigator.storage.estimate === 'function') {
+            try {
+                const estimate = await navigator.storage.estimate();
+                usage = estimate.usage ?? usage;
+                quota = estimate.quota ?? null;
+            } catch (error) {
+                console.warn('Unable to estimate storage quota:', error.message);
+                quota = null;
             }
-        } catch (error) {
-            console.error('Error handling quota exceeded:', error.message);
+        } else if (this.adapter.name !== 'localStorage') {
+            quota = null;
+        }
+
+        return {
+            backend: this.adapter.name,
+            usage,
+            quota,
+            percentUsed: quota ? Math.min(100, (usage / quota) * 100) : null
+        };
+    }
+
+    /**
+     * Estimate the stored size of a key in bytes
+     * @param {string} key - Storage key
+     * @returns {number} Estimated size
+     */
+    getKeySize(key) {
+        if (!this.storageAvailable || !this.has(key)) {
+            return 0;
         }
+        return this.adapter.estimateSize(key);
     }
 
     /**
-     * Remove data from localStorage
+     * Remove data from storage
      * @param {string} key - Storage key
      * @returns {boolean} True if successful
      */
@@ -213,7 +853,9 @@ class StorageService {
         }
 
         try {
-            localStorage.removeItem(key);
+            this.journalWrite(key);
+            this.adapter.remove(key);
+            this.notifyWrite(key);
             return true;
         } catch (error) {
             console.error(`Error removing item with key "${key}":`, error.message);
@@ -222,7 +864,7 @@ class StorageService {
     }
 
     /**
-     * Clear all data from localStorage (except version)
+     * Clear all data from storage (except version)
      * @param {boolean} includeVersion - Whether to also clear version info
      * @returns {boolean} True if successful
      */
@@ -232,21 +874,27 @@ class StorageService {
             return false;
         }
 
+        if (this.isInTransaction()) {
+            console.error('Storage cannot be cleared during a transaction');
+            return false;
+        }
+
         try {
             if (includeVersion) {
-                localStorage.clear();
+                this.adapter.clear();
                 console.log('All storage cleared including version');
             } else {
                 // Save version before clearing
-                const version = localStorage.getItem(this.versionKey);
-                localStorage.clear();
+                const version = this.adapter.read(this.versionKey);
+                this.adapter.clear();
 
                 // Restore version
                 if (version) {
-                    localStorage.setItem(this.versionKey, version);
+                    this.adapter.write(this.versionKey, version);
                 }
                 console.log('Storage cleared (version preserved)');
             }
+            this.notifyWrite(null);
             return true;
         } catch (error) {
             console.error('Error clearing storage:', error.message);
@@ -269,7 +917,7 @@ class StorageService {
         }
 
         try {
-            return localStorage.getItem(key) !== null;
+            return this.adapter.has(key);
         } catch (error) {
             console.error(`Error checking key "${key}":`, error.message);
             return false;
@@ -287,14 +935,7 @@ class StorageService {
         }
 
         try {
-            const keys = [];
-            for (let i = 0; i < localStorage.length; i++) {
-                const key = localStorage.key(i);
-                if (key && (includeVersion || key !== this.versionKey)) {
-                    keys.push(key);
-                }
-            }
-            return keys;
+            return this.adapter.keys().filter(key => includeVersion || key !== this.versionKey);
         } catch (error) {
             console.error('Error getting all keys:', error.message);
             return [];
@@ -319,19 +960,16 @@ class StorageService {
             let estimatedSize = 0;
 
             keys.forEach(key => {
-                const value = localStorage.getItem(key);
-                if (value) {
-                    // Rough estimate: each character is 2 bytes in UTF-16
-                    estimatedSize += (key.length + value.length) * 2;
-                }
+                estimatedSize += this.adapter.estimateSize(key);
             });
 
             return {
                 available: true,
+                backend: this.adapter.name,
                 keyCount: keys.length,
                 estimatedSize: estimatedSize,
                 estimatedSizeKB: (estimatedSize / 1024).toFixed(2),
-                version: localStorage.getItem(this.versionKey) || 'unknown'
+                version: this.adapter.read(this.versionKey) || 'unknown'
             };
         } catch (error) {
             console.error('Error getting storage info:', error.message);
@@ -429,4 +1067,4 @@ class StorageService {
 // Create and export a singleton instance
 const storageService = new StorageService();
 
-export { storageService, StorageService };
+export { storageService, StorageService, StorageQuotaError, SNAPSHOT_KEY_PREFIX };
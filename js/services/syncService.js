@@ -0,0 +1,243 @@
+/**
+ * Sync Service
+ *
+ * Keeps tabs of the app open at the same time in step. Every write is
+ * announced on a BroadcastChannel once it has reached storage; a tab that
+ * hears about writes from another one reloads the keys involved and lets
+ * dataManager notify its subscribers, so views re-render with the other
+ * tab's changes. With the localStorage backend the browser's own `storage`
+ * events are used instead, since they carry the previous values.
+ */
+
+import { storageService } from './storageService.js';
+import { dataManager } from './dataManager.js';
+
+/**
+ * BroadcastChannel name shared by all tabs of the app
+ */
+const SYNC_CHANNEL = 'autocare_sync';
+
+/**
+ * Prefix shared by every key the application stores
+ */
+const KEY_PREFIX = 'autocare_';
+
+/**
+ * Sync Service class
+ */
+class SyncService {
+    constructor() {
+        this.channel = null;
+        this.isInitialized = false;
+        // Written keys waiting to be announced; null as a key means everything
+        this.outgoingKeys = new Set();
+        this.outgoingTimer = null;
+        // Previous values of keys another tab wrote, waiting to be applied
+        this.incoming = new Map();
+        this.reloadAll = false;
+        this.incomingTimer = null;
+        this.handleWrite = this.handleWrite.bind(this);
+        this.handleMessage = this.handleMessage.bind(this);
+        this.handleStorageEvent = this.handleStorageEvent.bind(this);
+    }
+
+    /**
+     * Start announcing this tab's writes and listening for other tabs'
+     * @returns {boolean} True if changes from other tabs will be picked up
+     */
+    initialize() {
+        if (this.isInitialized) {
+            return true;
+        }
+
+        try {
+            if (typeof BroadcastChannel !== 'undefined') {
+                this.channel = new BroadcastChannel(SYNC_CHANNEL);
+                this.channel.addEventListener('message', this.handleMessage);
+            }
+
+            window.addEventListener('storage', this.handleStorageEvent);
+            storageService.onWrite = this.handleWrite;
+            this.isInitialized = true;
+
+            console.log('SyncService initialized successfully');
+            return true;
+        } catch (error) {
+            console.error('Error initializing SyncService:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Check whether the browser reports other tabs' writes itself
+     * @returns {boolean} True for the localStorage backend
+     */
+    usesStorageEvents() {
+        return storageService.getBackendName() === 'localStorage';
+    }
+
+    /**
+     * Collect a key this tab wrote; writes made by one change go out together
+     * @param {string|null} key - Storage key, or null when everything was cleared
+     */
+    handleWrite(key) {
+        if (!this.channel || this.usesStorageEvents() || (key !== null && !key.startsWith(KEY_PREFIX))) {
+            return;
+        }
+
+        this.outgoingKeys.add(key);
+
+        if (!this.outgoingTimer) {
+            this.outgoingTimer = setTimeout(() => this.announceWrites(), 0);
+        }
+    }
+
+    /**
+     * Tell other tabs which keys changed, once the writes have reached storage
+     * @returns {Promise<void>}
+     */
+    async announceWrites() {
+        this.outgoingTimer = null;
+        const keys = [...this.outgoingKeys];
+        this.outgoingKeys.clear();
+
+        try {
+            await storageService.flush();
+            this.channel.postMessage({ keys: keys.includes(null) ? null : keys });
+        } catch (error) {
+            console.error('Error announcing changes to other tabs:', error.message);
+        }
+    }
+
+    /**
+     * Handle another tab announcing writes
+     * @param {MessageEvent} event - Message with the keys that changed
+     */
+    handleMessage(event) {
+        // localStorage tabs hear about the same writes through storage events
+        if (this.usesStorageEvents() || !event.data) {
+            return;
+        }
+
+        // Keys are null when the other tab cleared everything
+        const { keys } = event.data;
+        const changedKeys = Array.isArray(keys) ? keys : storageService.getAllKeys(true);
+        changedKeys.forEach(key => this.queueIncoming(key, storageService.get(key)));
+        this.scheduleIncoming(!Array.isArray(keys));
+    }
+
+    /**
+     * Handle the browser reporting another tab's localStorage write
+     * @param {StorageEvent} event - Storage event
+     */
+    handleStorageEvent(event) {
+        if (!this.usesStorageEvents()) {
+            return;
+        }
+
+        // localStorage.clear() in another tab; the previous values are gone
+        if (event.key === null) {
+            this.scheduleIncoming(true);
+            return;
+        }
+
+        if (!event.key.startsWith(KEY_PREFIX)) {
+            return;
+        }
+
+        this.queueIncoming(event.key, this.parseValue(event.oldValue));
+        this.scheduleIncoming();
+    }
+
+    /**
+     * Remember a key's value from before another tab's write. Only the first
+     * value counts when a key changes several times before it is applied.
+     * @param {string} key - Storage key
+     * @param {*} previous - Value before the write
+     */
+    queueIncoming(key, previous) {
+        if (!this.incoming.has(key)) {
+            this.incoming.set(key, previous);
+        }
+    }
+
+    /**
+     * Apply queued changes from other tabs on the next tick, so keys written
+     * together are reloaded and announced to subscribers together
+     * @param {boolean} reloadAll - Reload every key rather than just the queued ones
+     */
+    scheduleIncoming(reloadAll = false) {
+        if (reloadAll) {
+            this.reloadAll = true;
+        }
+
+        if (this.incomingTimer) {
+            return;
+        }
+
+        this.incomingTimer = setTimeout(() => this.applyIncoming(), 0);
+    }
+
+    /**
+     * Reload the keys other tabs wrote and notify subscribers
+     * @returns {Promise<void>}
+     */
+    async applyIncoming() {
+        this.incomingTimer = null;
+        const previous = Object.fromEntries(this.incoming);
+        const reloadAll = this.reloadAll;
+        this.incoming.clear();
+        this.reloadAll = false;
+
+        try {
+            await storageService.reload(reloadAll ? null : Object.keys(previous));
+            dataManager.handleExternalChanges(previous);
+        } catch (error) {
+            console.error('Error applying changes from another tab:', error.message);
+        }
+    }
+
+    /**
+     * Parse a raw localStorage value
+     * @param {string|null} value - Raw value
+     * @returns {*} Parsed value, or null
+     */
+    parseValue(value) {
+        if (value === null) {
+            return null;
+        }
+
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            return value;
+        }
+    }
+
+    /**
+     * Stop syncing with other tabs
+     */
+    destroy() {
+        clearTimeout(this.outgoingTimer);
+        clearTimeout(this.incomingTimer);
+
+        if (this.channel) {
+            this.channel.removeEventListener('message', this.handleMessage);
+            this.channel.close();
+            this.channel = null;
+        }
+
+        window.removeEventListener('storage', this.handleStorageEvent);
+
+        if (storageService.onWrite === this.handleWrite) {
+            storageService.onWrite = null;
+        }
+
+        this.isInitialized = false;
+    }
+}
+
+// Create and export singleton instance
+const syncService = new SyncService();
+
+export { syncService, SyncService, SYNC_CHANNEL };
@@ -0,0 +1,168 @@
+/**
+ * Audit Utilities
+ *
+ * Helper functions for showing change history entries from the audit log:
+ * readable field names, formatted old and new values, and the history list
+ * shared by the vehicle detail page and the maintenance list.
+ */
+
+import { formatCurrency } from './currencyFormatter.js';
+import { escapeHTML } from './htmlUtils.js';
+
+/**
+ * Display names for audited fields
+ */
+const FIELD_LABELS = {
+    make: 'Make',
+    model: 'Model',
+    year: 'Year',
+    mileage: 'Mileage',
+    purchasePrice: 'Purchase price',
+    vehicleId: 'Vehicle',
+    date: 'Date',
+    serviceType: 'Service type',
+    description: 'Description',
+    cost: 'Cost',
+    odometer: 'Odometer'
+};
+
+/**
+ * Display text for what happened
+ */
+const ACTION_LABELS = {
+    create: 'Created',
+    update: 'Edited',
+    delete: 'Moved to the trash',
+    restore: 'Restored from the trash',
+    purge: 'Permanently deleted',
+    bulk: 'Changed in bulk',
+    clear: 'Cleared all data'
+};
+
+/**
+ * Singular and plural names of audited entity types, for summary entries
+ */
+const ENTITY_NAMES = {
+    vehicle: ['vehicle', 'vehicles'],
+    maintenanceRecord: ['record', 'records']
+};
+
+/**
+ * Display text for where a change came from
+ */
+const SOURCE_LABELS = {
+    user: 'App',
+    form: 'Form',
+    import: 'Import',
+    restore: 'Backup or snapshot restore',
+    migration: 'Data upgrade',
+    undo: 'Undo',
+    redo: 'Redo',
+    system: 'Automatic cleanup',
+    sync: 'Another tab'
+};
+
+/**
+ * Get the display name of an audited field
+ * @param {string} field - Field name
+ * @returns {string} Display name
+ */
+export function getFieldLabel(field) {
+    return FIELD_LABELS[field] || field;
+}
+
+/**
+ * Format an audited field value for display
+ * @param {string} field - Field name
+ * @param {*} value - Stored value
+ * @returns {string} Formatted value
+ */
+export function formatAuditValue(field, value) {
+    if (value === null || value === undefined || value === '') {
+        return '—';
+    }
+
+    switch (field) {
+        case 'cost':
+        case 'purchasePrice':
+            return formatCurrency(value);
+        case 'mileage':
+        case 'odometer':
+            return `${Number(value).toLocaleString('en-US')} miles`;
+        case 'date': {
+            const date = new Date(value);
+            return Number.isNaN(date.getTime())
+                ? String(value)
+                : date.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+        }
+        default:
+            return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+}
+
+/**
+ * Describe the counts of a summary entry, one line per action
+ * @param {Object} counts - Action to entity type to number of entities
+ * @returns {Array} Lines like { label: 'Created', text: '2 vehicles, 14 records' }
+ */
+function describeCounts(counts) {
+    return Object.entries(counts).map(([action, byType]) => ({
+        label: ACTION_LABELS[action] || action,
+        text: Object.entries(byType)
+            .map(([entityType, count]) => {
+                const [singular, plural] = ENTITY_NAMES[entityType] || [entityType, entityType];
+                return `${count.toLocaleString('en-US')} ${count === 1 ? singular : plural}`;
+            })
+            .join(', ')
+    }));
+}
+
+/**
+ * Render a list of audit entries
+ * @param {Array} entries - Audit entries, newest first
+ * @param {Object} options - Render options
+ * @param {Function} options.getEntityName - Returns a name for an entry's vehicle or record;
+ *     when omitted, entries are not labelled with what they changed
+ * @param {string} options.emptyMessage - Text shown when there are no entries
+ * @returns {string} History HTML
+ */
+export function renderAuditHistory(entries, { getEntityName = null, emptyMessage = 'No changes have been recorded yet.' } = {}) {
+    if (entries.length === 0) {
+        return `<p class="form-hint">${escapeHTML(emptyMessage)}</p>`;
+    }
+
+    const items = entries.map(entry => {
+        const when = new Date(entry.timestamp).toLocaleString('en-US');
+        const action = ACTION_LABELS[entry.action] || entry.action;
+        const source = SOURCE_LABELS[entry.source] || entry.source;
+        // Summary entries cover many entities, so they aren't named
+        const name = getEntityName && entry.entityId ? getEntityName(entry) : '';
+
+        const counts = entry.counts ? describeCounts(entry.counts).map(line => `
+            <li>
+                <span class="audit-field">${escapeHTML(line.label)}:</span>
+                ${escapeHTML(line.text)}
+            </li>
+        `).join('') : '';
+
+        const changes = counts + entry.changes.map(change => `
+            <li>
+                <span class="audit-field">${escapeHTML(getFieldLabel(change.field))}:</span>
+                ${entry.action === 'create' ? '' : `<del>${escapeHTML(formatAuditValue(change.field, change.oldValue))}</del> →`}
+                <ins>${escapeHTML(formatAuditValue(change.field, change.newValue))}</ins>
+            </li>
+        `).join('');
+
+        return `
+            <li class="audit-entry">
+                <div class="audit-entry-header">
+                    <span class="audit-action">${escapeHTML(action)}${name ? ` · ${escapeHTML(name)}` : ''}</span>
+                    <span class="table-subtext">${escapeHTML(when)} · ${escapeHTML(source)}</span>
+                </div>
+                ${changes ? `<ul class="audit-changes">${changes}</ul>` : ''}
+            </li>
+        `;
+    }).join('');
+
+    return `<ol class="audit-history">${items}</ol>`;
+}
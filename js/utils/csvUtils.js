@@ -0,0 +1,278 @@
+/**
+ * CSV Utilities
+ *
+ * Helper functions for writing and reading RFC 4180 style CSV, including
+ * quoted fields with embedded delimiters, quotes and newlines, plus detection
+ * of the delimiter, decimal separator and date format used by spreadsheets
+ * from different locales.
+ */
+
+/**
+ * Date formats recognised on import
+ */
+export const DATE_FORMATS = {
+    ISO: 'YYYY-MM-DD',
+    US: 'MM/DD/YYYY',
+    EUROPEAN: 'DD/MM/YYYY',
+    DOTTED: 'DD.MM.YYYY'
+};
+
+/**
+ * Candidate delimiters, in order of preference
+ */
+const DELIMITERS = [',', ';', '\t'];
+
+/**
+ * Quote a single field if it contains anything that would break the row
+ * @param {*} value - Field value
+ * @param {string} delimiter - Field delimiter
+ * @returns {string} CSV field
+ */
+export function escapeCSVField(value, delimiter = ',') {
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    const str = String(value);
+    const needsQuotes = str.includes(delimiter) || /["\r\n]/.test(str) || str !== str.trim();
+
+    return needsQuotes ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Build CSV text from rows of values
+ * @param {Array<Array>} rows - Rows, the first usually being the header
+ * @param {string} delimiter - Field delimiter (default: ',')
+ * @returns {string} CSV text with CRLF line endings
+ */
+export function toCSV(rows, delimiter = ',') {
+    return rows
+        .map(row => row.map(value => escapeCSVField(value, delimiter)).join(delimiter))
+        .join('\r\n');
+}
+
+/**
+ * Guess the delimiter from the first line of CSV text
+ * @param {string} text - CSV text
+ * @returns {string} Delimiter
+ */
+export function detectDelimiter(text) {
+    const counts = new Map(DELIMITERS.map(delimiter => [delimiter, 0]));
+    let inQuotes = false;
+
+    for (const char of text) {
+        if (char === '"') {
+            inQuotes = !inQuotes;
+        } else if (!inQuotes && (char === '\n' || char === '\r')) {
+            break;
+        } else if (!inQuotes && counts.has(char)) {
+            counts.set(char, counts.get(char) + 1);
+        }
+    }
+
+    return DELIMITERS.reduce((best, delimiter) => (counts.get(delimiter) > counts.get(best) ? delimiter : best));
+}
+
+/**
+ * Parse CSV text into rows of strings
+ * @param {string} text - CSV text
+ * @param {string} delimiter - Field delimiter; detected when omitted
+ * @returns {Array<Array<string>>} Rows, skipping blank lines
+ */
+export function parseCSV(text, delimiter = null) {
+    const source = String(text || '').replace(/^\uFEFF/, '');
+    const separator = delimiter || detectDelimiter(source);
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    const endField = () => {
+        row.push(field);
+        field = '';
+    };
+
+    const endRow = () => {
+        endField();
+        if (row.length > 1 || row[0] !== '') {
+            rows.push(row);
+        }
+        row = [];
+    };
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+
+        if (inQuotes) {
+            if (char === '"' && source[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === separator) {
+            endField();
+        } else if (char === '\r' || char === '\n') {
+            if (char === '\r' && source[i + 1] === '\n') {
+                i++;
+            }
+            endRow();
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        endRow();
+    }
+
+    return rows;
+}
+
+/**
+ * Format a number with the given decimal separator
+ * @param {number|string} value - Numeric value already formatted with '.' decimals
+ * @param {string} decimalSeparator - '.' or ','
+ * @returns {string} Formatted number
+ */
+export function formatDecimal(value, decimalSeparator = '.') {
+    const str = String(value);
+    return decimalSeparator === ',' ? str.replace('.', ',') : str;
+}
+
+/**
+ * Guess whether numbers use '.' or ',' as the decimal separator
+ * @param {string[]} values - Sample values
+ * @returns {string} '.' or ','
+ */
+export function detectDecimalSeparator(values) {
+    let commaDecimals = 0;
+    let dotDecimals = 0;
+
+    values.forEach(value => {
+        const str = String(value || '').replace(/[^\d.,-]/g, '');
+        const lastComma = str.lastIndexOf(',');
+        const lastDot = str.lastIndexOf('.');
+
+        // The separator that comes last, followed by one or two digits, is the decimal one
+        if (lastComma > lastDot && /,\d{1,2}$/.test(str)) {
+            commaDecimals++;
+        } else if (lastDot > lastComma && /\.\d{1,2}$/.test(str)) {
+            dotDecimals++;
+        }
+    });
+
+    return commaDecimals > dotDecimals ? ',' : '.';
+}
+
+/**
+ * Parse a number that may use grouping and a locale decimal separator
+ * @param {string} value - Text such as "1,234.56", "1.234,56" or "$45"
+ * @param {string} decimalSeparator - '.' or ','
+ * @returns {number|null} Parsed number, or null if empty or invalid
+ */
+export function parseDecimal(value, decimalSeparator = '.') {
+    const str = String(value ?? '').replace(/[^\d.,-]/g, '');
+    if (str === '' || str === '-') {
+        return null;
+    }
+
+    const groupSeparator = decimalSeparator === ',' ? '.' : ',';
+    const normalized = str
+        .split(groupSeparator).join('')
+        .replace(decimalSeparator, '.');
+
+    const number = Number(normalized);
+    return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Split a date string into its three numeric parts
+ * @param {string} value - Date text
+ * @returns {number[]|null} Parts, or null if it doesn't look like a date
+ */
+function splitDate(value) {
+    const match = String(value || '').trim().match(/^(\d{1,4})[-/.](\d{1,2})[-/.](\d{1,4})/);
+    return match ? match.slice(1).map(Number) : null;
+}
+
+/**
+ * Guess the date format of a column from sample values
+ * @param {string[]} values - Sample values
+ * @returns {string|null} The format that reads the most values, or null if none reads any
+ */
+export function detectDateFormat(values) {
+    const samples = values.filter(value => String(value || '').trim() !== '');
+    if (samples.length === 0) {
+        return null;
+    }
+
+    // Ties go to the earlier format: dotted dates are day-first, otherwise US order
+    // wins unless some value only makes sense with the day first
+    const dotted = samples.filter(value => String(value).includes('.')).length > samples.length / 2;
+    const candidates = dotted
+        ? [DATE_FORMATS.ISO, DATE_FORMATS.DOTTED, DATE_FORMATS.US]
+        : [DATE_FORMATS.ISO, DATE_FORMATS.US, DATE_FORMATS.EUROPEAN];
+
+    let best = null;
+    let bestCount = 0;
+
+    candidates.forEach(format => {
+        const count = samples.filter(value => parseDateValue(value, format) !== null).length;
+        if (count > bestCount) {
+            best = format;
+            bestCount = count;
+        }
+    });
+
+    return best;
+}
+
+/**
+ * Parse a date in a known format
+ * @param {string} value - Date text
+ * @param {string} format - One of DATE_FORMATS
+ * @returns {string|null} Date as YYYY-MM-DD, or null if invalid
+ */
+export function parseDateValue(value, format) {
+    const parts = splitDate(value);
+    if (!parts) {
+        return null;
+    }
+
+    let year;
+    let month;
+    let day;
+
+    switch (format) {
+        case DATE_FORMATS.ISO:
+            [year, month, day] = parts;
+            break;
+        case DATE_FORMATS.US:
+            [month, day, year] = parts;
+            break;
+        case DATE_FORMATS.EUROPEAN:
+        case DATE_FORMATS.DOTTED:
+            [day, month, year] = parts;
+            break;
+        default:
+            return null;
+    }
+
+    // Two-digit years are taken as 19xx/20xx around the current year
+    if (year < 100) {
+        const currentTwoDigit = new Date().getFullYear() % 100;
+        year += year > currentTwoDigit ? 1900 : 2000;
+    }
+
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (year < 1000 || date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+        return null;
+    }
+
+    return date.toISOString().split('T')[0];
+}
@@ -0,0 +1,75 @@
+/**
+ * Date Range Utilities
+ *
+ * Relative date ranges such as "last 90 days" or "this year", for filters
+ * that should cover a different period each time they are used. A range is
+ * stored by its ID and resolved to start and end dates when it runs.
+ */
+
+/**
+ * Relative date ranges, in the order they are offered
+ */
+export const DATE_RANGES = [
+    { id: 'last-30-days', label: 'Last 30 days' },
+    { id: 'last-90-days', label: 'Last 90 days' },
+    { id: 'last-6-months', label: 'Last 6 months' },
+    { id: 'last-12-months', label: 'Last 12 months' },
+    { id: 'last-2-years', label: 'Last 2 years' },
+    { id: 'this-month', label: 'This month' },
+    { id: 'this-year', label: 'This year' },
+    { id: 'last-year', label: 'Last year' }
+];
+
+/**
+ * Format a date as YYYY-MM-DD in local time
+ * @param {Date} date - Date
+ * @returns {string} Date string
+ */
+function toDateString(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Get the label of a relative date range
+ * @param {string} id - Range ID
+ * @returns {string|null} Label, or null for an unknown range
+ */
+export function getDateRangeLabel(id) {
+    const range = DATE_RANGES.find(item => item.id === id);
+    return range ? range.label : null;
+}
+
+/**
+ * Resolve a relative date range to the dates it covers today. Ranges ending
+ * today include today, so "last 30 days" is today and the 29 days before it.
+ * @param {string} id - Range ID
+ * @param {Date} now - When to resolve the range from (default: now)
+ * @returns {Object|null} { startDate, endDate } as YYYY-MM-DD, or null for an unknown range
+ */
+export function resolveDateRange(id, now = new Date()) {
+    const year = now.getFullYear();
+    const month = now.getMonth();
+    const day = now.getDate();
+    const today = new Date(year, month, day);
+
+    // Date rolls overflowing days and months into the next month or year
+    const ranges = {
+        'last-30-days': [new Date(year, month, day - 29), today],
+        'last-90-days': [new Date(year, month, day - 89), today],
+        'last-6-months': [new Date(year, month - 6, day + 1), today],
+        'last-12-months': [new Date(year - 1, month, day + 1), today],
+        'last-2-years': [new Date(year - 2, month, day + 1), today],
+        'this-month': [new Date(year, month, 1), new Date(year, month + 1, 0)],
+        'this-year': [new Date(year, 0, 1), new Date(year, 11, 31)],
+        'last-year': [new Date(year - 1, 0, 1), new Date(year - 1, 11, 31)]
+    };
+
+    if (!Object.prototype.hasOwnProperty.call(ranges, id)) {
+        return null;
+    }
+
+    const [start, end] = ranges[id];
+    return { startDate: toDateString(start), endDate: toDateString(end) };
+}
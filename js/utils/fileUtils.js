@@ -0,0 +1,61 @@
+/**
+ * File Utilities
+ *
+ * Helper functions for saving generated data as files the user downloads,
+ * and for formatting file sizes for display.
+ */
+
+/**
+ * Trigger a browser download of generated content
+ * @param {string} filename - Suggested file name
+ * @param {string} content - File contents
+ * @param {string} mimeType - MIME type (default: 'application/json')
+ */
+export function downloadFile(filename, content, mimeType = 'application/json') {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Give the browser a moment to start the download before releasing the URL
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Build a dated file name, e.g. "autocare-backup-2024-05-01.json"
+ * @param {string} prefix - File name prefix
+ * @param {string} extension - File extension without the dot
+ * @returns {string} File name
+ */
+export function datedFilename(prefix, extension) {
+    return `${prefix}-${new Date().toISOString().split('T')[0]}.${extension}`;
+}
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Formatted size, e.g. "1.2 MB"
+ */
+export function formatBytes(bytes) {
+    const value = Number(bytes) || 0;
+
+    if (value < 1024) {
+        return `${value} B`;
+    }
+
+    if (value < 1024 * 1024) {
+        return `${(value / 1024).toFixed(1)} KB`;
+    }
+
+    if (value < 1024 * 1024 * 1024) {
+        return `${(value / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
+    return `${(value / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+}
@@ -176,6 +176,53 @@ export function validateMileage(mileage) {
     return { valid: true, field: 'mileage' };
 }
 
+/**
+ * Validate vehicle purchase price field, which may be left empty
+ * @param {number|string|null} purchasePrice - Purchase price value
+ * @returns {Object} Validation result with valid flag and message
+ */
+export function validatePurchasePrice(purchasePrice) {
+    if (purchasePrice === null || purchasePrice === undefined || purchasePrice === '') {
+        return { valid: true, field: 'purchasePrice' };
+    }
+
+    const priceNum = Number(purchasePrice);
+    if (isNaN(priceNum)) {
+        return {
+            valid: false,
+            field: 'purchasePrice',
+            message: 'Purchase price must be a valid number'
+        };
+    }
+
+    if (priceNum < 0) {
+        return {
+            valid: false,
+            field: 'purchasePrice',
+            message: 'Purchase price cannot be negative'
+        };
+    }
+
+    if (priceNum > 10000000) {
+        return {
+            valid: false,
+            field: 'purchasePrice',
+            message: 'Purchase price exceeds maximum allowed value'
+        };
+    }
+
+    const decimalPart = String(purchasePrice).split('.')[1];
+    if (decimalPart && decimalPart.length > 2) {
+        return {
+            valid: false,
+            field: 'purchasePrice',
+            message: 'Purchase price can have at most 2 decimal places'
+        };
+    }
+
+    return { valid: true, field: 'purchasePrice' };
+}
+
 /**
  * Setup real-time validation for a form input
  * @param {HTMLElement} inputElement - The input element to validate
@@ -329,6 +376,14 @@ export function validateAllFields(formData) {
         }
     }
 
+    // Validate purchase price
+    if (formData.purchasePrice !== undefined) {
+        const purchasePriceResult = validatePurchasePrice(formData.purchasePrice);
+        if (!purchasePriceResult.valid) {
+            errors.push(purchasePriceResult);
+        }
+    }
+
     return {
         valid: errors.length === 0,
         errors
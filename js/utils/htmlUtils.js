@@ -0,0 +1,30 @@
+/**
+ * HTML Utilities
+ *
+ * Helper functions for safely building HTML strings from user-provided data
+ * before they are inserted into the DOM with innerHTML.
+ */
+
+/**
+ * Map of characters that must be escaped in HTML text and attribute values
+ */
+const HTML_ESCAPE_MAP = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+};
+
+/**
+ * Escape a value for safe inclusion in HTML text or attribute values
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped string (empty string for null/undefined)
+ */
+export function escapeHTML(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    return String(value).replace(/[&<>"']/g, char => HTML_ESCAPE_MAP[char]);
+}
@@ -0,0 +1,353 @@
+/**
+ * SVG Chart Utilities
+ *
+ * Functions that build small charts as SVG markup strings, with no charting
+ * library. Each chart comes with a table of the same figures in a
+ * disclosure below it, for screen reader users and anyone who wants the
+ * exact numbers. Colors come from the chart classes in styles.css.
+ */
+
+import { escapeHTML } from './htmlUtils.js';
+
+/**
+ * Size of the chart drawing area; the SVG scales to fit its container
+ */
+const CHART_WIDTH = 640;
+const CHART_HEIGHT = 280;
+
+/**
+ * Space around the plot for axis labels
+ */
+const MARGIN = { top: 16, right: 16, bottom: 40, left: 80 };
+
+/**
+ * Number of series colors defined in styles.css (chart-series-0 and up)
+ */
+const SERIES_COLORS = 8;
+
+/**
+ * Height of one bar in a bar list, and the space kept for its label and value
+ */
+const BAR_ROW_HEIGHT = 28;
+const BAR_LABEL_WIDTH = 200;
+const BAR_VALUE_WIDTH = 96;
+
+/**
+ * Longest bar label drawn before it is cut short
+ */
+const MAX_LABEL_LENGTH = 30;
+
+/**
+ * Round a coordinate to keep the markup short
+ * @param {number} value - Coordinate
+ * @returns {number} Rounded coordinate
+ */
+function px(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Shorten a label to fit beside a bar
+ * @param {string} label - Label
+ * @returns {string} Label, cut short with an ellipsis if needed
+ */
+function truncate(label) {
+    const text = String(label);
+    return text.length > MAX_LABEL_LENGTH ? `${text.slice(0, MAX_LABEL_LENGTH - 1)}…` : text;
+}
+
+/**
+ * Pick evenly spaced, round values for a value axis starting at zero
+ * @param {number} max - Largest value to show
+ * @param {number} count - Roughly how many steps to use (default: 4)
+ * @returns {number[]} Tick values, the last at or above max
+ */
+export function getNiceTicks(max, count = 4) {
+    if (!(max > 0)) {
+        return [0];
+    }
+
+    const rough = max / count;
+    const magnitude = 10 ** Math.floor(Math.log10(rough));
+    const step = [1, 2, 2.5, 5, 10].map(multiple => multiple * magnitude).find(value => value >= rough);
+    const steps = Math.ceil(max / step);
+
+    return Array.from({ length: steps + 1 }, (_, index) => Math.round(index * step * 1e6) / 1e6);
+}
+
+/**
+ * Render the horizontal grid lines and value labels of a chart
+ * @param {number[]} ticks - Tick values
+ * @param {Function} toY - Maps a value to a y coordinate
+ * @param {Function} formatAxis - Formats a tick value
+ * @returns {string} SVG markup
+ */
+function renderValueAxis(ticks, toY, formatAxis) {
+    return ticks.map(tick => `
+        <line class="chart-grid" x1="${MARGIN.left}" x2="${CHART_WIDTH - MARGIN.right}" y1="${px(toY(tick))}" y2="${px(toY(tick))}" />
+        <text class="chart-axis-label" x="${MARGIN.left - 8}" y="${px(toY(tick))}" text-anchor="end" dominant-baseline="middle">${escapeHTML(formatAxis(tick))}</text>
+    `).join('');
+}
+
+/**
+ * Render category labels below the plot, skipping some when they would overlap
+ * @param {string[]} categories - Category labels
+ * @param {Function} toX - Maps a category index to the x coordinate of its center
+ * @returns {string} SVG markup
+ */
+function renderCategoryAxis(categories, toX) {
+    const plotWidth = CHART_WIDTH - MARGIN.left - MARGIN.right;
+    const step = Math.max(1, Math.ceil(categories.length / Math.floor(plotWidth / 64)));
+    const y = CHART_HEIGHT - MARGIN.bottom + 20;
+
+    return categories.map((category, index) => index % step === 0 ? `
+        <text class="chart-axis-label" x="${px(toX(index))}" y="${y}" text-anchor="middle">${escapeHTML(category)}</text>
+    ` : '').join('');
+}
+
+/**
+ * Render the table of figures shown for a chart
+ * @param {string[]} headers - Column headings
+ * @param {Array} rows - Rows of { cells, header } where cells are HTML strings
+ * @param {boolean} open - Show the table without expanding it first
+ * @returns {string} HTML
+ */
+function renderDataTable(headers, rows, open) {
+    return `
+        <details class="chart-data"${open ? ' open' : ''}>
+            <summary>Show the figures as a table</summary>
+            <div class="table-wrapper">
+                <table class="data-table">
+                    <thead>
+                        <tr>
+                            ${headers.map((header, index) => `<th scope="col"${index > 0 ? ' class="text-right"' : ''}>${escapeHTML(header)}</th>`).join('')}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows.map(([first, ...rest]) => `
+                            <tr>
+                                <th scope="row">${first}</th>
+                                ${rest.map(cell => `<td class="text-right">${cell}</td>`).join('')}
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        </details>
+    `;
+}
+
+/**
+ * Wrap chart markup in a figure with its title, legend and table
+ * @param {Object} parts - Chart parts
+ * @returns {string} HTML
+ */
+function renderFigure({ id, title, description, height, body, legend = '', table }) {
+    return `
+        <figure class="chart" id="${escapeHTML(id)}">
+            <figcaption class="chart-title" id="${escapeHTML(id)}-title">${escapeHTML(title)}</figcaption>
+            <svg class="chart-svg" viewBox="0 0 ${CHART_WIDTH} ${height}" role="img"
+                aria-labelledby="${escapeHTML(id)}-title ${escapeHTML(id)}-desc" preserveAspectRatio="xMidYMid meet">
+                <desc id="${escapeHTML(id)}-desc">${escapeHTML(description)}</desc>
+                ${body}
+            </svg>
+            ${legend}
+            ${table}
+        </figure>
+    `;
+}
+
+/**
+ * Render a column chart, stacking the series in each category
+ * @param {Object} options - Chart options
+ * @param {string} options.id - Unique ID for the chart element
+ * @param {string} options.title - Chart title
+ * @param {string} options.description - Summary of what the chart shows
+ * @param {string[]} options.categories - Category labels along the bottom
+ * @param {Array} options.series - { name, values } with one value per category
+ * @param {string} options.categoryLabel - Heading for the categories in the table
+ * @param {Function} options.formatValue - Formats a value for tooltips and the table
+ * @param {Function} options.formatAxis - Formats a value axis label (default: formatValue)
+ * @returns {string} HTML
+ */
+export function renderColumnChart({ id, title, description, categories, series, categoryLabel, formatValue, formatAxis = formatValue }) {
+    const plotWidth = CHART_WIDTH - MARGIN.left - MARGIN.right;
+    const plotHeight = CHART_HEIGHT - MARGIN.top - MARGIN.bottom;
+    const totals = categories.map((_, index) =>
+        series.reduce((sum, item) => sum + Math.max(0, Number(item.values[index]) || 0), 0)
+    );
+
+    const ticks = getNiceTicks(Math.max(0, ...totals));
+    const top = ticks[ticks.length - 1] || 1;
+    const toY = value => MARGIN.top + plotHeight - (value / top) * plotHeight;
+    const band = plotWidth / Math.max(1, categories.length);
+    const toX = index => MARGIN.left + band * index + band / 2;
+    const barWidth = Math.max(1, Math.min(48, band * 0.7));
+
+    const bars = categories.map((category, index) => {
+        let base = 0;
+
+        return series.map((item, seriesIndex) => {
+            const value = Math.max(0, Number(item.values[index]) || 0);
+            if (value === 0) {
+                return '';
+            }
+
+            const y = toY(base + value);
+            const height = toY(base) - y;
+            base += value;
+
+            return `
+                <rect class="chart-series-${seriesIndex % SERIES_COLORS}" x="${px(toX(index) - barWidth / 2)}" y="${px(y)}"
+                    width="${px(barWidth)}" height="${px(height)}">
+                    <title>${escapeHTML(series.length > 1 ? `${item.name}, ${category}` : category)}: ${escapeHTML(formatValue(value))}</title>
+                </rect>
+            `;
+        }).join('');
+    }).join('');
+
+    const legend = series.length > 1 ? `
+        <ul class="chart-legend">
+            ${series.map((item, index) => `
+                <li><span class="chart-swatch chart-series-${index % SERIES_COLORS}" aria-hidden="true"></span>${escapeHTML(item.name)}</li>
+            `).join('')}
+        </ul>
+    ` : '';
+
+    const headers = [categoryLabel, ...series.map(item => item.name), ...(series.length > 1 ? ['Total'] : [])];
+    const rows = categories.map((category, index) => [
+        escapeHTML(category),
+        ...series.map(item => escapeHTML(formatValue(Number(item.values[index]) || 0))),
+        ...(series.length > 1 ? [escapeHTML(formatValue(totals[index]))] : [])
+    ]);
+
+    return renderFigure({
+        id,
+        title,
+        description,
+        height: CHART_HEIGHT,
+        body: `
+            ${renderValueAxis(ticks, toY, formatAxis)}
+            ${bars}
+            <line class="chart-baseline" x1="${MARGIN.left}" x2="${CHART_WIDTH - MARGIN.right}" y1="${px(toY(0))}" y2="${px(toY(0))}" />
+            ${renderCategoryAxis(categories, toX)}
+        `,
+        legend,
+        table: renderDataTable(headers, rows, false)
+    });
+}
+
+/**
+ * Render a line chart of one series, with the area below the line shaded
+ * @param {Object} options - Chart options
+ * @param {string} options.id - Unique ID for the chart element
+ * @param {string} options.title - Chart title
+ * @param {string} options.description - Summary of what the chart shows
+ * @param {string[]} options.categories - Category labels along the bottom
+ * @param {number[]} options.values - One value per category
+ * @param {string} options.categoryLabel - Heading for the categories in the table
+ * @param {string} options.valueLabel - Heading for the values in the table
+ * @param {Function} options.formatValue - Formats a value for tooltips and the table
+ * @param {Function} options.formatAxis - Formats a value axis label (default: formatValue)
+ * @returns {string} HTML
+ */
+export function renderLineChart({ id, title, description, categories, values, categoryLabel, valueLabel, formatValue, formatAxis = formatValue }) {
+    const plotWidth = CHART_WIDTH - MARGIN.left - MARGIN.right;
+    const plotHeight = CHART_HEIGHT - MARGIN.top - MARGIN.bottom;
+    const numbers = values.map(value => Math.max(0, Number(value) || 0));
+
+    const ticks = getNiceTicks(Math.max(0, ...numbers));
+    const top = ticks[ticks.length - 1] || 1;
+    const toY = value => MARGIN.top + plotHeight - (value / top) * plotHeight;
+    const band = plotWidth / Math.max(1, categories.length);
+    const toX = index => MARGIN.left + band * index + band / 2;
+
+    const points = numbers.map((value, index) => `${px(toX(index))},${px(toY(value))}`);
+    const area = points.length > 1
+        ? `<path class="chart-area" d="M${px(toX(0))},${px(toY(0))} L${points.join(' L')} L${px(toX(points.length - 1))},${px(toY(0))} Z" />`
+        : '';
+    const line = points.length > 1 ? `<polyline class="chart-line" points="${points.join(' ')}" />` : '';
+
+    const dots = numbers.map((value, index) => `
+        <circle class="chart-point" cx="${px(toX(index))}" cy="${px(toY(value))}" r="${numbers.length > 60 ? 2 : 4}">
+            <title>${escapeHTML(categories[index])}: ${escapeHTML(formatValue(value))}</title>
+        </circle>
+    `).join('');
+
+    return renderFigure({
+        id,
+        title,
+        description,
+        height: CHART_HEIGHT,
+        body: `
+            ${renderValueAxis(ticks, toY, formatAxis)}
+            ${area}
+            ${line}
+            <line class="chart-baseline" x1="${MARGIN.left}" x2="${CHART_WIDTH - MARGIN.right}" y1="${px(toY(0))}" y2="${px(toY(0))}" />
+            ${dots}
+            ${renderCategoryAxis(categories, toX)}
+        `,
+        table: renderDataTable(
+            [categoryLabel, valueLabel],
+            categories.map((category, index) => [escapeHTML(category), escapeHTML(formatValue(numbers[index]))]),
+            false
+        )
+    });
+}
+
+/**
+ * Render a list of labelled horizontal bars, in the order given
+ * @param {Object} options - Chart options
+ * @param {string} options.id - Unique ID for the chart element
+ * @param {string} options.title - Chart title
+ * @param {string} options.description - Summary of what the chart shows
+ * @param {Array} options.items - { label, value, note, href }; note and href are shown in the table
+ * @param {string} options.categoryLabel - Heading for the labels in the table
+ * @param {string} options.valueLabel - Heading for the values in the table
+ * @param {Function} options.formatValue - Formats a value for the bars and the table
+ * @param {boolean} options.tableOpen - Show the table without expanding it first
+ * @returns {string} HTML
+ */
+export function renderBarList({ id, title, description, items, categoryLabel, valueLabel, formatValue, tableOpen = false }) {
+    const height = MARGIN.top * 2 + BAR_ROW_HEIGHT * Math.max(1, items.length);
+    const barLeft = BAR_LABEL_WIDTH;
+    const barSpace = CHART_WIDTH - MARGIN.right - BAR_VALUE_WIDTH - barLeft;
+    const max = Math.max(0, ...items.map(item => Number(item.value) || 0)) || 1;
+
+    const bars = items.map((item, index) => {
+        const value = Math.max(0, Number(item.value) || 0);
+        const width = (value / max) * barSpace;
+        const y = MARGIN.top + BAR_ROW_HEIGHT * index;
+        const middle = px(y + BAR_ROW_HEIGHT / 2);
+        const label = item.note ? `${item.label} (${item.note})` : item.label;
+
+        return `
+            <g>
+                <title>${escapeHTML(label)}: ${escapeHTML(formatValue(value))}</title>
+                <text class="chart-axis-label" x="${barLeft - 8}" y="${middle}" text-anchor="end" dominant-baseline="middle">${escapeHTML(truncate(item.label))}</text>
+                <rect class="chart-series-0" x="${barLeft}" y="${px(y + 4)}" width="${px(Math.max(value > 0 ? 1 : 0, width))}" height="${BAR_ROW_HEIGHT - 8}" />
+                <text class="chart-value-label" x="${px(barLeft + width + 6)}" y="${middle}" dominant-baseline="middle">${escapeHTML(formatValue(value))}</text>
+            </g>
+        `;
+    }).join('');
+
+    const rows = items.map(item => {
+        const label = item.href
+            ? `<a href="${escapeHTML(item.href)}">${escapeHTML(item.label)}</a>`
+            : escapeHTML(item.label);
+
+        return [
+            item.note ? `${label}<span class="table-subtext">${escapeHTML(item.note)}</span>` : label,
+            escapeHTML(formatValue(Number(item.value) || 0))
+        ];
+    });
+
+    return renderFigure({
+        id,
+        title,
+        description,
+        height,
+        body: bars,
+        table: renderDataTable([categoryLabel, valueLabel], rows, tableOpen)
+    });
+}
@@ -0,0 +1,128 @@
+/**
+ * CSV tests
+ *
+ * Writes and reads fields that need quoting, and exports maintenance
+ * history through csvService then imports it into empty storage to check
+ * nothing is lost on the way, and that unreadable rows are reported.
+ *
+ * Run with: node --test tests/
+ */
+
+import test, { beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installBrowserStorage } from './helpers/browserStorage.js';
+
+installBrowserStorage();
+
+const { toCSV, parseCSV } = await import('../js/utils/csvUtils.js');
+const { dataManager } = await import('../js/services/dataManager.js');
+const { csvService } = await import('../js/services/csvService.js');
+const { historyService } = await import('../js/services/historyService.js');
+
+/**
+ * Fields that only survive a round trip if they are quoted
+ */
+const AWKWARD_FIELDS = [
+    'He said "replace the belt"',
+    'Filter, oil, labour',
+    'First line\nsecond line',
+    'Windows\r\nline end',
+    '"',
+    ' padded ',
+    ''
+];
+
+/**
+ * Start over with empty storage
+ */
+function resetStorage() {
+    installBrowserStorage();
+    dataManager.clearAllCaches();
+    dataManager.invalidateIndexes();
+    historyService.clear();
+}
+
+/**
+ * Read a CSV file and import it with the guessed settings
+ * @param {string} text - CSV text
+ * @returns {Object} Result object from csvService.importCSV()
+ */
+function importText(text) {
+    const analysis = csvService.analyzeCSV(text);
+    assert.ok(analysis.success, analysis.message);
+
+    const { mapping, dateFormat, decimalSeparator } = analysis.data;
+    return csvService.importCSV(analysis.data, { mapping, dateFormat, decimalSeparator });
+}
+
+beforeEach(resetStorage);
+
+test('quoted fields with quotes, delimiters and newlines read back unchanged', () => {
+    const rows = [['Header', 'Value'], ...AWKWARD_FIELDS.map((field, i) => [field, String(i)])];
+
+    assert.deepEqual(parseCSV(toCSV(rows)), rows);
+    assert.deepEqual(parseCSV(toCSV(rows, ';'), ';'), rows);
+});
+
+test('exported maintenance history imports back into empty storage', () => {
+    const vehicle = dataManager.addVehicle({ make: 'Ford', model: 'Focus, ST', year: 2016, mileage: 61000 }).data;
+    AWKWARD_FIELDS.forEach((description, i) => {
+        const added = dataManager.addMaintenanceRecord({
+            vehicleId: vehicle.id,
+            date: `2024-02-${i + 10}`,
+            serviceType: 'Other',
+            description,
+            cost: 10.5 + i,
+            odometer: 60000 + i * 100
+        });
+        assert.ok(added.success, added.message);
+    });
+
+    const exported = dataManager.getAllMaintenanceRecords();
+    const text = csvService.exportMaintenanceCSV();
+
+    resetStorage();
+    const result = importText(text);
+
+    assert.ok(result.success, result.message);
+    assert.deepEqual(result.rowErrors, []);
+    assert.equal(result.results.maintenanceRecordsImported, AWKWARD_FIELDS.length);
+
+    const imported = dataManager.getVehicleById(vehicle.id);
+    assert.equal(imported.model, 'Focus, ST');
+    assert.equal(imported.year, 2016);
+
+    const fields = record => [record.id, record.vehicleId, record.date.split('T')[0], record.serviceType,
+        record.description, record.cost, record.odometer];
+    const byId = (a, b) => a.id.localeCompare(b.id);
+    assert.deepEqual(dataManager.getAllMaintenanceRecords().sort(byId).map(fields), exported.sort(byId).map(fields));
+});
+
+test('rows that cannot be read are reported by line and the rest are imported', () => {
+    const text = [
+        'Date,Service Type,Description,Cost,Odometer,Year,Make,Model',
+        '2024-01-05,Oil Change,"Synthetic, 5 quarts",49.99,42000,2020,Honda,Civic',
+        'someday,Oil Change,,49.99,,2020,Honda,Civic',
+        '2024-02-05,Tire Rotation,,free,,2020,Honda,Civic',
+        '2024-03-05,Tire Rotation,,25,lots,2020,Honda,Civic',
+        '2024-04-05,Tire Rotation,,25,,,,',
+        '"2024-05-05","Brake Service","Pads ""and"" rotors",310,43000,2020,Honda,Civic'
+    ].join('\n');
+
+    const result = importText(text);
+
+    assert.ok(result.success, result.message);
+    assert.deepEqual(result.rowErrors, [
+        { line: 3, reason: 'Date "someday" is not in YYYY-MM-DD format' },
+        { line: 4, reason: 'Cost "free" is not a number' },
+        { line: 5, reason: 'Odometer "lots" is not a number' },
+        { line: 6, reason: 'Row needs a vehicle year, make and model' }
+    ]);
+    assert.deepEqual(result.recordLines, [2, 7]);
+
+    const records = dataManager.getAllMaintenanceRecords().sort((a, b) => a.date.localeCompare(b.date));
+    assert.deepEqual(records.map(record => record.description), ['Synthetic, 5 quarts', 'Pads "and" rotors']);
+    assert.equal(dataManager.getAllVehicles().length, 1);
+    assert.equal(dataManager.getAllVehicles()[0].mileage, 43000);
+});
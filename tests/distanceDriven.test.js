@@ -0,0 +1,90 @@
+/**
+ * Distance driven tests
+ *
+ * Covers the lifetime distance dataManager.getDistanceDriven() falls back
+ * on when a vehicle's odometer history is too short to measure from.
+ *
+ * Run with: node --test tests/
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installBrowserStorage } from './helpers/browserStorage.js';
+
+installBrowserStorage();
+
+const { dataManager, KM_PER_MILE } = await import('../js/services/dataManager.js');
+const { auditService, AUDIT_LOG_KEY } = await import('../js/services/auditService.js');
+
+/**
+ * Add a vehicle whose odometer log only has the reading it was added with
+ * @param {number} mileage - Mileage when added
+ * @returns {Object} Vehicle
+ */
+function addVehicle(mileage) {
+    const result = dataManager.addVehicle({ make: 'Honda', model: 'Civic', year: 2018, mileage });
+    assert.ok(result.success, result.message);
+    return result.data;
+}
+
+/**
+ * Change a vehicle's mileage without logging an odometer reading
+ * @param {Object} vehicle - Vehicle
+ * @param {number} mileage - New mileage
+ */
+function setMileage(vehicle, mileage) {
+    assert.ok(dataManager.updateVehicle(vehicle.id, { mileage }, { logOdometer: false }).success);
+}
+
+/**
+ * Remove a vehicle's entry from the audit log
+ * @param {Object} vehicle - Vehicle
+ */
+function forgetCreation(vehicle) {
+    localStorage.setItem(AUDIT_LOG_KEY, JSON.stringify(
+        auditService.getLog().filter(entry => entry.entityId !== vehicle.id)
+    ));
+}
+
+test('the lifetime distance runs from the earliest odometer reading', () => {
+    const vehicle = addVehicle(20000);
+    setMileage(vehicle, 25000);
+
+    const distance = dataManager.getDistanceDriven(vehicle.id);
+
+    assert.equal(distance.miles, 5000);
+    assert.equal(distance.kilometers, Math.round(5000 * KM_PER_MILE));
+    assert.equal(distance.startMileage, 20000);
+    assert.equal(distance.endMileage, 25000);
+    assert.equal(distance.source, 'odometer');
+});
+
+test('without readings the lifetime distance runs from the mileage the vehicle was added with', () => {
+    const vehicle = addVehicle(30000);
+    assert.ok(dataManager.deleteOdometerReadingsByVehicleId(vehicle.id).success);
+    setMileage(vehicle, 36000);
+
+    const distance = dataManager.getDistanceDriven(vehicle.id);
+
+    assert.equal(distance.miles, 6000);
+    assert.equal(distance.startMileage, 30000);
+    assert.equal(distance.fromDate, vehicle.createdAt);
+    assert.equal(distance.source, 'odometer');
+});
+
+test('there is no lifetime distance when no earlier mileage is known', () => {
+    const vehicle = addVehicle(40000);
+    assert.ok(dataManager.deleteOdometerReadingsByVehicleId(vehicle.id).success);
+    forgetCreation(vehicle);
+    setMileage(vehicle, 45000);
+
+    assert.equal(dataManager.getDistanceDriven(vehicle.id), null);
+});
+
+test('a period outside a short history has no distance', () => {
+    const vehicle = addVehicle(50000);
+    setMileage(vehicle, 52000);
+
+    assert.equal(dataManager.getDistanceDriven(vehicle.id, { startDate: '2020-01-01', endDate: '2020-12-31' }), null);
+});
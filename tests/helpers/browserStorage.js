@@ -0,0 +1,85 @@
+/**
+ * Browser storage stand-ins for tests
+ *
+ * An in-memory Web Storage with an optional quota, and the few browser
+ * globals the services touch, so they can run under node --test.
+ */
+
+/**
+ * In-memory localStorage or sessionStorage. With a quota it throws
+ * QuotaExceededError like a browser once keys and values add up to more
+ * than that many characters.
+ */
+class MemoryStorage {
+    /**
+     * @param {number} quota - Most characters stored; Infinity for no limit
+     */
+    constructor(quota = Infinity) {
+        this.quota = quota;
+        this.items = new Map();
+    }
+
+    get length() {
+        return this.items.size;
+    }
+
+    key(index) {
+        return [...this.items.keys()][index] ?? null;
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        const text = String(value);
+        const used = this.used() - (this.items.has(key) ? key.length + this.items.get(key).length : 0);
+
+        if (used + key.length + text.length > this.quota) {
+            const error = new Error('The quota has been exceeded.');
+            error.name = 'QuotaExceededError';
+            throw error;
+        }
+
+        this.items.set(key, text);
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+
+    clear() {
+        this.items.clear();
+    }
+
+    /**
+     * Count the characters stored
+     * @returns {number} Characters in every key and value
+     */
+    used() {
+        let total = 0;
+        this.items.forEach((value, key) => {
+            total += key.length + value.length;
+        });
+        return total;
+    }
+}
+
+/**
+ * Set up localStorage, sessionStorage and a window that events can be dispatched on
+ * @param {Object} options - Options
+ * @param {number} options.quota - localStorage quota in characters
+ * @returns {MemoryStorage} The new localStorage
+ */
+function installBrowserStorage({ quota = Infinity } = {}) {
+    const localStorage = new MemoryStorage(quota);
+    const sessionStorage = new MemoryStorage();
+
+    globalThis.localStorage = localStorage;
+    globalThis.sessionStorage = sessionStorage;
+    globalThis.window = Object.assign(new EventTarget(), { localStorage, sessionStorage });
+
+    return localStorage;
+}
+
+export { MemoryStorage, installBrowserStorage };
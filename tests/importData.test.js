@@ -0,0 +1,178 @@
+/**
+ * Import tests
+ *
+ * Runs dataManager.importAllData() against in-memory storage: merging into
+ * existing data by id under each conflict policy, rejecting duplicate and
+ * orphaned entries, and replacing everything.
+ *
+ * Run with: node --test tests/
+ */
+
+import test, { beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installBrowserStorage } from './helpers/browserStorage.js';
+
+installBrowserStorage();
+
+const { dataManager, IMPORT_POLICIES, IMPORT_STATUS } = await import('../js/services/dataManager.js');
+const { historyService } = await import('../js/services/historyService.js');
+
+const OLDER = '2024-01-01T00:00:00.000Z';
+const NEWER = '2024-06-01T00:00:00.000Z';
+
+/**
+ * Build a vehicle as exported
+ * @param {string} id - Vehicle ID
+ * @param {Object} fields - Fields to override
+ * @returns {Object} Vehicle
+ */
+function vehicle(id, fields = {}) {
+    return {
+        id,
+        make: 'Toyota',
+        model: 'Corolla',
+        year: 2019,
+        mileage: 30000,
+        createdAt: OLDER,
+        updatedAt: OLDER,
+        deletedAt: null,
+        ...fields
+    };
+}
+
+/**
+ * Build a maintenance record as exported
+ * @param {string} id - Record ID
+ * @param {string} vehicleId - Vehicle ID
+ * @param {Object} fields - Fields to override
+ * @returns {Object} Maintenance record
+ */
+function record(id, vehicleId, fields = {}) {
+    return {
+        id,
+        vehicleId,
+        date: '2024-01-15',
+        serviceType: 'Oil Change',
+        description: '',
+        cost: 45,
+        odometer: null,
+        createdAt: OLDER,
+        updatedAt: OLDER,
+        deletedAt: null,
+        deletedWithVehicle: false,
+        ...fields
+    };
+}
+
+/**
+ * Store the data the import merges into
+ */
+function seedLocalData() {
+    assert.ok(dataManager.importAllData({
+        vehicles: [vehicle('vehicle_a'), vehicle('vehicle_b', { make: 'Mazda', model: '3' })],
+        maintenanceRecords: [record('record_a1', 'vehicle_a'), record('record_b1', 'vehicle_b', { cost: 80 })]
+    }, { clearFirst: true }).success);
+}
+
+/**
+ * Look up an entry's status in an import report
+ * @param {Array} report - Report for one collection
+ * @param {string} id - Entry ID
+ * @returns {string|undefined} Import status
+ */
+function statusOf(report, id) {
+    const line = report.find(item => item.id === id);
+    return line && line.status;
+}
+
+beforeEach(() => {
+    installBrowserStorage();
+    dataManager.clearAllCaches();
+    dataManager.invalidateIndexes();
+    historyService.clear();
+    seedLocalData();
+});
+
+test('a merge import keeps the newer copy of entries whose ids already exist', () => {
+    const result = dataManager.importAllData({
+        vehicles: [
+            vehicle('vehicle_a', { mileage: 35000, updatedAt: NEWER }),
+            vehicle('vehicle_b', { make: 'Kia', updatedAt: '2023-01-01T00:00:00.000Z' }),
+            vehicle('vehicle_c', { make: 'Subaru', model: 'Outback' })
+        ],
+        maintenanceRecords: [record('record_c1', 'vehicle_c')]
+    });
+
+    assert.equal(result.success, true);
+    assert.equal(statusOf(result.report.vehicles, 'vehicle_a'), IMPORT_STATUS.UPDATED);
+    assert.equal(statusOf(result.report.vehicles, 'vehicle_b'), IMPORT_STATUS.SKIPPED);
+    assert.equal(statusOf(result.report.vehicles, 'vehicle_c'), IMPORT_STATUS.ADDED);
+    assert.equal(result.results.vehiclesImported, 2);
+
+    assert.equal(dataManager.getVehicleById('vehicle_a').mileage, 35000);
+    assert.equal(dataManager.getVehicleById('vehicle_b').make, 'Mazda');
+    assert.deepEqual(dataManager.getAllMaintenanceRecords().map(item => item.id).sort(),
+        ['record_a1', 'record_b1', 'record_c1']);
+});
+
+test('the conflict policy decides which copy of an overlapping id is kept', () => {
+    const incoming = { vehicles: [vehicle('vehicle_b', { make: 'Kia', updatedAt: '2023-01-01T00:00:00.000Z' })] };
+
+    const keepLocal = dataManager.importAllData(incoming, { policy: IMPORT_POLICIES.KEEP_LOCAL });
+    assert.equal(statusOf(keepLocal.report.vehicles, 'vehicle_b'), IMPORT_STATUS.SKIPPED);
+    assert.equal(dataManager.getVehicleById('vehicle_b').make, 'Mazda');
+
+    const keepIncoming = dataManager.importAllData(incoming, { policy: IMPORT_POLICIES.KEEP_INCOMING });
+    assert.equal(statusOf(keepIncoming.report.vehicles, 'vehicle_b'), IMPORT_STATUS.UPDATED);
+    assert.equal(dataManager.getVehicleById('vehicle_b').make, 'Kia');
+
+    const unchanged = dataManager.importAllData(incoming, { policy: IMPORT_POLICIES.KEEP_INCOMING });
+    assert.equal(unchanged.report.vehicles[0].reason, 'Already up to date');
+});
+
+test('duplicate ids, invalid entries and records of unknown vehicles are reported, not imported', () => {
+    const result = dataManager.importAllData({
+        vehicles: [
+            vehicle('vehicle_d', { make: 'Honda' }),
+            vehicle('vehicle_d', { make: 'Ford' }),
+            vehicle('vehicle_e', { year: 1700 }),
+            { make: 'Missing id' }
+        ],
+        maintenanceRecords: [record('record_x', 'vehicle_gone'), record('record_d1', 'vehicle_d')]
+    });
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.report.vehicles.map(item => item.status), [
+        IMPORT_STATUS.ADDED, IMPORT_STATUS.INVALID, IMPORT_STATUS.INVALID, IMPORT_STATUS.INVALID
+    ]);
+    assert.equal(result.report.vehicles[1].reason, 'Duplicate id in the imported data');
+    assert.equal(result.report.vehicles[3].reason, 'Missing id');
+    assert.equal(statusOf(result.report.maintenanceRecords, 'record_x'), IMPORT_STATUS.INVALID);
+    assert.equal(statusOf(result.report.maintenanceRecords, 'record_d1'), IMPORT_STATUS.ADDED);
+
+    assert.equal(dataManager.getVehicleById('vehicle_d').make, 'Honda');
+    assert.equal(dataManager.getVehicleById('vehicle_e'), null);
+    assert.equal(dataManager.getAllMaintenanceRecords().some(item => item.id === 'record_x'), false);
+});
+
+test('a dry run reports the import without saving it', () => {
+    const result = dataManager.importAllData({ vehicles: [vehicle('vehicle_c')] }, { dryRun: true });
+
+    assert.equal(result.dryRun, true);
+    assert.equal(statusOf(result.report.vehicles, 'vehicle_c'), IMPORT_STATUS.ADDED);
+    assert.equal(dataManager.getVehicleById('vehicle_c'), null);
+});
+
+test('a replace import leaves only the imported data', () => {
+    const result = dataManager.importAllData({
+        vehicles: [vehicle('vehicle_c', { make: 'Subaru', model: 'Outback' })],
+        maintenanceRecords: [record('record_c1', 'vehicle_c'), record('record_a1', 'vehicle_a')]
+    }, { clearFirst: true });
+
+    assert.equal(result.success, true);
+    assert.deepEqual(dataManager.getAllVehicles().map(item => item.id), ['vehicle_c']);
+    assert.deepEqual(dataManager.getAllMaintenanceRecords().map(item => item.id), ['record_c1']);
+    // Its vehicle is not part of the replacement, so the record is refused
+    assert.equal(statusOf(result.report.maintenanceRecords, 'record_a1'), IMPORT_STATUS.INVALID);
+});
@@ -0,0 +1,143 @@
+/**
+ * Storage migration tests
+ *
+ * Runs the migration registry against fixtures of the data each historical
+ * schema version stored. Each fixture is both the input for migrating from
+ * its version and the expected output of migrating to it.
+ *
+ * Run with: node --test tests/
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import {
+    MIGRATIONS,
+    CURRENT_SCHEMA_VERSION,
+    getMigrationPath,
+    validateMigratedData,
+    runMigrations
+} from '../js/services/migrations.js';
+import { Vehicle } from '../js/models/Vehicle.js';
+import { MaintenanceRecord } from '../js/models/MaintenanceRecord.js';
+
+/**
+ * Load the fixture stored by a schema version
+ * @param {string} version - Schema version
+ * @returns {Object} Storage key to value
+ */
+function loadFixture(version) {
+    return JSON.parse(readFileSync(new URL(`./fixtures/migrations/${version}.json`, import.meta.url), 'utf8'));
+}
+
+/**
+ * Validate every entry of a collection with its model
+ * @param {Array} entries - Stored entries
+ * @param {Function} Model - Model class with fromJSON() and validate()
+ * @returns {Array} Error messages, empty if every entry is valid
+ */
+function collectErrors(entries, Model) {
+    return entries.flatMap(entry => Model.fromJSON(entry).validate().errors.map(error => `${entry.id}: ${error.message}`));
+}
+
+test('there is a fixture for every schema version', () => {
+    const versions = [MIGRATIONS[0].from, ...MIGRATIONS.map(step => step.to)];
+
+    versions.forEach(version => {
+        assert.doesNotThrow(() => loadFixture(version), `Missing fixture for ${version}`);
+    });
+    assert.equal(versions[versions.length - 1], CURRENT_SCHEMA_VERSION);
+});
+
+test('every migration step turns its fixture into the next version\'s fixture', () => {
+    MIGRATIONS.forEach(step => {
+        const { data, applied } = runMigrations(loadFixture(step.from), step.from, step.to);
+
+        assert.deepEqual(applied, [`${step.from} → ${step.to}`]);
+        assert.deepEqual(data, loadFixture(step.to), `${step.from} → ${step.to}`);
+    });
+});
+
+test('1.0.0 data migrates through 1.1.0 to the current version', () => {
+    const { data, applied } = runMigrations(loadFixture('1.0.0'), '1.0.0');
+
+    assert.deepEqual(applied, ['1.0.0 → 1.1.0', '1.1.0 → 1.2.0']);
+    assert.deepEqual(data, loadFixture(CURRENT_SCHEMA_VERSION));
+});
+
+test('1.0.0 → 1.1.0 adds odometer readings and rounds costs to whole cents', () => {
+    const { data } = runMigrations(loadFixture('1.0.0'), '1.0.0', '1.1.0');
+    const records = data.autocare_maintenance_records;
+
+    assert.deepEqual(records.map(record => record.odometer), [null, null, null]);
+    assert.deepEqual(records.map(record => record.cost), [50, 385.5, 25]);
+});
+
+test('1.0.0 → 1.1.0 keeps costs in dollars, only normalising their precision', () => {
+    const before = loadFixture('1.0.0').autocare_maintenance_records;
+    const after = loadFixture('1.1.0').autocare_maintenance_records;
+
+    after.forEach((record, i) => {
+        assert.equal(typeof record.cost, 'number');
+        assert.ok(Math.abs(record.cost * 100 - Math.round(record.cost * 100)) < 1e-9, `${record.id} has fractions of a cent`);
+        // Not converted to integer cents: each cost is within half a cent of the original amount
+        assert.ok(Math.abs(record.cost - Number(before[i].cost)) <= 0.005, `${record.id} changed by more than rounding`);
+    });
+});
+
+test('1.1.0 → 1.2.0 adds trash tombstones to vehicles and records', () => {
+    const { data } = runMigrations(loadFixture('1.1.0'), '1.1.0', '1.2.0');
+
+    assert.ok(data.autocare_vehicles.every(vehicle => vehicle.deletedAt === null));
+    assert.ok(data.autocare_maintenance_records.every(record =>
+        record.deletedAt === null && record.deletedWithVehicle === false
+    ));
+});
+
+test('migrated data passes model validation', () => {
+    const { data } = runMigrations(loadFixture('1.0.0'), '1.0.0');
+
+    assert.deepEqual(collectErrors(data.autocare_vehicles, Vehicle), []);
+    assert.deepEqual(collectErrors(data.autocare_maintenance_records, MaintenanceRecord), []);
+    assert.deepEqual(validateMigratedData(loadFixture('1.0.0'), data), { valid: true, errors: [] });
+});
+
+test('migrating leaves the input untouched', () => {
+    const fixture = loadFixture('1.0.0');
+
+    runMigrations(fixture, '1.0.0');
+
+    assert.deepEqual(fixture, loadFixture('1.0.0'));
+});
+
+test('an entry that was already invalid does not stop the migration', () => {
+    const fixture = loadFixture('1.0.0');
+    fixture.autocare_vehicles.push({ id: 'vehicle_broken', make: '', model: 'Unknown', year: 1700, mileage: -1 });
+
+    const { data } = runMigrations(fixture, '1.0.0');
+
+    assert.equal(data.autocare_vehicles.length, 3);
+});
+
+test('a step that breaks valid entries fails validation', () => {
+    const migrations = [{
+        from: '1.0.0',
+        to: '1.1.0',
+        description: 'Drop every make',
+        migrate: data => ({
+            ...data,
+            autocare_vehicles: data.autocare_vehicles.map(vehicle => ({ ...vehicle, make: '' }))
+        })
+    }];
+
+    assert.throws(
+        () => runMigrations(loadFixture('1.0.0'), '1.0.0', '1.1.0', migrations),
+        /Migration 1\.0\.0 → 1\.1\.0 failed validation: autocare_vehicles record vehicle_1700000000000_abc123def is invalid/
+    );
+});
+
+test('a missing step is reported', () => {
+    assert.throws(() => getMigrationPath('0.9.0', CURRENT_SCHEMA_VERSION), /No migration registered from version 0\.9\.0/);
+    assert.deepEqual(getMigrationPath(CURRENT_SCHEMA_VERSION, CURRENT_SCHEMA_VERSION), []);
+});
@@ -0,0 +1,162 @@
+/**
+ * Record index tests
+ *
+ * Queries and aggregates maintenance records through RecordIndex, and
+ * checks that dataManager keeps its index in step with mutations instead
+ * of answering from records that have since changed.
+ *
+ * Run with: node --test tests/
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installBrowserStorage } from './helpers/browserStorage.js';
+
+installBrowserStorage();
+
+const { RecordIndex, AGGREGATE_GROUPS } = await import('../js/services/recordIndex.js');
+const { dataManager } = await import('../js/services/dataManager.js');
+const { historyService } = await import('../js/services/historyService.js');
+
+/**
+ * Build a maintenance record
+ * @param {string} id - Record ID
+ * @param {Object} fields - Fields to override
+ * @returns {Object} Maintenance record
+ */
+function record(id, fields = {}) {
+    return {
+        id,
+        vehicleId: 'vehicle_a',
+        date: '2024-01-10',
+        serviceType: 'Oil Change',
+        description: '',
+        cost: 50,
+        odometer: null,
+        deletedAt: null,
+        ...fields
+    };
+}
+
+const RECORDS = [
+    record('r1', { date: '2024-01-10', cost: 45, odometer: 10000, description: 'Synthetic oil' }),
+    record('r2', { date: '2024-01-25', serviceType: 'Tire Rotation', cost: 30 }),
+    record('r3', { date: '2024-02-14', serviceType: 'Brake Service', cost: 320, odometer: 12000 }),
+    record('r4', { vehicleId: 'vehicle_b', date: '2024-02-20', cost: 65, odometer: 50000, description: 'Synthetic blend' }),
+    record('r5', { vehicleId: 'vehicle_b', date: '2023-12-01', serviceType: 'Inspection', cost: 120 }),
+    record('r6', { date: '2024-03-01', cost: 999, deletedAt: '2024-03-02T00:00:00.000Z' })
+];
+
+/**
+ * IDs of the records a query returns, in order
+ * @param {RecordIndex} index - Record index
+ * @param {Object} options - Query options
+ * @returns {string[]} Record IDs
+ */
+function queryIds(index, options) {
+    return index.query(options).records.map(item => item.id);
+}
+
+test('queries filter by indexed fields, ranges and text, leaving out the trash', () => {
+    const index = new RecordIndex(RECORDS);
+
+    assert.deepEqual(queryIds(index, { where: { vehicleId: 'vehicle_a' }, orderBy: 'date' }), ['r1', 'r2', 'r3']);
+    assert.deepEqual(queryIds(index, { where: { vehicleId: 'vehicle_a' }, orderBy: 'date', includeDeleted: true }), ['r1', 'r2', 'r3', 'r6']);
+    assert.deepEqual(queryIds(index, { where: { date: { gte: '2024-01-25', lt: '2024-02-20' } } }), ['r2', 'r3']);
+    assert.deepEqual(queryIds(index, { where: { serviceType: ['Inspection', 'Tire Rotation'], cost: { gt: 50 } } }), ['r5']);
+    assert.deepEqual(queryIds(index, { where: { or: [{ serviceType: 'Brake Service' }, { text: 'synthetic' }] }, orderBy: 'date' }), ['r1', 'r3', 'r4']);
+    assert.deepEqual(queryIds(index, { where: { odometer: { exists: false }, not: { vehicleId: 'vehicle_b' } } }), ['r2']);
+
+    assert.throws(() => index.query({ where: { colour: 'red' } }), /Unknown query field: colour/);
+    assert.throws(() => index.query({ where: { cost: { near: 5 } } }), /Unknown query operator: near/);
+});
+
+test('queries sort on any field and return a page with the total', () => {
+    const index = new RecordIndex(RECORDS);
+
+    assert.deepEqual(queryIds(index, { orderBy: { field: 'date', direction: 'desc' } }), ['r4', 'r3', 'r2', 'r1', 'r5']);
+    assert.deepEqual(queryIds(index, { orderBy: [{ field: 'vehicleId', direction: 'desc' }, 'cost'] }), ['r4', 'r5', 'r2', 'r1', 'r3']);
+    // Records without an odometer reading sort last either way
+    assert.deepEqual(queryIds(index, { orderBy: { field: 'odometer', direction: 'desc' } }).slice(0, 3), ['r4', 'r3', 'r1']);
+
+    const page = index.query({ orderBy: 'cost', limit: 2, offset: 1 });
+    assert.deepEqual(page.records.map(item => item.id), ['r1', 'r4']);
+    assert.equal(page.total, 5);
+});
+
+test('aggregates count, total and average per group', () => {
+    const index = new RecordIndex(RECORDS);
+
+    assert.deepEqual(index.aggregate(), [{ key: 'all', count: 5, sum: 580, avg: 116 }]);
+    assert.deepEqual(index.aggregate({ groupBy: AGGREGATE_GROUPS.VEHICLE }), [
+        { key: 'vehicle_a', count: 3, sum: 395, avg: 131.67 },
+        { key: 'vehicle_b', count: 2, sum: 185, avg: 92.5 }
+    ]);
+    assert.deepEqual(index.aggregate({ groupBy: AGGREGATE_GROUPS.MONTH, where: { vehicleId: 'vehicle_a' } }), [
+        { key: '2024-01', count: 2, sum: 75, avg: 37.5 },
+        { key: '2024-02', count: 1, sum: 320, avg: 320 }
+    ]);
+    // Records without a reading are counted but left out of the average
+    assert.deepEqual(index.aggregate({ groupBy: AGGREGATE_GROUPS.YEAR, field: 'odometer' }), [
+        { key: '2023', count: 1, sum: 0, avg: 0 },
+        { key: '2024', count: 4, sum: 72000, avg: 24000 }
+    ]);
+
+    assert.throws(() => index.aggregate({ groupBy: 'week' }), /Unknown aggregate group: week/);
+});
+
+test('applied changes move records between groups and dates', () => {
+    const index = new RecordIndex(RECORDS);
+    const moved = { ...RECORDS[0], vehicleId: 'vehicle_b', date: '2024-04-01', serviceType: 'Inspection' };
+
+    index.applyChanges([
+        { id: 'r1', before: RECORDS[0], after: moved },
+        { id: 'r3', before: RECORDS[2], after: null },
+        { id: 'r7', before: null, after: record('r7', { date: '2023-11-11' }) }
+    ]);
+
+    const rebuilt = new RecordIndex([moved, RECORDS[1], RECORDS[3], RECORDS[4], RECORDS[5], record('r7', { date: '2023-11-11' })]);
+    const options = [
+        { where: { vehicleId: 'vehicle_a' }, orderBy: 'date' },
+        { where: { serviceType: 'Inspection' }, orderBy: 'date' },
+        { where: { date: { gte: '2024-02-01' } }, includeDeleted: true },
+        { orderBy: 'date' }
+    ];
+
+    options.forEach(option => assert.deepEqual(queryIds(index, option), queryIds(rebuilt, option)));
+    assert.deepEqual(queryIds(index, { orderBy: 'date' }), ['r7', 'r5', 'r2', 'r4', 'r1']);
+    assert.deepEqual(queryIds(index, { where: { serviceType: 'Inspection' }, orderBy: 'date' }), ['r5', 'r1']);
+    assert.deepEqual(index.aggregate({ groupBy: AGGREGATE_GROUPS.SERVICE_TYPE }),
+        rebuilt.aggregate({ groupBy: AGGREGATE_GROUPS.SERVICE_TYPE }));
+});
+
+test('dataManager answers queries from records changed since the index was built', () => {
+    installBrowserStorage();
+    dataManager.clearAllCaches();
+    dataManager.invalidateIndexes();
+    historyService.clear();
+
+    const vehicle = dataManager.addVehicle({ make: 'Mazda', model: 'CX-5', year: 2021, mileage: 20000 }).data;
+    const first = dataManager.addMaintenanceRecord({ vehicleId: vehicle.id, date: '2024-05-01', serviceType: 'Oil Change', cost: 70 }).data;
+    const costs = () => dataManager.query({ where: { vehicleId: vehicle.id }, orderBy: 'date' }).records.map(item => item.cost);
+
+    assert.deepEqual(costs(), [70]);
+    const index = dataManager.recordIndex;
+
+    const second = dataManager.addMaintenanceRecord({ vehicleId: vehicle.id, date: '2024-03-01', serviceType: 'Inspection', cost: 40 }).data;
+    assert.deepEqual(costs(), [40, 70]);
+
+    assert.ok(dataManager.updateMaintenanceRecord(first.id, { cost: 85 }).success);
+    assert.deepEqual(costs(), [40, 85]);
+    assert.deepEqual(dataManager.aggregate({ where: { vehicleId: vehicle.id } }), [{ key: 'all', count: 2, sum: 125, avg: 62.5 }]);
+
+    assert.ok(dataManager.deleteMaintenanceRecord(second.id).success);
+    assert.deepEqual(costs(), [85]);
+
+    assert.ok(dataManager.undo().success);
+    assert.deepEqual(costs(), [40, 85]);
+
+    // Kept up to date in place rather than rebuilt
+    assert.equal(dataManager.recordIndex, index);
+});
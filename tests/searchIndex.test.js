@@ -0,0 +1,133 @@
+/**
+ * Search index tests
+ *
+ * Searches vehicles and maintenance records through SearchIndex: how text
+ * is split into words, how query words combine, and that entries in the
+ * trash are never found, including through dataManager as they move in
+ * and out of it.
+ *
+ * Run with: node --test tests/
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installBrowserStorage } from './helpers/browserStorage.js';
+
+installBrowserStorage();
+
+const { SearchIndex, SEARCH_RESULT_TYPES } = await import('../js/services/searchIndex.js');
+const { dataManager } = await import('../js/services/dataManager.js');
+const { historyService } = await import('../js/services/historyService.js');
+
+const VEHICLES = [
+    { id: 'v1', year: 2015, make: 'Ford', model: 'Focus', deletedAt: null },
+    { id: 'v2', year: 2019, make: 'Škoda', model: 'Octavia', deletedAt: null },
+    { id: 'v3', year: 2008, make: 'Saab', model: '9-3', deletedAt: '2024-02-01T00:00:00.000Z' }
+];
+
+const RECORDS = [
+    { id: 'r1', vehicleId: 'v1', date: '2024-01-10', serviceType: 'Brake Service', description: 'Front brake-pads & rotors (OEM)', deletedAt: null },
+    { id: 'r2', vehicleId: 'v1', date: '2024-03-05', serviceType: 'Oil Change', description: 'Synthetic 5W-30; checked the brakes', deletedAt: null },
+    { id: 'r3', vehicleId: 'v2', date: '2024-02-20', serviceType: 'Tire Rotation', description: 'Rotated tyres at the CAFÉ garage', deletedAt: null },
+    { id: 'r4', vehicleId: 'v2', date: '2024-04-01', serviceType: 'Oil Change', description: 'Synthetic blend', deletedAt: '2024-04-02T00:00:00.000Z' },
+    { id: 'r5', vehicleId: 'v3', date: '2023-06-01', serviceType: 'Oil Change', description: 'Synthetic', deletedAt: null }
+];
+
+const READINGS = [
+    { id: 'o1', vehicleId: 'v2', note: 'Bought from the dealer', deletedAt: null }
+];
+
+/**
+ * Keys of the results of a search, best first
+ * @param {SearchIndex} index - Search index
+ * @param {string} text - Search text
+ * @returns {string[]} "type:id" for each result
+ */
+function searchKeys(index, text) {
+    return index.search(text).results.map(result => `${result.type}:${result.id}`);
+}
+
+test('text is split into lowercase words without accents or punctuation', () => {
+    const index = new SearchIndex({ vehicles: VEHICLES, records: RECORDS, readings: READINGS });
+
+    assert.deepEqual(searchKeys(index, 'PADS'), ['record:r1']);
+    assert.deepEqual(searchKeys(index, '5w'), ['record:r2']);
+    assert.deepEqual(searchKeys(index, 'cafe'), ['record:r3']);
+    assert.deepEqual(searchKeys(index, 'skoda dealer'), ['vehicle:v2']);
+    assert.deepEqual(searchKeys(index, '  ...  '), []);
+
+    const [result] = index.search('brake-pads').results;
+    assert.deepEqual(result.highlights.description, [
+        { text: 'Front ', match: false },
+        { text: 'brake', match: true },
+        { text: '-', match: false },
+        { text: 'pads', match: true },
+        { text: ' & rotors (OEM)', match: false }
+    ]);
+});
+
+test('every query word has to match, exactly, as a prefix or with a typo', () => {
+    const index = new SearchIndex({ vehicles: VEHICLES, records: RECORDS, readings: READINGS });
+
+    assert.deepEqual(searchKeys(index, 'synthetic ford'), ['record:r2']);
+    assert.deepEqual(searchKeys(index, 'synthetic octavia'), []);
+    assert.deepEqual(searchKeys(index, 'oil focus 2015'), ['record:r2']);
+    assert.deepEqual(searchKeys(index, 'rot').sort(), ['record:r1', 'record:r3']);
+    assert.deepEqual(searchKeys(index, 'sythetic').sort(), ['record:r2', 'record:r5']);
+    assert.deepEqual(searchKeys(index, 'tyre rotatoin'), ['record:r3']);
+
+    // A match in the service type outranks one in the description
+    assert.deepEqual(searchKeys(index, 'brake'), ['record:r1', 'record:r2']);
+
+    const { results, total } = index.search('ford', { limit: 1 });
+    assert.equal(total, 3);
+    assert.equal(results[0].type, SEARCH_RESULT_TYPES.VEHICLE);
+});
+
+test('entries in the trash are not found, nor records of vehicles in the trash by name', () => {
+    const index = new SearchIndex({ vehicles: VEHICLES, records: RECORDS, readings: READINGS });
+
+    assert.deepEqual(searchKeys(index, 'blend'), []);
+    assert.deepEqual(searchKeys(index, 'saab'), []);
+    assert.deepEqual(searchKeys(index, 'synthetic').sort(), ['record:r2', 'record:r5']);
+
+    const deleted = { ...RECORDS[0], deletedAt: '2024-05-01T00:00:00.000Z' };
+    index.applyChanges({ records: [{ id: 'r1', before: RECORDS[0], after: deleted }] });
+    assert.deepEqual(searchKeys(index, 'pads'), []);
+
+    index.applyChanges({ records: [{ id: 'r1', before: deleted, after: RECORDS[0] }] });
+    assert.deepEqual(searchKeys(index, 'pads'), ['record:r1']);
+});
+
+test('dataManager search follows records and vehicles into and out of the trash', () => {
+    installBrowserStorage();
+    dataManager.clearAllCaches();
+    dataManager.invalidateIndexes();
+    historyService.clear();
+
+    const vehicle = dataManager.addVehicle({ make: 'Subaru', model: 'Outback', year: 2017, mileage: 90000 }).data;
+    const record = dataManager.addMaintenanceRecord({
+        vehicleId: vehicle.id,
+        date: '2024-06-01',
+        serviceType: 'Other',
+        description: 'Replaced timing belt',
+        cost: 700
+    }).data;
+    const found = text => dataManager.search(text).results.map(result => result.id);
+
+    assert.deepEqual(found('timing belt'), [record.id]);
+
+    assert.ok(dataManager.deleteMaintenanceRecord(record.id).success);
+    assert.deepEqual(found('timing'), []);
+
+    assert.ok(dataManager.undo().success);
+    assert.deepEqual(found('timing'), [record.id]);
+
+    assert.ok(dataManager.deleteVehicle(vehicle.id).success);
+    assert.deepEqual(found('subaru'), []);
+    assert.deepEqual(found('timing'), []);
+
+    assert.ok(dataManager.restoreVehicle(vehicle.id).success);
+    assert.deepEqual(found('outback timing'), [record.id]);
+});
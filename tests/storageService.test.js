@@ -0,0 +1,141 @@
+/**
+ * Storage transaction tests
+ *
+ * Runs StorageService on localStorage with an in-memory stand-in that
+ * enforces a quota the size of a typical browser's, so a transaction's
+ * journal has to fit next to the data it protects.
+ *
+ * Run with: node --test tests/
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installBrowserStorage } from './helpers/browserStorage.js';
+
+/**
+ * Typical localStorage limit of about 5 million UTF-16 characters
+ */
+const QUOTA = 5 * 1024 * 1024;
+
+const RECORDS_KEY = 'autocare_maintenance_records';
+const JOURNAL_KEY = 'autocare_transaction_journal';
+
+installBrowserStorage({ quota: QUOTA });
+
+const { StorageService } = await import('../js/services/storageService.js');
+
+/**
+ * Start a storage service on an empty in-memory localStorage
+ * @returns {Object} { service, storage }
+ */
+function createService() {
+    const storage = installBrowserStorage({ quota: QUOTA });
+    return { service: new StorageService(), storage };
+}
+
+/**
+ * Build maintenance records
+ * @param {number} count - Number of records
+ * @returns {Array} Records
+ */
+function buildRecords(count) {
+    return Array.from({ length: count }, (_, i) => ({
+        id: `record_${i}`,
+        vehicleId: `vehicle_${i % 5}`,
+        date: '2024-03-01',
+        serviceType: 'Oil Change',
+        description: 'Changed the oil and filter, checked tire pressure and topped up the washer fluid',
+        cost: 49.99,
+        odometer: 10000 + i,
+        createdAt: '2024-03-01T12:00:00.000Z',
+        updatedAt: '2024-03-01T12:00:00.000Z',
+        deletedAt: null,
+        deletedWithVehicle: false
+    }));
+}
+
+test('a transactional write succeeds with storage 60% full', () => {
+    const { service, storage } = createService();
+    const recordSize = JSON.stringify(buildRecords(1)[0]).length + 1;
+    const records = buildRecords(Math.floor(QUOTA * 0.6 / recordSize));
+
+    assert.ok(service.set(RECORDS_KEY, records));
+    assert.ok(storage.used() > QUOTA * 0.59);
+
+    const edited = records.map(record => record.id === 'record_7' ? { ...record, cost: 59.99 } : record);
+    let journalSize = 0;
+
+    const result = service.runTransaction(() => {
+        const saved = service.set(RECORDS_KEY, edited);
+        journalSize = storage.getItem(JOURNAL_KEY).length;
+        return saved;
+    });
+
+    assert.equal(result, true);
+    assert.equal(service.get(RECORDS_KEY)[7].cost, 59.99);
+    assert.ok(journalSize < 1000, `journal took ${journalSize} characters`);
+    assert.equal(storage.getItem(JOURNAL_KEY), null);
+});
+
+test('an interrupted transaction is undone on the next start', () => {
+    const { service, storage } = createService();
+    const records = buildRecords(6);
+    service.set(RECORDS_KEY, records);
+    service.set('autocare_trash_retention_days', 30);
+
+    service.beginTransaction();
+    service.set(RECORDS_KEY, [
+        ...records.filter(record => record.id !== 'record_2').map(record =>
+            record.id === 'record_4' ? { ...record, cost: 10 } : record
+        ),
+        { ...records[0], id: 'record_new' }
+    ]);
+    service.set(RECORDS_KEY, service.get(RECORDS_KEY).filter(record => record.id !== 'record_5'));
+    service.set('autocare_trash_retention_days', 7);
+
+    const journal = JSON.parse(storage.getItem(JOURNAL_KEY));
+    assert.deepEqual(Object.keys(journal.previous[RECORDS_KEY].entries).sort(),
+        ['record_2', 'record_4', 'record_5', 'record_new']);
+
+    // The tab closes before the transaction commits
+    const restarted = new StorageService();
+
+    assert.deepEqual(restarted.get(RECORDS_KEY), records);
+    assert.equal(restarted.get('autocare_trash_retention_days'), 30);
+    assert.equal(storage.getItem(JOURNAL_KEY), null);
+});
+
+test('a collection removed during a transaction is journaled whole', () => {
+    const { service, storage } = createService();
+    const records = buildRecords(3);
+    service.set(RECORDS_KEY, records);
+
+    service.beginTransaction();
+    service.set(RECORDS_KEY, records.slice(1));
+    service.remove(RECORDS_KEY);
+
+    assert.deepEqual(JSON.parse(storage.getItem(JOURNAL_KEY)).previous[RECORDS_KEY], { existed: true, value: records });
+
+    new StorageService();
+
+    assert.deepEqual(JSON.parse(storage.getItem(RECORDS_KEY)), records);
+});
+
+test('rolling back a savepoint keeps the outer transaction\'s writes', () => {
+    const { service } = createService();
+    const records = buildRecords(3);
+    service.set(RECORDS_KEY, records);
+
+    service.beginTransaction();
+    service.set(RECORDS_KEY, records.slice(1));
+    service.beginTransaction();
+    service.set(RECORDS_KEY, []);
+    service.rollbackTransaction();
+
+    assert.deepEqual(service.get(RECORDS_KEY), records.slice(1));
+
+    service.rollbackTransaction();
+
+    assert.deepEqual(service.get(RECORDS_KEY), records);
+});
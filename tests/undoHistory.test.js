@@ -0,0 +1,116 @@
+/**
+ * Undo history tests
+ *
+ * Makes changes through dataManager and steps back and forward through
+ * historyService, checking that each step restores the stored data and
+ * that history is dropped when it can no longer be trusted.
+ *
+ * Run with: node --test tests/
+ */
+
+import test, { beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installBrowserStorage } from './helpers/browserStorage.js';
+
+installBrowserStorage();
+
+const { dataManager, STORAGE_KEYS } = await import('../js/services/dataManager.js');
+const { historyService } = await import('../js/services/historyService.js');
+
+/**
+ * Add a vehicle with one maintenance record
+ * @returns {Object} { vehicle, record }
+ */
+function addVehicleWithRecord() {
+    const vehicle = dataManager.addVehicle({ make: 'Ford', model: 'Focus', year: 2015, mileage: 80000 }).data;
+    const added = dataManager.addMaintenanceRecord({
+        vehicleId: vehicle.id,
+        date: '2024-04-02',
+        serviceType: 'Oil Change',
+        description: 'Synthetic',
+        cost: 60
+    });
+    assert.ok(added.success, added.message);
+    return { vehicle, record: added.data };
+}
+
+beforeEach(() => {
+    installBrowserStorage();
+    dataManager.clearAllCaches();
+    dataManager.invalidateIndexes();
+    historyService.clear();
+});
+
+test('undoing a delete brings the vehicle and its records back', () => {
+    const { vehicle, record } = addVehicleWithRecord();
+    assert.ok(dataManager.deleteVehicle(vehicle.id).success);
+    assert.equal(dataManager.getVehicleById(vehicle.id), null);
+    assert.equal(historyService.getUndoLabel(), 'Delete 2015 Ford Focus');
+
+    const result = dataManager.undo();
+
+    assert.equal(result.success, true);
+    assert.equal(result.message, 'Undone: Delete 2015 Ford Focus');
+    assert.deepEqual(dataManager.getVehicleById(vehicle.id), vehicle);
+    assert.deepEqual(dataManager.getMaintenanceRecordById(record.id), record);
+    assert.equal(historyService.getRedoLabel(), 'Delete 2015 Ford Focus');
+});
+
+test('an undone edit can be redone, once', () => {
+    const { record } = addVehicleWithRecord();
+    assert.ok(dataManager.updateMaintenanceRecord(record.id, { cost: 75, description: 'Synthetic, with filter' }).success);
+
+    assert.ok(dataManager.undo().success);
+    assert.equal(dataManager.getMaintenanceRecordById(record.id).cost, 60);
+    assert.equal(dataManager.getMaintenanceRecordById(record.id).description, 'Synthetic');
+
+    assert.ok(dataManager.redo().success);
+    assert.equal(dataManager.getMaintenanceRecordById(record.id).cost, 75);
+    assert.equal(dataManager.getMaintenanceRecordById(record.id).description, 'Synthetic, with filter');
+
+    assert.deepEqual(dataManager.redo(), { success: false, message: 'Nothing to redo' });
+});
+
+test('a new change after an undo drops what could be redone', () => {
+    const { record } = addVehicleWithRecord();
+    assert.ok(dataManager.updateMaintenanceRecord(record.id, { cost: 75 }).success);
+    assert.ok(dataManager.undo().success);
+
+    assert.ok(dataManager.updateMaintenanceRecord(record.id, { cost: 90 }).success);
+
+    assert.equal(historyService.getRedoLabel(), null);
+    assert.equal(dataManager.redo().success, false);
+    assert.equal(dataManager.getMaintenanceRecordById(record.id).cost, 90);
+});
+
+test('undo is refused and history cleared when the data changed some other way', () => {
+    const { record } = addVehicleWithRecord();
+    assert.ok(dataManager.updateMaintenanceRecord(record.id, { cost: 75 }).success);
+
+    // Another tab edits the same record
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEYS.MAINTENANCE_RECORDS));
+    stored[0].cost = 99;
+    localStorage.setItem(STORAGE_KEYS.MAINTENANCE_RECORDS, JSON.stringify(stored));
+    dataManager.clearAllCaches();
+
+    const result = dataManager.undo();
+
+    assert.equal(result.success, false);
+    assert.match(result.message, /Undo history was cleared/);
+    assert.equal(historyService.getUndoLabel(), null);
+    assert.equal(dataManager.getMaintenanceRecordById(record.id).cost, 99);
+});
+
+test('importing data clears the undo history', () => {
+    const { vehicle } = addVehicleWithRecord();
+    assert.ok(historyService.getUndoLabel());
+
+    const result = dataManager.importAllData({
+        vehicles: [{ ...dataManager.getVehicleById(vehicle.id), mileage: 81000, updatedAt: new Date(Date.now() + 1000).toISOString() }]
+    });
+
+    assert.equal(result.success, true);
+    assert.equal(historyService.getUndoLabel(), null);
+    assert.deepEqual(dataManager.undo(), { success: false, message: 'Nothing to undo' });
+});